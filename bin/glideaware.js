@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview GlideAware CLI entry point
+ * @description See src/cli/cli.js for commands and options.
+ */
+
+import { run } from '../src/cli/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
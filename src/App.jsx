@@ -14,20 +14,52 @@ import ReactFlow, {
   MiniMap
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { polishCode, polishJson, formatCodeStructure } from './utils/codePolish';
-import { parseCode, extractControlFlow } from './utils/astParser';
-import { generateFlowDiagram, getFlowStats } from './utils/flowGenerator';
+import { PIPELINE_TASKS } from './utils/pipeline';
+import { runPipeline } from './utils/pipelineClient';
 import FlowNode from './components/FlowNode';
 import Icon from './components/Icon';
 import TaskBoard from './components/Plan/TaskBoard';
 import NoteEditor from './components/Plan/NoteEditor';
 import DrawingCanvas from './components/Plan/DrawingCanvas';
+import RuleProfileEditor from './components/RuleProfileEditor';
+import DictionaryEditor from './components/DictionaryEditor';
+import ScriptIncludeGenerator from './components/ScriptIncludeGenerator';
+import EncodedQueryBuilder from './components/EncodedQueryBuilder';
+import FixReviewPanel from './components/FixReviewPanel';
+import ComplexityMetricsPanel from './components/ComplexityMetricsPanel';
 import {
   exportAllData,
   importData,
   generateExportFilename,
   downloadAsJson
 } from './utils/storage/planStorage';
+import { loadRuleProfile, saveRuleProfile } from './utils/storage/settingsStorage';
+import { DEFAULT_PROFILE, normalizeProfile, normalizeScope, parseProfile, getThresholds } from './utils/ruleProfile';
+import { RELEASE_RANGES, getReleaseRangeValue } from './utils/fixes/servicenowDictionary';
+import {
+  AUTO_SCRIPT_TYPE,
+  SCRIPT_TYPES,
+  BUSINESS_RULE_WHEN,
+  BUSINESS_RULE_OPERATIONS,
+  DEFAULT_BUSINESS_RULE,
+  getScriptType,
+  detectScriptType
+} from './utils/scriptTypes';
+import { findEncodedQuery } from './utils/encodedQuery';
+import { convertToGlideQuery, convertToGlideRecord, detectQueryApi } from './utils/glideQueryConverter';
+import { redactSecrets, SECRET_RULES } from './utils/secretScanner';
+import {
+  applyDictionaryExtensions,
+  normalizeDictionaryExtensions,
+  mergeDictionaryExtensions,
+  parseDictionaryExtensions,
+  extractScriptIncludeApi
+} from './utils/fixes/dictionaryExtensions';
+import { setEditorMarkers, attachLiveLint } from './utils/monacoDiagnostics';
+import { registerServiceNowLanguageFeatures } from './utils/monacoLanguage';
+import { createReportFile } from './utils/exporters/reportFiles';
+import { createSarifLog } from './utils/exporters/sarif';
+import { createJunitReport } from './utils/exporters/junit';
 import { diff } from 'jsondiffpatch';
 import * as htmlFormatter from 'jsondiffpatch/formatters/html';
 import 'jsondiffpatch/formatters/styles/html.css';
@@ -39,6 +71,59 @@ import 'jsondiffpatch/formatters/styles/html.css';
 /** Toast notification display duration in milliseconds */
 const TOAST_DURATION = 2500;
 
+// =============================================================================
+// PIPELINE HELPERS
+// =============================================================================
+
+/**
+ * Cancels the run tracked by a ref and starts tracking a new one.
+ * @param {Object} runRef - Ref holding the AbortController of the current run
+ * @returns {AbortController} Controller of the new run
+ */
+function startRun(runRef) {
+  runRef.current?.abort();
+  runRef.current = new AbortController();
+  return runRef.current;
+}
+
+/**
+ * Formats a pipeline progress report for the status bar, e.g. "Polishing... Formatting (3/4)"
+ */
+function formatProgress(action, { step, total, label }) {
+  return `${action}... ${label} (${step}/${total})`;
+}
+
+// =============================================================================
+// DOWNLOAD HELPERS
+// =============================================================================
+
+/**
+ * Creates the timestamp used in download file names: YYYYMMDD_HHMMSS
+ */
+function createDownloadTimestamp(now = new Date()) {
+  return now.getFullYear().toString() +
+    String(now.getMonth() + 1).padStart(2, '0') +
+    String(now.getDate()).padStart(2, '0') + '_' +
+    String(now.getHours()).padStart(2, '0') +
+    String(now.getMinutes()).padStart(2, '0') +
+    String(now.getSeconds()).padStart(2, '0');
+}
+
+/**
+ * Downloads text content as a file through a temporary link.
+ */
+function downloadTextFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
 // =============================================================================
 // SAMPLE CODE
 // =============================================================================
@@ -261,6 +346,22 @@ function computeLineDiff(original, formatted) {
   return changes;
 }
 
+/**
+ * Scrolls an editor to a diagnostic and selects its range.
+ */
+function revealDiagnostic(editor, diagnostic) {
+  if (!editor) return;
+  const range = {
+    startLineNumber: diagnostic.startLine,
+    startColumn: diagnostic.startColumn,
+    endLineNumber: diagnostic.endLine,
+    endColumn: diagnostic.endColumn
+  };
+  editor.revealRangeInCenter(range);
+  editor.setSelection(range);
+  editor.focus();
+}
+
 // =============================================================================
 // MAIN COMPONENT
 // =============================================================================
@@ -303,8 +404,13 @@ function App() {
   const [fixes, setFixes] = useState([]);
   const [warnings, setWarnings] = useState([]);
   const [errors, setErrors] = useState([]);
+  const [inputDiagnostics, setInputDiagnostics] = useState([]); // Syntax errors located in the input
+  const [fixOccurrences, setFixOccurrences] = useState([]); // Individual fix edits for review
+  const [showFixReview, setShowFixReview] = useState(false);
+  const [showComplexityMetrics, setShowComplexityMetrics] = useState(false);
   const [metrics, setMetrics] = useState(null);
   const [changedLines, setChangedLines] = useState([]);
+  const [secretsRedacted, setSecretsRedacted] = useState(false);
   const [showFixesDropdown, setShowFixesDropdown] = useState(false);
   const fixesDropdownRef = useRef(null);
 
@@ -316,11 +422,16 @@ function App() {
   const [changedLinesA, setChangedLinesA] = useState([]);
   const [showFixesDropdownA, setShowFixesDropdownA] = useState(false);
   const fixesDropdownARef = useRef(null);
+  const inputEditorRef = useRef(null);
   const outputEditorRef = useRef(null);
   const monacoRef = useRef(null);
   const decorationsRef = useRef([]);
   const primaryActionRef = useRef(null);
 
+  // Pipeline runs in flight; a new run or an input change cancels the stale one
+  const polishRunRef = useRef(null);
+  const flowRunRef = useRef(null);
+
   // JSON Compare state
   const [diffLeftJson, setDiffLeftJson] = useState('');
   const [diffRightJson, setDiffRightJson] = useState('');
@@ -333,7 +444,24 @@ function App() {
   const [diffHighlightEnabled, setDiffHighlightEnabled] = useState(true);
   const [showSettings, setShowSettings] = useState(false);
   const settingsDropdownRef = useRef(null);
+  const [showDownloadMenu, setShowDownloadMenu] = useState(false);
+  const downloadMenuRef = useRef(null);
   const diffEditorRef = useRef(null);
+
+  // Rule profile (fix/rule toggles, severities, thresholds) used by Polish
+  const [ruleProfile, setRuleProfile] = useState(() => normalizeProfile(DEFAULT_PROFILE));
+  const ruleProfileRef = useRef(ruleProfile); // Read by live linting without remounting editors
+  const liveLintRef = useRef(null);
+  const [showRuleProfile, setShowRuleProfile] = useState(false);
+  const [showDictionary, setShowDictionary] = useState(false);
+  const [showScriptIncludeGenerator, setShowScriptIncludeGenerator] = useState(false);
+  const [showQueryBuilder, setShowQueryBuilder] = useState(false);
+
+  // Script type of the input (decides which rules apply); 'auto' detects it from the code
+  const [scriptType, setScriptType] = useState(AUTO_SCRIPT_TYPE);
+  const scriptTypeRef = useRef(scriptType); // Read by live linting without remounting editors
+  const [businessRule, setBusinessRule] = useState(DEFAULT_BUSINESS_RULE); // When/operations of a Business Rule
+  const businessRuleRef = useRef(businessRule);
   const diffSyncingRef = useRef(false);
 
   // Toast notification (supports single string or array of messages)
@@ -398,6 +526,158 @@ function App() {
     }
   }, [showToast, planSubMode]);
 
+  // -------------------------------------------------------------------------
+  // Rule Profile Handlers
+  // -------------------------------------------------------------------------
+
+  // Load the saved rule profile once
+  useEffect(() => {
+    loadRuleProfile()
+      .then(setRuleProfile)
+      .catch(() => showToast('Failed to load rule profile, using defaults', 'error'));
+  }, [showToast]);
+
+  // Re-lint the input when the profile changes (custom classes join the dictionary first)
+  useEffect(() => {
+    applyDictionaryExtensions(ruleProfile.dictionary);
+    ruleProfileRef.current = ruleProfile;
+    liveLintRef.current?.refresh();
+  }, [ruleProfile]);
+
+  // Re-lint the input when the script type changes
+  useEffect(() => {
+    scriptTypeRef.current = scriptType;
+    liveLintRef.current?.refresh();
+  }, [scriptType]);
+
+  // Re-lint the input when the Business Rule context changes
+  useEffect(() => {
+    businessRuleRef.current = businessRule;
+    liveLintRef.current?.refresh();
+  }, [businessRule]);
+
+  // Script type the 'auto' option currently resolves to
+  const detectedScriptType = useMemo(() => getScriptType(detectScriptType(inputCode)), [inputCode]);
+  const isBusinessRule = (scriptType === AUTO_SCRIPT_TYPE ? detectedScriptType?.id : scriptType) === 'business-rule';
+
+  // Business Rule context: when it runs and the operations it runs on
+  const handleBusinessRuleWhenChange = useCallback((when) => {
+    setBusinessRule(context => ({ ...context, when: when || null }));
+  }, []);
+
+  const handleBusinessRuleOperationToggle = useCallback((operation) => {
+    setBusinessRule(context => ({
+      ...context,
+      operations: context.operations.includes(operation)
+        ? context.operations.filter(op => op !== operation)
+        : BUSINESS_RULE_OPERATIONS.filter(op => op === operation || context.operations.includes(op))
+    }));
+  }, []);
+
+  /**
+   * Applies and persists rule profile edits
+   */
+  const handleRuleProfileChange = useCallback((profile) => {
+    setRuleProfile(profile);
+    saveRuleProfile(profile).catch(() => showToast('Failed to save rule profile', 'error'));
+  }, [showToast]);
+
+  /**
+   * Sets the instance release the API checks target (empty for the latest)
+   */
+  const handleReleaseChange = useCallback((release) => {
+    handleRuleProfileChange({ ...ruleProfile, release: release || null });
+  }, [ruleProfile, handleRuleProfileChange]);
+
+  /**
+   * Sets the application scope the scoped checks target (empty or 'global' for global code)
+   */
+  const handleScopeChange = useCallback((scope) => {
+    const normalized = normalizeScope(scope);
+    if (scope.trim() && scope.trim().toLowerCase() !== 'global' && !normalized) {
+      showToast(`Invalid scope "${scope.trim()}" - use a scope name such as x_acme_app`, 'error');
+      return;
+    }
+    if (normalized !== (ruleProfile.scope || null)) {
+      handleRuleProfileChange({ ...ruleProfile, scope: normalized });
+    }
+  }, [ruleProfile, handleRuleProfileChange, showToast]);
+
+  /**
+   * Imports a shared rule profile file
+   */
+  const handleImportRuleProfile = useCallback(async (file) => {
+    try {
+      const profile = parseProfile(await file.text());
+      handleRuleProfileChange(profile);
+      showToast(`Rule profile "${profile.name}" imported`, 'success');
+    } catch (error) {
+      showToast(`Failed to import profile: ${error.message}`, 'error');
+    }
+  }, [handleRuleProfileChange, showToast]);
+
+  /**
+   * Exports the rule profile as a shareable JSON file
+   */
+  const handleExportRuleProfile = useCallback(() => {
+    const slug = ruleProfile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    downloadAsJson(normalizeProfile(ruleProfile), `glideaware-rules-${slug}.json`);
+    showToast('Rule profile exported', 'success');
+  }, [ruleProfile, showToast]);
+
+  /**
+   * Applies custom API dictionary edits (stored in the rule profile)
+   */
+  const handleDictionaryChange = useCallback((extensions) => {
+    handleRuleProfileChange({ ...ruleProfile, dictionary: normalizeDictionaryExtensions(extensions) });
+  }, [ruleProfile, handleRuleProfileChange]);
+
+  /**
+   * Adds the classes of a dictionary JSON file to the custom APIs
+   */
+  const handleImportDictionary = useCallback(async (file) => {
+    try {
+      const imported = parseDictionaryExtensions(await file.text());
+      handleDictionaryChange(mergeDictionaryExtensions(ruleProfile.dictionary, imported));
+      showToast(`Imported ${Object.keys(imported.classes).length} custom classes`, 'success');
+    } catch (error) {
+      showToast(`Failed to import dictionary: ${error.message}`, 'error');
+    }
+  }, [ruleProfile, handleDictionaryChange, showToast]);
+
+  /**
+   * Adds the classes and methods defined by Script Include source
+   * @returns {boolean} Whether anything was extracted
+   */
+  const handleExtractScriptInclude = useCallback((source) => {
+    try {
+      const extracted = extractScriptIncludeApi(source);
+      handleDictionaryChange(mergeDictionaryExtensions(ruleProfile.dictionary, extracted));
+      const summary = Object.entries(extracted.classes).map(([name, methods]) => `${name} (${methods.length} methods)`);
+      showToast(`Added ${summary.join(', ')}`, 'success');
+      return true;
+    } catch (error) {
+      showToast(error.message, 'error');
+      return false;
+    }
+  }, [ruleProfile, handleDictionaryChange, showToast]);
+
+  /**
+   * Exports the custom APIs as a shareable JSON file
+   */
+  const handleExportDictionary = useCallback(() => {
+    downloadAsJson(ruleProfile.dictionary, 'glideaware-dictionary.json');
+    showToast('Custom APIs exported', 'success');
+  }, [ruleProfile, showToast]);
+
+  /**
+   * Restores the default rule profile
+   */
+  const handleResetRuleProfile = useCallback(() => {
+    handleRuleProfileChange(normalizeProfile(DEFAULT_PROFILE));
+    showToast('Rule profile reset to defaults', 'success');
+  }, [handleRuleProfileChange, showToast]);
+
   // Compare two JSON objects
   const handleCompareJson = useCallback(() => {
     if (!diffLeftJson.trim() || !diffRightJson.trim()) {
@@ -506,6 +786,11 @@ function App() {
       return;
     }
 
+    const run = startRun(polishRunRef);
+    const polishOptions = {
+      signal: run.signal,
+      onProgress: progress => setStatus({ type: 'processing', message: formatProgress('Polishing', progress) })
+    };
     setIsProcessing(true);
     setStatus({ type: 'processing', message: 'Polishing...' });
 
@@ -517,7 +802,7 @@ function App() {
       // Polish Code A (left panel)
       if (diffLeftJs.trim()) {
         const originalA = diffLeftJs;
-        const resultA = await polishCode(diffLeftJs);
+        const resultA = await runPipeline(PIPELINE_TASKS.POLISH, { code: diffLeftJs, profile: ruleProfile }, polishOptions);
         if (resultA.success) {
           setDiffEditorValues(resultA.output, undefined);
           setFixesA(resultA.fixes);
@@ -539,7 +824,7 @@ function App() {
       // Polish Code B (right panel)
       if (diffRightJs.trim()) {
         const originalB = diffRightJs;
-        const resultB = await polishCode(diffRightJs);
+        const resultB = await runPipeline(PIPELINE_TASKS.POLISH, { code: diffRightJs, profile: ruleProfile }, polishOptions);
         if (resultB.success) {
           setDiffEditorValues(undefined, resultB.output);
           setFixes(resultB.fixes);
@@ -578,12 +863,19 @@ function App() {
         showToast(messages, 'success');
       }
     } catch (error) {
+      if (run.signal.aborted) {
+        if (polishRunRef.current === run) setStatus({ type: 'ready', message: 'Polish cancelled' });
+        return;
+      }
       setStatus({ type: 'error', message: 'Failed to polish' });
       showToast(`Error: ${error.message}`, 'error');
     } finally {
-      setIsProcessing(false);
+      if (polishRunRef.current === run) {
+        polishRunRef.current = null;
+        setIsProcessing(false);
+      }
     }
-  }, [diffLeftJs, diffRightJs, setDiffEditorValues, showToast]);
+  }, [diffLeftJs, diffRightJs, ruleProfile, setDiffEditorValues, showToast]);
 
   // Load sample JS diff code
   const handleLoadJsDiffSample = useCallback(() => {
@@ -630,54 +922,6 @@ function App() {
     custom: FlowNode
   }), []);
 
-  /**
-   * Filters flow nodes based on view mode
-   * Logic View: control flow, database interactions, high-impact behavior
-   * Full Ops View: everything including variable init, logging, function calls
-   */
-  const filterFlowNodes = useCallback((nodes, viewMode) => {
-    if (viewMode === 'fullops') {
-      // Full Ops View shows everything
-      return nodes;
-    }
-    
-    // Logic View: filter to show only high-impact nodes
-    const logicViewTypes = [
-      'function',
-      'condition',
-      'loop',
-      'switch',
-      'case',
-      'try',
-      'catch',
-      'finally',
-      'return',
-      'throw',
-      'break',
-      'continue',
-      'servicenow',
-      'servicenow-call',
-      'branch'
-    ];
-    
-    // Build set of kept node IDs for parent reference fixing
-    const filteredNodes = nodes.filter(node => logicViewTypes.includes(node.type));
-    const keptIds = new Set(filteredNodes.map(n => n.id));
-    
-    // Update parentId references to point to nearest kept ancestor
-    return filteredNodes.map(node => {
-      if (node.parentId && !keptIds.has(node.parentId)) {
-        // Find the nearest ancestor that was kept
-        let currentParent = nodes.find(n => n.id === node.parentId);
-        while (currentParent && !keptIds.has(currentParent.id)) {
-          currentParent = nodes.find(n => n.id === currentParent.parentId);
-        }
-        return { ...node, parentId: currentParent?.id || null };
-      }
-      return node;
-    });
-  }, []);
-
   // Generate flow diagram from code
   const handleGenerateFlow = useCallback(async () => {
     if (!visualizeCode.trim()) {
@@ -688,67 +932,62 @@ function App() {
     setVisualizeError(null);
     setSelectedFlowNode(null);
 
-    // Step 1: Light formatting (structural cleanup only, no code changes)
-    const formatResult = await formatCodeStructure(visualizeCode);
-    
-    if (!formatResult.success) {
-      setVisualizeError(`Format error: ${formatResult.error}`);
-      setFlowNodes([]);
-      setFlowEdges([]);
-      setFlowStats(null);
-      showToast('Code has syntax errors', 'error');
-      return;
-    }
-
-    const formattedCode = formatResult.output;
-    
-    // Update the editor with formatted code
-    setVisualizeCode(formattedCode);
+    const run = startRun(flowRunRef);
+    setIsProcessing(true);
+    setStatus({ type: 'processing', message: 'Generating flow...' });
 
-    // Step 2: Parse the formatted code
-    const { ast, error } = parseCode(formattedCode);
-    
-    if (error) {
-      setVisualizeError(`Parse error: ${error}`);
+    const clearFlow = () => {
       setFlowNodes([]);
       setFlowEdges([]);
       setFlowStats(null);
-      showToast('Failed to parse code', 'error');
-      return;
-    }
+    };
 
-    // Step 3: Extract control flow
-    const controlFlowNodes = extractControlFlow(ast, formattedCode);
-    
-    if (controlFlowNodes.length === 0) {
-      setVisualizeError('No control flow structures found in the code');
-      setFlowNodes([]);
-      setFlowEdges([]);
-      setFlowStats(null);
-      showToast('No flow structures found', 'error');
-      return;
-    }
+    try {
+      // Format, parse, extract and lay out the diagram in the pipeline worker
+      const result = await runPipeline(PIPELINE_TASKS.FLOW, { code: visualizeCode, viewMode: visualizeViewMode, profile: ruleProfile }, {
+        signal: run.signal,
+        onProgress: progress => setStatus({ type: 'processing', message: formatProgress('Generating flow', progress) })
+      });
 
-    // Step 4: Filter nodes based on view mode
-    const filteredNodes = filterFlowNodes(controlFlowNodes, visualizeViewMode);
+      if (!result.success) {
+        const failures = {
+          format: [`Format error: ${result.error}`, 'Code has syntax errors'],
+          parse: [`Parse error: ${result.error}`, 'Failed to parse code'],
+          empty: [result.error, 'No flow structures found'],
+          filtered: [result.error, 'No nodes in current view']
+        };
+        const [message, toastMessage] = failures[result.stage];
+        if (result.formattedCode) setVisualizeCode(result.formattedCode);
+        setVisualizeError(message);
+        clearFlow();
+        setStatus({ type: 'error', message: toastMessage });
+        showToast(toastMessage, 'error');
+        return;
+      }
 
-    if (filteredNodes.length === 0) {
-      setVisualizeError('No nodes to display in current view mode');
-      setFlowNodes([]);
-      setFlowEdges([]);
-      setFlowStats(null);
-      showToast('No nodes in current view', 'error');
-      return;
+      // Update the editor with formatted code
+      setVisualizeCode(result.formattedCode);
+      setFlowNodes(result.nodes);
+      setFlowEdges(result.edges);
+      setFlowStats(result.stats);
+      setStatus({ type: 'ready', message: `Flow generated with ${result.nodes.length} nodes` });
+      showToast(`Flow diagram generated with ${result.nodes.length} nodes`, 'success');
+    } catch (error) {
+      if (run.signal.aborted) {
+        if (flowRunRef.current === run) setStatus({ type: 'ready', message: 'Flow generation cancelled' });
+        return;
+      }
+      setVisualizeError(error.message);
+      clearFlow();
+      setStatus({ type: 'error', message: 'Failed to generate flow' });
+      showToast(`Error: ${error.message}`, 'error');
+    } finally {
+      if (flowRunRef.current === run) {
+        flowRunRef.current = null;
+        setIsProcessing(false);
+      }
     }
-
-    // Step 5: Generate React Flow diagram with view mode for label selection
-    const { nodes, edges } = generateFlowDiagram(filteredNodes, visualizeViewMode);
-    
-    setFlowNodes(nodes);
-    setFlowEdges(edges);
-    setFlowStats(getFlowStats(filteredNodes));
-    showToast(`Flow diagram generated with ${nodes.length} nodes`, 'success');
-  }, [visualizeCode, visualizeViewMode, filterFlowNodes, showToast, setFlowNodes, setFlowEdges, setVisualizeCode]);
+  }, [visualizeCode, visualizeViewMode, ruleProfile, showToast, setFlowNodes, setFlowEdges, setVisualizeCode]);
 
   // Handle node click in flow diagram (click-to-code)
   const handleFlowNodeClick = useCallback((event, node) => {
@@ -830,6 +1069,20 @@ function App() {
     setSelectedFlowNode(null);
   }, [setFlowNodes, setFlowEdges]);
 
+  // Runs for an input that has since changed are stale: cancel them
+  useEffect(() => {
+    polishRunRef.current?.abort();
+  }, [inputCode, mode, jsSubMode]);
+
+  useEffect(() => {
+    flowRunRef.current?.abort();
+  }, [visualizeCode]);
+
+  useEffect(() => () => {
+    polishRunRef.current?.abort();
+    flowRunRef.current?.abort();
+  }, []);
+
   // Re-generate flow when view mode changes (if there's code)
   useEffect(() => {
     if (visualizeCode.trim() && flowNodes.length > 0) {
@@ -862,26 +1115,8 @@ function App() {
       return;
     }
     
-    // Generate timestamp: YYYYMMDD_HHMMSS
-    const now = new Date();
-    const timestamp = now.getFullYear().toString() +
-      String(now.getMonth() + 1).padStart(2, '0') +
-      String(now.getDate()).padStart(2, '0') + '_' +
-      String(now.getHours()).padStart(2, '0') +
-      String(now.getMinutes()).padStart(2, '0') +
-      String(now.getSeconds()).padStart(2, '0');
-    
-    const downloadFile = (content, filename) => {
-      const blob = new Blob([content], { type: 'text/javascript' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    };
+    const timestamp = createDownloadTimestamp();
+    const downloadFile = (content, filename) => downloadTextFile(content, filename, 'text/javascript');
     
     let filesDownloaded = 0;
     
@@ -901,6 +1136,25 @@ function App() {
     showToast(`Downloaded ${filesDownloaded} file${filesDownloaded > 1 ? 's' : ''}`, 'success');
   }, [diffLeftJs, diffRightJs, showToast]);
 
+  // Replace secrets in both Compare sides with placeholders before sharing
+  const handleRedactJsDiff = useCallback(() => {
+    const left = redactSecrets(diffLeftJs);
+    const right = redactSecrets(diffRightJs);
+    const count = left.count + right.count;
+    if (count === 0) {
+      showToast('No secrets found', 'success');
+      return;
+    }
+
+    setDiffEditorValues(left.code, right.code);
+    const withoutSecrets = diagnostics => diagnostics.filter(diagnostic => !SECRET_RULES.includes(diagnostic.ruleId));
+    setWarningsA(withoutSecrets);
+    setErrorsA(withoutSecrets);
+    setWarnings(withoutSecrets);
+    setErrors(withoutSecrets);
+    showToast(`Redacted ${count} secret${count === 1 ? '' : 's'} in Code A and Code B`, 'success');
+  }, [diffLeftJs, diffRightJs, setDiffEditorValues, showToast]);
+
   // Render diff result as formatted output
   const renderDiffHtml = useCallback(() => {
     if (!diffResult) return null;
@@ -948,20 +1202,26 @@ function App() {
       return;
     }
 
+    const run = startRun(polishRunRef);
+    const action = mode === 'json' ? 'Formatting' : 'Polishing';
     setIsProcessing(true);
-    setStatus({ type: 'processing', message: mode === 'json' ? 'Formatting...' : 'Polishing...' });
+    setStatus({ type: 'processing', message: `${action}...` });
 
     try {
-      // Use appropriate polisher based on mode
-      const result = mode === 'json' 
-        ? await polishJson(inputCode)
-        : await polishCode(inputCode);
+      // Polish in the pipeline worker; editing the input meanwhile cancels the run
+      const result = await runPipeline(PIPELINE_TASKS.POLISH, { code: inputCode, language: mode, profile: ruleProfile, scriptType, businessRule }, {
+        signal: run.signal,
+        onProgress: progress => setStatus({ type: 'processing', message: formatProgress(action, progress) })
+      });
 
+      setSecretsRedacted(false);
       if (result.success) {
         setOutputCode(result.output);
         setFixes(result.fixes);
         setWarnings(result.warnings || []);
         setErrors(result.errors || []);
+        setInputDiagnostics([]);
+        setFixOccurrences(result.fixOccurrences || []);
         setMetrics(result.metrics);
         
         // Compute diff for highlighting
@@ -981,17 +1241,76 @@ function App() {
         setFixes(result.fixes);
         setWarnings(result.warnings || []);
         setErrors(result.errors || []);
+        setInputDiagnostics(mode === 'json' ? [] : result.errors || []);
+        setFixOccurrences([]);
         setChangedLines([]);
         setStatus({ type: 'error', message: 'Errors found' });
         showToast(result.error, 'error');
       }
     } catch (error) {
+      if (run.signal.aborted) {
+        if (polishRunRef.current === run) setStatus({ type: 'ready', message: `${action} cancelled` });
+        return;
+      }
       setStatus({ type: 'error', message: mode === 'json' ? 'Failed to format' : 'Failed to polish' });
       showToast(`Error: ${error.message}`, 'error');
     } finally {
-      setIsProcessing(false);
+      if (polishRunRef.current === run) {
+        polishRunRef.current = null;
+        setIsProcessing(false);
+      }
+    }
+  }, [inputCode, mode, ruleProfile, scriptType, businessRule, showToast]);
+
+  // Regenerate the output from the fix occurrences accepted in the review panel
+  const handleApplyFixReview = useCallback(async (rejectedIds) => {
+    setShowFixReview(false);
+    const run = startRun(polishRunRef);
+    setIsProcessing(true);
+
+    try {
+      const result = await runPipeline(PIPELINE_TASKS.POLISH, {
+        code: inputCode,
+        profile: ruleProfile,
+        scriptType,
+        businessRule,
+        rejectedFixes: [...rejectedIds]
+      }, {
+        signal: run.signal,
+        onProgress: progress => setStatus({ type: 'processing', message: formatProgress('Polishing', progress) })
+      });
+      if (!result.success) {
+        setStatus({ type: 'error', message: 'Errors found' });
+        showToast(result.error, 'error');
+        return;
+      }
+
+      setOutputCode(result.output);
+      setSecretsRedacted(false);
+      setFixes(result.fixes);
+      setWarnings(result.warnings || []);
+      setErrors(result.errors || []);
+      setFixOccurrences(result.fixOccurrences || []);
+      setMetrics(result.metrics);
+      setChangedLines(computeLineDiff(inputCode, result.output));
+
+      const acceptedCount = result.fixOccurrences.filter(occurrence => occurrence.accepted).length;
+      setStatus({ type: 'ready', message: `Applied ${acceptedCount} of ${result.fixOccurrences.length} fixes` });
+      showToast(`Output regenerated with ${acceptedCount} of ${result.fixOccurrences.length} fixes`, 'success');
+    } catch (error) {
+      if (run.signal.aborted) {
+        if (polishRunRef.current === run) setStatus({ type: 'ready', message: 'Polish cancelled' });
+        return;
+      }
+      setStatus({ type: 'error', message: 'Failed to polish' });
+      showToast(`Error: ${error.message}`, 'error');
+    } finally {
+      if (polishRunRef.current === run) {
+        polishRunRef.current = null;
+        setIsProcessing(false);
+      }
     }
-  }, [inputCode, mode, showToast]);
+  }, [inputCode, ruleProfile, scriptType, businessRule, showToast]);
 
   // Load sample code
   const handleLoadSample = useCallback(() => {
@@ -1001,11 +1320,86 @@ function App() {
     setFixes([]);
     setWarnings([]);
     setErrors([]);
+    setInputDiagnostics([]);
+    setFixOccurrences([]);
     setMetrics(null);
     setChangedLines([]);
     showToast(`Sample ${mode === 'json' ? 'JSON' : 'code'} loaded`, 'success');
   }, [mode, showToast]);
 
+  // Replace the input with a generated Script Include
+  const handleInsertScriptInclude = useCallback((code) => {
+    setShowScriptIncludeGenerator(false);
+    setInputCode(code);
+    setScriptType('script-include');
+    setOutputCode('');
+    setFixes([]);
+    setWarnings([]);
+    setErrors([]);
+    setInputDiagnostics([]);
+    setFixOccurrences([]);
+    setMetrics(null);
+    setChangedLines([]);
+    showToast('Script Include generated', 'success');
+  }, [showToast]);
+
+  // Copy a query converted in the encoded query builder
+  const handleCopyQuery = useCallback(async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showToast('Copied to clipboard!', 'success');
+    } catch (err) {
+      showToast('Failed to copy', 'error');
+    }
+  }, [showToast]);
+
+  // Convert GlideRecord ⇄ GlideQuery and open the result in Compare against the original
+  const handleConvertQueryApi = useCallback(() => {
+    if (!inputCode.trim()) {
+      showToast('Please enter some code first', 'error');
+      return;
+    }
+
+    const from = detectQueryApi(inputCode);
+    const to = from === 'GlideQuery' ? 'GlideRecord' : 'GlideQuery';
+    let result;
+    try {
+      result = from === 'GlideQuery' ? convertToGlideRecord(inputCode) : convertToGlideQuery(inputCode);
+    } catch (err) {
+      showToast(`Cannot convert: ${err.message}`, 'error');
+      return;
+    }
+    if (result.converted === 0 && result.issues.length === 0) {
+      showToast(`No ${from} queries to convert`, 'error');
+      return;
+    }
+
+    // Code A is the original with the untranslated constructs, Code B the conversion
+    if (jsSubMode === 'diff') {
+      setDiffEditorValues(inputCode, result.code);
+    } else {
+      setDiffLeftJs(inputCode);
+      setDiffRightJs(result.code);
+      setJsSubMode('diff');
+    }
+    setFixes([]);
+    setWarnings([]);
+    setErrors([]);
+    setMetrics(null);
+    setChangedLines([]);
+    setFixesA([]);
+    setWarningsA(result.issues);
+    setErrorsA([]);
+    setMetricsA(null);
+    setChangedLinesA([]);
+
+    const queries = `${result.converted} ${result.converted === 1 ? 'query' : 'queries'}`;
+    setStatus({ type: 'ready', message: `Converted ${queries} to ${to}` });
+    showToast(result.issues.length > 0
+      ? `Converted ${queries} to ${to}, ${result.issues.length} not translated`
+      : `Converted ${queries} to ${to}`, result.converted > 0 ? 'success' : 'error');
+  }, [inputCode, jsSubMode, setDiffEditorValues, showToast]);
+
   // Clear all
   const handleClear = useCallback(() => {
     setInputCode('');
@@ -1013,6 +1407,8 @@ function App() {
     setFixes([]);
     setWarnings([]);
     setErrors([]);
+    setInputDiagnostics([]);
+    setFixOccurrences([]);
     setMetrics(null);
     setChangedLines([]);
     setStatus({ type: 'ready', message: 'Ready to polish' });
@@ -1032,8 +1428,27 @@ function App() {
     }
   }, [outputCode, showToast]);
 
+  // Replace secrets in the output with placeholders; downloads are redacted until the next polish
+  const handleRedactOutput = useCallback(() => {
+    const original = redactSecrets(inputCode);
+    const output = redactSecrets(outputCode);
+    if (original.count === 0 && output.count === 0) {
+      showToast('No secrets found', 'success');
+      return;
+    }
+
+    setOutputCode(output.code);
+    setSecretsRedacted(true);
+    const withoutSecrets = diagnostics => diagnostics.filter(diagnostic => !SECRET_RULES.includes(diagnostic.ruleId));
+    setWarnings(withoutSecrets);
+    setErrors(withoutSecrets);
+    setChangedLines(computeLineDiff(original.code, output.code));
+    showToast(`Redacted ${output.count} secret${output.count === 1 ? '' : 's'} - downloads are redacted too`, 'success');
+  }, [inputCode, outputCode, showToast]);
+
   // Download both original and polished files
   const handleDownload = useCallback(() => {
+    setShowDownloadMenu(false);
     if (!outputCode) {
       showToast('No output to download', 'error');
       return;
@@ -1041,44 +1456,57 @@ function App() {
     
     const extension = mode === 'json' ? 'json' : 'js';
     const mimeType = mode === 'json' ? 'application/json' : 'text/javascript';
-    
-    // Generate timestamp: YYYYMMDD_HHMMSS
-    const now = new Date();
-    const timestamp = now.getFullYear().toString() +
-      String(now.getMonth() + 1).padStart(2, '0') +
-      String(now.getDate()).padStart(2, '0') + '_' +
-      String(now.getHours()).padStart(2, '0') +
-      String(now.getMinutes()).padStart(2, '0') +
-      String(now.getSeconds()).padStart(2, '0');
-    
-    const downloadFile = (content, filename) => {
-      const blob = new Blob([content], { type: mimeType });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    };
+    const timestamp = createDownloadTimestamp();
     
     let filesDownloaded = 0;
     
+    // After Redact, the original is shared with the same placeholders as the output
+    const shared = code => (secretsRedacted ? redactSecrets(code).code : code);
+
     // Download original file if available
     if (inputCode.trim()) {
-      downloadFile(inputCode, `original_${timestamp}.${extension}`);
+      downloadTextFile(shared(inputCode), `original_${timestamp}.${extension}`, mimeType);
       filesDownloaded++;
     }
     
     // Download polished file with small delay to avoid browser blocking
     setTimeout(() => {
-      downloadFile(outputCode, `polished_${timestamp}.${extension}`);
+      downloadTextFile(shared(outputCode), `polished_${timestamp}.${extension}`, mimeType);
     }, 100);
     filesDownloaded++;
     
-    showToast(`Downloaded ${filesDownloaded} file${filesDownloaded > 1 ? 's' : ''}`, 'success');
-  }, [inputCode, outputCode, mode, showToast]);
+    showToast(`Downloaded ${filesDownloaded} file${filesDownloaded > 1 ? 's' : ''}${secretsRedacted ? ' (redacted)' : ''}`, 'success');
+  }, [inputCode, outputCode, mode, secretsRedacted, showToast]);
+
+  // Download the Polish findings as a SARIF or JUnit report
+  const handleDownloadReport = useCallback((format) => {
+    setShowDownloadMenu(false);
+    if (!outputCode) {
+      showToast('No output to download', 'error');
+      return;
+    }
+
+    // Diagnostic positions refer to the polished output, so the report names that file
+    const timestamp = createDownloadTimestamp();
+    const extension = mode === 'json' ? 'json' : 'js';
+    const reportFile = createReportFile(`polished_${timestamp}.${extension}`, {
+      success: true,
+      fixes,
+      warnings,
+      errors,
+      metrics
+    });
+
+    if (format === 'sarif') {
+      const sarif = JSON.stringify(createSarifLog([reportFile]), null, 2);
+      downloadTextFile(sarif, `glideaware_${timestamp}.sarif`, 'application/sarif+json');
+    } else {
+      downloadTextFile(createJunitReport([reportFile]), `glideaware_${timestamp}.xml`, 'application/xml');
+    }
+
+    const findings = reportFile.diagnostics.length;
+    showToast(`Exported ${findings} finding${findings === 1 ? '' : 's'} as ${format === 'sarif' ? 'SARIF' : 'JUnit XML'}`, 'success');
+  }, [outputCode, mode, fixes, warnings, errors, metrics, showToast]);
 
   // Handle mode toggle
   const handleModeToggle = useCallback((newMode) => {
@@ -1092,6 +1520,8 @@ function App() {
     setFixes([]);
     setWarnings([]);
     setErrors([]);
+    setInputDiagnostics([]);
+    setFixOccurrences([]);
     setMetrics(null);
     setChangedLines([]);
     setDiffLeftJson('');
@@ -1164,6 +1594,9 @@ function App() {
     monaco.editor.defineTheme('sn-dark', customTheme);
     monaco.editor.setTheme('sn-dark');
 
+    // ServiceNow API completion, hover and signature help
+    registerServiceNowLanguageFeatures(monaco);
+
     // Store editor reference
     if (!isInput) {
       outputEditorRef.current = editor;
@@ -1172,8 +1605,21 @@ function App() {
       if (changedLines.length > 0) {
         applyHighlighting(editor, monaco, changedLines);
       }
+    } else {
+      inputEditorRef.current = editor;
+
+      // Lint as the user types (JavaScript only) with lightbulb quick-fixes
+      liveLintRef.current?.dispose();
+      liveLintRef.current = attachLiveLint(editor, monaco, {
+        getProfile: () => ruleProfileRef.current,
+        getScriptType: () => scriptTypeRef.current,
+        getBusinessRule: () => businessRuleRef.current
+      });
     }
 
+    // Restore analyzer markers (models are recreated when editors remount)
+    setEditorMarkers(monaco, editor, isInput ? inputDiagnostics : [...errors, ...warnings]);
+
     // Add keyboard shortcut for primary action (Ctrl/Cmd + Enter)
     if (isInput) {
       editor.addAction({
@@ -1187,7 +1633,35 @@ function App() {
         }
       });
     }
-  }, [changedLines, applyHighlighting]);
+  }, [changedLines, applyHighlighting, inputDiagnostics, errors, warnings]);
+
+  // Show analyzer diagnostics as squiggly markers in the editors they refer to
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (mode === 'javascript' && jsSubMode === 'diff') {
+      if (diffEditorRef.current) {
+        setEditorMarkers(monaco, diffEditorRef.current.getOriginalEditor(), [...errorsA, ...warningsA]);
+        setEditorMarkers(monaco, diffEditorRef.current.getModifiedEditor(), [...errors, ...warnings]);
+      }
+      return;
+    }
+    setEditorMarkers(monaco, outputEditorRef.current, [...errors, ...warnings]);
+    setEditorMarkers(monaco, inputEditorRef.current, inputDiagnostics);
+  }, [errors, warnings, errorsA, warningsA, inputDiagnostics, outputCode, mode, jsSubMode]);
+
+  // Jump to a diagnostic from the fixes dropdown ('a'/'b' are the Compare panels)
+  const handleDiagnosticClick = useCallback((diagnostic, panel) => {
+    let editor = inputDiagnostics.includes(diagnostic) ? inputEditorRef.current : outputEditorRef.current;
+    if (panel === 'a' || panel === 'b') {
+      if (!diffEditorRef.current) return;
+      editor = panel === 'a'
+        ? diffEditorRef.current.getOriginalEditor()
+        : diffEditorRef.current.getModifiedEditor();
+    }
+    setShowFixesDropdown(false);
+    setShowFixesDropdownA(false);
+    revealDiagnostic(editor, diagnostic);
+  }, [inputDiagnostics]);
 
   // Apply highlighting when output changes or highlighting setting changes
   useEffect(() => {
@@ -1248,6 +1722,9 @@ function App() {
       if (settingsDropdownRef.current && !settingsDropdownRef.current.contains(e.target)) {
         setShowSettings(false);
       }
+      if (downloadMenuRef.current && !downloadMenuRef.current.contains(e.target)) {
+        setShowDownloadMenu(false);
+      }
       if (visualizeSettingsRef.current && !visualizeSettingsRef.current.contains(e.target)) {
         setShowVisualizeSettings(false);
       }
@@ -1256,11 +1733,11 @@ function App() {
       }
     };
 
-    if (showFixesDropdown || showFixesDropdownA || showSettings || showVisualizeSettings || showModeInfo) {
+    if (showFixesDropdown || showFixesDropdownA || showSettings || showDownloadMenu || showVisualizeSettings || showModeInfo) {
       document.addEventListener('mousedown', handleClickOutside);
     }
     return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [showFixesDropdown, showFixesDropdownA, showSettings, showVisualizeSettings, showModeInfo]);
+  }, [showFixesDropdown, showFixesDropdownA, showSettings, showDownloadMenu, showVisualizeSettings, showModeInfo]);
 
   // Update status message based on current app mode and sub-modes
   useEffect(() => {
@@ -1713,6 +2190,11 @@ function App() {
                       {flowStats.functions > 0 && (
                         <span className="flow-stat functions">{flowStats.functions} functions</span>
                       )}
+                      {flowStats.maxCyclomatic > 0 && (
+                        <span className="flow-stat complexity" title={`Max cognitive complexity ${flowStats.maxCognitive}`}>
+                          max CC {flowStats.maxCyclomatic}
+                        </span>
+                      )}
                       {flowStats.conditions > 0 && (
                         <span className="flow-stat conditions">{flowStats.conditions} conditions</span>
                       )}
@@ -1787,8 +2269,16 @@ function App() {
                       <div className="flow-legend-section">
                         <div className="flow-legend-title">Nodes</div>
                         <div className="flow-legend-item">
-                          <span className="flow-legend-color" style={{ background: '#7c3aed' }}></span>
-                          <span>Function</span>
+                          <span className="flow-legend-color" style={{ background: '#22c55e' }}></span>
+                          <span>Function (simple)</span>
+                        </div>
+                        <div className="flow-legend-item">
+                          <span className="flow-legend-color" style={{ background: '#eab308' }}></span>
+                          <span>Function (moderate)</span>
+                        </div>
+                        <div className="flow-legend-item">
+                          <span className="flow-legend-color" style={{ background: '#ef4444' }}></span>
+                          <span>Function (complex)</span>
                         </div>
                         <div className="flow-legend-item">
                           <span className="flow-legend-color" style={{ background: '#f59e0b' }}></span>
@@ -1869,6 +2359,13 @@ function App() {
                     <span className="selected-node-type">{selectedFlowNode.data.nodeType}</span>
                   </div>
                   <div className="selected-node-label">{selectedFlowNode.data.genericLabel}</div>
+                  {selectedFlowNode.data.complexity && (
+                    <div className={`selected-node-metrics ${selectedFlowNode.data.complexity.level}`}>
+                      Cyclomatic {selectedFlowNode.data.complexity.cyclomatic} · Cognitive {selectedFlowNode.data.complexity.cognitive}
+                      {' '}· Nesting {selectedFlowNode.data.complexity.maxNesting} · Params {selectedFlowNode.data.complexity.params}
+                      {' '}· LOC {selectedFlowNode.data.complexity.lines} · DB ops {selectedFlowNode.data.complexity.dbOperations}
+                    </div>
+                  )}
                   {selectedFlowNode.data.snippet && (
                     <pre className="selected-node-snippet">{selectedFlowNode.data.snippet}</pre>
                   )}
@@ -1928,9 +2425,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errorsA.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item error-item clickable"
+                                    title={error.ruleId}
+                                    onClick={() => handleDiagnosticClick(error, 'a')}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    <span className="fix-location">Ln {error.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -1943,9 +2446,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warningsA.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item warning-item clickable"
+                                    title={warning.ruleId}
+                                    onClick={() => handleDiagnosticClick(warning, 'a')}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    <span className="fix-location">Ln {warning.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2010,9 +2519,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errors.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item error-item clickable"
+                                    title={error.ruleId}
+                                    onClick={() => handleDiagnosticClick(error, 'b')}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    <span className="fix-location">Ln {error.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2025,9 +2540,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warnings.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item warning-item clickable"
+                                    title={warning.ruleId}
+                                    onClick={() => handleDiagnosticClick(warning, 'b')}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    <span className="fix-location">Ln {warning.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2054,6 +2575,14 @@ function App() {
                   >
                     <Icon name="copy" size={14} /> Copy
                   </button>
+                  <button 
+                    className="panel-btn" 
+                    onClick={handleRedactJsDiff}
+                    disabled={!diffLeftJs.trim() && !diffRightJs.trim()}
+                    title="Replace secrets in both sides with placeholders"
+                  >
+                    <Icon name="lock" size={14} /> Redact
+                  </button>
                   <button 
                     className="panel-btn" 
                     onClick={handleDownloadJsDiff}
@@ -2091,6 +2620,68 @@ function App() {
                               <span className="toggle-label">{diffHighlightEnabled ? 'On' : 'Off'}</span>
                             </button>
                           </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Target Release
+                              <small>API availability checks</small>
+                            </span>
+                            <select
+                              className="settings-select"
+                              value={getReleaseRangeValue(ruleProfile.release)}
+                              onChange={(e) => handleReleaseChange(e.target.value)}
+                            >
+                              {RELEASE_RANGES.map((range, i) => (
+                                <option key={range.first} value={i === 0 ? '' : range.first}>
+                                  {range.label}{i === 0 ? ' (latest)' : ''}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Application Scope
+                              <small>Scoped app compliance</small>
+                            </span>
+                            <input
+                              key={ruleProfile.scope || ''}
+                              className="settings-input"
+                              defaultValue={ruleProfile.scope || ''}
+                              placeholder="global"
+                              spellCheck={false}
+                              onBlur={(e) => handleScopeChange(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                            />
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Rule Profile
+                              <small>{ruleProfile.name}</small>
+                            </span>
+                            <button
+                              className="panel-btn"
+                              onClick={() => {
+                                setShowSettings(false);
+                                setShowRuleProfile(true);
+                              }}
+                            >
+                              <Icon name="filter" size={12} /> Edit
+                            </button>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Custom APIs
+                              <small>{Object.keys(ruleProfile.dictionary.classes).length} classes</small>
+                            </span>
+                            <button
+                              className="panel-btn"
+                              onClick={() => {
+                                setShowSettings(false);
+                                setShowDictionary(true);
+                              }}
+                            >
+                              <Icon name="code" size={12} /> Edit
+                            </button>
+                          </label>
                         </div>
                       </div>
                     )}
@@ -2124,9 +2715,18 @@ function App() {
                   monaco.editor.setTheme('sn-dark');
                   
                   diffEditorRef.current = editor;
+                  monacoRef.current = monaco;
                   const originalEditor = editor.getOriginalEditor();
                   const modifiedEditor = editor.getModifiedEditor();
 
+                  // Restore code set while Compare was closed (e.g. a query conversion)
+                  diffSyncingRef.current = true;
+                  originalEditor.setValue(diffLeftJs);
+                  modifiedEditor.setValue(diffRightJs);
+                  diffSyncingRef.current = false;
+                  setEditorMarkers(monaco, originalEditor, [...errorsA, ...warningsA]);
+                  setEditorMarkers(monaco, modifiedEditor, [...errors, ...warnings]);
+
                   // Sync state from editor changes (typing only, skip imperative updates)
                   originalEditor.onDidChangeModelContent(() => {
                     if (!diffSyncingRef.current) setDiffLeftJs(originalEditor.getValue());
@@ -2272,6 +2872,59 @@ function App() {
                   Original {mode === 'json' ? 'JSON' : 'Code'}
                 </div>
                 <div className="panel-actions">
+                  {mode !== 'json' && (
+                    <select
+                      className="settings-select"
+                      value={scriptType}
+                      onChange={(e) => setScriptType(e.target.value)}
+                      title="Script type (decides which rules apply)"
+                    >
+                      <option value={AUTO_SCRIPT_TYPE}>Auto ({detectedScriptType?.label || 'not detected'})</option>
+                      {SCRIPT_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                      ))}
+                    </select>
+                  )}
+                  {mode !== 'json' && isBusinessRule && (
+                    <div className="br-context">
+                      <select
+                        className="settings-select"
+                        value={businessRule.when || ''}
+                        onChange={(e) => handleBusinessRuleWhenChange(e.target.value)}
+                        title="When the Business Rule runs (decides the lifecycle checks)"
+                      >
+                        <option value="">When: not set</option>
+                        {BUSINESS_RULE_WHEN.map(when => (
+                          <option key={when} value={when}>{when}</option>
+                        ))}
+                      </select>
+                      {BUSINESS_RULE_OPERATIONS.map(operation => (
+                        <button
+                          key={operation}
+                          className={`panel-btn br-operation ${businessRule.operations.includes(operation) ? 'active' : ''}`}
+                          onClick={() => handleBusinessRuleOperationToggle(operation)}
+                          title={`Runs on ${operation}`}
+                        >
+                          {operation}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {mode !== 'json' && (
+                    <button className="panel-btn" onClick={() => setShowScriptIncludeGenerator(true)} title="Generate a Script Include">
+                      <Icon name="plus" size={14} /> Script Include
+                    </button>
+                  )}
+                  {mode !== 'json' && (
+                    <button className="panel-btn" onClick={() => setShowQueryBuilder(true)} title="Parse and convert an encoded query">
+                      <Icon name="filter" size={14} /> Encoded Query
+                    </button>
+                  )}
+                  {mode !== 'json' && (
+                    <button className="panel-btn" onClick={handleConvertQueryApi} title="Convert GlideRecord ⇄ GlideQuery and compare with the original">
+                      <Icon name="swap" size={14} /> GlideQuery
+                    </button>
+                  )}
                   <button className="panel-btn" onClick={handleLoadSample}>
                     <Icon name="clipboard" size={14} /> Load Sample
                   </button>
@@ -2341,9 +2994,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errors.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item error-item clickable"
+                                    title={error.ruleId}
+                                    onClick={() => handleDiagnosticClick(error, null)}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    <span className="fix-location">Ln {error.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2356,9 +3015,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warnings.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className="fix-item warning-item clickable"
+                                    title={warning.ruleId}
+                                    onClick={() => handleDiagnosticClick(warning, null)}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    <span className="fix-location">Ln {warning.startLine}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2375,20 +3040,76 @@ function App() {
                   )}
                 </div>
                 <div className="panel-actions">
+                  {mode === 'javascript' && fixOccurrences.length > 0 && (
+                    <button
+                      className="panel-btn"
+                      onClick={() => setShowFixReview(true)}
+                      title="Review individual fixes"
+                    >
+                      <Icon name="wrench" size={14} /> Review
+                    </button>
+                  )}
+                  {mode === 'javascript' && metrics?.functions?.length > 0 && (
+                    <button
+                      className="panel-btn"
+                      onClick={() => setShowComplexityMetrics(true)}
+                      title="Complexity, nesting, size and database operations per function"
+                    >
+                      <Icon name="list" size={14} /> Metrics
+                    </button>
+                  )}
                   <button 
-                    className="panel-btn" 
-                    onClick={handleCopyOutput}
+                    className={`panel-btn ${secretsRedacted ? 'active' : ''}`}
+                    onClick={handleRedactOutput}
                     disabled={!outputCode}
+                    title="Replace secrets in the output and downloads with placeholders"
                   >
-                    <Icon name="copy" size={14} /> Copy
+                    <Icon name="lock" size={14} /> Redact
                   </button>
                   <button 
                     className="panel-btn" 
-                    onClick={handleDownload}
+                    onClick={handleCopyOutput}
                     disabled={!outputCode}
                   >
-                    <Icon name="download" size={14} /> Download
+                    <Icon name="copy" size={14} /> Copy
                   </button>
+                  {/* Download Menu */}
+                  <div className="settings-dropdown-container" ref={downloadMenuRef}>
+                    <button 
+                      className={`panel-btn ${showDownloadMenu ? 'active' : ''}`}
+                      onClick={() => setShowDownloadMenu(!showDownloadMenu)}
+                      disabled={!outputCode}
+                    >
+                      <Icon name="download" size={14} /> Download
+                    </button>
+                    {showDownloadMenu && (
+                      <div className="settings-dropdown download-menu">
+                        <div className="settings-dropdown-header">
+                          <span className="settings-dropdown-title"><Icon name="download" size={14} /> Download</span>
+                        </div>
+                        <div className="settings-list">
+                          <button className="download-menu-item" onClick={handleDownload}>
+                            <span className="settings-label">
+                              Original + {mode === 'json' ? 'Formatted' : 'Polished'}
+                              <small>original_*.{mode === 'json' ? 'json' : 'js'}, polished_*.{mode === 'json' ? 'json' : 'js'}</small>
+                            </span>
+                          </button>
+                          <button className="download-menu-item" onClick={() => handleDownloadReport('sarif')}>
+                            <span className="settings-label">
+                              SARIF Report
+                              <small>SARIF 2.1.0 for code review tools</small>
+                            </span>
+                          </button>
+                          <button className="download-menu-item" onClick={() => handleDownloadReport('junit')}>
+                            <span className="settings-label">
+                              JUnit Report
+                              <small>JUnit XML for test dashboards</small>
+                            </span>
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
                   {/* Settings Dropdown */}
                   <div className="settings-dropdown-container" ref={settingsDropdownRef}>
                     <button 
@@ -2416,6 +3137,68 @@ function App() {
                               <span className="toggle-label">{diffHighlightEnabled ? 'On' : 'Off'}</span>
                             </button>
                           </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Target Release
+                              <small>API availability checks</small>
+                            </span>
+                            <select
+                              className="settings-select"
+                              value={getReleaseRangeValue(ruleProfile.release)}
+                              onChange={(e) => handleReleaseChange(e.target.value)}
+                            >
+                              {RELEASE_RANGES.map((range, i) => (
+                                <option key={range.first} value={i === 0 ? '' : range.first}>
+                                  {range.label}{i === 0 ? ' (latest)' : ''}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Application Scope
+                              <small>Scoped app compliance</small>
+                            </span>
+                            <input
+                              key={ruleProfile.scope || ''}
+                              className="settings-input"
+                              defaultValue={ruleProfile.scope || ''}
+                              placeholder="global"
+                              spellCheck={false}
+                              onBlur={(e) => handleScopeChange(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                            />
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Rule Profile
+                              <small>{ruleProfile.name}</small>
+                            </span>
+                            <button
+                              className="panel-btn"
+                              onClick={() => {
+                                setShowSettings(false);
+                                setShowRuleProfile(true);
+                              }}
+                            >
+                              <Icon name="filter" size={12} /> Edit
+                            </button>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Custom APIs
+                              <small>{Object.keys(ruleProfile.dictionary.classes).length} classes</small>
+                            </span>
+                            <button
+                              className="panel-btn"
+                              onClick={() => {
+                                setShowSettings(false);
+                                setShowDictionary(true);
+                              }}
+                            >
+                              <Icon name="code" size={12} /> Edit
+                            </button>
+                          </label>
                         </div>
                       </div>
                     )}
@@ -2751,6 +3534,69 @@ function App() {
         </div>
       </footer>
 
+      {/* Rule Profile Editor */}
+      {showRuleProfile && (
+        <RuleProfileEditor
+          profile={ruleProfile}
+          onChange={handleRuleProfileChange}
+          onImport={handleImportRuleProfile}
+          onExport={handleExportRuleProfile}
+          onReset={handleResetRuleProfile}
+          onClose={() => setShowRuleProfile(false)}
+        />
+      )}
+
+      {/* Custom API Dictionary Editor */}
+      {showDictionary && (
+        <DictionaryEditor
+          extensions={ruleProfile.dictionary}
+          onChange={handleDictionaryChange}
+          onImport={handleImportDictionary}
+          onExtract={handleExtractScriptInclude}
+          onExport={handleExportDictionary}
+          onClose={() => setShowDictionary(false)}
+        />
+      )}
+
+      {/* Encoded Query Builder */}
+      {showQueryBuilder && (
+        <EncodedQueryBuilder
+          initialQuery={findEncodedQuery(inputCode)}
+          onCopy={handleCopyQuery}
+          onClose={() => setShowQueryBuilder(false)}
+        />
+      )}
+
+      {/* Script Include Generator */}
+      {showScriptIncludeGenerator && (
+        <ScriptIncludeGenerator
+          onInsert={handleInsertScriptInclude}
+          onClose={() => setShowScriptIncludeGenerator(false)}
+        />
+      )}
+
+      {/* Fix Review Panel */}
+      {showFixReview && (
+        <FixReviewPanel
+          occurrences={fixOccurrences}
+          onApply={handleApplyFixReview}
+          onClose={() => setShowFixReview(false)}
+        />
+      )}
+
+      {/* Function Complexity Metrics */}
+      {showComplexityMetrics && metrics?.functions && (
+        <ComplexityMetricsPanel
+          functions={metrics.functions}
+          thresholds={getThresholds(ruleProfile)}
+          onSelect={(fn) => {
+            setShowComplexityMetrics(false);
+            revealDiagnostic(outputEditorRef.current, fn);
+          }}
+          onClose={() => setShowComplexityMetrics(false)}
+        />
+      )}
+
       {/* Toast Notification */}
       <div className={`toast ${toast.show ? 'show' : ''} ${toast.type}`}>
         {toast.messages.map((msg, i) => (
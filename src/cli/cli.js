@@ -0,0 +1,401 @@
+/**
+ * @fileoverview GlideAware Command Line Interface
+ * @description Runs the Develop mode checks headlessly, for pre-commit hooks and
+ * CI over exported repositories. Reuses the same fixers, analyzers and flow
+ * extraction as the app and needs no network access.
+ *
+ *   glideaware polish [--fix] <files...>   Fix and format; report what would change
+ *   glideaware lint   [--fix] <files...>   Report diagnostics for the files as they are
+ *   glideaware flow           <files...>   Summarize the control flow of scripts
+ *
+ * Directories are scanned recursively for .js and .json files.
+ */
+
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import { extname, join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { polishCode, polishJson, lintJson } from '../utils/codePolish.js';
+import { lintCode } from '../utils/liveLint.js';
+import { parseCode, findSyntaxError, extractControlFlow } from '../utils/astParser.js';
+import { getFlowStats } from '../utils/flowGenerator.js';
+import { createPositionDiagnostic, sortDiagnostics, formatDiagnostic, SEVERITY } from '../utils/diagnostics.js';
+import { DEFAULT_PROFILE, parseProfile, normalizeScope } from '../utils/ruleProfile.js';
+import { createSarifLog } from '../utils/exporters/sarif.js';
+import { createJunitReport } from '../utils/exporters/junit.js';
+import { RELEASES } from '../utils/fixes/servicenowDictionary.js';
+import {
+  AUTO_SCRIPT_TYPE,
+  SCRIPT_TYPES,
+  BUSINESS_RULE_WHEN,
+  BUSINESS_RULE_OPERATIONS,
+  parseBusinessRule
+} from '../utils/scriptTypes.js';
+import { applyDictionaryExtensions } from '../utils/fixes/dictionaryExtensions.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const COMMANDS = ['polish', 'lint', 'flow'];
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+/** --fail-on levels; a file fails when it has a diagnostic at or above the level */
+const FAIL_LEVELS = ['error', 'warning', 'info', 'none'];
+const SEVERITY_RANK = { [SEVERITY.INFO]: 0, [SEVERITY.WARNING]: 1, [SEVERITY.ERROR]: 2 };
+
+/** Extensions picked up when scanning directories */
+const SCANNED_EXTENSIONS = ['.js', '.json'];
+const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist'];
+
+/** Process exit codes */
+export const EXIT_CODES = {
+  OK: 0,
+  FINDINGS: 1,
+  USAGE: 2
+};
+
+const USAGE = `Usage: glideaware <command> [options] <files or directories...>
+
+Commands:
+  polish    Apply fixes and formatting (writes files with --fix)
+  lint      Report diagnostics for the files as they are
+  flow      Summarize functions, conditions, loops and ServiceNow calls
+
+Options:
+  --fix               Write the polished output back to the files (polish, lint)
+  --format <format>   Output format: text (default), json, sarif or junit
+  --fail-on <level>   Exit with 1 when a diagnostic is at or above: error (default),
+                      warning, info, or none to never fail
+  --profile <file>    Rule profile JSON exported from the app
+  --release <name>    Target instance release for API checks (e.g. Xanadu);
+                      overrides the profile, defaults to the latest
+  --scope <name>      Application scope to check scoped compliance for (e.g.
+                      x_acme_app), or global; overrides the profile
+  --script-type <id>  Script type of every file: auto (default, detected per file),
+                      business-rule, client-script, ui-policy, script-include,
+                      ui-action, fix-script or scripted-rest
+  --business-rule <when[:operations]>
+                      When the Business Rules run and on which operations, for
+                      the lifecycle checks (e.g. before:insert,update, async)
+  -h, --help          Show this help
+  -v, --version       Show the version`;
+
+// =============================================================================
+// FILES
+// =============================================================================
+
+/**
+ * Expands the given paths into a sorted list of files.
+ * Directories are scanned recursively; explicit file paths are always included.
+ *
+ * @param {string[]} paths - Files and directories from the command line
+ * @returns {Promise<string[]>}
+ */
+async function collectFiles(paths) {
+  const files = new Set();
+
+  const scan = async (directory) => {
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const path = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) await scan(path);
+      } else if (SCANNED_EXTENSIONS.includes(extname(entry.name).toLowerCase())) {
+        files.add(path);
+      }
+    }
+  };
+
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      await scan(path);
+    } else {
+      files.add(path);
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Checks whether a file is JSON (everything else is treated as JavaScript).
+ */
+function isJsonFile(file) {
+  return extname(file).toLowerCase() === '.json';
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/**
+ * Polishes one file. Diagnostics always refer to the file on disk afterwards:
+ * the polished output with --fix, the original code otherwise.
+ *
+ * @param {string} file - File path
+ * @param {string} code - File contents
+ * @param {Object} options - { fix, profile, scriptType, businessRule }
+ * @returns {Promise<Object>} File result
+ */
+async function polishFile(file, code, { fix, profile, scriptType, businessRule }) {
+  const json = isJsonFile(file);
+  const result = json ? await polishJson(code, profile) : await polishCode(code, profile, { scriptType, businessRule });
+
+  if (!result.success) {
+    const diagnostics = result.errors.length > 0 ? result.errors : lintFile(file, code, { profile, scriptType, businessRule }).diagnostics;
+    return { file, language: json ? 'json' : 'javascript', diagnostics: sortDiagnostics(diagnostics), fixes: [], changed: false, error: result.error };
+  }
+
+  const changed = result.output !== code;
+  if (fix && changed) {
+    await writeFile(file, result.output);
+  }
+
+  return {
+    file,
+    language: json ? 'json' : 'javascript',
+    diagnostics: fix ? sortDiagnostics([...result.errors, ...result.warnings]) : lintFile(file, code, { profile, scriptType, businessRule }).diagnostics,
+    fixes: changed ? result.fixes : [],
+    changed,
+    written: fix && changed
+  };
+}
+
+/**
+ * Lints one file as it is.
+ *
+ * @param {string} file - File path
+ * @param {string} code - File contents
+ * @param {Object} options - { profile, scriptType, businessRule }
+ * @returns {Object} File result
+ */
+function lintFile(file, code, { profile, scriptType, businessRule }) {
+  if (isJsonFile(file)) {
+    const { warnings, errors } = lintJson(code, profile);
+    return { file, language: 'json', diagnostics: sortDiagnostics([...errors, ...warnings]) };
+  }
+  return { file, language: 'javascript', diagnostics: lintCode(code, profile, { scriptType, businessRule }).diagnostics };
+}
+
+/**
+ * Extracts the control flow summary of one script.
+ *
+ * @param {string} file - File path
+ * @param {string} code - File contents
+ * @returns {Object} File result with flow stats and nodes
+ */
+function flowFile(file, code) {
+  const { ast } = parseCode(code);
+  if (!ast) {
+    const syntaxError = findSyntaxError(code);
+    return {
+      file,
+      language: 'javascript',
+      diagnostics: syntaxError ? [createPositionDiagnostic({ ruleId: 'syntax-error', ...syntaxError })] : []
+    };
+  }
+
+  const nodes = extractControlFlow(ast, code);
+  return {
+    file,
+    language: 'javascript',
+    diagnostics: [],
+    flow: {
+      stats: getFlowStats(nodes),
+      nodes: nodes.map(({ id, type, label, loc, parentId }) => ({
+        id,
+        type,
+        label,
+        line: loc?.start.line ?? null,
+        parentId: parentId ?? null
+      }))
+    }
+  };
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+/**
+ * Formats the results as human readable text.
+ */
+function formatText(command, results) {
+  const lines = [];
+  const counts = { error: 0, warning: 0, info: 0 };
+
+  results.forEach((result) => {
+    const details = [];
+    if (result.error && result.diagnostics.length === 0) details.push(`  ${result.error.split('\n')[0]}`);
+    result.diagnostics.forEach((diagnostic) => {
+      counts[diagnostic.severity]++;
+      details.push(`  ${formatDiagnostic(diagnostic)}  [${diagnostic.ruleId}]`);
+    });
+    if (command === 'polish' && result.changed) {
+      const verb = result.written ? 'Fixed' : 'Would fix';
+      result.fixes.forEach(fix => details.push(`  ${verb}: ${fix}`));
+    }
+    if (result.flow) {
+      const { stats } = result.flow;
+      details.push(`  ${stats.functions} functions, ${stats.conditions} conditions, ${stats.loops} loops, ` +
+        `${stats.servicenowCalls} ServiceNow calls, ${stats.total} nodes`);
+      const depth = new Map();
+      result.flow.nodes.forEach((node) => {
+        depth.set(node.id, node.parentId ? (depth.get(node.parentId) ?? 0) + 1 : 0);
+        details.push(`  ${'  '.repeat(depth.get(node.id))}${node.line ?? '?'}: ${node.label}`);
+      });
+    }
+    if (details.length > 0) lines.push(result.file, ...details, '');
+  });
+
+  const total = counts.error + counts.warning + counts.info;
+  lines.push(`${total} problem${total === 1 ? '' : 's'} (${counts.error} errors, ${counts.warning} warnings, ${counts.info} info) in ${results.length} file${results.length === 1 ? '' : 's'}`);
+  if (command === 'polish' || results.some(result => result.written)) {
+    const changed = results.filter(result => result.changed).length;
+    const written = results.filter(result => result.written).length;
+    lines.push(written > 0 ? `Fixed ${written} file${written === 1 ? '' : 's'}` : `${changed} file${changed === 1 ? '' : 's'} would change (run with --fix)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats the results in the requested output format.
+ *
+ * @param {string} format - 'text', 'json', 'sarif' or 'junit'
+ * @param {string} command - Command that produced the results
+ * @param {Array} results - File results
+ * @param {string} version - GlideAware version
+ * @returns {string}
+ */
+function formatResults(format, command, results, version) {
+  const uris = results.map(result => relative(process.cwd(), result.file).split('\\').join('/'));
+  const reportFiles = () => results.map((result, index) => ({
+    uri: uris[index],
+    diagnostics: result.diagnostics,
+    fixes: result.written ? result.fixes : []
+  }));
+  if (format === 'sarif') {
+    return JSON.stringify(createSarifLog(reportFiles(), { toolVersion: version }), null, 2);
+  }
+  if (format === 'junit') {
+    return createJunitReport(reportFiles());
+  }
+  if (format === 'json') {
+    return JSON.stringify({ tool: 'glideaware', version, command, files: results.map((result, index) => ({ ...result, file: uris[index] })) }, null, 2);
+  }
+  return formatText(command, results);
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+/**
+ * Reads the package version.
+ */
+function readVersion() {
+  return JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Output streams (defaults to process.stdout/stderr)
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        fix: { type: 'boolean', default: false },
+        format: { type: 'string', default: 'text' },
+        'fail-on': { type: 'string', default: 'error' },
+        profile: { type: 'string' },
+        release: { type: 'string' },
+        scope: { type: 'string' },
+        'script-type': { type: 'string', default: AUTO_SCRIPT_TYPE },
+        'business-rule': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false }
+      }
+    });
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.version) {
+    io.stdout.write(`${readVersion()}\n`);
+    return EXIT_CODES.OK;
+  }
+  const [command, ...paths] = positionals;
+  if (values.help || !command) {
+    io.stdout.write(`${USAGE}\n`);
+    return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const usageError = !COMMANDS.includes(command) ? `Unknown command "${command}"`
+    : !FORMATS.includes(values.format) ? `Unknown format "${values.format}"`
+    : !FAIL_LEVELS.includes(values['fail-on']) ? `Unknown --fail-on level "${values['fail-on']}"`
+    : values.release !== undefined && !RELEASES.includes(values.release) ? `Unknown release "${values.release}" (known: ${RELEASES.join(', ')})`
+    : values.scope !== undefined && values.scope.toLowerCase() !== 'global' && !normalizeScope(values.scope)
+      ? `Invalid scope "${values.scope}" (expected a scope name such as x_acme_app, or global)`
+    : values['script-type'] !== AUTO_SCRIPT_TYPE && !SCRIPT_TYPES.some(type => type.id === values['script-type'])
+      ? `Unknown script type "${values['script-type']}" (known: ${AUTO_SCRIPT_TYPE}, ${SCRIPT_TYPES.map(type => type.id).join(', ')})`
+    : values['business-rule'] !== undefined && !parseBusinessRule(values['business-rule'])
+      ? `Invalid Business Rule context "${values['business-rule']}" (expected ${BUSINESS_RULE_WHEN.join('|')}, optionally followed by :${BUSINESS_RULE_OPERATIONS.join(',')})`
+    : values.fix && command === 'flow' ? '--fix is not supported by flow'
+    : paths.length === 0 ? 'No files given'
+    : null;
+  if (usageError) {
+    io.stderr.write(`${usageError}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let profile = DEFAULT_PROFILE;
+  let files;
+  try {
+    if (values.profile) profile = parseProfile(await readFile(values.profile, 'utf8'));
+    if (values.release) profile = { ...profile, release: values.release };
+    if (values.scope !== undefined) profile = { ...profile, scope: normalizeScope(values.scope) };
+    applyDictionaryExtensions(profile.dictionary);
+    files = await collectFiles(paths);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const businessRule = values['business-rule'] !== undefined ? parseBusinessRule(values['business-rule']) : undefined;
+  const options = { fix: values.fix, profile, scriptType: values['script-type'], businessRule };
+  const results = [];
+  for (const file of files) {
+    const code = await readFile(file, 'utf8');
+    if (command === 'flow') {
+      results.push(isJsonFile(file) ? { file, language: 'json', diagnostics: [] } : flowFile(file, code));
+    } else if (command === 'polish' || values.fix) {
+      results.push(await polishFile(file, code, options));
+    } else {
+      results.push(lintFile(file, code, options));
+    }
+  }
+
+  io.stdout.write(`${formatResults(values.format, command, results, readVersion())}\n`);
+
+  const failOn = values['fail-on'];
+  const failed = failOn !== 'none' && results.some(result =>
+    result.diagnostics.some(diagnostic => SEVERITY_RANK[diagnostic.severity] >= SEVERITY_RANK[failOn])
+  );
+  return failed ? EXIT_CODES.FINDINGS : EXIT_CODES.OK;
+}
+
+export default {
+  run,
+  EXIT_CODES
+};
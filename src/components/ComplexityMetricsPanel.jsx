@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Complexity Metrics Panel
+ * @description Modal table of the per-function metrics from the last polish:
+ * cyclomatic and cognitive complexity, max nesting, parameters, lines of code
+ * and database operations. Values over the rule profile thresholds are
+ * highlighted; clicking a row jumps to the function in the output.
+ */
+
+import { useState, useMemo } from 'react';
+import Icon from './Icon';
+import { getComplexityLevel } from '../utils/complexity';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Table columns: metric key, header, threshold key that flags the value */
+const COLUMNS = [
+  { key: 'cyclomatic', label: 'Cyclomatic', threshold: 'maxCyclomaticComplexity' },
+  { key: 'cognitive', label: 'Cognitive', threshold: 'maxCognitiveComplexity' },
+  { key: 'maxNesting', label: 'Nesting', threshold: 'maxNestingDepth' },
+  { key: 'params', label: 'Params', threshold: 'maxParams' },
+  { key: 'lines', label: 'LOC', threshold: 'maxFunctionLines' },
+  { key: 'dbOperations', label: 'DB ops', threshold: null }
+];
+
+// =============================================================================
+// COMPLEXITY METRICS PANEL COMPONENT
+// =============================================================================
+
+/**
+ * Complexity metrics modal.
+ *
+ * @param {Object} props
+ * @param {Array} props.functions - Function metrics from polishCode() (metrics.functions)
+ * @param {Object} props.thresholds - Thresholds of the rule profile
+ * @param {Function} props.onSelect - Called with a function's metrics to reveal it
+ * @param {Function} props.onClose - Closes the panel
+ */
+function ComplexityMetricsPanel({ functions, thresholds, onSelect, onClose }) {
+  const [sortKey, setSortKey] = useState('line');
+
+  const rows = useMemo(() => {
+    const withLevel = functions.map(fn => ({ ...fn, level: getComplexityLevel(fn, thresholds) }));
+    return sortKey === 'line'
+      ? withLevel
+      : [...withLevel].sort((a, b) => b[sortKey] - a[sortKey] || a.startLine - b.startLine);
+  }, [functions, thresholds, sortKey]);
+
+  const overThreshold = rows.filter(row => row.level === 'high').length;
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal complexity-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="list" size={16} />
+          <span className="complexity-title">Function Metrics</span>
+          <span className="complexity-count">
+            {functions.length} function{functions.length === 1 ? '' : 's'}, {overThreshold} over the complexity thresholds
+          </span>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          <table className="complexity-table">
+            <thead>
+              <tr>
+                <th className={sortKey === 'line' ? 'sorted' : ''} onClick={() => setSortKey('line')}>Function</th>
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    className={sortKey === column.key ? 'sorted' : ''}
+                    onClick={() => setSortKey(column.key)}
+                    title={column.threshold ? `Max ${thresholds[column.threshold]}` : undefined}
+                  >
+                    {column.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={`${row.startLine}:${row.startColumn}`} onClick={() => onSelect(row)}>
+                  <td>
+                    <span className={`complexity-level ${row.level}`} />
+                    <span className="complexity-name">{row.name}()</span>
+                    <span className="fix-location">Ln {row.startLine}</span>
+                  </td>
+                  {COLUMNS.map(column => (
+                    <td
+                      key={column.key}
+                      className={column.threshold && row[column.key] > thresholds[column.threshold] ? 'over' : ''}
+                    >
+                      {row[column.key]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComplexityMetricsPanel;
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Custom API Dictionary Editor
+ * @description Modal for registering in-house classes (custom Script Includes)
+ * with the ServiceNow dictionary: add them by hand, import a JSON file, or
+ * extract them from Script Include source. Changes are applied immediately;
+ * persistence, file parsing and import/export are handled by the parent.
+ */
+
+import { useRef, useState } from 'react';
+import Icon from './Icon';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Splits a comma/whitespace separated method list.
+ */
+function parseMethodList(text) {
+  return text.split(/[\s,]+/).filter(Boolean);
+}
+
+// =============================================================================
+// DICTIONARY EDITOR COMPONENT
+// =============================================================================
+
+/**
+ * Custom API dictionary modal.
+ *
+ * @param {Object} props
+ * @param {Object} props.extensions - Current extensions ({ classes: { Name: [methods] } })
+ * @param {Function} props.onChange - Called with the updated extensions
+ * @param {Function} props.onImport - Called with the selected JSON file
+ * @param {Function} props.onExtract - Called with Script Include source; returns true when classes were added
+ * @param {Function} props.onExport - Exports the extensions
+ * @param {Function} props.onClose - Closes the editor
+ */
+function DictionaryEditor({ extensions, onChange, onImport, onExtract, onExport, onClose }) {
+  const importInputRef = useRef(null);
+  const sourceInputRef = useRef(null);
+  const [newClass, setNewClass] = useState('');
+  const [newMethods, setNewMethods] = useState('');
+  const [source, setSource] = useState('');
+
+  const classNames = Object.keys(extensions.classes).sort();
+
+  const updateClass = (name, methods) => {
+    onChange({ classes: { ...extensions.classes, [name]: methods } });
+  };
+
+  const removeClass = (name) => {
+    const classes = { ...extensions.classes };
+    delete classes[name];
+    onChange({ classes });
+  };
+
+  const handleAdd = () => {
+    const name = newClass.trim();
+    if (!name) return;
+    updateClass(name, [...(extensions.classes[name] || []), ...parseMethodList(newMethods)]);
+    setNewClass('');
+    setNewMethods('');
+  };
+
+  const handleExtract = () => {
+    if (source.trim() && onExtract(source)) setSource('');
+  };
+
+  const handleImportChange = (event) => {
+    const file = event.target.files?.[0];
+    if (file) onImport(file);
+    event.target.value = '';
+  };
+
+  const handleSourceFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) onExtract(await file.text());
+  };
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="code" size={16} />
+          <span className="fix-review-title">Custom APIs</span>
+          <span className="fix-review-count">{classNames.length} classes</span>
+          <input
+            type="file"
+            ref={importInputRef}
+            onChange={handleImportChange}
+            accept=".json"
+            style={{ display: 'none' }}
+          />
+          <button className="panel-btn" onClick={() => importInputRef.current?.click()} title="Import dictionary JSON">
+            <Icon name="download" size={14} /> Import
+          </button>
+          <button className="panel-btn" onClick={onExport} title="Export dictionary JSON">
+            <Icon name="copy" size={14} /> Export
+          </button>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          {/* Manual entry */}
+          <section className="rule-profile-section">
+            <h4 className="rule-profile-section-title">Add Class</h4>
+            <div className="rule-profile-row">
+              <input
+                className="dictionary-input dictionary-class-input"
+                value={newClass}
+                onChange={(e) => setNewClass(e.target.value)}
+                placeholder="MyUtils"
+              />
+              <input
+                className="dictionary-input"
+                value={newMethods}
+                onChange={(e) => setNewMethods(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                placeholder="getManager, isVip"
+              />
+              <button className="panel-btn" onClick={handleAdd} disabled={!newClass.trim()}>
+                <Icon name="plus" size={12} /> Add
+              </button>
+            </div>
+          </section>
+
+          {/* Script Include extraction */}
+          <section className="rule-profile-section">
+            <div className="fix-review-group-header">
+              <h4 className="rule-profile-section-title">From Script Include</h4>
+              <input
+                type="file"
+                ref={sourceInputRef}
+                onChange={handleSourceFileChange}
+                accept=".js"
+                style={{ display: 'none' }}
+              />
+              <button className="fix-review-link" onClick={() => sourceInputRef.current?.click()}>Open .js file</button>
+            </div>
+            <textarea
+              className="dictionary-source"
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              placeholder={'var MyUtils = Class.create();\nMyUtils.prototype = {\n    getManager: function (userId) { ... },\n    type: \'MyUtils\'\n};'}
+              spellCheck={false}
+            />
+            <button className="panel-btn" onClick={handleExtract} disabled={!source.trim()}>
+              <Icon name="wrench" size={12} /> Extract Methods
+            </button>
+          </section>
+
+          {/* Registered classes */}
+          <section className="rule-profile-section">
+            <h4 className="rule-profile-section-title">Registered Classes</h4>
+            {classNames.length === 0 && (
+              <p className="dictionary-empty">No custom classes yet.</p>
+            )}
+            {classNames.map(name => (
+              <div key={name} className="rule-profile-row">
+                <span className="rule-profile-label dictionary-class-name">{name}</span>
+                <input
+                  key={extensions.classes[name].join(',')}
+                  className="dictionary-input"
+                  defaultValue={extensions.classes[name].join(', ')}
+                  onBlur={(e) => updateClass(name, parseMethodList(e.target.value))}
+                  placeholder="No methods"
+                />
+                <button className="close-btn" onClick={() => removeClass(name)} title={`Remove ${name}`}>
+                  <Icon name="trash" size={14} />
+                </button>
+              </div>
+            ))}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DictionaryEditor;
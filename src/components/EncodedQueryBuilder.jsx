@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Encoded Query Builder
+ * @description Modal that parses an encoded query into a condition tree and
+ * converts it to addQuery()/addOrCondition() calls, or converts such calls
+ * back to an encoded query.
+ */
+
+import { useMemo, useState } from 'react';
+import Icon from './Icon';
+import {
+  OPERATORS,
+  parseEncodedQuery,
+  formatEncodedQuery,
+  toQueryCalls,
+  fromQueryCalls
+} from '../utils/encodedQuery';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DIRECTIONS = [
+  { id: 'to-calls', label: 'Encoded query → addQuery()', placeholder: 'active=true^priorityIN1,2^ORassigned_toISEMPTY' },
+  { id: 'to-query', label: 'addQuery() → Encoded query', placeholder: "gr.addQuery('active', true);\nvar qc = gr.addQuery('priority', '1');\nqc.addOrCondition('priority', '2');" },
+];
+
+// =============================================================================
+// CONDITION TREE
+// =============================================================================
+
+/**
+ * One condition: field, operator, value.
+ */
+function QueryTerm({ term }) {
+  const known = OPERATORS.includes(term.operator);
+  return (
+    <span className="query-term">
+      <span className="query-field">{term.field}</span>
+      <span className={`query-operator ${known ? '' : 'unknown'}`}>{term.operator}</span>
+      {term.value && <span className="query-value">{term.value}</span>}
+    </span>
+  );
+}
+
+/**
+ * Renders a parsed query as groups of AND-ed conditions with their OR branches.
+ */
+function ConditionTree({ query }) {
+  if (query.groups.length === 0 && query.orderBy.length === 0 && query.groupBy.length === 0) {
+    return <p className="dictionary-empty">No conditions</p>;
+  }
+  return (
+    <div className="query-tree">
+      {query.groups.map((group, groupIndex) => (
+        <div key={groupIndex} className="query-group">
+          {query.groups.length > 1 && (
+            <span className="query-join">{groupIndex === 0 ? 'Match all of' : 'Or (new query) match all of'}</span>
+          )}
+          {group.conditions.map((condition, index) => (
+            <div key={index} className="query-condition">
+              {index > 0 && <span className="query-join">AND</span>}
+              <QueryTerm term={condition} />
+              {condition.or.map((term, orIndex) => (
+                <div key={orIndex} className="query-or">
+                  <span className="query-join">OR</span>
+                  <QueryTerm term={term} />
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+      {query.groupBy.map(field => (
+        <div key={`group-${field}`} className="query-condition">
+          <span className="query-join">GROUP BY</span>
+          <span className="query-field">{field}</span>
+        </div>
+      ))}
+      {query.orderBy.map(({ field, descending }) => (
+        <div key={`order-${field}`} className="query-condition">
+          <span className="query-join">{descending ? 'ORDER BY DESC' : 'ORDER BY'}</span>
+          <span className="query-field">{field}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// =============================================================================
+// ENCODED QUERY BUILDER COMPONENT
+// =============================================================================
+
+/**
+ * Encoded query builder modal.
+ *
+ * @param {Object} props
+ * @param {string} [props.initialQuery] - Encoded query to start with
+ * @param {Function} props.onCopy - Called with the converted text
+ * @param {Function} props.onClose - Closes the builder
+ */
+function EncodedQueryBuilder({ initialQuery = '', onCopy, onClose }) {
+  const [direction, setDirection] = useState('to-calls');
+  const [input, setInput] = useState(initialQuery);
+  const [variable, setVariable] = useState('gr');
+
+  const result = useMemo(() => {
+    if (!input.trim()) return { query: null, output: '', error: null };
+    try {
+      if (direction === 'to-query') {
+        const query = fromQueryCalls(input);
+        return { query, output: formatEncodedQuery(query), error: null };
+      }
+      const query = parseEncodedQuery(input.trim());
+      const issue = query.issues[0];
+      if (issue) return { query, output: '', error: `${issue.message} (at ${issue.start + 1})` };
+      return { query, output: toQueryCalls(query, { variable: variable.trim() || 'gr' }), error: null };
+    } catch (error) {
+      return { query: null, output: '', error: error.message };
+    }
+  }, [direction, input, variable]);
+
+  // Switching direction carries the result over, so a query can be round-tripped
+  const handleDirectionChange = (next) => {
+    if (result.output) setInput(result.output);
+    setDirection(next);
+  };
+
+  const { placeholder } = DIRECTIONS.find(d => d.id === direction);
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="filter" size={16} />
+          <span className="fix-review-title">Encoded Query</span>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          <section className="rule-profile-section">
+            <label className="rule-profile-row">
+              <span className="rule-profile-label">Convert</span>
+              <select
+                className="rule-profile-severity"
+                value={direction}
+                onChange={(e) => handleDirectionChange(e.target.value)}
+              >
+                {DIRECTIONS.map(d => (
+                  <option key={d.id} value={d.id}>{d.label}</option>
+                ))}
+              </select>
+            </label>
+            {direction === 'to-calls' && (
+              <label className="rule-profile-row">
+                <span className="rule-profile-label">GlideRecord variable</span>
+                <input
+                  className="rule-profile-scope"
+                  value={variable}
+                  onChange={(e) => setVariable(e.target.value)}
+                  spellCheck={false}
+                />
+              </label>
+            )}
+            <textarea
+              className="dictionary-source query-input"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={placeholder}
+              spellCheck={false}
+              autoFocus
+            />
+          </section>
+
+          {result.query && (
+            <section className="rule-profile-section">
+              <h4 className="rule-profile-section-title">Conditions</h4>
+              <ConditionTree query={result.query} />
+            </section>
+          )}
+
+          <section className="rule-profile-section">
+            <h4 className="rule-profile-section-title">Result</h4>
+            {result.error ? (
+              <p className="dictionary-empty generator-error">{result.error}</p>
+            ) : (
+              <textarea
+                className="dictionary-source query-output"
+                value={result.output}
+                placeholder={direction === 'to-calls' ? 'addQuery() calls' : 'Encoded query'}
+                readOnly
+                spellCheck={false}
+              />
+            )}
+          </section>
+        </div>
+
+        <div className="fix-review-footer">
+          <button className="panel-btn" onClick={onClose}>Close</button>
+          <button className="polish-btn" onClick={() => onCopy(result.output)} disabled={!result.output}>
+            <Icon name="copy" size={14} /> Copy Result
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EncodedQueryBuilder;
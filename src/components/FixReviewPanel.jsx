@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Fix Review Panel
+ * @description Modal listing every individual fix occurrence from the last polish
+ * with a before/after preview. Each occurrence can be accepted or rejected, and
+ * the output is regenerated from the accepted edits only.
+ */
+
+import { useState, useMemo } from 'react';
+import Icon from './Icon';
+import { FIXES } from '../utils/ruleProfile';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Gets the display label for a fix id.
+ */
+function getFixLabel(fixId) {
+  return FIXES.find(fix => fix.id === fixId)?.label || fixId;
+}
+
+// =============================================================================
+// FIX REVIEW PANEL COMPONENT
+// =============================================================================
+
+/**
+ * Fix review modal.
+ *
+ * @param {Object} props
+ * @param {Array} props.occurrences - Fix occurrences from polishCode()
+ * @param {Function} props.onApply - Called with the ids of rejected occurrences
+ * @param {Function} props.onClose - Closes the panel
+ */
+function FixReviewPanel({ occurrences, onApply, onClose }) {
+  const [accepted, setAccepted] = useState(() =>
+    Object.fromEntries(occurrences.map(occurrence => [occurrence.id, occurrence.accepted]))
+  );
+
+  // Group occurrences by fix, keeping pipeline order
+  const groups = useMemo(() => {
+    const byFix = new Map();
+    occurrences.forEach((occurrence) => {
+      if (!byFix.has(occurrence.fixId)) byFix.set(occurrence.fixId, []);
+      byFix.get(occurrence.fixId).push(occurrence);
+    });
+    return [...byFix.entries()].map(([fixId, items]) => ({
+      fixId,
+      label: getFixLabel(fixId),
+      items: [...items].sort((a, b) => a.line - b.line || a.column - b.column)
+    }));
+  }, [occurrences]);
+
+  const acceptedCount = Object.values(accepted).filter(Boolean).length;
+
+  const setGroup = (items, value) => {
+    setAccepted(prev => ({ ...prev, ...Object.fromEntries(items.map(item => [item.id, value])) }));
+  };
+
+  const handleApply = () => {
+    onApply(Object.keys(accepted).filter(id => !accepted[id]));
+  };
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal fix-review-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="wrench" size={16} />
+          <span className="fix-review-title">Review Fixes</span>
+          <span className="fix-review-count">{acceptedCount} of {occurrences.length} accepted</span>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          {groups.map(group => (
+            <section key={group.fixId} className="rule-profile-section">
+              <div className="fix-review-group-header">
+                <h4 className="rule-profile-section-title">{group.label} ({group.items.length})</h4>
+                <button className="fix-review-link" onClick={() => setGroup(group.items, true)}>Accept all</button>
+                <button className="fix-review-link" onClick={() => setGroup(group.items, false)}>Reject all</button>
+              </div>
+              {group.items.map(item => (
+                <label key={item.id} className={`fix-review-item ${accepted[item.id] ? '' : 'rejected'}`}>
+                  <input
+                    type="checkbox"
+                    checked={accepted[item.id]}
+                    onChange={(e) => setAccepted(prev => ({ ...prev, [item.id]: e.target.checked }))}
+                  />
+                  <div className="fix-review-preview">
+                    <div className="fix-review-meta">
+                      <span className="fix-location">Ln {item.line}, Col {item.column}</span>
+                      {item.confidence && (
+                        <span className={`fix-review-confidence ${item.confidence}`}>{item.confidence} confidence</span>
+                      )}
+                    </div>
+                    <pre className="fix-review-before">- {item.before}</pre>
+                    <pre className="fix-review-after">+ {item.after}</pre>
+                  </div>
+                </label>
+              ))}
+            </section>
+          ))}
+        </div>
+
+        <div className="fix-review-footer">
+          <button className="panel-btn" onClick={() => setGroup(occurrences, true)}>Accept all</button>
+          <button className="panel-btn" onClick={() => setGroup(occurrences, false)}>Reject all</button>
+          <button className="polish-btn" onClick={handleApply}>
+            <Icon name="sparkles" size={14} /> Regenerate Output
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FixReviewPanel;
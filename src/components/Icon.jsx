@@ -744,6 +744,34 @@ const icons = {
     </>
   ),
 
+  /**
+   * Lock - Used for redacting secrets
+   */
+  lock: (
+    <>
+      <rect
+        x="4"
+        y="11"
+        width="16"
+        height="10"
+        rx="2"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+      <path
+        d="M8 11V7a4 4 0 0 1 8 0v4"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </>
+  ),
+
 };
 
 /**
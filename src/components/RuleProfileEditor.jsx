@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Rule Profile Editor
+ * @description Modal for editing the Polish rule profile: toggle fixes, enable or
+ * disable warnings, change their severity, and tune thresholds, the target
+ * release and the application scope. Changes are applied immediately; persistence and import/export are
+ * handled by the parent.
+ */
+
+import { useRef } from 'react';
+import Icon from './Icon';
+import {
+  FIXES,
+  RULES,
+  THRESHOLDS,
+  isFixEnabled,
+  isRuleEnabled,
+  getRuleSeverity,
+  getThresholds,
+  normalizeScope
+} from '../utils/ruleProfile';
+import { SEVERITY } from '../utils/diagnostics';
+import { RELEASE_RANGES, getReleaseRangeValue } from '../utils/fixes/servicenowDictionary';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Display names for rule/fix groups
+ */
+const GROUPS = [
+  { id: 'generic', label: 'JavaScript' },
+  { id: 'servicenow', label: 'ServiceNow' },
+  { id: 'json', label: 'JSON' }
+];
+
+const SEVERITY_OPTIONS = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+
+// =============================================================================
+// RULE PROFILE EDITOR COMPONENT
+// =============================================================================
+
+/**
+ * Rule profile editor modal.
+ *
+ * @param {Object} props
+ * @param {Object} props.profile - Current rule profile
+ * @param {Function} props.onChange - Called with the updated profile
+ * @param {Function} props.onImport - Called with the selected profile file
+ * @param {Function} props.onExport - Exports the current profile
+ * @param {Function} props.onReset - Restores the default profile
+ * @param {Function} props.onClose - Closes the editor
+ */
+function RuleProfileEditor({ profile, onChange, onImport, onExport, onReset, onClose }) {
+  const importInputRef = useRef(null);
+  const thresholds = getThresholds(profile);
+
+  const updateFix = (fixId, enabled) => {
+    onChange({ ...profile, fixes: { ...profile.fixes, [fixId]: enabled } });
+  };
+
+  const updateRule = (ruleId, changes) => {
+    const current = profile.rules[ruleId] || {};
+    onChange({ ...profile, rules: { ...profile.rules, [ruleId]: { ...current, ...changes } } });
+  };
+
+  const updateThreshold = (thresholdId, value) => {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number) || number <= 0) return;
+    onChange({ ...profile, thresholds: { ...thresholds, [thresholdId]: number } });
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    if (file) onImport(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="filter" size={16} />
+          <input
+            className="rule-profile-name"
+            value={profile.name}
+            onChange={(e) => onChange({ ...profile, name: e.target.value })}
+            placeholder="Profile name"
+          />
+          <input
+            type="file"
+            ref={importInputRef}
+            onChange={handleFileChange}
+            accept=".json"
+            style={{ display: 'none' }}
+          />
+          <button className="panel-btn" onClick={() => importInputRef.current?.click()} title="Import profile">
+            <Icon name="download" size={14} /> Import
+          </button>
+          <button className="panel-btn" onClick={onExport} title="Export profile">
+            <Icon name="copy" size={14} /> Export
+          </button>
+          <button className="panel-btn" onClick={onReset} title="Restore defaults">
+            Reset
+          </button>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          {/* Thresholds */}
+          <section className="rule-profile-section">
+            <h4 className="rule-profile-section-title">Thresholds</h4>
+            <label className="rule-profile-row">
+              <span className="rule-profile-label">Target release</span>
+              <select
+                className="rule-profile-severity"
+                value={getReleaseRangeValue(profile.release)}
+                onChange={(e) => onChange({ ...profile, release: e.target.value || null })}
+              >
+                {RELEASE_RANGES.map((range, i) => (
+                  <option key={range.first} value={i === 0 ? '' : range.first}>
+                    {range.label}{i === 0 ? ' (latest)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="rule-profile-row">
+              <span className="rule-profile-label">Application scope</span>
+              <input
+                key={profile.scope || ''}
+                className="rule-profile-scope"
+                defaultValue={profile.scope || ''}
+                placeholder="global"
+                spellCheck={false}
+                onBlur={(e) => onChange({ ...profile, scope: normalizeScope(e.target.value) })}
+              />
+            </label>
+            {THRESHOLDS.map((threshold) => (
+              <label key={threshold.id} className="rule-profile-row">
+                <span className="rule-profile-label">{threshold.label}</span>
+                <input
+                  type="number"
+                  className="rule-profile-number"
+                  min={threshold.min}
+                  value={thresholds[threshold.id]}
+                  onChange={(e) => updateThreshold(threshold.id, e.target.value)}
+                />
+              </label>
+            ))}
+          </section>
+
+          {/* Fixes and rules per group */}
+          {GROUPS.map((group) => (
+            <section key={group.id} className="rule-profile-section">
+              <h4 className="rule-profile-section-title">{group.label} Fixes</h4>
+              {FIXES.filter(fix => fix.group === group.id).map((fix) => {
+                const enabled = isFixEnabled(profile, fix.id);
+                return (
+                  <div key={fix.id} className="rule-profile-row">
+                    <span className="rule-profile-label">{fix.label}</span>
+                    <button
+                      className={`settings-toggle ${enabled ? 'on' : 'off'}`}
+                      onClick={() => updateFix(fix.id, !enabled)}
+                    >
+                      <span className="toggle-track">
+                        <span className="toggle-thumb" />
+                      </span>
+                    </button>
+                  </div>
+                );
+              })}
+
+              <h4 className="rule-profile-section-title">{group.label} Warnings</h4>
+              {RULES.filter(rule => rule.group === group.id).map((rule) => {
+                const enabled = isRuleEnabled(profile, rule.id);
+                return (
+                  <div key={rule.id} className={`rule-profile-row ${enabled ? '' : 'disabled'}`}>
+                    <span className="rule-profile-label" title={rule.id}>{rule.label}</span>
+                    <select
+                      className="rule-profile-severity"
+                      value={getRuleSeverity(profile, rule.id)}
+                      onChange={(e) => updateRule(rule.id, { severity: e.target.value })}
+                      disabled={!enabled}
+                    >
+                      {SEVERITY_OPTIONS.map(severity => (
+                        <option key={severity} value={severity}>{severity}</option>
+                      ))}
+                    </select>
+                    <button
+                      className={`settings-toggle ${enabled ? 'on' : 'off'}`}
+                      onClick={() => updateRule(rule.id, { enabled: !enabled })}
+                    >
+                      <span className="toggle-track">
+                        <span className="toggle-thumb" />
+                      </span>
+                    </button>
+                  </div>
+                );
+              })}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RuleProfileEditor;
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Script Include Generator
+ * @description Modal that scaffolds a Script Include from a class name and a
+ * method list, previewing the code before it is inserted into the editor.
+ */
+
+import { useMemo, useState } from 'react';
+import Icon from './Icon';
+import { parseMethodSpecs, generateScriptInclude } from '../utils/scriptIncludeGenerator';
+
+// =============================================================================
+// SCRIPT INCLUDE GENERATOR COMPONENT
+// =============================================================================
+
+/**
+ * Script Include generator modal.
+ *
+ * @param {Object} props
+ * @param {Function} props.onInsert - Called with the generated source
+ * @param {Function} props.onClose - Closes the generator
+ */
+function ScriptIncludeGenerator({ onInsert, onClose }) {
+  const [name, setName] = useState('');
+  const [methods, setMethods] = useState('');
+  const [clientCallable, setClientCallable] = useState(false);
+
+  const preview = useMemo(() => {
+    if (!name.trim()) return { code: '', error: null };
+    try {
+      const code = generateScriptInclude({ name: name.trim(), methods: parseMethodSpecs(methods), clientCallable });
+      return { code, error: null };
+    } catch (error) {
+      return { code: '', error: error.message };
+    }
+  }, [name, methods, clientCallable]);
+
+  return (
+    <div className="rule-profile-overlay" onClick={onClose}>
+      <div className="rule-profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="rule-profile-header">
+          <Icon name="code" size={16} />
+          <span className="fix-review-title">New Script Include</span>
+          <button className="close-btn" onClick={onClose} title="Close">
+            <Icon name="x" size={16} />
+          </button>
+        </div>
+
+        <div className="rule-profile-body">
+          <section className="rule-profile-section">
+            <label className="rule-profile-row">
+              <span className="rule-profile-label">Class name</span>
+              <input
+                className="dictionary-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="MyUtils"
+                autoFocus
+              />
+            </label>
+            <label className="rule-profile-row">
+              <span className="rule-profile-label">Methods</span>
+              <input
+                className="dictionary-input"
+                value={methods}
+                onChange={(e) => setMethods(e.target.value)}
+                placeholder="getManager(userId), isVip"
+              />
+            </label>
+            <div className="rule-profile-row">
+              <span className="rule-profile-label">Client callable (GlideAjax)</span>
+              <button
+                className={`settings-toggle ${clientCallable ? 'on' : 'off'}`}
+                onClick={() => setClientCallable(!clientCallable)}
+              >
+                <span className="toggle-track">
+                  <span className="toggle-thumb" />
+                </span>
+              </button>
+            </div>
+          </section>
+
+          <section className="rule-profile-section">
+            <h4 className="rule-profile-section-title">Preview</h4>
+            {preview.error ? (
+              <p className="dictionary-empty generator-error">{preview.error}</p>
+            ) : (
+              <textarea
+                className="dictionary-source generator-preview"
+                value={preview.code}
+                placeholder="Enter a class name"
+                readOnly
+                spellCheck={false}
+              />
+            )}
+          </section>
+        </div>
+
+        <div className="fix-review-footer">
+          <button className="panel-btn" onClick={onClose}>Cancel</button>
+          <button className="polish-btn" onClick={() => onInsert(preview.code)} disabled={!preview.code}>
+            <Icon name="plus" size={14} /> Insert into Editor
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScriptIncludeGenerator;
@@ -5,6 +5,7 @@
  */
 
 import * as acorn from 'acorn';
+import { CUSTOM_CLASS_NAMES } from './fixes/servicenowDictionary.js';
 
 // =============================================================================
 // CONSTANTS
@@ -175,6 +176,14 @@ const SERVICENOW_CLASSES = [
   'g_processor'
 ];
 
+/**
+ * Checks whether a class is highlighted as ServiceNow API: built-in classes
+ * plus the user's registered Script Includes (dictionaryExtensions.js).
+ */
+function isServiceNowClass(name) {
+  return SERVICENOW_CLASSES.includes(name) || CUSTOM_CLASS_NAMES.includes(name);
+}
+
 /**
  * GlideRecord and API methods categorized by operation type
  * Categories: database, loop, filter, read, write, config
@@ -652,6 +661,16 @@ const GLIDE_AJAX_METHODS = [
 // AST PARSING
 // =============================================================================
 
+/** Acorn options shared by all parses (ServiceNow scripts are plain scripts) */
+const PARSE_OPTIONS = {
+  ecmaVersion: 2020,
+  sourceType: 'script',
+  locations: true,
+  ranges: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true
+};
+
 /**
  * Parses JavaScript code into an AST using Acorn
  * @param {string} code - The JavaScript code to parse
@@ -659,20 +678,74 @@ const GLIDE_AJAX_METHODS = [
  */
 export function parseCode(code) {
   try {
-    const ast = acorn.parse(code, {
-      ecmaVersion: 2020,
-      sourceType: 'script',
-      locations: true,
-      ranges: true,
-      allowReturnOutsideFunction: true,
-      allowAwaitOutsideFunction: true
-    });
+    const ast = acorn.parse(code, PARSE_OPTIONS);
     return { ast, error: null };
   } catch (error) {
     return { ast: null, error: error.message };
   }
 }
 
+/**
+ * Locates the first syntax error in JavaScript code.
+ * @param {string} code - The JavaScript code
+ * @returns {Object|null} - { message, line, column } with 1-based line/column, or null if the code parses
+ */
+export function findSyntaxError(code) {
+  try {
+    acorn.parse(code, PARSE_OPTIONS);
+    return null;
+  } catch (error) {
+    if (!error.loc) return null;
+    return {
+      message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      line: error.loc.line,
+      column: error.loc.column + 1
+    };
+  }
+}
+
+/**
+ * Extracts all comments from JavaScript code.
+ * Comments before a syntax error are still returned.
+ * @param {string} code - The JavaScript code
+ * @returns {Array<Object>} - Acorn comments { type: 'Line'|'Block', value, start, end, loc }
+ */
+export function extractComments(code) {
+  const comments = [];
+  try {
+    acorn.parse(code, { ...PARSE_OPTIONS, onComment: comments });
+  } catch {
+    // Keep the comments collected up to the error
+  }
+  return comments;
+}
+
+/**
+ * Walks every node of an AST depth-first, calling the visitor on entry.
+ * Returning false from the visitor skips the children of that node.
+ * @param {Object} node - The AST node to start from
+ * @param {Function} visitor - Called as visitor(node, parent, ancestors)
+ * @param {Array} ancestors - Internal stack of parent nodes (outermost first)
+ */
+export function walkAst(node, visitor, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  const parent = ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
+  if (visitor(node, parent, ancestors) === false) return;
+
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'range') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkAst(item, visitor, ancestors));
+    } else if (child && typeof child.type === 'string') {
+      walkAst(child, visitor, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
 // =============================================================================
 // CONTROL FLOW EXTRACTION
 // =============================================================================
@@ -713,7 +786,7 @@ export function extractControlFlow(ast, code) {
     
     // Check for new GlideRecord() etc.
     if (node.type === 'NewExpression' && callee.type === 'Identifier') {
-      if (SERVICENOW_CLASSES.includes(callee.name)) {
+      if (isServiceNowClass(callee.name)) {
         return { class: callee.name, method: 'constructor' };
       }
     }
@@ -770,7 +843,7 @@ export function extractControlFlow(ast, code) {
             // Check for new ServiceNow class instantiation
             if (decl.init.type === 'NewExpression' && 
                 decl.init.callee?.type === 'Identifier' &&
-                SERVICENOW_CLASSES.includes(decl.init.callee.name)) {
+                isServiceNowClass(decl.init.callee.name)) {
               const varNode = {
                 id: generateId(),
                 type: 'servicenow',
@@ -1354,6 +1427,11 @@ export function extractControlFlow(ast, code) {
         return true;
       }
       
+      // Check for registered Script Includes called statically (MyUtils.method())
+      if (obj.type === 'Identifier' && CUSTOM_CLASS_NAMES.includes(objName)) {
+        return true;
+      }
+      
       // Check for sn_ws namespace (RESTMessageV2, SOAPMessageV2)
       if (obj.type === 'Identifier' && objName === 'sn_ws') {
         return true;
@@ -1367,7 +1445,7 @@ export function extractControlFlow(ast, code) {
     
     // Check for direct ServiceNow class instantiation
     if (expr.type === 'NewExpression' && expr.callee?.type === 'Identifier') {
-      if (SERVICENOW_CLASSES.includes(expr.callee.name)) {
+      if (isServiceNowClass(expr.callee.name)) {
         return true;
       }
     }
@@ -1379,7 +1457,7 @@ export function extractControlFlow(ast, code) {
       if (ns && ['sn_ws', 'sn_fd', 'sn_cc', 'sn_sc', 'sn_cmdb', 'sn_hr'].includes(ns)) {
         return true;
       }
-      if (cls && SERVICENOW_CLASSES.includes(cls)) {
+      if (cls && isServiceNowClass(cls)) {
         return true;
       }
     }
@@ -1416,5 +1494,8 @@ export function extractControlFlow(ast, code) {
 
 export default {
   parseCode,
+  findSyntaxError,
+  extractComments,
+  walkAst,
   extractControlFlow
 };
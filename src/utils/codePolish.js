@@ -9,12 +9,19 @@ import * as prettier from 'prettier/standalone';
 import * as babelPlugin from 'prettier/plugins/babel';
 import * as estreePlugin from 'prettier/plugins/estree';
 
-import { applyGenericFixes } from './fixes/genericFixes';
-import { applyServiceNowFixes } from './fixes/servicenowFixes';
-import { applyJsonFixes } from './fixes/jsonFixes';
-import { analyzeGenericWarnings } from './warnings/genericWarnings';
-import { analyzeServiceNowWarnings } from './warnings/servicenowWarnings';
-import { analyzeJsonWarnings } from './warnings/jsonWarnings';
+import { applyGenericFixes } from './fixes/genericFixes.js';
+import { applyServiceNowFixes } from './fixes/servicenowFixes.js';
+import { applyJsonFixes } from './fixes/jsonFixes.js';
+import { analyzeGenericWarnings } from './warnings/genericWarnings.js';
+import { analyzeServiceNowWarnings } from './warnings/servicenowWarnings.js';
+import { analyzeJsonWarnings } from './warnings/jsonWarnings.js';
+import { analyzeTypoSuggestions } from './fixes/fuzzyMatcher.js';
+import { findSyntaxError } from './astParser.js';
+import { createPositionDiagnostic, formatDiagnostic, sortDiagnostics } from './diagnostics.js';
+import { DEFAULT_PROFILE, applyRuleProfile, getThresholds, getTargetRelease, getAppScope } from './ruleProfile.js';
+import { createSuppressions, findUnusedSuppressions } from './suppressions.js';
+import { createFixTracker } from './fixes/astRewriter.js';
+import { analyzeFunctionMetrics, summarizeFunctionMetrics } from './complexity.js';
 
 // =============================================================================
 // CONFIGURATION
@@ -48,6 +55,54 @@ const JSON_PRETTIER_CONFIG = {
   endOfLine: 'lf'
 };
 
+/** Steps reported through options.onProgress, in order */
+const JS_POLISH_STEPS = ['Applying JavaScript fixes', 'Applying ServiceNow fixes', 'Formatting', 'Analyzing'];
+const JSON_POLISH_STEPS = ['Applying JSON fixes', 'Validating', 'Formatting', 'Analyzing'];
+
+/**
+ * Creates the step callback for a polish run: stops the run if it was aborted,
+ * then reports progress.
+ *
+ * @param {string[]} steps - Step labels
+ * @param {Object} options - Polish options ({ onProgress, signal })
+ * @returns {function(number)} Starts the step with the given index
+ */
+function createProgressReporter(steps, { onProgress, signal }) {
+  return (index) => {
+    signal?.throwIfAborted();
+    onProgress?.({ step: index + 1, total: steps.length, label: steps[index] });
+  };
+}
+
+// =============================================================================
+// SYNTAX ERROR LOCATION
+// =============================================================================
+
+/**
+ * Builds a located 'syntax-error' diagnostic for code that failed to format.
+ * Acorn is tried first so the position refers to the code as the user typed it;
+ * Prettier's reported (line:column) is the fallback.
+ *
+ * @param {string} code - The code that failed to format
+ * @param {Error} prettierError - Error thrown by Prettier
+ * @returns {import('./diagnostics').Diagnostic|null} Diagnostic, or null if no location is known
+ */
+function locateSyntaxError(code, prettierError) {
+  const acornError = findSyntaxError(code);
+  if (acornError) {
+    return createPositionDiagnostic({ ruleId: 'syntax-error', ...acornError });
+  }
+
+  const errorMatch = prettierError.message.match(/\((\d+):(\d+)\)/);
+  if (!errorMatch) return null;
+  return createPositionDiagnostic({
+    ruleId: 'syntax-error',
+    message: prettierError.message.split('\n')[0],
+    line: parseInt(errorMatch[1]),
+    column: parseInt(errorMatch[2])
+  });
+}
+
 // =============================================================================
 // JAVASCRIPT FORMATTING
 // =============================================================================
@@ -57,9 +112,16 @@ const JSON_PRETTIER_CONFIG = {
  * Applies generic fixes, ServiceNow fixes, and Prettier formatting.
  *
  * @param {string} code - The code to format
- * @returns {Promise<Object>} Result object with output, fixes, warnings, errors, and metrics
+ * @param {Object} [profile] - Rule profile: enabled fixes/rules, severities and thresholds
+ * @param {Object} [options] - Polish options
+ * @param {Iterable<string>} [options.rejectedFixes] - Fix occurrence ids to leave unapplied
+ * @param {string} [options.scriptType] - Script type id, or 'auto' (default) to detect it
+ * @param {Object} [options.businessRule] - Business Rule context ({ when, operations }) for the lifecycle checks
+ * @param {function(Object)} [options.onProgress] - Called with { step, total, label } before each step
+ * @param {AbortSignal} [options.signal] - Abandons the run between steps; the promise rejects with the abort reason
+ * @returns {Promise<Object>} Result object with output, fixes, fixOccurrences, warnings, errors, and metrics
  */
-export async function polishCode(code) {
+export async function polishCode(code, profile = DEFAULT_PROFILE, options = {}) {
   if (!code || code.trim() === '') {
     return {
       success: false,
@@ -71,58 +133,80 @@ export async function polishCode(code) {
     };
   }
 
+  const reportProgress = createProgressReporter(JS_POLISH_STEPS, options);
+
   try {
+    // Suppression comments are honored by every step; usage is tracked to report unused ones
+    const suppressionUsage = new Set();
+
+    // Every fix occurrence is recorded against the input so it can be reviewed and rejected
+    const tracker = createFixTracker(code, new Set(options.rejectedFixes || []));
+
     // Step 1: Apply generic JavaScript fixes
-    const { processed: genericProcessed, fixes: genericFixes } = applyGenericFixes(code);
+    reportProgress(0);
+    const { processed: genericProcessed, fixes: genericFixes } = applyGenericFixes(code, profile, suppressionUsage, tracker);
 
     // Step 2: Apply ServiceNow-specific fixes (includes fuzzy matching)
-    const snResult = applyServiceNowFixes(genericProcessed);
+    reportProgress(1);
+    const snResult = applyServiceNowFixes(genericProcessed, profile, suppressionUsage, tracker, { scriptType: options.scriptType });
     const snProcessed = snResult.processed;
     const snFixes = snResult.fixes;
-    const snSuggestions = snResult.suggestions || []; // Low-confidence fuzzy matches
 
     // Combine all fixes
     const allFixes = [...genericFixes, ...snFixes];
 
     // Step 3: Format with Prettier
+    reportProgress(2);
     const formatted = await prettier.format(snProcessed, JS_PRETTIER_CONFIG);
 
-    // Step 4: Analyze for warnings and errors
-    const genericWarnings = analyzeGenericWarnings(formatted);
-    const snWarningsResult = analyzeServiceNowWarnings(formatted);
-
-    // Handle both array format and { warnings, errors } format
-    let snWarnings = [];
-    let snErrors = [];
-    if (Array.isArray(snWarningsResult)) {
-      snWarnings = snWarningsResult;
-    } else {
-      snWarnings = snWarningsResult.warnings || [];
-      snErrors = snWarningsResult.errors || [];
-    }
-
-    // Include fuzzy match suggestions as warnings (low confidence)
-    const allWarnings = [...genericWarnings, ...snWarnings, ...snSuggestions];
-    const allErrors = [...snErrors];
-
-    // Calculate metrics
+    // Step 4: Analyze the formatted output so diagnostic positions match it
+    reportProgress(3);
+    const genericWarnings = analyzeGenericWarnings(formatted, getThresholds(profile));
+    const { warnings: snWarnings, errors: snErrors } = analyzeServiceNowWarnings(formatted, {
+      release: getTargetRelease(profile),
+      scope: getAppScope(profile),
+      scriptType: options.scriptType,
+      businessRule: options.businessRule
+    });
+
+    // Low-confidence fuzzy matches are reported as 'possible-typo' suggestions
+    const typoSuggestions = analyzeTypoSuggestions(formatted, { scriptType: options.scriptType });
+
+    // Drop findings silenced by suppression comments, then report directives that silenced nothing
+    const suppressions = createSuppressions(formatted, suppressionUsage);
+    const unsuppressed = suppressions.filterDiagnostics([...genericWarnings, ...snWarnings, ...typoSuggestions, ...snErrors]);
+    const unusedSuppressions = findUnusedSuppressions(formatted, suppressionUsage);
+
+    // Drop disabled rules and apply severity overrides from the profile
+    const profiled = applyRuleProfile([...unsuppressed, ...unusedSuppressions], profile);
+    const allWarnings = sortDiagnostics(profiled.warnings);
+    const allErrors = sortDiagnostics(profiled.errors);
+
+    // Calculate metrics; per-function metrics refer to the formatted output
+    const functions = analyzeFunctionMetrics(formatted);
     const metrics = {
       originalLines: code.split('\n').length,
       formattedLines: formatted.split('\n').length,
       originalChars: code.length,
       formattedChars: formatted.length,
-      fixCount: allFixes.length || 1
+      fixCount: allFixes.length || 1,
+      ...summarizeFunctionMetrics(functions),
+      functions
     };
 
     return {
       success: true,
       output: formatted,
       fixes: allFixes.length > 0 ? allFixes : ['Code formatted'],
+      fixOccurrences: tracker.occurrences,
       warnings: allWarnings,
       errors: allErrors,
       metrics
     };
   } catch (prettierError) {
+    // An aborted run is not a syntax error
+    if (options.signal?.aborted) throw prettierError;
+
     // Extract error location from Prettier error message
     const errorMatch = prettierError.message.match(/\((\d+):(\d+)\)/);
     let errorInfo = prettierError.message;
@@ -135,13 +219,16 @@ export async function polishCode(code) {
       errorInfo = `Syntax error at line ${line}, column ${col}:\n"${problemLine.trim()}"\n\n${prettierError.message}`;
     }
 
+    // The located diagnostic refers to the input, so the editor can mark it there
+    const syntaxError = locateSyntaxError(code, prettierError);
+
     return {
       success: false,
       error: `Code has syntax errors:\n${errorInfo}`,
       output: code,
       fixes: [],
       warnings: [],
-      errors: []
+      errors: syntaxError ? [syntaxError] : []
     };
   }
 }
@@ -200,14 +287,32 @@ export async function formatCodeStructure(code) {
 // JSON FORMATTING
 // =============================================================================
 
+/**
+ * Runs the JSON analyzer with the profile's thresholds, rule toggles and severities.
+ * Nothing is fixed, so positions refer to the code as given.
+ *
+ * @param {string} code - JSON content
+ * @param {Object} [profile] - Rule profile
+ * @returns {{ warnings: Array, errors: Array }}
+ */
+export function lintJson(code, profile = DEFAULT_PROFILE) {
+  const { warnings, errors } = analyzeJsonWarnings(code, getThresholds(profile));
+  const profiled = applyRuleProfile([...errors, ...warnings], profile);
+  return { warnings: sortDiagnostics(profiled.warnings), errors: sortDiagnostics(profiled.errors) };
+}
+
 /**
  * Main formatting function for JSON content.
  * Applies JSON fixes, validation, and Prettier formatting.
  *
  * @param {string} code - The JSON content to format
+ * @param {Object} [profile] - Rule profile: enabled fixes/rules, severities and thresholds
+ * @param {Object} [options] - Polish options
+ * @param {function(Object)} [options.onProgress] - Called with { step, total, label } before each step
+ * @param {AbortSignal} [options.signal] - Abandons the run between steps; the promise rejects with the abort reason
  * @returns {Promise<Object>} Result object with output, fixes, warnings, errors, and metrics
  */
-export async function polishJson(code) {
+export async function polishJson(code, profile = DEFAULT_PROFILE, options = {}) {
   if (!code || code.trim() === '') {
     return {
       success: false,
@@ -219,12 +324,16 @@ export async function polishJson(code) {
     };
   }
 
+  const reportProgress = createProgressReporter(JSON_POLISH_STEPS, options);
+
   try {
     // Step 1: Apply JSON-specific fixes (comments, trailing commas, quotes)
-    const { processed, fixes } = applyJsonFixes(code);
+    reportProgress(0);
+    const { processed, fixes } = applyJsonFixes(code, profile);
 
     // Step 2: Pre-validate before Prettier (catch detailed errors)
-    const jsonWarningsResult = analyzeJsonWarnings(processed);
+    reportProgress(1);
+    const jsonWarningsResult = lintJson(processed, profile);
 
     // If there are syntax errors, try Prettier anyway (may fix some issues)
     if (jsonWarningsResult.errors.length > 0) {
@@ -232,7 +341,7 @@ export async function polishJson(code) {
         const formatted = await prettier.format(processed, JSON_PRETTIER_CONFIG);
 
         // Re-analyze the formatted output
-        const finalWarnings = analyzeJsonWarnings(formatted);
+        const finalWarnings = lintJson(formatted, profile);
 
         const metrics = {
           originalLines: code.split('\n').length,
@@ -254,7 +363,7 @@ export async function polishJson(code) {
         // Prettier also failed, return original errors
         return {
           success: false,
-          error: jsonWarningsResult.errors.join('\n'),
+          error: jsonWarningsResult.errors.map(formatDiagnostic).join('\n'),
           output: processed,
           fixes,
           warnings: jsonWarningsResult.warnings,
@@ -264,10 +373,12 @@ export async function polishJson(code) {
     }
 
     // Step 3: Format with Prettier
+    reportProgress(2);
     const formatted = await prettier.format(processed, JSON_PRETTIER_CONFIG);
 
     // Step 4: Analyze formatted output
-    const finalWarnings = analyzeJsonWarnings(formatted);
+    reportProgress(3);
+    const finalWarnings = lintJson(formatted, profile);
 
     // Calculate metrics
     const metrics = {
@@ -287,6 +398,9 @@ export async function polishJson(code) {
       metrics
     };
   } catch (prettierError) {
+    // An aborted run is not a syntax error
+    if (options.signal?.aborted) throw prettierError;
+
     // Extract error location from Prettier error message
     const errorMatch = prettierError.message.match(/\((\d+):(\d+)\)/);
     let errorInfo = prettierError.message;
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Function Complexity Metrics
+ * @description Per-function metrics from the acorn AST: cyclomatic complexity
+ * (1 + the decisions that add a path), cognitive complexity (how hard the code
+ * is to follow, after the SonarSource definition: breaks in the linear flow
+ * cost 1, plus 1 for every level they are nested), max nesting, parameters,
+ * lines of code and database operations.
+ *
+ * Nested functions are measured on their own and add nothing to the function
+ * around them, so a Script Include method is not charged for its callbacks.
+ */
+
+import { parseCode, walkAst } from './astParser.js';
+import { createLocator } from './diagnostics.js';
+import { createTypeInference } from './fixes/typeInference.js';
+import { SIGNATURE_ALIASES } from './fixes/servicenowDictionary.js';
+import { DEFAULT_THRESHOLDS } from './ruleProfile.js';
+import { RECORD_TYPES, DATABASE_METHODS, REFERENCE_METHODS } from './warnings/performanceWarnings.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Complexity levels used to color the flow diagram and the metrics table */
+export const COMPLEXITY_LEVELS = {
+  LOW: 'low',
+  MODERATE: 'moderate',
+  HIGH: 'high'
+};
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+const LOOP_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+
+/** Logical assignments are decisions too: `a ||= b` */
+const LOGICAL_ASSIGNMENTS = ['&&=', '||=', '??='];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Iterates the child nodes of an AST node.
+ */
+function forEachChild(node, callback) {
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'range') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => item && typeof item.type === 'string' && callback(item));
+    } else if (child && typeof child.type === 'string') {
+      callback(child);
+    }
+  }
+}
+
+/**
+ * Names a function after its declaration, the variable, property or member it
+ * is assigned to, or the call it is passed to.
+ */
+function functionName(node, parent, code) {
+  if (node.id) return node.id.name;
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : 'anonymous';
+    case 'AssignmentExpression':
+      return code.slice(parent.left.start, parent.left.end);
+    case 'Property':
+    case 'MethodDefinition':
+      return parent.key.type === 'Identifier' ? parent.key.name : String(parent.key.value);
+    case 'CallExpression':
+    case 'NewExpression': {
+      if (parent.callee === node) return 'anonymous';
+      const { callee } = parent;
+      const calleeName = callee.type === 'MemberExpression' ? callee.property.name : callee.name;
+      return calleeName ? `${calleeName} callback` : 'anonymous';
+    }
+    default:
+      return 'anonymous';
+  }
+}
+
+/**
+ * Counts the runs of like operators in a chain of logical expressions:
+ * `a && b && c` is one, `a && b || c` is two.
+ */
+function countOperatorSequences(node) {
+  const operators = [];
+  const flatten = (expression) => {
+    if (expression.type !== 'LogicalExpression') return;
+    flatten(expression.left);
+    operators.push(expression.operator);
+    flatten(expression.right);
+  };
+  flatten(node);
+  return operators.filter((operator, index) => operator !== operators[index - 1]).length;
+}
+
+/**
+ * Counts the lines of a function that hold code (not blank or comment-only).
+ */
+function countCodeLines(code, node) {
+  return code.slice(node.start, node.end).split('\n')
+    .filter(line => line.trim() !== '' && !/^\s*(\/\/|\/\*|\*)/.test(line))
+    .length;
+}
+
+// =============================================================================
+// MEASUREMENT
+// =============================================================================
+
+/**
+ * @typedef {Object} FunctionMetrics
+ * @property {string} name - Function name ('anonymous' when it has none)
+ * @property {number} start - Offset of the function start
+ * @property {number} bodyStart - Offset of the function body
+ * @property {number} startLine - 1-based line of the function start
+ * @property {number} startColumn - 1-based column of the function start
+ * @property {number} endLine - 1-based line where the body starts
+ * @property {number} endColumn - 1-based column where the body starts
+ * @property {number} cyclomatic - Cyclomatic complexity
+ * @property {number} cognitive - Cognitive complexity
+ * @property {number} maxNesting - Deepest nesting of control structures
+ * @property {number} params - Parameter count
+ * @property {number} lines - Lines of code
+ * @property {number} dbOperations - Database calls (query, get, insert, update, delete, getReference)
+ */
+
+/**
+ * Measures the functions of a parsed script.
+ *
+ * @param {Object} ast - Acorn AST (parsed with locations)
+ * @param {string} code - The source the AST was parsed from
+ * @returns {FunctionMetrics[]} Metrics in source order
+ */
+export function computeFunctionMetrics(ast, code) {
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const isRecord = (node) => {
+    const type = types.typeOf(node);
+    return RECORD_TYPES.includes(SIGNATURE_ALIASES[type] || type);
+  };
+
+  const isDatabaseCall = ({ callee }) => {
+    if (callee.type !== 'MemberExpression' || callee.computed) return false;
+    const method = callee.property.name;
+    return REFERENCE_METHODS.includes(method) || (DATABASE_METHODS.includes(method) && isRecord(callee.object));
+  };
+
+  const measure = (fn, name) => {
+    const metrics = { cyclomatic: 1, cognitive: 0, maxNesting: 0, dbOperations: 0 };
+
+    /** Visits a node whose structures sit `nesting` levels deep */
+    const visit = (node, nesting, parent) => {
+      if (FUNCTION_TYPES.includes(node.type)) return;
+      const nested = (child) => {
+        metrics.maxNesting = Math.max(metrics.maxNesting, nesting + 1);
+        visit(child, nesting + 1, node);
+      };
+      const same = child => child && visit(child, nesting, node);
+
+      if (node.type === 'IfStatement') {
+        // `else if` continues the chain: +1 without the nesting increment
+        const isElseIf = parent?.type === 'IfStatement' && parent.alternate === node;
+        metrics.cyclomatic++;
+        metrics.cognitive += isElseIf ? 1 : 1 + nesting;
+        same(node.test);
+        nested(node.consequent);
+        if (node.alternate?.type === 'IfStatement') {
+          same(node.alternate);
+        } else if (node.alternate) {
+          metrics.cognitive++;
+          nested(node.alternate);
+        }
+        return;
+      }
+
+      if (LOOP_TYPES.includes(node.type) || node.type === 'CatchClause') {
+        metrics.cyclomatic++;
+        metrics.cognitive += 1 + nesting;
+        forEachChild(node, child => (child === node.body ? nested(child) : same(child)));
+        return;
+      }
+
+      if (node.type === 'SwitchStatement') {
+        metrics.cognitive += 1 + nesting;
+        metrics.cyclomatic += node.cases.filter(switchCase => switchCase.test).length;
+        same(node.discriminant);
+        node.cases.forEach(switchCase => nested(switchCase));
+        return;
+      }
+
+      if (node.type === 'ConditionalExpression') {
+        metrics.cyclomatic++;
+        metrics.cognitive += 1 + nesting;
+        same(node.test);
+        nested(node.consequent);
+        nested(node.alternate);
+        return;
+      }
+
+      if (node.type === 'LogicalExpression') {
+        metrics.cyclomatic++;
+        if (parent?.type !== 'LogicalExpression') metrics.cognitive += countOperatorSequences(node);
+      } else if (node.type === 'AssignmentExpression' && LOGICAL_ASSIGNMENTS.includes(node.operator)) {
+        metrics.cyclomatic++;
+      } else if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+        metrics.cognitive++;
+      } else if (node.type === 'CallExpression') {
+        if (node.callee.type === 'Identifier' && node.callee.name === name) metrics.cognitive++;
+        if (isDatabaseCall(node)) metrics.dbOperations++;
+      }
+
+      forEachChild(node, same);
+    };
+
+    if (fn.body.type === 'BlockStatement') {
+      fn.body.body.forEach(statement => visit(statement, 0, fn.body));
+    } else {
+      visit(fn.body, 0, fn);
+    }
+    return metrics;
+  };
+
+  const results = [];
+  walkAst(ast, (node, parent) => {
+    if (!FUNCTION_TYPES.includes(node.type)) return;
+    const name = functionName(node, parent, code);
+    const from = locate(node.start);
+    const to = locate(node.body.start);
+    results.push({
+      name,
+      start: node.start,
+      bodyStart: node.body.start,
+      startLine: from.line,
+      startColumn: from.column,
+      endLine: to.line,
+      endColumn: to.column,
+      ...measure(node, name),
+      params: node.params.length,
+      lines: countCodeLines(code, node)
+    });
+  });
+  return results;
+}
+
+/**
+ * Parses and measures a script. Code that does not parse has no metrics.
+ *
+ * @param {string} code - JavaScript code
+ * @returns {FunctionMetrics[]}
+ */
+export function analyzeFunctionMetrics(code) {
+  const { ast } = parseCode(code);
+  return ast ? computeFunctionMetrics(ast, code) : [];
+}
+
+/**
+ * Rates a function against the complexity thresholds: high above either
+ * threshold (the point where a warning is raised), moderate above half of one.
+ *
+ * @param {FunctionMetrics} metrics
+ * @param {Object} [thresholds] - See ruleProfile.js
+ * @returns {string} One of COMPLEXITY_LEVELS
+ */
+export function getComplexityLevel({ cyclomatic, cognitive }, thresholds = DEFAULT_THRESHOLDS) {
+  const { maxCyclomaticComplexity, maxCognitiveComplexity } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  if (cyclomatic > maxCyclomaticComplexity || cognitive > maxCognitiveComplexity) return COMPLEXITY_LEVELS.HIGH;
+  if (cyclomatic > maxCyclomaticComplexity / 2 || cognitive > maxCognitiveComplexity / 2) return COMPLEXITY_LEVELS.MODERATE;
+  return COMPLEXITY_LEVELS.LOW;
+}
+
+/**
+ * Summarizes function metrics for reports: counts and maximums.
+ *
+ * @param {FunctionMetrics[]} functions
+ * @returns {{ functionCount: number, maxCyclomatic: number, maxCognitive: number }}
+ */
+export function summarizeFunctionMetrics(functions) {
+  return {
+    functionCount: functions.length,
+    maxCyclomatic: Math.max(0, ...functions.map(fn => fn.cyclomatic)),
+    maxCognitive: Math.max(0, ...functions.map(fn => fn.cognitive))
+  };
+}
+
+export default {
+  COMPLEXITY_LEVELS,
+  computeFunctionMetrics,
+  analyzeFunctionMetrics,
+  getComplexityLevel,
+  summarizeFunctionMetrics
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Structured Diagnostics
+ * @description Shared shape and helpers for warnings, errors and suggestions produced
+ * by the analyzers. Every diagnostic carries a rule id, a severity, a message and a
+ * 1-based line/column range so editors can place markers and jump to the location.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Diagnostic severity levels */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * A single analyzer finding.
+ * @typedef {Object} Diagnostic
+ * @property {string} ruleId - Stable rule identifier (e.g. 'update-in-loop')
+ * @property {'error'|'warning'|'info'} severity - Severity level
+ * @property {string} message - Human readable message
+ * @property {number} startLine - 1-based start line
+ * @property {number} startColumn - 1-based start column
+ * @property {number} endLine - 1-based end line
+ * @property {number} endColumn - 1-based end column (exclusive)
+ * @property {string|null} suggestion - Suggested replacement for the range, if any
+ */
+
+// =============================================================================
+// POSITION HELPERS
+// =============================================================================
+
+/**
+ * Creates a function that converts character offsets into 1-based line/column positions.
+ * Line starts are computed once so repeated lookups stay cheap on large scripts.
+ *
+ * @param {string} code - The source the offsets refer to
+ * @returns {function(number): { line: number, column: number }} Offset locator
+ */
+export function createLocator(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    const clamped = Math.max(0, Math.min(offset, code.length));
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= clamped) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: clamped - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Creates a diagnostic from character offsets.
+ *
+ * @param {function(number): { line: number, column: number }} locate - Locator from createLocator()
+ * @param {Object} options - Diagnostic fields
+ * @param {string} options.ruleId - Rule identifier
+ * @param {string} options.message - Message text
+ * @param {number} options.start - Start offset
+ * @param {number} [options.end] - End offset (defaults to start)
+ * @param {string} [options.severity] - Severity (defaults to warning)
+ * @param {string|null} [options.suggestion] - Suggested replacement
+ * @returns {Diagnostic}
+ */
+export function createDiagnostic(locate, { ruleId, message, start, end = start, severity = SEVERITY.WARNING, suggestion = null }) {
+  const from = locate(start);
+  const to = locate(Math.max(start, end));
+  return {
+    ruleId,
+    severity,
+    message,
+    startLine: from.line,
+    startColumn: from.column,
+    endLine: to.line,
+    endColumn: to.column,
+    suggestion
+  };
+}
+
+/**
+ * Creates a diagnostic from an explicit line/column (1-based) position.
+ * Used when a parser reports a location instead of an offset.
+ *
+ * @param {Object} options - Diagnostic fields
+ * @param {string} options.ruleId - Rule identifier
+ * @param {string} options.message - Message text
+ * @param {number} options.line - 1-based line
+ * @param {number} options.column - 1-based column
+ * @param {string} [options.severity] - Severity (defaults to error)
+ * @returns {Diagnostic}
+ */
+export function createPositionDiagnostic({ ruleId, message, line, column, severity = SEVERITY.ERROR }) {
+  return {
+    ruleId,
+    severity,
+    message,
+    startLine: line,
+    startColumn: column,
+    endLine: line,
+    endColumn: column + 1,
+    suggestion: null
+  };
+}
+
+/**
+ * Finds all matches of a global regex with their offsets.
+ *
+ * @param {string} code - Code to search
+ * @param {RegExp} pattern - Regex with the global flag
+ * @returns {Array<{ start: number, end: number, match: RegExpExecArray }>}
+ */
+export function findMatches(code, pattern) {
+  const results = [];
+  const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    results.push({ start: match.index, end: match.index + match[0].length, match });
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return results;
+}
+
+/**
+ * Finds the first match of a regex with its offsets.
+ *
+ * @param {string} code - Code to search
+ * @param {RegExp} pattern - Regex to run
+ * @returns {{ start: number, end: number, match: RegExpExecArray }|null}
+ */
+export function findFirstMatch(code, pattern) {
+  const regex = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  const match = regex.exec(code);
+  return match ? { start: match.index, end: match.index + match[0].length, match } : null;
+}
+
+// =============================================================================
+// PRESENTATION
+// =============================================================================
+
+/**
+ * Sorts diagnostics by position (line, then column).
+ *
+ * @param {Diagnostic[]} diagnostics - Diagnostics to sort
+ * @returns {Diagnostic[]} New sorted array
+ */
+export function sortDiagnostics(diagnostics) {
+  return [...diagnostics].sort((a, b) => a.startLine - b.startLine || a.startColumn - b.startColumn);
+}
+
+/**
+ * Formats a diagnostic as a single line of text (e.g. for toasts or plain-text output).
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic to format
+ * @returns {string} "Line 12, column 5: message"
+ */
+export function formatDiagnostic(diagnostic) {
+  return `Line ${diagnostic.startLine}, column ${diagnostic.startColumn}: ${diagnostic.message}`;
+}
+
+export default {
+  SEVERITY,
+  createLocator,
+  createDiagnostic,
+  createPositionDiagnostic,
+  findMatches,
+  findFirstMatch,
+  sortDiagnostics,
+  formatDiagnostic
+};
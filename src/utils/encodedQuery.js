@@ -0,0 +1,432 @@
+/**
+ * @fileoverview ServiceNow Encoded Queries
+ * @description Parses encoded queries (`active=true^priorityIN1,2^ORassigned_toISEMPTY`)
+ * into a condition tree, formats the tree back, and converts between encoded
+ * queries and the equivalent addQuery()/addOrCondition() calls.
+ *
+ * Grammar: conditions joined by `^` (AND) and `^OR` (OR with the previous
+ * condition), groups joined by `^NQ` (OR of whole groups), `ORDERBY`,
+ * `ORDERBYDESC` and `GROUPBY` segments, and an optional `^EQ` terminator.
+ * A condition is a (dot-walked) field, an operator and a value; `^^` is a
+ * literal caret inside a value.
+ */
+
+import { parseCode, walkAst } from './astParser.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Operators of encoded query conditions */
+export const OPERATORS = [
+  '=', '!=', '>', '>=', '<', '<=',
+  'IN', 'NOT IN', 'LIKE', 'NOT LIKE', 'STARTSWITH', 'ENDSWITH',
+  'ISEMPTY', 'ISNOTEMPTY', 'ANYTHING', 'EMPTYSTRING',
+  'BETWEEN', 'SAMEAS', 'NSAMEAS', 'GT_FIELD', 'LT_FIELD', 'GT_OR_EQUALS_FIELD', 'LT_OR_EQUALS_FIELD',
+  'ON', 'NOTON', 'DATEPART', 'MORETHAN', 'LESSTHAN',
+  'RELATIVEGT', 'RELATIVELT', 'RELATIVEGE', 'RELATIVELE', 'RELATIVEEE',
+  'DYNAMIC', 'INSTANCEOF', 'VALCHANGES', 'CHANGESFROM', 'CHANGESTO',
+];
+
+/** Operators that take no value */
+const UNARY_OPERATORS = ['ISEMPTY', 'ISNOTEMPTY', 'ANYTHING', 'EMPTYSTRING', 'VALCHANGES'];
+
+/** Longest first, so `>=` wins over `>` and `INSTANCEOF` over `IN` */
+const OPERATORS_BY_LENGTH = [...OPERATORS].sort((a, b) => b.length - a.length);
+
+/** Encoded operator → addQuery() operator */
+const ADD_QUERY_OPERATORS = {
+  '=': '=',
+  '!=': '!=',
+  '>': '>',
+  '>=': '>=',
+  '<': '<',
+  '<=': '<=',
+  'IN': 'IN',
+  'NOT IN': 'NOT IN',
+  'LIKE': 'CONTAINS',
+  'NOT LIKE': 'DOES NOT CONTAIN',
+  'STARTSWITH': 'STARTSWITH',
+  'ENDSWITH': 'ENDSWITH',
+  'INSTANCEOF': 'INSTANCEOF',
+};
+
+/** addQuery() operator → encoded operator */
+const ENCODED_OPERATORS = Object.fromEntries(
+  Object.entries(ADD_QUERY_OPERATORS).map(([encoded, addQuery]) => [addQuery, encoded])
+);
+
+/** Field name, dot-walked through references: caller_id.department.name */
+const FIELD_PATTERN = /^[a-z_][a-z0-9_]*(?:\.[a-z_][a-z0-9_]*)*/;
+
+/** What an unknown operator looks like: activeISTRUE */
+const UNKNOWN_OPERATOR_PATTERN = /^[A-Z][A-Z_]*/;
+
+/** A literal addEncodedQuery() argument */
+const ENCODED_QUERY_CALL = /\.addEncodedQuery\s*\(\s*(['"])((?:(?!\1)[^\\\n])*)\1/;
+
+/** Methods the addQuery() → encoded query conversion understands */
+const QUERY_METHODS = [
+  'addQuery', 'addOrCondition', 'addNullQuery', 'addNotNullQuery', 'addEncodedQuery',
+  'orderBy', 'orderByDesc', 'groupBy',
+];
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * A condition and the conditions OR-ed to it with `^OR`.
+ * @typedef {Object} QueryCondition
+ * @property {string} field - Field name, possibly dot-walked
+ * @property {string} operator - Encoded operator (see OPERATORS), or the unknown one as written
+ * @property {string} value - Condition value (empty for unary operators)
+ * @property {number} start - Offset of the condition in the query
+ * @property {number} end - End offset of the condition
+ * @property {QueryCondition[]} [or] - Conditions OR-ed to this one
+ */
+
+/**
+ * A problem found while parsing.
+ * @typedef {Object} QueryIssue
+ * @property {'syntax'|'operator'|'group'} kind - Malformed segment, unknown operator, or empty ^NQ group
+ * @property {string} message - Human-readable description
+ * @property {number} start - Offset in the query
+ * @property {number} end - End offset
+ */
+
+/**
+ * A parsed encoded query: groups of AND-ed conditions, OR-ed with each other.
+ * @typedef {Object} EncodedQuery
+ * @property {Array<{ conditions: QueryCondition[] }>} groups - `^NQ` groups
+ * @property {Array<{ field: string, descending: boolean }>} orderBy - Sort order
+ * @property {string[]} groupBy - GROUPBY fields
+ * @property {QueryIssue[]} issues - Problems, empty for a valid query
+ */
+
+/**
+ * Splits a query at its `^` separators, unescaping `^^`.
+ *
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+function splitSegments(query) {
+  const segments = [];
+  let text = '';
+  let start = 0;
+  for (let i = 0; i < query.length; i++) {
+    if (query[i] !== '^') {
+      text += query[i];
+    } else if (query[i + 1] === '^') {
+      text += '^';
+      i++;
+    } else {
+      segments.push({ text, start, end: i });
+      text = '';
+      start = i + 1;
+    }
+  }
+  segments.push({ text, start, end: query.length });
+  return segments;
+}
+
+/**
+ * Parses one condition: field, operator, value.
+ *
+ * @returns {{ condition: QueryCondition|null, issue: QueryIssue|null }}
+ */
+function parseCondition(text, start, end) {
+  const field = text.match(FIELD_PATTERN)?.[0];
+  if (!field) {
+    return { condition: null, issue: { kind: 'syntax', message: `"${text}" does not start with a field name`, start, end } };
+  }
+
+  const rest = text.slice(field.length);
+  const operator = OPERATORS_BY_LENGTH.find(op => rest.startsWith(op));
+  if (operator) {
+    const value = rest.slice(operator.length);
+    return { condition: { field, operator, value, start, end }, issue: null };
+  }
+
+  const unknown = rest.match(UNKNOWN_OPERATOR_PATTERN)?.[0];
+  if (unknown) {
+    const operatorStart = start + field.length;
+    return {
+      condition: { field, operator: unknown, value: rest.slice(unknown.length), start, end },
+      issue: { kind: 'operator', message: `Unknown operator ${unknown} on ${field}`, start: operatorStart, end: operatorStart + unknown.length }
+    };
+  }
+  const message = rest ? `Expected an operator after ${field}, found "${rest}"` : `${field} has no operator or value`;
+  return { condition: null, issue: { kind: 'syntax', message, start, end } };
+}
+
+/**
+ * Parses an encoded query into a condition tree.
+ *
+ * @param {string} query - Encoded query
+ * @returns {EncodedQuery}
+ */
+export function parseEncodedQuery(query) {
+  const groups = [{ conditions: [], start: 0 }];
+  const orderBy = [];
+  const groupBy = [];
+  const issues = [];
+  const issue = (kind, message, start, end) => issues.push({ kind, message, start, end });
+
+  splitSegments(query).forEach(({ text, start, end }, index) => {
+    const group = groups[groups.length - 1];
+    if (text === '' || text === 'EQ') return;
+
+    if (text.startsWith('ORDERBYDESC')) {
+      orderBy.push({ field: text.slice('ORDERBYDESC'.length), descending: true });
+      return;
+    }
+    if (text.startsWith('ORDERBY')) {
+      orderBy.push({ field: text.slice('ORDERBY'.length), descending: false });
+      return;
+    }
+    if (text.startsWith('GROUPBY')) {
+      groupBy.push(text.slice('GROUPBY'.length));
+      return;
+    }
+
+    // ^NQ starts a new group; its first condition follows in the same segment
+    let body = text;
+    let offset = start;
+    if (index > 0 && text.startsWith('NQ')) {
+      if (group.conditions.length === 0) issue('group', '^NQ without conditions before it', start - 1, start + 2);
+      groups.push({ conditions: [], start: start - 1 });
+      body = text.slice(2);
+      offset += 2;
+      if (!body) return;
+    }
+
+    const isOr = index > 0 && body.startsWith('OR');
+    const { condition, issue: problem } = parseCondition(isOr ? body.slice(2) : body, isOr ? offset + 2 : offset, end);
+    if (problem) issues.push(problem);
+    if (!condition) return;
+
+    const current = groups[groups.length - 1].conditions;
+    if (!isOr) {
+      current.push({ ...condition, or: [] });
+    } else if (current.length > 0) {
+      current[current.length - 1].or.push(condition);
+    } else {
+      issue('syntax', '^OR has no condition before it to combine with', offset - 1, offset + 2);
+      current.push({ ...condition, or: [] });
+    }
+  });
+
+  const last = groups[groups.length - 1];
+  if (groups.length > 1 && last.conditions.length === 0) {
+    issue('group', '^NQ without conditions after it', last.start, last.start + 3);
+  }
+
+  return {
+    groups: groups.filter(group => group.conditions.length > 0).map(({ conditions }) => ({ conditions })),
+    orderBy,
+    groupBy,
+    issues
+  };
+}
+
+/**
+ * Formats a condition tree as an encoded query.
+ *
+ * @param {EncodedQuery} query - Parsed (or built) query
+ * @returns {string} Encoded query
+ */
+export function formatEncodedQuery({ groups = [], orderBy = [], groupBy = [] }) {
+  const term = ({ field, operator, value }) => `${field}${operator}${String(value ?? '').replace(/\^/g, '^^')}`;
+  const conditions = groups.map(({ conditions: list }) =>
+    list.map(condition => [condition, ...(condition.or || [])].map(term).join('^OR')).join('^')
+  ).join('^NQ');
+  const sorting = [
+    ...groupBy.map(field => `GROUPBY${field}`),
+    ...orderBy.map(({ field, descending }) => `${descending ? 'ORDERBYDESC' : 'ORDERBY'}${field}`)
+  ];
+  return [conditions, ...sorting].filter(Boolean).join('^');
+}
+
+// =============================================================================
+// ENCODED QUERY → addQuery()
+// =============================================================================
+
+/**
+ * Quotes a value as a single-quoted string literal, escaping backslashes and quotes.
+ *
+ * @param {*} value - Value to quote
+ * @returns {string} JavaScript string literal
+ */
+export function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Builds the arguments of addQuery()/addOrCondition() for a condition.
+ *
+ * @throws {Error} If the operator has no addQuery() form
+ */
+function queryArguments({ field, operator, value }) {
+  const mapped = ADD_QUERY_OPERATORS[operator];
+  if (!mapped) throw new Error(`${operator} has no addQuery() equivalent - keep addEncodedQuery()`);
+  return mapped === '=' ? `${quote(field)}, ${quote(value)}` : `${quote(field)}, ${quote(mapped)}, ${quote(value)}`;
+}
+
+/**
+ * Converts a query to the equivalent GlideRecord calls.
+ *
+ * @param {EncodedQuery} query - Parsed query without issues
+ * @param {Object} [options]
+ * @param {string} [options.variable] - GlideRecord variable name
+ * @returns {string} One statement per line
+ * @throws {Error} If the query has issues, ^NQ groups, or operators addQuery() does not support
+ */
+export function toQueryCalls(query, { variable = 'gr' } = {}) {
+  if (query.issues?.length > 0) throw new Error(query.issues[0].message);
+  if (query.groups.length > 1) throw new Error('^NQ queries have no addQuery() equivalent - keep addEncodedQuery()');
+
+  const lines = [];
+  let conditionVariables = 0;
+  (query.groups[0]?.conditions || []).forEach((condition) => {
+    const call = condition.operator === 'ISEMPTY' ? `${variable}.addNullQuery(${quote(condition.field)})`
+      : condition.operator === 'ISNOTEMPTY' ? `${variable}.addNotNullQuery(${quote(condition.field)})`
+      : `${variable}.addQuery(${queryArguments(condition)})`;
+    if (condition.or.length === 0) {
+      lines.push(`${call};`);
+      return;
+    }
+
+    conditionVariables++;
+    const qc = conditionVariables === 1 ? 'qc' : `qc${conditionVariables}`;
+    lines.push(`var ${qc} = ${call};`);
+    condition.or.forEach((term) => {
+      if (UNARY_OPERATORS.includes(term.operator)) {
+        throw new Error(`${term.field}${term.operator} cannot be OR-ed with addOrCondition() - keep addEncodedQuery()`);
+      }
+      lines.push(`${qc}.addOrCondition(${queryArguments(term)});`);
+    });
+  });
+  query.groupBy.forEach(field => lines.push(`${variable}.groupBy(${quote(field)});`));
+  query.orderBy.forEach(({ field, descending }) => {
+    lines.push(`${variable}.${descending ? 'orderByDesc' : 'orderBy'}(${quote(field)});`);
+  });
+  return lines.join('\n');
+}
+
+// =============================================================================
+// addQuery() → ENCODED QUERY
+// =============================================================================
+
+/**
+ * Gets the value of a literal argument as it is written in an encoded query.
+ *
+ * @throws {Error} If the argument is not a literal
+ */
+function literalValue(node, code) {
+  if (node?.type === 'Literal' && node.value !== null && typeof node.value !== 'object') return String(node.value);
+  throw new Error(`Cannot convert ${node ? code.slice(node.start, node.end) : 'a missing argument'} - only literal arguments have an encoded form`);
+}
+
+/**
+ * Converts GlideRecord query calls (addQuery, addOrCondition, addNullQuery,
+ * addNotNullQuery, addEncodedQuery, orderBy, orderByDesc, groupBy) to a query.
+ *
+ * @param {string} code - Script with the calls, e.g. a pasted query block
+ * @returns {EncodedQuery}
+ * @throws {Error} If the code does not parse or a call cannot be converted
+ */
+export function fromQueryCalls(code) {
+  const { ast, error } = parseCode(code);
+  if (!ast) throw new Error(error);
+
+  // Calls in evaluation order: a chained call ends after the call it is made on
+  const calls = [];
+  walkAst(ast, (node, parent) => {
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+        QUERY_METHODS.includes(node.callee.property.name)) {
+      calls.push({ node, parent });
+    }
+  });
+  calls.sort((a, b) => a.node.end - b.node.end);
+
+  const query = { groups: [{ conditions: [] }], orderBy: [], groupBy: [], issues: [] };
+  const conditions = query.groups[0].conditions;
+  const byNode = new Map();     // addQuery() call → its condition
+  const byVariable = new Map(); // var qc = gr.addQuery() → its condition
+
+  calls.forEach(({ node, parent }) => {
+    const method = node.callee.property.name;
+    const args = node.arguments;
+    const term = (field, operator, value = '') => ({ field, operator, value, start: 0, end: 0 });
+
+    if (method === 'orderBy' || method === 'orderByDesc') {
+      query.orderBy.push({ field: literalValue(args[0], code), descending: method === 'orderByDesc' });
+      return;
+    }
+    if (method === 'groupBy') {
+      query.groupBy.push(literalValue(args[0], code));
+      return;
+    }
+
+    let condition = null;
+    if (method === 'addEncodedQuery' || (method === 'addQuery' && args.length === 1)) {
+      const encoded = parseEncodedQuery(literalValue(args[0], code));
+      if (encoded.issues.length > 0) throw new Error(encoded.issues[0].message);
+      if (encoded.groups.length > 1 && (conditions.length > 0 || calls.length > 1)) {
+        throw new Error('^NQ queries can only be converted on their own');
+      }
+      conditions.push(...(encoded.groups[0]?.conditions || []));
+      query.orderBy.push(...encoded.orderBy);
+      query.groupBy.push(...encoded.groupBy);
+      query.groups.push(...encoded.groups.slice(1));
+      return;
+    }
+
+    const field = literalValue(args[0], code);
+    if (method === 'addNullQuery') condition = term(field, 'ISEMPTY');
+    if (method === 'addNotNullQuery') condition = term(field, 'ISNOTEMPTY');
+    if (method === 'addQuery' || method === 'addOrCondition') {
+      const operator = args.length > 2 ? ENCODED_OPERATORS[literalValue(args[1], code).toUpperCase()] : '=';
+      if (!operator) throw new Error(`Operator ${literalValue(args[1], code)} has no encoded form`);
+      condition = term(field, operator, literalValue(args[args.length - 1], code));
+    }
+
+    if (method === 'addOrCondition') {
+      const { object } = node.callee;
+      const target = object.type === 'Identifier' ? byVariable.get(object.name) : byNode.get(object);
+      if (!target) throw new Error(`${code.slice(node.start, node.end)} is not called on an addQuery() result`);
+      target.or.push(condition);
+      byNode.set(node, target);
+      return;
+    }
+
+    const entry = { ...condition, or: [] };
+    conditions.push(entry);
+    byNode.set(node, entry);
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') byVariable.set(parent.id.name, entry);
+    if (parent?.type === 'AssignmentExpression' && parent.left.type === 'Identifier') byVariable.set(parent.left.name, entry);
+  });
+
+  query.groups = query.groups.filter(group => group.conditions.length > 0);
+  return query;
+}
+
+/**
+ * Finds the first literal addEncodedQuery() argument of a script.
+ *
+ * @param {string} code - Script source
+ * @returns {string} Encoded query, or '' when there is none
+ */
+export function findEncodedQuery(code) {
+  return code.match(ENCODED_QUERY_CALL)?.[2] || '';
+}
+
+export default {
+  OPERATORS,
+  findEncodedQuery,
+  parseEncodedQuery,
+  formatEncodedQuery,
+  toQueryCalls,
+  fromQueryCalls,
+  quote
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview JUnit XML Exporter
+ * @description Converts diagnostics into a JUnit XML report so findings show up
+ * in test dashboards. Each file is a test suite and each finding a test case:
+ *
+ *   error / warning → failing test case (<failure type="error|warning">)
+ *   info            → passing test case, details in <system-out>
+ *   applied fix     → passing test case in the "fixes" class
+ *
+ * A file without findings gets one passing test case so it still appears.
+ */
+
+import { SEVERITY } from '../diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TOOL_NAME = 'GlideAware';
+
+/** Prefix of test case class names: glideaware.<ruleId> */
+const CLASS_PREFIX = 'glideaware';
+
+/** Severities reported as failures */
+const FAILING_SEVERITIES = [SEVERITY.ERROR, SEVERITY.WARNING];
+
+// =============================================================================
+// XML HELPERS
+// =============================================================================
+
+/**
+ * Escapes text for XML content and attribute values.
+ * Characters XML 1.0 cannot represent are dropped.
+ */
+function escapeXml(value) {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Renders an attribute list: { name: 'a', tests: 2 } → ' name="a" tests="2"'.
+ */
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// =============================================================================
+// TEST CASES
+// =============================================================================
+
+/**
+ * Builds the test case for a diagnostic.
+ */
+function diagnosticTestCase(uri, diagnostic) {
+  const location = `${uri}:${diagnostic.startLine}:${diagnostic.startColumn}`;
+  const details = `${location}\n${diagnostic.message}` +
+    (diagnostic.suggestion ? `\nSuggestion: ${diagnostic.suggestion}` : '');
+  const testCase = {
+    classname: `${CLASS_PREFIX}.${diagnostic.ruleId}`,
+    name: `${diagnostic.ruleId} at ${location}`,
+    time: 0
+  };
+
+  if (FAILING_SEVERITIES.includes(diagnostic.severity)) {
+    return {
+      failed: true,
+      xml: `    <testcase${attributes(testCase)}>\n` +
+        `      <failure${attributes({ message: diagnostic.message, type: diagnostic.severity })}>${escapeXml(details)}</failure>\n` +
+        '    </testcase>'
+    };
+  }
+  return {
+    failed: false,
+    xml: `    <testcase${attributes(testCase)}>\n` +
+      `      <system-out>${escapeXml(details)}</system-out>\n` +
+      '    </testcase>'
+  };
+}
+
+/**
+ * Builds the test suite for one file.
+ */
+function fileTestSuite({ uri, diagnostics, fixes = [], metrics = null }, timestamp) {
+  const testCases = diagnostics.map(diagnostic => diagnosticTestCase(uri, diagnostic));
+  fixes.forEach((fix) => {
+    testCases.push({
+      failed: false,
+      xml: `    <testcase${attributes({ classname: `${CLASS_PREFIX}.fixes`, name: fix, time: 0 })} />`
+    });
+  });
+  if (testCases.length === 0) {
+    testCases.push({
+      failed: false,
+      xml: `    <testcase${attributes({ classname: CLASS_PREFIX, name: `${uri} has no findings`, time: 0 })} />`
+    });
+  }
+
+  const failures = testCases.filter(testCase => testCase.failed).length;
+  const properties = metrics
+    ? [
+      '    <properties>',
+      ...Object.entries(metrics)
+        .filter(([, value]) => typeof value !== 'object')
+        .map(([name, value]) => `      <property${attributes({ name, value })} />`),
+      '    </properties>'
+    ]
+    : [];
+
+  return {
+    tests: testCases.length,
+    failures,
+    xml: [
+      `  <testsuite${attributes({ name: uri, tests: testCases.length, failures, errors: 0, skipped: 0, time: 0, timestamp })}>`,
+      ...properties,
+      ...testCases.map(testCase => testCase.xml),
+      '  </testsuite>'
+    ].join('\n')
+  };
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Creates a JUnit XML report from the findings of one or more files.
+ *
+ * @param {import('./reportFiles.js').ReportFile[]} files - Files with their findings
+ * @param {Object} [options]
+ * @param {Date} [options.timestamp] - Report time (defaults to now)
+ * @returns {string} JUnit XML document
+ */
+export function createJunitReport(files, { timestamp = new Date() } = {}) {
+  const time = timestamp.toISOString().slice(0, 19);
+  const suites = files.map(file => fileTestSuite(file, time));
+  const tests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+  const failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attributes({ name: TOOL_NAME, tests, failures, errors: 0, time: 0 })}>`,
+    ...suites.map(suite => suite.xml),
+    '</testsuites>'
+  ].join('\n');
+}
+
+export default {
+  createJunitReport
+};
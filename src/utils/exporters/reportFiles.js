@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Report Files
+ * @description The per-file input shared by the report exporters, and the
+ * conversion from a polishCode()/polishJson() result into it.
+ */
+
+import { sortDiagnostics } from '../diagnostics.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * One file of a report.
+ * @typedef {Object} ReportFile
+ * @property {string} uri - File path or URI the diagnostic positions refer to
+ * @property {import('../diagnostics.js').Diagnostic[]} diagnostics - Errors, warnings and suggestions
+ * @property {string[]} [fixes] - Descriptions of the fixes that were applied
+ * @property {Object|null} [metrics] - Polish metrics (line and character counts, per-function complexity)
+ */
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Converts a Polish result into a report file. Diagnostics of a successful
+ * polish refer to the polished output, so `uri` should name that file.
+ *
+ * @param {string} uri - File the positions refer to
+ * @param {Object} result - Result of polishCode() or polishJson()
+ * @returns {ReportFile}
+ */
+export function createReportFile(uri, result) {
+  return {
+    uri,
+    diagnostics: sortDiagnostics([...(result.errors || []), ...(result.warnings || [])]),
+    fixes: result.success ? result.fixes : [],
+    metrics: result.metrics || null
+  };
+}
+
+export default {
+  createReportFile
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview SARIF Exporter
+ * @description Converts diagnostics into a SARIF 2.1.0 log, the format code
+ * scanning tools (GitHub code scanning, Azure DevOps, IDE viewers) ingest.
+ * Used by the CLI's --format sarif and the Develop mode Download menu.
+ */
+
+import { SEVERITY } from '../diagnostics.js';
+import { RULES } from '../ruleProfile.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'GlideAware';
+
+/** Diagnostic severity → SARIF result level */
+const SARIF_LEVELS = {
+  [SEVERITY.ERROR]: 'error',
+  [SEVERITY.WARNING]: 'warning',
+  [SEVERITY.INFO]: 'note'
+};
+
+/** Rules that are reported but not configurable, so they are missing from RULES */
+const BUILTIN_RULES = [
+  { id: 'syntax-error', label: 'Syntax errors', severity: SEVERITY.ERROR },
+  { id: 'json-syntax', label: 'Invalid JSON', severity: SEVERITY.ERROR }
+];
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Builds the SARIF rule descriptor for a rule id.
+ */
+function createRuleDescriptor(ruleId) {
+  const rule = [...RULES, ...BUILTIN_RULES].find(r => r.id === ruleId);
+  return {
+    id: ruleId,
+    name: ruleId,
+    shortDescription: { text: rule?.label || ruleId },
+    defaultConfiguration: { level: SARIF_LEVELS[rule?.severity] || 'warning' }
+  };
+}
+
+/**
+ * Builds the SARIF fix that replaces a diagnostic's range with its suggestion.
+ */
+function createSuggestionFix(uri, diagnostic) {
+  return {
+    description: { text: `Replace with "${diagnostic.suggestion}"` },
+    artifactChanges: [{
+      artifactLocation: { uri },
+      replacements: [{
+        deletedRegion: {
+          startLine: diagnostic.startLine,
+          startColumn: diagnostic.startColumn,
+          endLine: diagnostic.endLine,
+          endColumn: diagnostic.endColumn
+        },
+        insertedContent: { text: diagnostic.suggestion }
+      }]
+    }]
+  };
+}
+
+/**
+ * Builds the SARIF artifact for a file; applied fixes and metrics go in its property bag.
+ */
+function createArtifact({ uri, fixes, metrics }) {
+  const properties = {
+    ...(fixes?.length ? { appliedFixes: fixes } : {}),
+    ...(metrics ? { metrics } : {})
+  };
+  return {
+    location: { uri },
+    ...(Object.keys(properties).length > 0 ? { properties } : {})
+  };
+}
+
+/**
+ * Creates a SARIF 2.1.0 log from the diagnostics of one or more files.
+ * Only the rules that produced results are listed in the tool driver.
+ * Diagnostics with a suggested replacement (fuzzy typo matches) carry it as a SARIF fix.
+ *
+ * @param {import('./reportFiles.js').ReportFile[]} files - Files relative to the scan root, with their findings
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - GlideAware version
+ * @returns {Object} SARIF log (serialize with JSON.stringify)
+ */
+export function createSarifLog(files, { toolVersion } = {}) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  files.forEach(({ uri, diagnostics }) => {
+    diagnostics.forEach((diagnostic) => {
+      if (!ruleIndex.has(diagnostic.ruleId)) {
+        ruleIndex.set(diagnostic.ruleId, rules.length);
+        rules.push(createRuleDescriptor(diagnostic.ruleId));
+      }
+
+      results.push({
+        ruleId: diagnostic.ruleId,
+        ruleIndex: ruleIndex.get(diagnostic.ruleId),
+        level: SARIF_LEVELS[diagnostic.severity] || 'warning',
+        message: { text: diagnostic.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri },
+            region: {
+              startLine: diagnostic.startLine,
+              startColumn: diagnostic.startColumn,
+              endLine: diagnostic.endLine,
+              endColumn: diagnostic.endColumn
+            }
+          }
+        }],
+        ...(diagnostic.suggestion ? { fixes: [createSuggestionFix(uri, diagnostic)] } : {})
+      });
+    });
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          ...(toolVersion ? { version: toolVersion } : {}),
+          rules
+        }
+      },
+      artifacts: files.map(createArtifact),
+      results
+    }]
+  };
+}
+
+export default {
+  createSarifLog
+};
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview AST Rewrite Engine
+ * @description Source-range rewriting on top of the Acorn AST. Fixes describe
+ * their changes as edits against real syntax nodes (calls, member accesses,
+ * binary expressions), so string literals, comments and encoded-query strings
+ * are never rewritten by accident.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+
+// =============================================================================
+// EDITS
+// =============================================================================
+
+/**
+ * A source-range replacement produced by a fix.
+ * @typedef {Object} Edit
+ * @property {number} start - Start offset in the source (inclusive)
+ * @property {number} end - End offset in the source (exclusive)
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * Applies edits to code. Edits are applied in source order; an edit that
+ * overlaps one already accepted is skipped so rewrites never corrupt each other.
+ *
+ * @param {string} code - Original code
+ * @param {Edit[]} edits - Edits to apply
+ * @returns {{ code: string, applied: Edit[] }} Rewritten code and the edits that were applied
+ */
+export function applyEdits(code, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  const applied = [];
+  let result = '';
+  let cursor = 0;
+
+  for (const edit of sorted) {
+    if (edit.start < cursor) continue;
+    result += code.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+    applied.push(edit);
+  }
+
+  result += code.slice(cursor);
+  return { code: result, applied };
+}
+
+/**
+ * Parses code, lets a collector produce edits from the AST, and applies them.
+ * Code that does not parse is returned unchanged (Prettier reports the syntax error later).
+ *
+ * @param {string} code - The code to rewrite
+ * @param {Function} collect - Called as collect(ast, code), returns an array of edits
+ * @param {Function} [apply] - Called as apply(code, edits); defaults to applyEdits
+ * @returns {{ code: string, applied: Edit[] }}
+ */
+export function rewriteCode(code, collect, apply = applyEdits) {
+  const { ast } = parseCode(code);
+  if (!ast) {
+    return { code, applied: [] };
+  }
+  return apply(code, collect(ast, code));
+}
+
+// =============================================================================
+// FIX TRACKING
+// =============================================================================
+
+/**
+ * One applied (or rejected) fix occurrence, located in the original input.
+ * @typedef {Object} FixOccurrence
+ * @property {string} id - Stable id: `${fixId}@${offset in the original input}`
+ * @property {string} fixId - Rule profile fix id
+ * @property {number} line - 1-based line in the original input
+ * @property {number} column - 1-based column in the original input
+ * @property {string} before - Source line before the edit
+ * @property {string} after - Source line after the edit
+ * @property {boolean} accepted - False when the occurrence was rejected
+ * @property {string|null} confidence - Fuzzy match confidence, if any
+ */
+
+/**
+ * Maps an offset in the output of a pass back to its input.
+ *
+ * @param {number} offset - Offset in the rewritten code
+ * @param {Edit[]} applied - Edits applied by the pass (source order)
+ * @returns {number} Offset in the code before the pass
+ */
+function mapOffsetBack(offset, applied) {
+  let shift = 0;
+  for (const edit of applied) {
+    const newStart = edit.start + shift;
+    if (offset < newStart) break;
+    if (offset < newStart + edit.text.length) return edit.start;
+    shift += edit.text.length - (edit.end - edit.start);
+  }
+  return offset - shift;
+}
+
+/**
+ * Returns the full line(s) around a range.
+ *
+ * @param {string} code - Source code
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {{ lineStart: number, lineEnd: number }}
+ */
+function surroundingLines(code, start, end) {
+  const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = code.indexOf('\n', Math.max(end, start));
+  return { lineStart, lineEnd: nextBreak === -1 ? code.length : nextBreak };
+}
+
+/**
+ * Creates a tracker that applies fix passes while recording each occurrence
+ * against the original input. Occurrences listed in `rejected` are left
+ * unchanged, so re-running the fixes with the same set regenerates output
+ * from the accepted edits only. Later passes may not re-fix a rejected
+ * position either (e.g. fuzzy matching re-correcting a rejected typo).
+ *
+ * @param {string} originalCode - Code as the user provided it
+ * @param {Set<string>} [rejected] - Occurrence ids to skip
+ * @returns {{ apply: Function, occurrences: FixOccurrence[] }}
+ */
+export function createFixTracker(originalCode, rejected = new Set()) {
+  const passes = [];
+  const occurrences = [];
+  const rejectedOffsets = new Map();
+  const lineStarts = [0];
+  for (let i = 0; i < originalCode.length; i++) {
+    if (originalCode[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const toOriginal = (offset) =>
+    passes.reduceRight((mapped, applied) => mapOffsetBack(mapped, applied), offset);
+
+  const record = (fixId, code, edit, accepted) => {
+    const originalOffset = toOriginal(edit.start);
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= originalOffset) line++;
+    const { lineStart, lineEnd } = surroundingLines(code, edit.start, edit.end);
+
+    occurrences.push({
+      id: `${fixId}@${originalOffset}`,
+      fixId,
+      line: line + 1,
+      column: originalOffset - lineStarts[line] + 1,
+      before: code.slice(lineStart, lineEnd),
+      after: code.slice(lineStart, edit.start) + edit.text + code.slice(edit.end, lineEnd),
+      accepted,
+      confidence: edit.confidence || null,
+    });
+  };
+
+  return {
+    occurrences,
+
+    /**
+     * Applies one pass of edits for a fix, skipping rejected occurrences.
+     * @param {string} fixId - Rule profile fix id
+     * @param {string} code - Code the edits refer to
+     * @param {Edit[]} edits - Edits produced by the fix
+     * @returns {{ code: string, applied: Edit[] }}
+     */
+    apply(fixId, code, edits) {
+      const accepted = [];
+      edits.forEach((edit) => {
+        const originalOffset = toOriginal(edit.start);
+        if (rejected.has(`${fixId}@${originalOffset}`)) {
+          rejectedOffsets.set(originalOffset, fixId);
+          record(fixId, code, edit, false);
+        } else if (rejectedOffsets.has(originalOffset) && rejectedOffsets.get(originalOffset) !== fixId) {
+          // An earlier fix at this position was rejected; keep the original text
+        } else {
+          accepted.push(edit);
+        }
+      });
+
+      const result = applyEdits(code, accepted);
+      result.applied.forEach(edit => record(fixId, code, edit, true));
+      if (result.applied.length > 0) passes.push(result.applied);
+      return result;
+    },
+  };
+}
+
+// =============================================================================
+// NODE HELPERS
+// =============================================================================
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Gets the property name of a non-computed member expression (`obj.name`).
+ *
+ * @param {Object} node - AST node
+ * @returns {string|null} Property name or null
+ */
+export function getPropertyName(node) {
+  if (node?.type !== 'MemberExpression' || node.computed) return null;
+  return node.property.type === 'Identifier' ? node.property.name : null;
+}
+
+/**
+ * Checks whether a call expression is `receiver.method(...)`.
+ * A null receiver matches any object.
+ *
+ * @param {Object} node - AST node
+ * @param {string|null} receiver - Receiver identifier name
+ * @param {string} method - Method name
+ * @returns {boolean}
+ */
+export function isMethodCall(node, receiver, method) {
+  if (node?.type !== 'CallExpression') return false;
+  if (getPropertyName(node.callee) !== method) return false;
+  if (receiver === null) return true;
+  return node.callee.object.type === 'Identifier' && node.callee.object.name === receiver;
+}
+
+/**
+ * Checks whether a node is a string literal.
+ *
+ * @param {Object} node - AST node
+ * @returns {boolean}
+ */
+export function isStringLiteral(node) {
+  return node?.type === 'Literal' && typeof node.value === 'string';
+}
+
+/**
+ * Checks whether an identifier is a reference to a binding rather than a
+ * property name, object key, label, or the name being declared.
+ *
+ * @param {Object} node - Identifier node
+ * @param {Object|null} parent - Parent node
+ * @returns {boolean}
+ */
+export function isIdentifierReference(node, parent) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parent.object === node || parent.computed;
+    case 'Property':
+      return parent.value === node || parent.computed;
+    case 'VariableDeclarator':
+      return parent.init === node;
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return parent.body === node;
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return parent.superClass === node;
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parent.computed && parent.key === node;
+    case 'CatchClause':
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Collects every name the code declares itself (variables, functions,
+ * parameters, classes). Fixes must not rename user-defined bindings.
+ *
+ * @param {Object} ast - Program AST
+ * @returns {Set<string>} Declared names
+ */
+export function collectDeclaredNames(ast) {
+  const names = new Set();
+
+  const addPattern = (pattern) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        names.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(prop => addPattern(prop.type === 'RestElement' ? prop.argument : prop.value));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(addPattern);
+        break;
+      case 'RestElement':
+        addPattern(pattern.argument);
+        break;
+      case 'AssignmentPattern':
+        addPattern(pattern.left);
+        break;
+    }
+  };
+
+  walkAst(ast, (node) => {
+    switch (node.type) {
+      case 'VariableDeclarator':
+        addPattern(node.id);
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        if (node.id) names.add(node.id.name);
+        node.params.forEach(addPattern);
+        break;
+      case 'ClassDeclaration':
+        if (node.id) names.add(node.id.name);
+        break;
+      case 'CatchClause':
+        addPattern(node.param);
+        break;
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Collects the functions that can be called by name: declarations,
+ * `var helper = function () {}` and the methods of object literals, which
+ * `this.helper()` calls.
+ *
+ * @param {Object} ast - Program AST
+ * @returns {{ functions: Map<string, Object>, methods: Map<string, Object> }}
+ */
+export function collectLocalFunctions(ast) {
+  const functions = new Map();
+  const methods = new Map();
+  walkAst(ast, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && FUNCTION_TYPES.includes(node.init?.type)) {
+      functions.set(node.id.name, node.init);
+    } else if (node.type === 'Property' && !node.computed && FUNCTION_TYPES.includes(node.value.type)) {
+      methods.set(node.key.name ?? String(node.key.value), node.value);
+    }
+  });
+  return { functions, methods };
+}
+
+export default {
+  applyEdits,
+  rewriteCode,
+  createFixTracker,
+  getPropertyName,
+  isMethodCall,
+  isStringLiteral,
+  isIdentifierReference,
+  collectDeclaredNames,
+  collectLocalFunctions,
+};
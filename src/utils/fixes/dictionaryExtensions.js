@@ -0,0 +1,250 @@
+/**
+ * @fileoverview User Dictionary Extensions
+ * @description Registers in-house classes (custom Script Includes and global
+ * objects) with the ServiceNow API dictionary, so the fuzzy matcher stops
+ * "correcting" calls to them and offers them in completion and visualization.
+ *
+ * Extensions are plain JSON kept in the rule profile (`profile.dictionary`):
+ *
+ *   { "classes": { "MyUtils": ["getManager", "isVip"] } }
+ *
+ * They can be entered by hand, imported from a JSON file, or extracted from
+ * Script Include source (Class.create() prototypes and object literals).
+ * applyDictionaryExtensions() merges them into CLASS_NAMES, ALL_METHODS,
+ * CONTEXT_METHOD_MAP and CUSTOM_CLASS_NAMES in place; each module instance
+ * (main thread, lint worker, pipeline worker, CLI) applies the profile it was given.
+ */
+
+import {
+  CLASS_NAMES,
+  CUSTOM_CLASS_NAMES,
+  ALL_METHODS,
+  CONTEXT_METHOD_MAP,
+} from './servicenowDictionary.js';
+import { parseCode, walkAst } from '../astParser.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Valid JavaScript identifier (class and method names) */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/** Prototype members that are not callable API methods */
+const NON_METHOD_MEMBERS = ['initialize', 'type'];
+
+/** Built-in classes and contexts, captured before any extension is applied */
+const BUILT_IN_CLASSES = new Set(CLASS_NAMES);
+const BUILT_IN_CONTEXTS = new Set(Object.keys(CONTEXT_METHOD_MAP));
+const BUILT_IN_METHODS = new Set(ALL_METHODS);
+
+/** An empty extension set */
+export const EMPTY_EXTENSIONS = { classes: {} };
+
+// =============================================================================
+// NORMALIZATION & PARSING
+// =============================================================================
+
+/**
+ * Drops invalid names and duplicate methods so the rest of the app can read any
+ * extension object without guarding. Built-in classes cannot be redefined.
+ *
+ * @param {Object} [extensions] - Partial extensions
+ * @returns {{ classes: Object<string, string[]> }} Normalized extensions
+ */
+export function normalizeDictionaryExtensions(extensions = {}) {
+  const classes = {};
+  const source = extensions?.classes && typeof extensions.classes === 'object' ? extensions.classes : {};
+
+  Object.entries(source).forEach(([name, methods]) => {
+    if (!IDENTIFIER_PATTERN.test(name) || BUILT_IN_CONTEXTS.has(name)) return;
+    const list = Array.isArray(methods) ? methods : [];
+    classes[name] = [...new Set(list.filter(method => typeof method === 'string' && IDENTIFIER_PATTERN.test(method)))].sort();
+  });
+
+  return { classes };
+}
+
+/**
+ * Parses an imported extensions file. Accepts an extensions object or a whole
+ * rule profile that carries one.
+ *
+ * @param {string} text - JSON file contents
+ * @returns {{ classes: Object<string, string[]> }} Normalized extensions
+ * @throws {Error} If the file holds no extensions
+ */
+export function parseDictionaryExtensions(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Dictionary file is not valid JSON: ${e.message}`);
+  }
+  const extensions = data?.dictionary || data;
+  if (!extensions || typeof extensions !== 'object' || typeof extensions.classes !== 'object') {
+    throw new Error('Dictionary file must contain a "classes" object');
+  }
+  return normalizeDictionaryExtensions(extensions);
+}
+
+/**
+ * Merges two extension sets; methods of classes present in both are combined.
+ *
+ * @param {Object} base - Existing extensions
+ * @param {Object} added - Extensions to add
+ * @returns {{ classes: Object<string, string[]> }} Normalized union
+ */
+export function mergeDictionaryExtensions(base, added) {
+  const classes = { ...normalizeDictionaryExtensions(base).classes };
+  Object.entries(normalizeDictionaryExtensions(added).classes).forEach(([name, methods]) => {
+    classes[name] = [...(classes[name] || []), ...methods];
+  });
+  return normalizeDictionaryExtensions({ classes });
+}
+
+// =============================================================================
+// SCRIPT INCLUDE EXTRACTION
+// =============================================================================
+
+/**
+ * Gets the method names of an object literal (function-valued properties).
+ */
+function objectMethods(object) {
+  return object.properties
+    .filter(property => property.type === 'Property' && property.value &&
+      ['FunctionExpression', 'ArrowFunctionExpression'].includes(property.value.type))
+    .map(property => property.key.name ?? property.key.value)
+    .filter(name => typeof name === 'string' && !NON_METHOD_MEMBERS.includes(name));
+}
+
+/**
+ * Gets the prototype object literal of `X.prototype = {...}` or
+ * `X.prototype = Object.extendsObject(Base, {...})`.
+ */
+function prototypeObject(value) {
+  if (value.type === 'ObjectExpression') return value;
+  if (value.type === 'CallExpression' && value.arguments[1]?.type === 'ObjectExpression' &&
+    value.callee.type === 'MemberExpression' && value.callee.property.name === 'extendsObject') {
+    return value.arguments[1];
+  }
+  return null;
+}
+
+/**
+ * Extracts the classes and methods defined by Script Include source:
+ *
+ * - `var X = Class.create(); X.prototype = { method: function () {} }`
+ * - `X.prototype = Object.extendsObject(AbstractAjaxProcessor, { ... })`
+ * - `X.prototype.method = function () {}`
+ * - `var X = { method: function () {} }` (classless Script Include)
+ *
+ * @param {string} code - Script Include source
+ * @returns {{ classes: Object<string, string[]> }} Extracted extensions
+ * @throws {Error} If the source does not parse or defines no Script Include
+ */
+export function extractScriptIncludeApi(code) {
+  const { ast, error } = parseCode(code);
+  if (error) {
+    throw new Error(`Script Include has a syntax error: ${error}`);
+  }
+
+  const classes = {};
+  const addMethods = (name, methods) => {
+    classes[name] = [...(classes[name] || []), ...methods];
+  };
+
+  walkAst(ast, (node) => {
+    // var X = Class.create() / var X = { ... } at any level
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      const { init } = node;
+      if (init.type === 'CallExpression' && init.callee.type === 'MemberExpression' &&
+        init.callee.object.name === 'Class' && init.callee.property.name === 'create') {
+        addMethods(node.id.name, []);
+      } else if (init.type === 'ObjectExpression' && objectMethods(init).length > 0 && /^[A-Z]/.test(node.id.name)) {
+        addMethods(node.id.name, objectMethods(init));
+      }
+      return;
+    }
+
+    if (node.type !== 'AssignmentExpression' || node.left.type !== 'MemberExpression') return;
+    const { left } = node;
+
+    // X.prototype = { ... }
+    if (left.object.type === 'Identifier' && left.property.name === 'prototype') {
+      const object = prototypeObject(node.right);
+      if (object) addMethods(left.object.name, objectMethods(object));
+      return;
+    }
+
+    // X.prototype.method = function () {}
+    if (left.object.type === 'MemberExpression' && left.object.property.name === 'prototype' &&
+      left.object.object.type === 'Identifier' && !left.computed &&
+      ['FunctionExpression', 'ArrowFunctionExpression'].includes(node.right.type) &&
+      !NON_METHOD_MEMBERS.includes(left.property.name)) {
+      addMethods(left.object.object.name, [left.property.name]);
+    }
+  });
+
+  const extensions = normalizeDictionaryExtensions({ classes });
+  if (Object.keys(extensions.classes).length === 0) {
+    throw new Error('No Script Include found (expected Class.create() or an object literal)');
+  }
+  return extensions;
+}
+
+// =============================================================================
+// DICTIONARY MERGING
+// =============================================================================
+
+/** Extensions currently merged into the dictionary and their serialized form */
+let applied = normalizeDictionaryExtensions(EMPTY_EXTENSIONS);
+let appliedKey = JSON.stringify(applied);
+
+/**
+ * Removes the entries a previous call added, leaving the built-in dictionary.
+ */
+function removeApplied() {
+  Object.keys(applied.classes).forEach((name) => {
+    delete CONTEXT_METHOD_MAP[name];
+  });
+  const keepClasses = CLASS_NAMES.filter(name => BUILT_IN_CLASSES.has(name));
+  CLASS_NAMES.splice(0, CLASS_NAMES.length, ...keepClasses);
+  const keepMethods = ALL_METHODS.filter(method => BUILT_IN_METHODS.has(method));
+  ALL_METHODS.splice(0, ALL_METHODS.length, ...keepMethods);
+  CUSTOM_CLASS_NAMES.splice(0, CUSTOM_CLASS_NAMES.length);
+}
+
+/**
+ * Merges user extensions into CLASS_NAMES, ALL_METHODS and CONTEXT_METHOD_MAP,
+ * replacing whatever a previous call merged. Applying the same extensions
+ * again is a no-op.
+ *
+ * @param {Object} [extensions] - Extensions (e.g. `profile.dictionary`)
+ */
+export function applyDictionaryExtensions(extensions) {
+  const normalized = normalizeDictionaryExtensions(extensions);
+  const key = JSON.stringify(normalized);
+  if (key === appliedKey) return;
+
+  removeApplied();
+  Object.entries(normalized.classes).forEach(([name, methods]) => {
+    if (!BUILT_IN_CLASSES.has(name)) CLASS_NAMES.push(name);
+    CUSTOM_CLASS_NAMES.push(name);
+    CONTEXT_METHOD_MAP[name] = methods;
+    methods.forEach((method) => {
+      if (!ALL_METHODS.includes(method)) ALL_METHODS.push(method);
+    });
+  });
+
+  applied = normalized;
+  appliedKey = key;
+}
+
+export default {
+  EMPTY_EXTENSIONS,
+  normalizeDictionaryExtensions,
+  parseDictionaryExtensions,
+  mergeDictionaryExtensions,
+  extractScriptIncludeApi,
+  applyDictionaryExtensions
+};
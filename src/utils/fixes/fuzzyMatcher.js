@@ -5,7 +5,8 @@
  *
  * Features:
  * - Damerau-Levenshtein distance (handles transpositions)
- * - Context-aware matching (type inference)
+ * - Context-aware matching (scope-aware AST type inference, see typeInference.js)
+ * - Script-type aware fallback (no g_form methods suggested in a Business Rule)
  * - Confidence tiers for different correction behaviors
  * - Guardrails to prevent false positives
  */
@@ -15,7 +16,14 @@ import {
   GLOBAL_OBJECTS,
   CONTEXT_METHOD_MAP,
   ALL_METHODS,
+  AVAILABILITY,
+  getContextAvailability,
 } from './servicenowDictionary.js';
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { createFixTracker } from './astRewriter.js';
+import { createTypeInference } from './typeInference.js';
+import { resolveScriptType } from '../scriptTypes.js';
 
 // =============================================================================
 // CONFIGURATION
@@ -106,13 +114,13 @@ export function similarityScore(a, b) {
 // =============================================================================
 
 /**
- * Infers variable types from code using regex-based analysis.
- * Tracks: var x = new ClassName(...) patterns.
+ * Regex fallback for code that does not parse (e.g. while typing in the editor).
+ * Tracks: var x = new ClassName(...), gs.getUser() and gs.getSession().
  * 
  * @param {string} code - The code to analyze
  * @returns {Map<string, string>} Map of variable names to their inferred types
  */
-export function inferVariableTypes(code) {
+function inferVariableTypesFromText(code) {
   const typeMap = new Map();
   
   // Pattern: var/let/const varName = new ClassName(
@@ -142,6 +150,22 @@ export function inferVariableTypes(code) {
   return typeMap;
 }
 
+/**
+ * Infers variable types from code.
+ * Parsed code uses the AST inference (assignments, dictionary return types,
+ * parameters, callbacks); code with syntax errors falls back to regex patterns.
+ * 
+ * @param {string} code - The code to analyze
+ * @returns {Map<string, string>} Map of variable names to their inferred types
+ */
+export function inferVariableTypes(code) {
+  const { ast } = parseCode(code);
+  if (!ast) {
+    return inferVariableTypesFromText(code);
+  }
+  return createTypeInference(ast, code).variableTypes();
+}
+
 /**
  * Gets the type/context for a given receiver (the object before the dot).
  * 
@@ -163,6 +187,23 @@ export function getReceiverType(receiver, typeMap) {
   return null;
 }
 
+/**
+ * Gets the receiver name for a member call (the word before the dot).
+ * For chained member access (`current.caller_id.getRefRecord()`) this is the
+ * last property name; calls on call results have no receiver name.
+ * 
+ * @param {Object} node - The callee's object node
+ * @returns {string|null} Receiver name or null
+ */
+function getReceiverName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return null;
+}
+
 // =============================================================================
 // FUZZY MATCHING
 // =============================================================================
@@ -274,17 +315,38 @@ export function findBestClassMatch(className) {
  * 
  * @param {string} methodName - The method name to match
  * @param {string|null} contextType - The type context (e.g., 'GlideRecord', 'gs')
+ * @param {string[]} [fallback] - Dictionary used when the type is unknown
  * @returns {FuzzyMatchResult}
  */
-export function findBestMethodMatch(methodName, contextType = null) {
+export function findBestMethodMatch(methodName, contextType = null, fallback = ALL_METHODS) {
   // Use context-specific dictionary if available
   const dictionary = contextType && CONTEXT_METHOD_MAP[contextType]
     ? CONTEXT_METHOD_MAP[contextType]
-    : ALL_METHODS;
+    : fallback;
   
   return findBestMatch(methodName, dictionary);
 }
 
+/**
+ * Gets the fallback method dictionary for scripts that run on one side:
+ * every method except those only found on APIs of the other side.
+ *
+ * @param {'server'|'client'|'both'|null} side - Where the script runs (null for unknown)
+ * @returns {string[]} Method names
+ */
+function getFallbackMethods(side) {
+  if (!side || side === AVAILABILITY.BOTH) return ALL_METHODS;
+
+  const usable = new Set();
+  const otherSide = new Set();
+  Object.entries(CONTEXT_METHOD_MAP).forEach(([context, methods]) => {
+    const availability = getContextAvailability(context);
+    const target = availability === side || availability === AVAILABILITY.BOTH ? usable : otherSide;
+    methods.forEach(method => target.add(method));
+  });
+  return ALL_METHODS.filter(method => usable.has(method) || !otherSide.has(method));
+}
+
 // =============================================================================
 // CODE CORRECTION
 // =============================================================================
@@ -305,76 +367,85 @@ export function findBestMethodMatch(methodName, contextType = null) {
  * Analyzes code and finds all potential corrections.
  * 
  * @param {string} code - The code to analyze
+ * @param {Object} [options]
+ * @param {string} [options.scriptType] - Script type id, or 'auto' (default) to detect it;
+ *   calls on untyped receivers are only matched against methods of its side
  * @returns {{ corrections: Correction[], suggestions: Correction[] }}
  */
-export function analyzeCode(code) {
+export function analyzeCode(code, options = {}) {
   const corrections = [];  // High/medium confidence - will be auto-fixed
   const suggestions = [];  // Low confidence - will only be suggested as warnings
   
-  // Infer variable types
-  const typeMap = inferVariableTypes(code);
-  
-  // Pattern for class instantiation: new ClassName(
-  const classPattern = /\bnew\s+([A-Z]\w*)\s*\(/g;
-  let match;
+  // Only real syntax nodes are considered, never text inside strings or comments
+  const { ast } = parseCode(code);
+  if (!ast) {
+    return { corrections, suggestions };
+  }
+  const types = createTypeInference(ast, code);
+  const fallback = getFallbackMethods(resolveScriptType(options.scriptType, code)?.availability);
   
-  while ((match = classPattern.exec(code)) !== null) {
-    const [fullMatch, className] = match;
-    
-    // Skip if already valid
-    if (CLASS_NAMES.includes(className)) continue;
-    
-    const result = findBestClassMatch(className);
-    
-    if (result.match && result.confidence) {
-      const correction = {
-        original: className,
-        corrected: result.match,
-        startIndex: match.index + fullMatch.indexOf(className),
-        endIndex: match.index + fullMatch.indexOf(className) + className.length,
-        confidence: result.confidence,
-        type: 'class',
-        context: null,
-        distance: result.distance,
-        similarity: result.similarity,
-      };
+  walkAst(ast, (node) => {
+    // Class instantiation: new ClassName(
+    if (node.type === 'NewExpression' && node.callee.type === 'Identifier') {
+      const className = node.callee.name;
       
-      if (result.shouldAutoFix) {
-        corrections.push(correction);
-      } else {
-        suggestions.push(correction);
+      // Skip if not class-like or already valid
+      if (!/^[A-Z]/.test(className) || CLASS_NAMES.includes(className)) return;
+      
+      const result = findBestClassMatch(className);
+      
+      if (result.match && result.confidence) {
+        const correction = {
+          original: className,
+          corrected: result.match,
+          startIndex: node.callee.start,
+          endIndex: node.callee.end,
+          confidence: result.confidence,
+          type: 'class',
+          context: null,
+          distance: result.distance,
+          similarity: result.similarity,
+        };
+        
+        if (result.shouldAutoFix) {
+          corrections.push(correction);
+        } else {
+          suggestions.push(correction);
+        }
       }
+      return;
     }
-  }
-  
-  // Pattern for method calls: .methodName(
-  // Match: receiver.method( where receiver is a word
-  const methodPattern = /(\b\w+)\.(\w+)\s*\(/g;
-  
-  while ((match = methodPattern.exec(code)) !== null) {
-    const [, receiver, methodName] = match;
     
-    // Get the context type for this receiver
-    const contextType = getReceiverType(receiver, typeMap);
+    // Method calls: receiver.methodName(
+    if (node.type !== 'CallExpression') return;
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') return;
+    
+    const methodName = callee.property.name;
+    
+    // Get the context type for this receiver; calls on unknown results are skipped
+    const contextType = types.typeOf(callee.object);
+    if (!contextType && !getReceiverName(callee.object)) return;
+    
+    // Script Include methods calling their own helpers (this.helper())
+    if (callee.object.type === 'ThisExpression' && types.isOwnMember(callee.object, methodName)) return;
     
     // Get the appropriate dictionary
     const dictionary = contextType && CONTEXT_METHOD_MAP[contextType]
       ? CONTEXT_METHOD_MAP[contextType]
-      : ALL_METHODS;
+      : fallback;
     
     // Skip if already valid
-    if (dictionary.includes(methodName)) continue;
+    if (dictionary.includes(methodName)) return;
     
-    const result = findBestMethodMatch(methodName, contextType);
+    const result = findBestMethodMatch(methodName, contextType, fallback);
     
     if (result.match && result.confidence) {
-      const methodStartIndex = match.index + receiver.length + 1; // +1 for the dot
-      
       const correction = {
         original: methodName,
         corrected: result.match,
-        startIndex: methodStartIndex,
-        endIndex: methodStartIndex + methodName.length,
+        startIndex: callee.property.start,
+        endIndex: callee.property.end,
         confidence: result.confidence,
         type: 'method',
         context: contextType,
@@ -388,7 +459,7 @@ export function analyzeCode(code) {
         suggestions.push(correction);
       }
     }
-  }
+  });
   
   // Sort by position (descending) so we can apply fixes from end to start
   corrections.sort((a, b) => b.startIndex - a.startIndex);
@@ -421,13 +492,29 @@ export function applyCorrections(code, corrections) {
  * Main entry point: analyze and correct code with fuzzy matching.
  * 
  * @param {string} code - The code to process
+ * @param {Object} [suppressions] - Suppressions from createSuppressions(); corrections on
+ *   lines where 'fuzzy-typos' is suppressed are skipped
+ * @param {Object} [tracker] - Fix tracker from createFixTracker() (records/rejects occurrences)
+ * @param {Object} [options] - Analysis options ({ scriptType }, see analyzeCode())
  * @returns {{ processed: string, fixes: string[], suggestions: string[] }}
  */
-export function fuzzyCorrectCode(code) {
-  const { corrections, suggestions } = analyzeCode(code);
-  
-  // Apply auto-fixes
-  const processed = applyCorrections(code, corrections);
+export function fuzzyCorrectCode(code, suppressions = null, tracker = createFixTracker(code), options = {}) {
+  const analysis = analyzeCode(code, options);
+  const suggestions = analysis.suggestions;
+  const allowed = suppressions
+    ? analysis.corrections.filter(c => !suppressions.isOffsetSuppressed('fuzzy-typos', c.startIndex))
+    : analysis.corrections;
+  
+  // Apply auto-fixes as tracked edits so each one can be reviewed
+  const result = tracker.apply('fuzzy-typos', code, allowed.map(correction => ({
+    start: correction.startIndex,
+    end: correction.endIndex,
+    text: correction.corrected,
+    confidence: correction.confidence,
+    correction,
+  })));
+  const processed = result.code;
+  const corrections = result.applied.map(edit => edit.correction);
   
   // Generate fix messages
   const fixes = [];
@@ -463,6 +550,30 @@ export function fuzzyCorrectCode(code) {
   };
 }
 
+/**
+ * Reports low-confidence typo suggestions as located diagnostics.
+ * Run on the final (formatted) code so positions match what the user sees.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options] - Analysis options ({ scriptType }, see analyzeCode())
+ * @returns {import('../diagnostics.js').Diagnostic[]} 'possible-typo' diagnostics with the suggested name
+ */
+export function analyzeTypoSuggestions(code, options = {}) {
+  const { suggestions } = analyzeCode(code, options);
+  const locate = createLocator(code);
+  
+  return suggestions
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .map(suggestion => createDiagnostic(locate, {
+      ruleId: 'possible-typo',
+      message: `Possible typo: "${suggestion.original}" - did you mean "${suggestion.corrected}"?`,
+      start: suggestion.startIndex,
+      end: suggestion.endIndex,
+      severity: SEVERITY.INFO,
+      suggestion: suggestion.corrected,
+    }));
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -476,5 +587,6 @@ export default {
   analyzeCode,
   applyCorrections,
   fuzzyCorrectCode,
+  analyzeTypoSuggestions,
   CONFIG,
 };
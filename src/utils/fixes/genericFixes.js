@@ -4,68 +4,248 @@
  * not specific to ServiceNow. These run before Prettier formatting.
  */
 
+import { DEFAULT_PROFILE, isFixEnabled } from '../ruleProfile.js';
+import { createSuppressions } from '../suppressions.js';
+import { createFixTracker, rewriteCode } from './astRewriter.js';
+import { parseCode, walkAst } from '../astParser.js';
+import { analyzeScopes, findUnusedLocals } from '../scopeAnalysis.js';
+
+// =============================================================================
+// UNUSED DECLARATIONS
+// =============================================================================
+
+/** Initializers that can be dropped: evaluating them changes nothing */
+const PURE_EXPRESSION_TYPES = ['Literal', 'Identifier', 'ThisExpression', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Checks whether an initializer has no side effects (no calls, `new`,
+ * assignments or updates), so removing it cannot change what the code does.
+ */
+function isPure(node) {
+  if (!node || PURE_EXPRESSION_TYPES.includes(node.type)) return true;
+  switch (node.type) {
+    case 'TemplateLiteral':
+      return node.expressions.every(isPure);
+    case 'ArrayExpression':
+      return node.elements.every(isPure);
+    case 'ObjectExpression':
+      return node.properties.every(property => property.type === 'Property' && !property.computed && isPure(property.value));
+    case 'UnaryExpression':
+      return node.operator !== 'delete' && isPure(node.argument);
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+      return isPure(node.left) && isPure(node.right);
+    case 'ConditionalExpression':
+      return isPure(node.test) && isPure(node.consequent) && isPure(node.alternate);
+    case 'MemberExpression':
+      return isPure(node.object) && (!node.computed || isPure(node.property));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the range that removes a statement: its whole line(s) when nothing
+ * else is on them, otherwise just the statement.
+ */
+function statementRange(code, node) {
+  const lineStart = code.lastIndexOf('\n', node.start - 1) + 1;
+  const lineEnd = code.indexOf('\n', node.end);
+  const end = lineEnd === -1 ? code.length : lineEnd;
+  if (code.slice(lineStart, node.start).trim() === '' && code.slice(node.end, end).trim() === '') {
+    return { start: lineStart, end: lineEnd === -1 ? end : end + 1 };
+  }
+  return { start: node.start, end: node.end };
+}
+
+/**
+ * Collects edits that remove unused local functions and variables whose
+ * initializer has no side effects. Variables that are assigned later are
+ * kept (removing the declaration would turn the assignment into a global),
+ * and so is anything declared at the top level of the script.
+ *
+ * @param {Object} ast - Program AST
+ * @param {string} code - The source the AST was parsed from
+ * @returns {Array<{ start: number, end: number, text: string, names: string[] }>} Edits
+ */
+export function collectUnusedDeclarationEdits(ast, code) {
+  const edits = [];
+  const unused = findUnusedLocals(analyzeScopes(ast)).filter(variable => variable.identifiers.length === 1 &&
+    (variable.kind === 'function' ? !variable.references.some(reference => reference.write) : variable.references.length === 0));
+
+  // Only statements of a statement list can go: the body of `if (a) var x = 1;`
+  // or the head of `for (var i = 0; ...)` would leave invalid code behind
+  const listed = new Set();
+  walkAst(ast, (node) => {
+    if (node.type === 'Program' || node.type === 'BlockStatement') node.body.forEach(statement => listed.add(statement));
+    if (node.type === 'SwitchCase') node.consequent.forEach(statement => listed.add(statement));
+  });
+
+  // Declarators to drop, grouped by their statement
+  const declarators = new Map();
+  unused.forEach((variable) => {
+    const [declaration] = variable.declarations;
+    if (variable.kind === 'function') {
+      if (!listed.has(declaration)) return;
+      edits.push({ ...statementRange(code, declaration), text: '', names: [variable.name] });
+      return;
+    }
+    const [statement] = variable.statements;
+    if (!statement || !listed.has(statement) || declaration.id.type !== 'Identifier' || !isPure(declaration.init)) return;
+    if (!declarators.has(statement)) declarators.set(statement, new Set());
+    declarators.get(statement).add(declaration);
+  });
+
+  declarators.forEach((removed, statement) => {
+    const { declarations } = statement;
+    if (removed.size === declarations.length) {
+      edits.push({ ...statementRange(code, statement), text: '', names: declarations.map(declarator => declarator.id.name) });
+      return;
+    }
+    // `var a = 1, b = 2`: a kept declarator after this one takes its place, else drop the comma before it
+    declarations.forEach((declarator, index) => {
+      if (!removed.has(declarator)) return;
+      const keptAfter = declarations.slice(index + 1).some(next => !removed.has(next));
+      const range = keptAfter
+        ? { start: declarator.start, end: declarations[index + 1].start }
+        : { start: declarations[index - 1].end, end: declarator.end };
+      edits.push({ ...range, text: '', names: [declarator.id.name] });
+    });
+  });
+
+  return edits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Collects the unused-declaration removals as individual quick-fixes for the editor.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [profile] - Rule profile (nothing is offered when the fix is disabled)
+ * @returns {Array<{ fixId: string, title: string, start: number, end: number, text: string }>}
+ */
+export function collectGenericQuickFixes(code, profile = DEFAULT_PROFILE) {
+  if (!isFixEnabled(profile, 'unused-declarations')) return [];
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const suppressions = createSuppressions(code);
+  return suppressions.filterEdits(collectUnusedDeclarationEdits(ast, code), 'unused-declarations')
+    .map(({ start, end, text, names }) => ({
+      fixId: 'unused-declarations',
+      title: `Remove unused ${names.map(name => `\`${name}\``).join(', ')}`,
+      start,
+      end,
+      text
+    }));
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
 /**
  * Applies generic pre-processing fixes before Prettier formatting.
  *
  * @param {string} code - The code to process
+ * @param {Object} [profile] - Rule profile (fixes it disables are skipped)
+ * @param {Set<string>} [suppressionUsage] - Records which suppression comments were used
+ * @param {Object} [tracker] - Fix tracker from createFixTracker() (records/rejects occurrences)
  * @returns {{ processed: string, fixes: string[] }} Processed code and list of applied fixes
  */
-export function applyGenericFixes(code) {
+export function applyGenericFixes(code, profile = DEFAULT_PROFILE, suppressionUsage = new Set(), tracker = createFixTracker(code)) {
   let processed = code;
   const fixes = [];
+  const enabled = (fixId) => isFixEnabled(profile, fixId);
+
+  // Replaces every match except those on lines where the fix is suppressed.
+  // Suppressions are re-read for each pass since earlier fixes may move lines.
+  const replace = (fixId, pattern, replacement) => {
+    const suppressions = createSuppressions(processed, suppressionUsage);
+    const edits = [...processed.matchAll(pattern)]
+      .filter(match => !suppressions.isOffsetSuppressed(fixId, match.index))
+      .map(match => ({ start: match.index, end: match.index + match[0].length, text: replacement }));
+    const result = tracker.apply(fixId, processed, edits);
+    processed = result.code;
+    return result.applied.length;
+  };
 
   // Normalize line endings (Windows CRLF to Unix LF)
-  if (processed.includes('\r\n')) {
-    processed = processed.replace(/\r\n/g, '\n');
-    fixes.push('Normalized line endings to LF');
+  if (enabled('line-endings') && processed.includes('\r\n')) {
+    if (replace('line-endings', /\r\n/g, '\n') > 0) {
+      fixes.push('Normalized line endings to LF');
+    }
   }
 
   // Remove trailing whitespace from lines
-  const trailingWhitespaceCount = (processed.match(/[ \t]+$/gm) || []).length;
-  if (trailingWhitespaceCount > 0) {
-    processed = processed.replace(/[ \t]+$/gm, '');
-    fixes.push(`Removed trailing whitespace from ${trailingWhitespaceCount} lines`);
+  if (enabled('trailing-whitespace')) {
+    const trailingWhitespaceCount = replace('trailing-whitespace', /[ \t]+$/gm, '');
+    if (trailingWhitespaceCount > 0) {
+      fixes.push(`Removed trailing whitespace from ${trailingWhitespaceCount} lines`);
+    }
   }
 
   // Fix multiple semicolons (;;; or more becomes single ;)
-  const multipleSemiCount = (processed.match(/;{2,}/g) || []).length;
-  if (multipleSemiCount > 0) {
-    processed = processed.replace(/;{2,}/g, ';');
-    fixes.push(`Fixed ${multipleSemiCount} multiple semicolons`);
+  if (enabled('multiple-semicolons')) {
+    const multipleSemiCount = replace('multiple-semicolons', /;{2,}/g, ';');
+    if (multipleSemiCount > 0) {
+      fixes.push(`Fixed ${multipleSemiCount} multiple semicolons`);
+    }
   }
 
   // Remove empty statements (standalone semicolons on their own line)
-  const emptyStatementsBefore = processed;
-  processed = processed.replace(/^\s*;\s*$/gm, '');
-  if (processed !== emptyStatementsBefore) {
-    fixes.push('Removed empty statements');
+  if (enabled('empty-statements')) {
+    const emptyStatementsBefore = processed;
+    replace('empty-statements', /^\s*;\s*$/gm, '');
+    if (processed !== emptyStatementsBefore) {
+      fixes.push('Removed empty statements');
+    }
   }
 
   // Ensure proper spacing after control flow keywords
-  const keywordBefore = processed;
-  processed = processed
-    .replace(/\bif\(/g, 'if (')
-    .replace(/\bfor\(/g, 'for (')
-    .replace(/\bwhile\(/g, 'while (')
-    .replace(/\bswitch\(/g, 'switch (')
-    .replace(/\bcatch\(/g, 'catch (')
-    .replace(/\btypeof\(/g, 'typeof (');
-  if (processed !== keywordBefore) {
-    fixes.push('Fixed spacing after keywords');
+  if (enabled('keyword-spacing')) {
+    const keywordBefore = processed;
+    replace('keyword-spacing', /\bif\(/g, 'if (');
+    replace('keyword-spacing', /\bfor\(/g, 'for (');
+    replace('keyword-spacing', /\bwhile\(/g, 'while (');
+    replace('keyword-spacing', /\bswitch\(/g, 'switch (');
+    replace('keyword-spacing', /\bcatch\(/g, 'catch (');
+    replace('keyword-spacing', /\btypeof\(/g, 'typeof (');
+    if (processed !== keywordBefore) {
+      fixes.push('Fixed spacing after keywords');
+    }
   }
 
   // Reduce excessive blank lines (4+ consecutive to max 2)
-  const multipleBlanksBefore = processed;
-  processed = processed.replace(/\n{4,}/g, '\n\n\n');
-  if (processed !== multipleBlanksBefore) {
-    fixes.push('Reduced excessive blank lines');
+  if (enabled('blank-lines')) {
+    const multipleBlanksBefore = processed;
+    replace('blank-lines', /\n{4,}/g, '\n\n\n');
+    if (processed !== multipleBlanksBefore) {
+      fixes.push('Reduced excessive blank lines');
+    }
   }
 
   // Simplify boolean comparisons (conservative: only remove == true)
-  const booleanBefore = processed;
-  processed = processed.replace(/\s*===?\s*true\b/g, '');
-  if (processed !== booleanBefore) {
-    fixes.push('Simplified boolean comparisons (removed == true)');
+  if (enabled('boolean-comparison')) {
+    const booleanBefore = processed;
+    replace('boolean-comparison', /\s*===?\s*true\b/g, '');
+    if (processed !== booleanBefore) {
+      fixes.push('Simplified boolean comparisons (removed == true)');
+    }
+  }
+
+  // Remove unused local variables and functions (AST scope analysis)
+  if (enabled('unused-declarations')) {
+    const suppressions = createSuppressions(processed, suppressionUsage);
+    const result = rewriteCode(
+      processed,
+      (ast, source) => suppressions.filterEdits(collectUnusedDeclarationEdits(ast, source), 'unused-declarations'),
+      (source, edits) => tracker.apply('unused-declarations', source, edits)
+    );
+    processed = result.code;
+    const removed = result.applied.reduce((count, edit) => count + edit.names.length, 0);
+    if (removed > 0) {
+      fixes.push(`Removed ${removed} unused declaration${removed > 1 ? 's' : ''}`);
+    }
   }
 
   return { processed, fixes };
@@ -5,6 +5,8 @@
  * These run before Prettier formatting to handle common JSON5/relaxed JSON patterns.
  */
 
+import { DEFAULT_PROFILE, isFixEnabled } from '../ruleProfile.js';
+
 // =============================================================================
 // MAIN EXPORT
 // =============================================================================
@@ -14,84 +16,88 @@
  * Handles common JSON issues like comments, trailing commas, and missing brackets.
  *
  * @param {string} code - The JSON content to process
+ * @param {Object} [profile] - Rule profile (fixes it disables are skipped)
  * @returns {{ processed: string, fixes: string[] }} Processed JSON and list of applied fixes
  */
-export function applyJsonFixes(code) {
+export function applyJsonFixes(code, profile = DEFAULT_PROFILE) {
   let processed = code;
   const fixes = [];
+  const enabled = (fixId) => isFixEnabled(profile, fixId);
 
   if (!processed || processed.trim() === '') {
     return { processed, fixes };
   }
 
   // Normalize line endings (Windows CRLF to Unix LF)
-  if (processed.includes('\r\n')) {
+  if (enabled('line-endings') && processed.includes('\r\n')) {
     processed = processed.replace(/\r\n/g, '\n');
     fixes.push('Normalized line endings to LF');
   }
 
   // Remove trailing whitespace from each line
   const trailingCount = (processed.match(/[ \t]+$/gm) || []).length;
-  if (trailingCount > 0) {
+  if (enabled('trailing-whitespace') && trailingCount > 0) {
     processed = processed.replace(/[ \t]+$/gm, '');
     fixes.push(`Removed trailing whitespace from ${trailingCount} lines`);
   }
 
   // Remove single-line comments (// ...) - not valid in JSON
   const singleLineComments = processed.match(/\/\/[^\n]*/g);
-  if (singleLineComments && singleLineComments.length > 0) {
+  if (enabled('json-comments') && singleLineComments && singleLineComments.length > 0) {
     processed = removeSingleLineComments(processed);
     fixes.push(`Removed ${singleLineComments.length} single-line comment(s)`);
   }
 
   // Remove multi-line comments (/* ... */) - not valid in JSON
   const multiLineComments = processed.match(/\/\*[\s\S]*?\*\//g);
-  if (multiLineComments && multiLineComments.length > 0) {
+  if (enabled('json-comments') && multiLineComments && multiLineComments.length > 0) {
     processed = processed.replace(/\/\*[\s\S]*?\*\//g, '');
     fixes.push(`Removed ${multiLineComments.length} multi-line comment(s)`);
   }
 
   // Remove trailing commas before ] or } - not valid in JSON
   const trailingCommasBefore = processed;
-  processed = removeTrailingCommas(processed);
+  if (enabled('json-trailing-commas')) processed = removeTrailingCommas(processed);
   if (processed !== trailingCommasBefore) {
     fixes.push('Removed trailing commas');
   }
 
   // Convert single quotes to double quotes (JSON requires double quotes)
   const singleQuotesBefore = processed;
-  processed = convertSingleToDoubleQuotes(processed);
+  if (enabled('json-single-quotes')) processed = convertSingleToDoubleQuotes(processed);
   if (processed !== singleQuotesBefore) {
     fixes.push('Converted single quotes to double quotes');
   }
 
   // Quote unquoted keys (JavaScript-style object keys)
   const unquotedKeysBefore = processed;
-  processed = quoteUnquotedKeys(processed);
+  if (enabled('json-unquoted-keys')) processed = quoteUnquotedKeys(processed);
   if (processed !== unquotedKeysBefore) {
     fixes.push('Added quotes to unquoted keys');
   }
 
   // Fix multiple consecutive commas (,, becomes ,)
   const multipleCommasBefore = processed;
-  processed = processed.replace(/,(\s*,)+/g, ',');
+  if (enabled('json-multiple-commas')) processed = processed.replace(/,(\s*,)+/g, ',');
   if (processed !== multipleCommasBefore) {
     fixes.push('Fixed multiple consecutive commas');
   }
 
   // Reduce excessive blank lines (3+ to 2)
   const emptyLinesBefore = processed;
-  processed = processed.replace(/\n{3,}/g, '\n\n');
+  if (enabled('blank-lines')) processed = processed.replace(/\n{3,}/g, '\n\n');
   if (processed !== emptyLinesBefore) {
     fixes.push('Reduced excessive blank lines');
   }
 
   // Fix missing closing braces/brackets (structural repair)
-  const structuralBefore = processed;
-  const structuralResult = fixMissingClosingBrackets(processed);
-  processed = structuralResult.code;
-  if (processed !== structuralBefore) {
-    fixes.push(...structuralResult.fixes);
+  if (enabled('json-closing-brackets')) {
+    const structuralBefore = processed;
+    const structuralResult = fixMissingClosingBrackets(processed);
+    processed = structuralResult.code;
+    if (processed !== structuralBefore) {
+      fixes.push(...structuralResult.fixes);
+    }
   }
 
   return { processed, fixes };
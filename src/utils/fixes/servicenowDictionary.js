@@ -1,7 +1,10 @@
 /**
  * @fileoverview ServiceNow API Dictionary
  * @description Canonical list of valid ServiceNow API classes and methods.
- * Used for fuzzy matching to detect and correct typos.
+ * Used for fuzzy matching to detect and correct typos, and (with the signatures
+ * and availability at the end of the file) for editor completion and hovers.
+ * Release lifecycle data (introduced, deprecated, global-only) drives the
+ * target-release checks in apiWarnings.js.
  * Organized by class/context for context-aware corrections.
  */
 
@@ -1268,6 +1271,9 @@ export const CLASS_NAMES = [
   'GlideAjax',
 ];
 
+/** Classes registered by the user, also listed in CLASS_NAMES (see dictionaryExtensions.js) */
+export const CUSTOM_CLASS_NAMES = [];
+
 // =============================================================================
 // GLOBAL OBJECTS
 // =============================================================================
@@ -1461,8 +1467,516 @@ export const ALL_METHODS = [...new Set([
   ...GLIDE_STRING_UTIL_METHODS,
 ])];
 
+// =============================================================================
+// API AVAILABILITY
+// =============================================================================
+
+/** Where an API can run */
+export const AVAILABILITY = {
+  SERVER: 'server',
+  CLIENT: 'client',
+  BOTH: 'both',
+};
+
+/**
+ * Availability of each context in CONTEXT_METHOD_MAP.
+ * Contexts that are not listed are server-side.
+ */
+export const CONTEXT_AVAILABILITY = {
+  'GlideAjax': AVAILABILITY.CLIENT,
+  'g_form': AVAILABILITY.CLIENT,
+  'GlideForm': AVAILABILITY.CLIENT,
+  'g_user': AVAILABILITY.CLIENT,
+  'g_list': AVAILABILITY.CLIENT,
+  'GlideList2': AVAILABILITY.CLIENT,
+  'spUtil': AVAILABILITY.CLIENT,
+  'JSON': AVAILABILITY.BOTH,
+};
+
+// =============================================================================
+// RELEASES & API LIFECYCLE
+// =============================================================================
+
+/** ServiceNow platform releases, oldest first */
+export const RELEASES = [
+  'Orlando',
+  'Paris',
+  'Quebec',
+  'Rome',
+  'San Diego',
+  'Tokyo',
+  'Utah',
+  'Vancouver',
+  'Washington',
+  'Xanadu',
+  'Yokohama',
+  'Zurich',
+];
+
+/** Release assumed when no target release is configured */
+export const LATEST_RELEASE = RELEASES[RELEASES.length - 1];
+
+/**
+ * Lifecycle of classes, namespaces and global functions. Fields:
+ * - since: first release the API exists in
+ * - deprecatedSince: release the API was deprecated in
+ * - replacement: what to use instead
+ * - rename: drop-in scoped name, when renaming the API is the whole fix
+ * - scoped: false when the API only exists in the global scope
+ * - crossScope: false when a scoped app may only use it on its own tables
+ * Methods inherit the entry of their class. An API without `since` is in every
+ * release of RELEASES: the dictionary classes and methods missing here all
+ * predate Orlando and none of them is deprecated.
+ */
+export const CLASS_METADATA = {
+  'GlideQuery': { since: 'Paris' },
+  'GlideQueryCondition': { since: 'Paris' },
+  'GlideEncrypter': { deprecatedSince: 'Washington', replacement: 'the Key Management Framework (sn_kmf_ns.KMFCryptoOperation)' },
+  'GlideEvaluator': { scoped: false, replacement: 'GlideScopedEvaluator', rename: 'GlideScopedEvaluator' },
+  'GlideHTTPRequest': { scoped: false, replacement: 'sn_ws.RESTMessageV2' },
+  'GlideUpdateManager': { scoped: false },
+  'GlideXMLUtil': { scoped: false, replacement: 'XMLDocument2' },
+  'XMLDocument': { scoped: false, replacement: 'XMLDocument2', rename: 'XMLDocument2' },
+  'JSUtil': { scoped: false, replacement: 'gs.nil()' },
+  'Packages': { scoped: false, replacement: 'the scoped Glide APIs' },
+  'J2js': { scoped: false },
+  'j2js': { scoped: false },
+};
+
+/**
+ * Lifecycle of individual methods (same fields as CLASS_METADATA), keyed by
+ * context then method name. Contexts are resolved through SIGNATURE_ALIASES,
+ * so `gs` entries live under GlideSystem.
+ */
+export const METHOD_METADATA = {
+  'GlideSystem': {
+    log: { scoped: false, replacement: 'gs.info()', rename: 'info' },
+    print: { scoped: false, replacement: 'gs.info()', rename: 'info' },
+    logError: { scoped: false, replacement: 'gs.error()', rename: 'error' },
+    logWarning: { scoped: false, replacement: 'gs.warn()', rename: 'warn' },
+    sleep: { scoped: false },
+    include: { scoped: false, replacement: 'a new instance of the Script Include' },
+    now: { scoped: false, replacement: 'new GlideDateTime().getDisplayValue()' },
+    nowNoTZ: { scoped: false, replacement: 'new GlideDateTime().getValue()' },
+    workflowFlush: { scoped: false },
+    getXMLText: { scoped: false, replacement: 'XMLDocument2' },
+    getXMLNodeList: { scoped: false, replacement: 'XMLDocument2' },
+    hasRoleInGroup: { scoped: false },
+    cacheFlush: { scoped: false },
+    loadGlobalScripts: { scoped: false },
+  },
+  'FlowAPI': {
+    getRunner: { since: 'Rome' },
+  },
+  'GlideRecord': {
+    setWorkflow: { crossScope: false },
+  },
+};
+
+/**
+ * Builds the ranges of consecutive releases the lifecycle data treats alike.
+ * A range starts at the oldest release and at every release an API of
+ * CLASS_METADATA or METHOD_METADATA appears or is deprecated in.
+ */
+function buildReleaseRanges() {
+  const entries = [CLASS_METADATA, ...Object.values(METHOD_METADATA)].flatMap(Object.values);
+  const starts = RELEASES.filter((release, index) => index === 0 ||
+    entries.some(({ since, deprecatedSince }) => since === release || deprecatedSince === release));
+  return starts.map((first, i) => {
+    const last = i + 1 < starts.length ? RELEASES[RELEASES.indexOf(starts[i + 1]) - 1] : LATEST_RELEASE;
+    return { first, last, label: first === last ? first : `${first} – ${last}` };
+  }).reverse();
+}
+
+/**
+ * Release ranges the target release selector offers, newest first: picking a
+ * single release inside a range would check nothing differently.
+ * @type {Array<{ first: string, last: string, label: string }>}
+ */
+export const RELEASE_RANGES = buildReleaseRanges();
+
+/**
+ * Gets the selector value of a target release: the first release of its range,
+ * or '' (latest) for the newest range.
+ *
+ * @param {string|null} release - Target release of the rule profile
+ * @returns {string} A RELEASE_RANGES first release, or ''
+ */
+export function getReleaseRangeValue(release) {
+  const range = RELEASE_RANGES.find(({ first }) => compareReleases(release || LATEST_RELEASE, first) >= 0) ||
+    RELEASE_RANGES[RELEASE_RANGES.length - 1];
+  return range === RELEASE_RANGES[0] ? '' : range.first;
+}
+
+/**
+ * Compares two releases by age. Unknown release names sort as newer than every
+ * known one, so a profile written for a future release is treated as the latest.
+ *
+ * @param {string} a - Release name
+ * @param {string} b - Release name
+ * @returns {number} Negative if a is older than b, 0 if equal, positive if newer
+ */
+export function compareReleases(a, b) {
+  const rank = (release) => {
+    const index = RELEASES.indexOf(release);
+    return index === -1 ? RELEASES.length : index;
+  };
+  return rank(a) - rank(b);
+}
+
+// =============================================================================
+// METHOD SIGNATURES
+// =============================================================================
+
+/**
+ * Signatures for the most used methods, keyed by context then method name.
+ * Each entry is [signature, description]; the signature uses TypeScript-like
+ * notation `(param: type, optional?: type) => returnType` and is parsed by
+ * getMethodSignature(). Contexts that share an API point at the same table
+ * through SIGNATURE_ALIASES.
+ */
+export const METHOD_SIGNATURES = {
+  'GlideRecord': {
+    addQuery: ['(field: string, operator?: string, value?: any) => GlideQueryCondition', 'Adds a filter condition. With two arguments the operator is "=".'],
+    addEncodedQuery: ['(query: string) => void', 'Adds an encoded query string to the other conditions.'],
+    addActiveQuery: ['() => GlideQueryCondition', 'Filters to records where active is true.'],
+    addInactiveQuery: ['() => GlideQueryCondition', 'Filters to records where active is false.'],
+    addNullQuery: ['(field: string) => GlideQueryCondition', 'Filters to records where the field is empty.'],
+    addNotNullQuery: ['(field: string) => GlideQueryCondition', 'Filters to records where the field is not empty.'],
+    addJoinQuery: ['(joinTable: string, primaryField?: string, joinTableField?: string) => GlideQueryCondition', 'Filters to records that have a related record in another table.'],
+    setLimit: ['(maxRecords: number) => void', 'Limits the number of records returned by query().'],
+    orderBy: ['(field: string) => void', 'Sorts the results in ascending order.'],
+    orderByDesc: ['(field: string) => void', 'Sorts the results in descending order.'],
+    chooseWindow: ['(firstRow: number, lastRow: number, forceCount?: boolean) => void', 'Returns only the rows in the given window (for paging).'],
+    query: ['() => void', 'Runs the query against the database.'],
+    get: ['(nameOrValue: string, value?: string) => boolean', 'Loads one record by sys_id, or by field name and value.'],
+    next: ['() => boolean', 'Moves to the next record; returns false when there are no more.'],
+    hasNext: ['() => boolean', 'Checks whether there is another record.'],
+    getRowCount: ['() => number', 'Number of rows in the result set. Prefer GlideAggregate for counts.'],
+    getEncodedQuery: ['() => string', 'Returns the current query as an encoded query string.'],
+    getValue: ['(field: string) => string', 'Returns the raw value of a field as a string.'],
+    setValue: ['(field: string, value: any) => void', 'Sets the value of a field.'],
+    getDisplayValue: ['(field?: string) => string', 'Returns the display value of a field, or of the record.'],
+    setDisplayValue: ['(field: string, displayValue: any) => void', 'Sets a field from its display value.'],
+    getElement: ['(field: string) => GlideElement', 'Returns the GlideElement for a field.'],
+    getUniqueValue: ['() => string', 'Returns the sys_id of the current record.'],
+    getTableName: ['() => string', 'Returns the table name.'],
+    getRecordClassName: ['() => string', 'Returns the actual class (table) of the record, e.g. a child table.'],
+    getLink: ['(noStack?: boolean) => string', 'Returns the URL of the record form.'],
+    isValidField: ['(field: string) => boolean', 'Checks whether the field exists on the table.'],
+    isValid: ['() => boolean', 'Checks whether the table exists.'],
+    isValidRecord: ['() => boolean', 'Checks whether the current record is valid.'],
+    isNewRecord: ['() => boolean', 'Checks whether the record has not been inserted yet.'],
+    initialize: ['() => void', 'Creates an empty record ready for insert().'],
+    newRecord: ['() => void', 'Creates a record with default values and a sys_id ready for insert().'],
+    insert: ['() => string', 'Inserts the record; returns the new sys_id, or null on failure.'],
+    update: ['(reason?: string) => string', 'Updates the record; returns its sys_id, or null on failure.'],
+    updateMultiple: ['() => void', 'Updates every record matching the query with the values set.'],
+    deleteRecord: ['() => boolean', 'Deletes the current record.'],
+    deleteMultiple: ['() => void', 'Deletes every record matching the query.'],
+    setWorkflow: ['(enabled: boolean) => void', 'Enables or disables business rules and workflows for the operation.'],
+    autoSysFields: ['(enabled: boolean) => void', 'Enables or disables updating the sys_* fields.'],
+    setAbortAction: ['(abort: boolean) => void', 'Aborts the current database action (Business Rules).'],
+    setForceUpdate: ['(force: boolean) => void', 'Updates the record even when no field changed.'],
+    canRead: ['() => boolean', 'Checks whether the user can read the record.'],
+    canWrite: ['() => boolean', 'Checks whether the user can update the record.'],
+    canCreate: ['() => boolean', 'Checks whether the user can insert records.'],
+    canDelete: ['() => boolean', 'Checks whether the user can delete the record.'],
+  },
+  'GlideAggregate': {
+    addAggregate: ['(aggregate: string, field?: string) => void', 'Adds an aggregate (COUNT, SUM, MIN, MAX, AVG).'],
+    getAggregate: ['(aggregate: string, field?: string) => string', 'Returns the value of an aggregate for the current group.'],
+    groupBy: ['(field: string) => void', 'Groups the results by a field.'],
+    addHaving: ['(aggregate: string, field: string, operator: string, value: string) => void', 'Filters groups on an aggregate value.'],
+    query: ['() => void', 'Runs the aggregate query.'],
+    next: ['() => boolean', 'Moves to the next group.'],
+  },
+  'GlideElement': {
+    getDisplayValue: ['(maxCharacters?: number) => string', 'Returns the display value of the field.'],
+    getRefRecord: ['() => GlideRecord', 'Returns the referenced record. Check isValidRecord() before use.'],
+    getReferenceTable: ['() => string', 'Returns the table a reference field points to.'],
+    getED: ['() => GlideElementDescriptor', 'Returns the field descriptor (label, type, length).'],
+    getJournalEntry: ['(mostRecent: number) => string', 'Returns journal entries; -1 returns all of them.'],
+    changes: ['() => boolean', 'Checks whether the field changed (Business Rules).'],
+    changesFrom: ['(value: any) => boolean', 'Checks whether the field changed from a value.'],
+    changesTo: ['(value: any) => boolean', 'Checks whether the field changed to a value.'],
+    nil: ['() => boolean', 'Checks whether the field is null or empty.'],
+    toString: ['() => string', 'Returns the value of the field as a string.'],
+    getLabel: ['() => string', 'Returns the field label.'],
+    getChoices: ['(dependent?: string) => Array', 'Returns the choice values of the field.'],
+    getHTMLValue: ['(maxChars?: number) => string', 'Returns the HTML value of the field.'],
+    setValue: ['(value: any) => void', 'Sets the value of the field.'],
+    canRead: ['() => boolean', 'Checks whether the user can read the field.'],
+    canWrite: ['() => boolean', 'Checks whether the user can write the field.'],
+  },
+  'GlideSystem': {
+    info: ['(message: string, ...params: any) => void', 'Writes an info message to the system log. {0}..{4} are replaced by params.'],
+    warn: ['(message: string, ...params: any) => void', 'Writes a warning to the system log.'],
+    error: ['(message: string, ...params: any) => void', 'Writes an error to the system log.'],
+    debug: ['(message: string, ...params: any) => void', 'Writes a debug message when session debugging is on.'],
+    log: ['(message: string, source?: string) => void', 'Writes to the system log (global scope only).'],
+    print: ['(message: string) => void', 'Writes to the system log (global scope only). Prefer gs.info().'],
+    addInfoMessage: ['(message: string) => void', 'Shows an info message at the top of the form or list.'],
+    addErrorMessage: ['(message: string) => void', 'Shows an error message at the top of the form or list.'],
+    getMessage: ['(id: string, args?: any) => string', 'Returns a translated message from sys_ui_message.'],
+    getProperty: ['(key: string, defaultValue?: any) => string', 'Returns a system property, or the default when it is not set.'],
+    setProperty: ['(key: string, value: string, description?: string) => void', 'Sets a system property.'],
+    getUser: ['() => GlideUser', 'Returns the current user.'],
+    getUserID: ['() => string', 'Returns the sys_id of the current user.'],
+    getUserName: ['() => string', 'Returns the user name of the current user.'],
+    getUserDisplayName: ['() => string', 'Returns the display name of the current user.'],
+    hasRole: ['(role: string) => boolean', 'Checks whether the current user has a role (admin has every role).'],
+    getSession: ['() => GlideSession', 'Returns the current session.'],
+    isInteractive: ['() => boolean', 'Checks whether the session is interactive (not a job or integration).'],
+    nil: ['(value: any) => boolean', 'Checks whether a value is null, undefined or empty.'],
+    tableExists: ['(table: string) => boolean', 'Checks whether a table exists.'],
+    generateGUID: ['() => string', 'Generates a 32-character GUID.'],
+    eventQueue: ['(name: string, record: GlideRecord, parm1?: string, parm2?: string, queue?: string) => void', 'Queues an event for the event manager.'],
+    include: ['(name: string) => boolean', 'Includes a Script Include (not needed for class-based Script Includes).'],
+    sleep: ['(milliseconds: number) => void', 'Pauses the thread. Avoid in production code.'],
+    now: ['() => string', 'Current date (deprecated). Use new GlideDateTime().'],
+    nowDateTime: ['() => string', 'Current date and time (deprecated). Use new GlideDateTime().'],
+    daysAgo: ['(days: number) => string', 'Date and time a number of days ago.'],
+    beginningOfToday: ['() => string', 'Date and time of the start of today.'],
+    endOfToday: ['() => string', 'Date and time of the end of today.'],
+    dateDiff: ['(startDate: string, endDate: string, numericValue?: boolean) => string', 'Difference between two dates.'],
+    getCurrentScopeName: ['() => string', 'Returns the scope of the running script.'],
+    getCallerScopeName: ['() => string', 'Returns the scope of the calling script.'],
+    base64Encode: ['(text: string) => string', 'Encodes a string as Base64.'],
+    base64Decode: ['(text: string) => string', 'Decodes a Base64 string.'],
+  },
+  'GlideUser': {
+    getID: ['() => string', 'Returns the sys_id of the user.'],
+    getName: ['() => string', 'Returns the user name.'],
+    getDisplayName: ['() => string', 'Returns the display name.'],
+    getFirstName: ['() => string', 'Returns the first name.'],
+    getLastName: ['() => string', 'Returns the last name.'],
+    getEmail: ['() => string', 'Returns the email address.'],
+    getCompanyID: ['() => string', 'Returns the sys_id of the user\'s company.'],
+    getDepartmentID: ['() => string', 'Returns the sys_id of the user\'s department.'],
+    getManagerID: ['() => string', 'Returns the sys_id of the user\'s manager.'],
+    getPreference: ['(name: string) => string', 'Returns a user preference.'],
+    savePreference: ['(name: string, value: string) => void', 'Saves a user preference.'],
+    hasRole: ['(role: string) => boolean', 'Checks whether the user has a role.'],
+    isMemberOf: ['(group: string) => boolean', 'Checks whether the user belongs to a group (name or sys_id).'],
+  },
+  'GlideSession': {
+    getClientData: ['(key: string) => string', 'Returns a value stored with putClientData().'],
+    putClientData: ['(key: string, value: string) => void', 'Stores a value the client can read with g_user.getClientData().'],
+    getClientIP: ['() => string', 'Returns the client IP address.'],
+    getLanguage: ['() => string', 'Returns the session language code.'],
+    getTimeZoneName: ['() => string', 'Returns the session time zone.'],
+    isInteractive: ['() => boolean', 'Checks whether the session is interactive.'],
+    isLoggedIn: ['() => boolean', 'Checks whether a user is logged in.'],
+    isImpersonating: ['() => boolean', 'Checks whether the user is impersonating someone.'],
+  },
+  'GlideDateTime': {
+    getValue: ['() => string', 'Returns the date and time in UTC (yyyy-MM-dd HH:mm:ss).'],
+    setValue: ['(value: any) => void', 'Sets the date and time from a UTC value.'],
+    getDisplayValue: ['() => string', 'Returns the date and time in the user\'s time zone and format.'],
+    setDisplayValue: ['(value: string, format?: string) => void', 'Sets the date and time from a value in the user\'s time zone.'],
+    getNumericValue: ['() => number', 'Milliseconds since January 1, 1970 UTC.'],
+    getDate: ['() => GlideDate', 'Returns the date part in UTC.'],
+    getLocalDate: ['() => GlideDate', 'Returns the date part in the user\'s time zone.'],
+    getTime: ['() => GlideTime', 'Returns the time part in UTC.'],
+    addSeconds: ['(seconds: number) => void', 'Adds seconds.'],
+    addDaysUTC: ['(days: number) => void', 'Adds days in UTC.'],
+    addDaysLocalTime: ['(days: number) => void', 'Adds days in the user\'s time zone.'],
+    addMonthsUTC: ['(months: number) => void', 'Adds months in UTC.'],
+    addYearsUTC: ['(years: number) => void', 'Adds years in UTC.'],
+    compareTo: ['(other: GlideDateTime) => number', 'Compares with another date: -1, 0 or 1.'],
+    before: ['(other: GlideDateTime) => boolean', 'Checks whether this date is before another.'],
+    after: ['(other: GlideDateTime) => boolean', 'Checks whether this date is after another.'],
+    onOrBefore: ['(other: GlideDateTime) => boolean', 'Checks whether this date is on or before another.'],
+    onOrAfter: ['(other: GlideDateTime) => boolean', 'Checks whether this date is on or after another.'],
+    isValid: ['() => boolean', 'Checks whether the object holds a valid date and time.'],
+  },
+  'GlideAjax': {
+    addParam: ['(name: string, value: string) => void', 'Adds a parameter; sysparm_name selects the Script Include method.'],
+    getXML: ['(callback: Function) => void', 'Calls the server asynchronously; the callback receives the XML response.'],
+    getXMLAnswer: ['(callback: Function) => void', 'Calls the server asynchronously; the callback receives the answer attribute.'],
+    getXMLWait: ['() => void', 'Calls the server synchronously. Blocks the browser.'],
+    getAnswer: ['() => string', 'Returns the answer after getXMLWait().'],
+  },
+  'AbstractAjaxProcessor': {
+    getParameter: ['(name: string) => string', 'Returns a parameter sent by GlideAjax.addParam().'],
+    newItem: ['(name: string) => XMLElement', 'Adds an item element to the XML response.'],
+  },
+  'GlideForm': {
+    getValue: ['(field: string) => string', 'Returns the value of a field as a string.'],
+    setValue: ['(field: string, value: any, displayValue?: string) => void', 'Sets a field. Pass the display value for reference fields to avoid a server round trip.'],
+    clearValue: ['(field: string) => void', 'Clears a field.'],
+    getDisplayValue: ['(field?: string) => string', 'Returns the display value of the record or a field.'],
+    getIntValue: ['(field: string) => number', 'Returns the value of a field as an integer.'],
+    getBooleanValue: ['(field: string) => boolean', 'Returns the value of a field as a boolean.'],
+    getDecimalValue: ['(field: string) => number', 'Returns the value of a field as a decimal.'],
+    getActionName: ['() => string', 'Returns the action name of the clicked UI Action.'],
+    getReference: ['(field: string, callback: Function) => void', 'Loads the referenced record asynchronously. Always pass a callback.'],
+    setVisible: ['(field: string, visible: boolean) => void', 'Shows or hides a field, keeping its space.'],
+    setDisplay: ['(field: string, display: boolean) => void', 'Shows or hides a field, reclaiming its space.'],
+    isVisible: ['(field: string) => boolean', 'Checks whether a field is visible.'],
+    setMandatory: ['(field: string, mandatory: boolean) => void', 'Makes a field mandatory or optional.'],
+    isMandatory: ['(field: string) => boolean', 'Checks whether a field is mandatory.'],
+    setReadOnly: ['(field: string, readOnly: boolean) => void', 'Makes a field read-only or editable.'],
+    setDisabled: ['(field: string, disabled: boolean) => void', 'Disables or enables a field.'],
+    addOption: ['(field: string, value: string, label: string, index?: number) => void', 'Adds a choice to a choice list.'],
+    removeOption: ['(field: string, value: string) => void', 'Removes a choice from a choice list.'],
+    clearOptions: ['(field: string) => void', 'Removes every choice from a choice list.'],
+    showFieldMsg: ['(field: string, message: string, type: string, scrollForm?: boolean) => void', 'Shows a message under a field (type: info or error).'],
+    hideFieldMsg: ['(field: string, clearAll?: boolean) => void', 'Hides the message under a field.'],
+    addInfoMessage: ['(message: string) => void', 'Shows an info message at the top of the form.'],
+    addErrorMessage: ['(message: string) => void', 'Shows an error message at the top of the form.'],
+    clearMessages: ['() => void', 'Removes the messages at the top of the form.'],
+    getLabelOf: ['(field: string) => string', 'Returns the label of a field.'],
+    setLabelOf: ['(field: string, label: string) => void', 'Changes the label of a field.'],
+    flash: ['(field: string, color: string, count: number) => void', 'Flashes a field label to draw attention.'],
+    hasField: ['(field: string) => boolean', 'Checks whether the field is on the form.'],
+    isNewRecord: ['() => boolean', 'Checks whether the record has not been saved yet.'],
+    getUniqueValue: ['() => string', 'Returns the sys_id of the record.'],
+    getTableName: ['() => string', 'Returns the table name.'],
+    setSectionDisplay: ['(section: string, display: boolean) => boolean', 'Shows or hides a form section.'],
+    addDecoration: ['(field: string, icon: string, title: string) => void', 'Adds an icon next to a field label.'],
+    save: ['() => void', 'Saves the record without leaving the form.'],
+    submit: ['(actionName?: string) => void', 'Submits the form, optionally running a UI Action.'],
+  },
+  'g_user': {
+    hasRole: ['(role: string) => boolean', 'Checks whether the user has a role (admin has every role).'],
+    hasRoleExactly: ['(role: string) => boolean', 'Checks for a role without the admin override.'],
+    hasRoleFromList: ['(roles: string) => boolean', 'Checks for any role in a comma-separated list.'],
+    getClientData: ['(key: string) => string', 'Returns a value stored on the server with putClientData().'],
+    getFullName: ['() => string', 'Returns the full name of the user.'],
+    getUserName: ['() => string', 'Returns the user name.'],
+    getUserID: ['() => string', 'Returns the sys_id of the user.'],
+  },
+  'RESTMessageV2': {
+    setEndpoint: ['(endpoint: string) => void', 'Sets the request URL.'],
+    setHttpMethod: ['(method: string) => void', 'Sets the HTTP method (get, post, put, patch, delete).'],
+    setRequestHeader: ['(name: string, value: string) => void', 'Sets a request header.'],
+    setRequestBody: ['(body: string) => void', 'Sets the request body.'],
+    setQueryParameter: ['(name: string, value: string) => void', 'Adds a URL query parameter.'],
+    setStringParameter: ['(name: string, value: string) => void', 'Sets a ${variable} of the REST message (XML-escaped).'],
+    setStringParameterNoEscape: ['(name: string, value: string) => void', 'Sets a ${variable} of the REST message without escaping.'],
+    setBasicAuth: ['(userName: string, password: string) => void', 'Uses basic authentication. Prefer an authentication profile.'],
+    setAuthenticationProfile: ['(type: string, profileId: string) => void', 'Uses a basic or OAuth authentication profile.'],
+    setHttpTimeout: ['(milliseconds: number) => void', 'Sets the response timeout.'],
+    setMIDServer: ['(midServer: string) => void', 'Sends the request through a MID Server.'],
+    execute: ['() => RESTResponseV2', 'Sends the request and waits for the response.'],
+    executeAsync: ['() => RESTResponseV2', 'Sends the request asynchronously.'],
+    getEndpoint: ['() => string', 'Returns the request URL.'],
+    getRequestBody: ['() => string', 'Returns the request body.'],
+  },
+  'RESTResponseV2': {
+    getStatusCode: ['() => number', 'Returns the HTTP status code.'],
+    getBody: ['() => string', 'Returns the response body.'],
+    getHeader: ['(name: string) => string', 'Returns a response header.'],
+    getHeaders: ['() => Object', 'Returns every response header.'],
+    haveError: ['() => boolean', 'Checks whether the request failed.'],
+    getErrorCode: ['() => number', 'Returns the error code when the request failed.'],
+    getErrorMessage: ['() => string', 'Returns the error message when the request failed.'],
+    waitForResponse: ['(seconds: number) => void', 'Waits for an executeAsync() response.'],
+  },
+  'GlideSysAttachment': {
+    write: ['(record: GlideRecord, fileName: string, contentType: string, content: string) => string', 'Attaches a file to a record; returns the attachment sys_id.'],
+    writeBase64: ['(record: GlideRecord, fileName: string, contentType: string, content: string) => string', 'Attaches Base64 content to a record.'],
+    getContent: ['(attachment: GlideRecord) => string', 'Returns the content of an attachment as a string.'],
+    getContentBase64: ['(attachment: GlideRecord) => string', 'Returns the content of an attachment as Base64.'],
+    getContentStream: ['(sysId: string) => GlideScriptableInputStream', 'Returns the content of an attachment as a stream.'],
+    copy: ['(sourceTable: string, sourceSysId: string, targetTable: string, targetSysId: string) => Array', 'Copies the attachments of one record to another.'],
+    deleteAttachment: ['(sysId: string) => void', 'Deletes an attachment.'],
+    getAttachments: ['(table: string, sysId: string) => GlideRecord', 'Returns the attachments of a record.'],
+  },
+};
+
+/** Contexts whose methods share another context's signatures */
+export const SIGNATURE_ALIASES = {
+  'GlideRecordSecure': 'GlideRecord',
+  'current': 'GlideRecord',
+  'previous': 'GlideRecord',
+  'gs': 'GlideSystem',
+  'g_form': 'GlideForm',
+};
+
+/**
+ * Parses a signature string such as `(field: string, value?: any) => void`.
+ *
+ * @param {string} text - Signature text
+ * @returns {{ params: Array<{ name: string, type: string, optional: boolean }>, returns: string }}
+ */
+function parseSignature(text) {
+  const [, paramText, returns] = text.match(/^\((.*)\)\s*=>\s*(.+)$/);
+  const params = paramText
+    ? paramText.split(',').map((param) => {
+      const [, name, optional, type] = param.trim().match(/^(\.{3}\w+|\w+)(\??):\s*(.+)$/);
+      return { name, type, optional: optional === '?' };
+    })
+    : [];
+  return { params, returns };
+}
+
+/**
+ * Gets the availability of a context.
+ *
+ * @param {string} context - Class or global object name
+ * @returns {'server'|'client'|'both'}
+ */
+export function getContextAvailability(context) {
+  return CONTEXT_AVAILABILITY[context] || AVAILABILITY.SERVER;
+}
+
+/**
+ * Gets the parsed signature of a method.
+ *
+ * @param {string} context - Class or global object name (e.g. 'GlideRecord', 'gs')
+ * @param {string} method - Method name
+ * @returns {Object|null} { context, method, params, returns, description, availability, label } or null
+ */
+export function getMethodSignature(context, method) {
+  const signatureContext = SIGNATURE_ALIASES[context] || context;
+  const entry = METHOD_SIGNATURES[signatureContext]?.[method];
+  if (!entry || !Object.hasOwn(METHOD_SIGNATURES[signatureContext], method)) return null;
+
+  const [text, description] = entry;
+  const { params, returns } = parseSignature(text);
+  const paramLabels = params.map(p => `${p.name}${p.optional ? '?' : ''}: ${p.type}`);
+  return {
+    context: signatureContext,
+    method,
+    params,
+    paramLabels,
+    returns,
+    description,
+    availability: getContextAvailability(context),
+    label: `${method}(${paramLabels.join(', ')}): ${returns}`,
+  };
+}
+
+/**
+ * Gets the lifecycle of a class or method: the class entry from CLASS_METADATA
+ * overlaid with the method entry from METHOD_METADATA.
+ *
+ * @param {string} context - Class, namespace or global object name (e.g. 'gs', 'GlideEvaluator')
+ * @param {string} [method] - Method name; omit for the class itself
+ * @returns {{ since: string|null, deprecatedSince: string|null, replacement: string|null,
+ *   rename: string|null, scoped: boolean, crossScope: boolean }}
+ */
+export function getApiLifecycle(context, method) {
+  const metadataContext = SIGNATURE_ALIASES[context] || context;
+  const classEntry = CLASS_METADATA[metadataContext] || {};
+  const methodEntry = method ? METHOD_METADATA[metadataContext]?.[method] || {} : {};
+  const entry = { ...classEntry, ...methodEntry };
+  return {
+    since: entry.since || null,
+    deprecatedSince: entry.deprecatedSince || null,
+    replacement: entry.replacement || null,
+    rename: entry.rename || null,
+    scoped: entry.scoped !== false,
+    crossScope: entry.crossScope !== false,
+  };
+}
+
 export default {
   CLASS_NAMES,
+  CUSTOM_CLASS_NAMES,
   GLOBAL_OBJECTS,
   CONTEXT_METHOD_MAP,
   ALL_METHODS,
@@ -1478,4 +1992,19 @@ export default {
   SP_METHODS,
   SP_UTIL_METHODS,
   GLIDE_SYSTEM_METHODS,
+  // Signatures and availability for editor assistance
+  AVAILABILITY,
+  CONTEXT_AVAILABILITY,
+  METHOD_SIGNATURES,
+  getContextAvailability,
+  getMethodSignature,
+  // Release lifecycle
+  RELEASES,
+  LATEST_RELEASE,
+  RELEASE_RANGES,
+  getReleaseRangeValue,
+  CLASS_METADATA,
+  METHOD_METADATA,
+  compareReleases,
+  getApiLifecycle,
 };
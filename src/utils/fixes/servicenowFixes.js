@@ -4,11 +4,27 @@
  * and applies intelligent code transformations for best practices.
  *
  * Two-pass approach:
- * 1. Fast regex-based corrections for known common typos
+ * 1. Known typo tables and intelligent fixes, matched against Acorn AST nodes
  * 2. Fuzzy matching (Damerau-Levenshtein) for any remaining typos
+ *
+ * All fixes are source-range edits on real call/member/binary expression nodes,
+ * so string literals, comments and encoded queries are left untouched.
  */
 
 import { fuzzyCorrectCode } from './fuzzyMatcher.js';
+import { parseCode, walkAst } from '../astParser.js';
+import { DEFAULT_PROFILE, isFixEnabled } from '../ruleProfile.js';
+import { createSuppressions } from '../suppressions.js';
+import {
+  rewriteCode,
+  createFixTracker,
+  getPropertyName,
+  isMethodCall,
+  isStringLiteral,
+  isIdentifierReference,
+  collectDeclaredNames,
+} from './astRewriter.js';
+import { quote } from '../encodedQuery.js';
 
 // =============================================================================
 // TYPO CORRECTION PATTERNS
@@ -17,1808 +33,1982 @@ import { fuzzyCorrectCode } from './fuzzyMatcher.js';
 // GlideRecord method typos
 const GLIDE_RECORD_TYPOS = [
   // addQuery
-  [/\.addQeury\(/g, '.addQuery('],
-  [/\.addQurey\(/g, '.addQuery('],
-  [/\.addQury\(/g, '.addQuery('],
-  [/\.addQuer\(/g, '.addQuery('],
-  [/\.adQuery\(/g, '.addQuery('],
+  ['addQeury', 'addQuery'],
+  ['addQurey', 'addQuery'],
+  ['addQury', 'addQuery'],
+  ['addQuer', 'addQuery'],
+  ['adQuery', 'addQuery'],
   // addEncodedQuery
-  [/\.addEncodedQeury\(/g, '.addEncodedQuery('],
-  [/\.addEncodedQurey\(/g, '.addEncodedQuery('],
-  [/\.addEncodedQury\(/g, '.addEncodedQuery('],
-  [/\.addEncoddQuery\(/g, '.addEncodedQuery('],
-  [/\.addEncodeQuery\(/g, '.addEncodedQuery('],
+  ['addEncodedQeury', 'addEncodedQuery'],
+  ['addEncodedQurey', 'addEncodedQuery'],
+  ['addEncodedQury', 'addEncodedQuery'],
+  ['addEncoddQuery', 'addEncodedQuery'],
+  ['addEncodeQuery', 'addEncodedQuery'],
   // getValue
-  [/\.getValeu\(/g, '.getValue('],
-  [/\.getVlaue\(/g, '.getValue('],
-  [/\.getValu\(/g, '.getValue('],
-  [/\.getVale\(/g, '.getValue('],
-  [/\.gtValue\(/g, '.getValue('],
+  ['getValeu', 'getValue'],
+  ['getVlaue', 'getValue'],
+  ['getValu', 'getValue'],
+  ['getVale', 'getValue'],
+  ['gtValue', 'getValue'],
   // setValue
-  [/\.setValeu\(/g, '.setValue('],
-  [/\.setVlaue\(/g, '.setValue('],
-  [/\.setValu\(/g, '.setValue('],
-  [/\.setVale\(/g, '.setValue('],
-  [/\.stValue\(/g, '.setValue('],
+  ['setValeu', 'setValue'],
+  ['setVlaue', 'setValue'],
+  ['setValu', 'setValue'],
+  ['setVale', 'setValue'],
+  ['stValue', 'setValue'],
   // getDisplayValue
-  [/\.getDispalyValue\(/g, '.getDisplayValue('],
-  [/\.getDisplayVlaue\(/g, '.getDisplayValue('],
-  [/\.getDiplayValue\(/g, '.getDisplayValue('],
-  [/\.getDispayValue\(/g, '.getDisplayValue('],
-  [/\.getDisplayVale\(/g, '.getDisplayValue('],
+  ['getDispalyValue', 'getDisplayValue'],
+  ['getDisplayVlaue', 'getDisplayValue'],
+  ['getDiplayValue', 'getDisplayValue'],
+  ['getDispayValue', 'getDisplayValue'],
+  ['getDisplayVale', 'getDisplayValue'],
   // update
-  [/\.udpate\(/g, '.update('],
-  [/\.upate\(/g, '.update('],
-  [/\.updte\(/g, '.update('],
-  [/\.upadte\(/g, '.update('],
+  ['udpate', 'update'],
+  ['upate', 'update'],
+  ['updte', 'update'],
+  ['upadte', 'update'],
   // insert
-  [/\.isert\(/g, '.insert('],
-  [/\.inser\(/g, '.insert('],
-  [/\.insrt\(/g, '.insert('],
-  [/\.insertt\(/g, '.insert('],
+  ['isert', 'insert'],
+  ['inser', 'insert'],
+  ['insrt', 'insert'],
+  ['insertt', 'insert'],
   // deleteRecord
-  [/\.deleteReocrd\(/g, '.deleteRecord('],
-  [/\.deletRecord\(/g, '.deleteRecord('],
-  [/\.delteRecord\(/g, '.deleteRecord('],
-  [/\.deleteRecrod\(/g, '.deleteRecord('],
+  ['deleteReocrd', 'deleteRecord'],
+  ['deletRecord', 'deleteRecord'],
+  ['delteRecord', 'deleteRecord'],
+  ['deleteRecrod', 'deleteRecord'],
   // deleteMultiple
-  [/\.deleteMultipe\(/g, '.deleteMultiple('],
-  [/\.deleteMultple\(/g, '.deleteMultiple('],
-  [/\.deleteMutiple\(/g, '.deleteMultiple('],
-  [/\.deleteMultipl\(/g, '.deleteMultiple('],
+  ['deleteMultipe', 'deleteMultiple'],
+  ['deleteMultple', 'deleteMultiple'],
+  ['deleteMutiple', 'deleteMultiple'],
+  ['deleteMultipl', 'deleteMultiple'],
   // getReference
-  [/\.getRefrence\(/g, '.getReference('],
-  [/\.getReferecne\(/g, '.getReference('],
-  [/\.getRefernce\(/g, '.getReference('],
-  [/\.getRefreence\(/g, '.getReference('],
+  ['getRefrence', 'getReference'],
+  ['getReferecne', 'getReference'],
+  ['getRefernce', 'getReference'],
+  ['getRefreence', 'getReference'],
   // getReferenceTable
-  [/\.getRefrenceTable\(/g, '.getReferenceTable('],
-  [/\.getReferecneTable\(/g, '.getReferenceTable('],
-  [/\.getRefernceTable\(/g, '.getReferenceTable('],
-  [/\.getReferneceTable\(/g, '.getReferenceTable('],
+  ['getRefrenceTable', 'getReferenceTable'],
+  ['getReferecneTable', 'getReferenceTable'],
+  ['getRefernceTable', 'getReferenceTable'],
+  ['getReferneceTable', 'getReferenceTable'],
   // canRead
-  [/\.canRed\(/g, '.canRead('],
-  [/\.canRaed\(/g, '.canRead('],
-  [/\.canRaead\(/g, '.canRead('],
-  [/\.canReda\(/g, '.canRead('],
+  ['canRed', 'canRead'],
+  ['canRaed', 'canRead'],
+  ['canRaead', 'canRead'],
+  ['canReda', 'canRead'],
   // canWrite
-  [/\.canWirte\(/g, '.canWrite('],
-  [/\.canWrtie\(/g, '.canWrite('],
-  [/\.canWite\(/g, '.canWrite('],
-  [/\.canWrit\(/g, '.canWrite('],
+  ['canWirte', 'canWrite'],
+  ['canWrtie', 'canWrite'],
+  ['canWite', 'canWrite'],
+  ['canWrit', 'canWrite'],
   // hasNext
-  [/\.hasNex\(/g, '.hasNext('],
-  [/\.hasNextt\(/g, '.hasNext('],
-  [/\.hasnext\(/g, '.hasNext('],
-  [/\.hasNxet\(/g, '.hasNext('],
+  ['hasNex', 'hasNext'],
+  ['hasNextt', 'hasNext'],
+  ['hasnext', 'hasNext'],
+  ['hasNxet', 'hasNext'],
   // setLimit
-  [/\.setLimt\(/g, '.setLimit('],
-  [/\.setLiit\(/g, '.setLimit('],
-  [/\.setLmit\(/g, '.setLimit('],
-  [/\.setLimti\(/g, '.setLimit('],
+  ['setLimt', 'setLimit'],
+  ['setLiit', 'setLimit'],
+  ['setLmit', 'setLimit'],
+  ['setLimti', 'setLimit'],
   // orderBy
-  [/\.oderBy\(/g, '.orderBy('],
-  [/\.orderBY\(/g, '.orderBy('],
-  [/\.ordrBy\(/g, '.orderBy('],
-  [/\.orderyB\(/g, '.orderBy('],
+  ['oderBy', 'orderBy'],
+  ['orderBY', 'orderBy'],
+  ['ordrBy', 'orderBy'],
+  ['orderyB', 'orderBy'],
   // orderByDesc
-  [/\.orderByDes\(/g, '.orderByDesc('],
-  [/\.oderByDesc\(/g, '.orderByDesc('],
-  [/\.orderByDsc\(/g, '.orderByDesc('],
-  [/\.orderByDescend\(/g, '.orderByDesc('],
-  [/\.orderByDescending\(/g, '.orderByDesc('],
+  ['orderByDes', 'orderByDesc'],
+  ['oderByDesc', 'orderByDesc'],
+  ['orderByDsc', 'orderByDesc'],
+  ['orderByDescend', 'orderByDesc'],
+  ['orderByDescending', 'orderByDesc'],
   // getRowCount
-  [/\.getRowCoutn\(/g, '.getRowCount('],
-  [/\.getRowCont\(/g, '.getRowCount('],
-  [/\.getRowCunt\(/g, '.getRowCount('],
-  [/\.getRowCuont\(/g, '.getRowCount('],
+  ['getRowCoutn', 'getRowCount'],
+  ['getRowCont', 'getRowCount'],
+  ['getRowCunt', 'getRowCount'],
+  ['getRowCuont', 'getRowCount'],
   // setWorkflow
-  [/\.setWorklfow\(/g, '.setWorkflow('],
-  [/\.setWorklflow\(/g, '.setWorkflow('],
-  [/\.setWorkfow\(/g, '.setWorkflow('],
-  [/\.setworkFlow\(/g, '.setWorkflow('],
-  [/\.setworkflow\(/g, '.setWorkflow('],
-  [/\.setwrokflow\(/g, '.setWorkflow('],
+  ['setWorklfow', 'setWorkflow'],
+  ['setWorklflow', 'setWorkflow'],
+  ['setWorkfow', 'setWorkflow'],
+  ['setworkFlow', 'setWorkflow'],
+  ['setworkflow', 'setWorkflow'],
+  ['setwrokflow', 'setWorkflow'],
   // addNullQuery
-  [/\.addNulQuery\(/g, '.addNullQuery('],
-  [/\.addNullQeury\(/g, '.addNullQuery('],
-  [/\.addNullQurey\(/g, '.addNullQuery('],
-  [/\.addNulllQuery\(/g, '.addNullQuery('],
+  ['addNulQuery', 'addNullQuery'],
+  ['addNullQeury', 'addNullQuery'],
+  ['addNullQurey', 'addNullQuery'],
+  ['addNulllQuery', 'addNullQuery'],
   // addNotNullQuery
-  [/\.addNotNulQuery\(/g, '.addNotNullQuery('],
-  [/\.addNotNullQeury\(/g, '.addNotNullQuery('],
-  [/\.addNotNullQurey\(/g, '.addNotNullQuery('],
-  [/\.addNotNulllQuery\(/g, '.addNotNullQuery('],
+  ['addNotNulQuery', 'addNotNullQuery'],
+  ['addNotNullQeury', 'addNotNullQuery'],
+  ['addNotNullQurey', 'addNotNullQuery'],
+  ['addNotNulllQuery', 'addNotNullQuery'],
   // getEncodedQuery
-  [/\.getEncodedQeury\(/g, '.getEncodedQuery('],
-  [/\.getEncodedQurey\(/g, '.getEncodedQuery('],
-  [/\.getEncoddQuery\(/g, '.getEncodedQuery('],
-  [/\.getEncodeQuery\(/g, '.getEncodedQuery('],
+  ['getEncodedQeury', 'getEncodedQuery'],
+  ['getEncodedQurey', 'getEncodedQuery'],
+  ['getEncoddQuery', 'getEncodedQuery'],
+  ['getEncodeQuery', 'getEncodedQuery'],
   // setAbortAction
-  [/\.setAbtorAction\(/g, '.setAbortAction('],
-  [/\.setAbortActoin\(/g, '.setAbortAction('],
-  [/\.setAbortAciton\(/g, '.setAbortAction('],
-  [/\.setAbortaction\(/g, '.setAbortAction('],
-  [/\.setAbourtAction\(/g, '.setAbortAction('],
-  [/\.setabortAction\(/g, '.setAbortAction('],
-  [/\.setAbortActon\(/g, '.setAbortAction('],
+  ['setAbtorAction', 'setAbortAction'],
+  ['setAbortActoin', 'setAbortAction'],
+  ['setAbortAciton', 'setAbortAction'],
+  ['setAbortaction', 'setAbortAction'],
+  ['setAbourtAction', 'setAbortAction'],
+  ['setabortAction', 'setAbortAction'],
+  ['setAbortActon', 'setAbortAction'],
   // getUniqueValue
-  [/\.getUniqueVlaue\(/g, '.getUniqueValue('],
-  [/\.getUniqeValue\(/g, '.getUniqueValue('],
-  [/\.getUniqueValeu\(/g, '.getUniqueValue('],
-  [/\.getUniquVlaue\(/g, '.getUniqueValue('],
+  ['getUniqueVlaue', 'getUniqueValue'],
+  ['getUniqeValue', 'getUniqueValue'],
+  ['getUniqueValeu', 'getUniqueValue'],
+  ['getUniquVlaue', 'getUniqueValue'],
   // addOrCondition
-  [/\.addOrCondtion\(/g, '.addOrCondition('],
-  [/\.addOrConditon\(/g, '.addOrCondition('],
-  [/\.addOrConditioin\(/g, '.addOrCondition('],
-  [/\.addOrCondiiton\(/g, '.addOrCondition('],
+  ['addOrCondtion', 'addOrCondition'],
+  ['addOrConditon', 'addOrCondition'],
+  ['addOrConditioin', 'addOrCondition'],
+  ['addOrCondiiton', 'addOrCondition'],
   // chooseWindow
-  [/\.chooseWinow\(/g, '.chooseWindow('],
-  [/\.choseWindow\(/g, '.chooseWindow('],
-  [/\.chooseWidnow\(/g, '.chooseWindow('],
-  [/\.choosWindow\(/g, '.chooseWindow('],
+  ['chooseWinow', 'chooseWindow'],
+  ['choseWindow', 'chooseWindow'],
+  ['chooseWidnow', 'chooseWindow'],
+  ['choosWindow', 'chooseWindow'],
   // getTableName
-  [/\.getTableNmae\(/g, '.getTableName('],
-  [/\.getTabelName\(/g, '.getTableName('],
-  [/\.getTableNaem\(/g, '.getTableName('],
-  [/\.getTabeNlame\(/g, '.getTableName('],
+  ['getTableNmae', 'getTableName'],
+  ['getTabelName', 'getTableName'],
+  ['getTableNaem', 'getTableName'],
+  ['getTabeNlame', 'getTableName'],
   // getLabel
-  [/\.getLable\(/g, '.getLabel('],
-  [/\.getLabl\(/g, '.getLabel('],
-  [/\.getLaebl\(/g, '.getLabel('],
-  [/\.getLabell\(/g, '.getLabel('],
+  ['getLable', 'getLabel'],
+  ['getLabl', 'getLabel'],
+  ['getLaebl', 'getLabel'],
+  ['getLabell', 'getLabel'],
   // getElement
-  [/\.getElment\(/g, '.getElement('],
-  [/\.getElemnt\(/g, '.getElement('],
-  [/\.getEleemnt\(/g, '.getElement('],
-  [/\.getElemetn\(/g, '.getElement('],
+  ['getElment', 'getElement'],
+  ['getElemnt', 'getElement'],
+  ['getEleemnt', 'getElement'],
+  ['getElemetn', 'getElement'],
   // isValidField
-  [/\.isValidFeild\(/g, '.isValidField('],
-  [/\.isValidFiled\(/g, '.isValidField('],
-  [/\.isVaildField\(/g, '.isValidField('],
-  [/\.isValidFidel\(/g, '.isValidField('],
+  ['isValidFeild', 'isValidField'],
+  ['isValidFiled', 'isValidField'],
+  ['isVaildField', 'isValidField'],
+  ['isValidFidel', 'isValidField'],
   // autoSysFields
-  [/\.autoSysFelds\(/g, '.autoSysFields('],
-  [/\.autoSysFeilds\(/g, '.autoSysFields('],
-  [/\.autoSysFidels\(/g, '.autoSysFields('],
-  [/\.atuoSysFields\(/g, '.autoSysFields('],
+  ['autoSysFelds', 'autoSysFields'],
+  ['autoSysFeilds', 'autoSysFields'],
+  ['autoSysFidels', 'autoSysFields'],
+  ['atuoSysFields', 'autoSysFields'],
   // setForceUpdate
-  [/\.setForceUpate\(/g, '.setForceUpdate('],
-  [/\.setForceUpadte\(/g, '.setForceUpdate('],
-  [/\.setForceUdpate\(/g, '.setForceUpdate('],
-  [/\.setFroceUpdate\(/g, '.setForceUpdate('],
+  ['setForceUpate', 'setForceUpdate'],
+  ['setForceUpadte', 'setForceUpdate'],
+  ['setForceUdpate', 'setForceUpdate'],
+  ['setFroceUpdate', 'setForceUpdate'],
   // next
-  [/\.nexxt\(/g, '.next('],
-  [/\.neext\(/g, '.next('],
-  [/\.nxet\(/g, '.next('],
-  [/\.enxt\(/g, '.next('],
+  ['nexxt', 'next'],
+  ['neext', 'next'],
+  ['nxet', 'next'],
+  ['enxt', 'next'],
   // query
-  [/\.qurey\(/g, '.query('],
-  [/\.qeury\(/g, '.query('],
-  [/\.queyr\(/g, '.query('],
-  [/\.qury\(/g, '.query('],
+  ['qurey', 'query'],
+  ['qeury', 'query'],
+  ['queyr', 'query'],
+  ['qury', 'query'],
   // isValid
-  [/\.isVlaid\(/g, '.isValid('],
-  [/\.isValdi\(/g, '.isValid('],
-  [/\.isVaild\(/g, '.isValid('],
-  [/\.isValld\(/g, '.isValid('],
+  ['isVlaid', 'isValid'],
+  ['isValdi', 'isValid'],
+  ['isVaild', 'isValid'],
+  ['isValld', 'isValid'],
   // get
-  [/\.gte\(/g, '.get('],
-  [/\.geet\(/g, '.get('],
-  [/\.gett\(/g, '.get('],
-  [/\.egt\(/g, '.get('],
+  ['gte', 'get'],
+  ['geet', 'get'],
+  ['gett', 'get'],
+  ['egt', 'get'],
   // addAggregate (GlideAggregate)
-  [/\.addAgregate\(/g, '.addAggregate('],
-  [/\.addAggergate\(/g, '.addAggregate('],
-  [/\.addAggregat\(/g, '.addAggregate('],
-  [/\.addAggreagte\(/g, '.addAggregate('],
+  ['addAgregate', 'addAggregate'],
+  ['addAggergate', 'addAggregate'],
+  ['addAggregat', 'addAggregate'],
+  ['addAggreagte', 'addAggregate'],
   // getAggregate (GlideAggregate)
-  [/\.getAgregate\(/g, '.getAggregate('],
-  [/\.getAggergate\(/g, '.getAggregate('],
-  [/\.getAggregat\(/g, '.getAggregate('],
-  [/\.getAggreagte\(/g, '.getAggregate('],
+  ['getAgregate', 'getAggregate'],
+  ['getAggergate', 'getAggregate'],
+  ['getAggregat', 'getAggregate'],
+  ['getAggreagte', 'getAggregate'],
   // groupBy (GlideAggregate)
-  [/\.gruopBy\(/g, '.groupBy('],
-  [/\.groupBY\(/g, '.groupBy('],
-  [/\.groupBy\(/g, '.groupBy('],
-  [/\.grouBy\(/g, '.groupBy('],
+  ['gruopBy', 'groupBy'],
+  ['groupBY', 'groupBy'],
+  ['grouBy', 'groupBy'],
   // getAttachments
-  [/\.getAttachmnets\(/g, '.getAttachments('],
-  [/\.getAttachemnts\(/g, '.getAttachments('],
-  [/\.getAtachments\(/g, '.getAttachments('],
-  [/\.getAttachmens\(/g, '.getAttachments('],
+  ['getAttachmnets', 'getAttachments'],
+  ['getAttachemnts', 'getAttachments'],
+  ['getAtachments', 'getAttachments'],
+  ['getAttachmens', 'getAttachments'],
   // addActiveQuery
-  [/\.addActvieQuery\(/g, '.addActiveQuery('],
-  [/\.addAtciveQuery\(/g, '.addActiveQuery('],
-  [/\.addActiveQeury\(/g, '.addActiveQuery('],
-  [/\.addActiveQurey\(/g, '.addActiveQuery('],
+  ['addActvieQuery', 'addActiveQuery'],
+  ['addAtciveQuery', 'addActiveQuery'],
+  ['addActiveQeury', 'addActiveQuery'],
+  ['addActiveQurey', 'addActiveQuery'],
   // addInactiveQuery
-  [/\.addInactiveQeury\(/g, '.addInactiveQuery('],
-  [/\.addInactiveQurey\(/g, '.addInactiveQuery('],
-  [/\.addInactvieQuery\(/g, '.addInactiveQuery('],
-  [/\.addInativeQuery\(/g, '.addInactiveQuery('],
+  ['addInactiveQeury', 'addInactiveQuery'],
+  ['addInactiveQurey', 'addInactiveQuery'],
+  ['addInactvieQuery', 'addInactiveQuery'],
+  ['addInativeQuery', 'addInactiveQuery'],
   // addJoinQuery
-  [/\.addJionQuery\(/g, '.addJoinQuery('],
-  [/\.addJoinQeury\(/g, '.addJoinQuery('],
-  [/\.addJionQeury\(/g, '.addJoinQuery('],
-  [/\.addJoinQurey\(/g, '.addJoinQuery('],
+  ['addJionQuery', 'addJoinQuery'],
+  ['addJoinQeury', 'addJoinQuery'],
+  ['addJionQeury', 'addJoinQuery'],
+  ['addJoinQurey', 'addJoinQuery'],
   // addDomainQuery
-  [/\.addDomainQeury\(/g, '.addDomainQuery('],
-  [/\.addDomianQuery\(/g, '.addDomainQuery('],
-  [/\.addDoaminQuery\(/g, '.addDomainQuery('],
-  [/\.addDomainQurey\(/g, '.addDomainQuery('],
+  ['addDomainQeury', 'addDomainQuery'],
+  ['addDomianQuery', 'addDomainQuery'],
+  ['addDoaminQuery', 'addDomainQuery'],
+  ['addDomainQurey', 'addDomainQuery'],
   // addFunction
-  [/\.addFunciton\(/g, '.addFunction('],
-  [/\.addFucntion\(/g, '.addFunction('],
-  [/\.addFuntion\(/g, '.addFunction('],
-  [/\.addFuncion\(/g, '.addFunction('],
+  ['addFunciton', 'addFunction'],
+  ['addFucntion', 'addFunction'],
+  ['addFuntion', 'addFunction'],
+  ['addFuncion', 'addFunction'],
   // setCategory
-  [/\.setCatagory\(/g, '.setCategory('],
-  [/\.setCategroy\(/g, '.setCategory('],
-  [/\.setCatgeory\(/g, '.setCategory('],
-  [/\.setCategorry\(/g, '.setCategory('],
+  ['setCatagory', 'setCategory'],
+  ['setCategroy', 'setCategory'],
+  ['setCatgeory', 'setCategory'],
+  ['setCategorry', 'setCategory'],
   // setEncodedQuery
-  [/\.setEncodedQeury\(/g, '.setEncodedQuery('],
-  [/\.setEncodedQurey\(/g, '.setEncodedQuery('],
-  [/\.setEncoddQuery\(/g, '.setEncodedQuery('],
-  [/\.setEncodeQuery\(/g, '.setEncodedQuery('],
+  ['setEncodedQeury', 'setEncodedQuery'],
+  ['setEncodedQurey', 'setEncodedQuery'],
+  ['setEncoddQuery', 'setEncodedQuery'],
+  ['setEncodeQuery', 'setEncodedQuery'],
   // setQueryReferences
-  [/\.setQueryRefernces\(/g, '.setQueryReferences('],
-  [/\.setQueryReferecnes\(/g, '.setQueryReferences('],
-  [/\.setQueryRefrences\(/g, '.setQueryReferences('],
-  [/\.setQueryRefrenecs\(/g, '.setQueryReferences('],
+  ['setQueryRefernces', 'setQueryReferences'],
+  ['setQueryReferecnes', 'setQueryReferences'],
+  ['setQueryRefrences', 'setQueryReferences'],
+  ['setQueryRefrenecs', 'setQueryReferences'],
   // setDisplayValue
-  [/\.setDisplayVlaue\(/g, '.setDisplayValue('],
-  [/\.setDisplayValeu\(/g, '.setDisplayValue('],
-  [/\.setDislplayValue\(/g, '.setDisplayValue('],
-  [/\.setDispalyValue\(/g, '.setDisplayValue('],
+  ['setDisplayVlaue', 'setDisplayValue'],
+  ['setDisplayValeu', 'setDisplayValue'],
+  ['setDislplayValue', 'setDisplayValue'],
+  ['setDispalyValue', 'setDisplayValue'],
   // getED
-  [/\.getEd\(/g, '.getED('],
-  [/\.getDE\(/g, '.getED('],
-  [/\.gtED\(/g, '.getED('],
-  [/\.geted\(/g, '.getED('],
+  ['getEd', 'getED'],
+  ['getDE', 'getED'],
+  ['gtED', 'getED'],
+  ['geted', 'getED'],
   // getAttribute
-  [/\.getAttriubte\(/g, '.getAttribute('],
-  [/\.getAtributte\(/g, '.getAttribute('],
-  [/\.getAttrbiute\(/g, '.getAttribute('],
-  [/\.getAttributte\(/g, '.getAttribute('],
+  ['getAttriubte', 'getAttribute'],
+  ['getAtributte', 'getAttribute'],
+  ['getAttrbiute', 'getAttribute'],
+  ['getAttributte', 'getAttribute'],
   // isValidRecord
-  [/\.isValidReocrd\(/g, '.isValidRecord('],
-  [/\.isValidRecrod\(/g, '.isValidRecord('],
-  [/\.isVlaidRecord\(/g, '.isValidRecord('],
-  [/\.isValidReocdr\(/g, '.isValidRecord('],
+  ['isValidReocrd', 'isValidRecord'],
+  ['isValidRecrod', 'isValidRecord'],
+  ['isVlaidRecord', 'isValidRecord'],
+  ['isValidReocdr', 'isValidRecord'],
   // isNewRecord
-  [/\.isNewReocrd\(/g, '.isNewRecord('],
-  [/\.isNewRecrod\(/g, '.isNewRecord('],
-  [/\.isNweRecord\(/g, '.isNewRecord('],
-  [/\.isNewReocdr\(/g, '.isNewRecord('],
+  ['isNewReocrd', 'isNewRecord'],
+  ['isNewRecrod', 'isNewRecord'],
+  ['isNweRecord', 'isNewRecord'],
+  ['isNewReocdr', 'isNewRecord'],
   // nil
-  [/\.nill\(/g, '.nil('],
-  [/\.nli\(/g, '.nil('],
-  [/\.nnill\(/g, '.nil('],
-  [/\.niil\(/g, '.nil('],
+  ['nill', 'nil'],
+  ['nli', 'nil'],
+  ['nnill', 'nil'],
+  ['niil', 'nil'],
   // getFields
-  [/\.getFidels\(/g, '.getFields('],
-  [/\.getFelds\(/g, '.getFields('],
-  [/\.getFieldss\(/g, '.getFields('],
-  [/\.getFileds\(/g, '.getFields('],
+  ['getFidels', 'getFields'],
+  ['getFelds', 'getFields'],
+  ['getFieldss', 'getFields'],
+  ['getFileds', 'getFields'],
   // getElements
-  [/\.getElments\(/g, '.getElements('],
-  [/\.getElemnts\(/g, '.getElements('],
-  [/\.getElementss\(/g, '.getElements('],
-  [/\.getElemtns\(/g, '.getElements('],
+  ['getElments', 'getElements'],
+  ['getElemnts', 'getElements'],
+  ['getElementss', 'getElements'],
+  ['getElemtns', 'getElements'],
   // applyTemplate
-  [/\.applyTemplete\(/g, '.applyTemplate('],
-  [/\.applyTemplat\(/g, '.applyTemplate('],
-  [/\.apllyTemplate\(/g, '.applyTemplate('],
-  [/\.applyTempalte\(/g, '.applyTemplate('],
+  ['applyTemplete', 'applyTemplate'],
+  ['applyTemplat', 'applyTemplate'],
+  ['apllyTemplate', 'applyTemplate'],
+  ['applyTempalte', 'applyTemplate'],
   // newRecord
-  [/\.newRecrod\(/g, '.newRecord('],
-  [/\.newReocrd\(/g, '.newRecord('],
-  [/\.newRecodr\(/g, '.newRecord('],
-  [/\.nweRecord\(/g, '.newRecord('],
+  ['newRecrod', 'newRecord'],
+  ['newReocrd', 'newRecord'],
+  ['newRecodr', 'newRecord'],
+  ['nweRecord', 'newRecord'],
   // initialize
-  [/\.intialize\(/g, '.initialize('],
-  [/\.intiialize\(/g, '.initialize('],
-  [/\.initalize\(/g, '.initialize('],
-  [/\.initailize\(/g, '.initialize('],
+  ['intialize', 'initialize'],
+  ['intiialize', 'initialize'],
+  ['initalize', 'initialize'],
+  ['initailize', 'initialize'],
   // isActionAborted
-  [/\.isActionAbortd\(/g, '.isActionAborted('],
-  [/\.isActoinAborted\(/g, '.isActionAborted('],
-  [/\.isActionAboretd\(/g, '.isActionAborted('],
-  [/\.isActionAbortedd\(/g, '.isActionAborted('],
+  ['isActionAbortd', 'isActionAborted'],
+  ['isActoinAborted', 'isActionAborted'],
+  ['isActionAboretd', 'isActionAborted'],
+  ['isActionAbortedd', 'isActionAborted'],
   // setNewGuidValue
-  [/\.setNewGuidVlaue\(/g, '.setNewGuidValue('],
-  [/\.setNewGuidValeu\(/g, '.setNewGuidValue('],
-  [/\.setNewGuidVaule\(/g, '.setNewGuidValue('],
-  [/\.setNewGudiValue\(/g, '.setNewGuidValue('],
+  ['setNewGuidVlaue', 'setNewGuidValue'],
+  ['setNewGuidValeu', 'setNewGuidValue'],
+  ['setNewGuidVaule', 'setNewGuidValue'],
+  ['setNewGudiValue', 'setNewGuidValue'],
   // operation
-  [/\.operaiton\(/g, '.operation('],
-  [/\.operatoin\(/g, '.operation('],
-  [/\.opertaion\(/g, '.operation('],
-  [/\.opertion\(/g, '.operation('],
+  ['operaiton', 'operation'],
+  ['operatoin', 'operation'],
+  ['opertaion', 'operation'],
+  ['opertion', 'operation'],
   // setLocation
-  [/\.setLocaiton\(/g, '.setLocation('],
-  [/\.setLocatoin\(/g, '.setLocation('],
-  [/\.setLoaction\(/g, '.setLocation('],
-  [/\.setLoacation\(/g, '.setLocation('],
+  ['setLocaiton', 'setLocation'],
+  ['setLocatoin', 'setLocation'],
+  ['setLoaction', 'setLocation'],
+  ['setLoacation', 'setLocation'],
   // canCreate
-  [/\.canCraete\(/g, '.canCreate('],
-  [/\.canCreaet\(/g, '.canCreate('],
-  [/\.canCreat\(/g, '.canCreate('],
-  [/\.canCretae\(/g, '.canCreate('],
+  ['canCraete', 'canCreate'],
+  ['canCreaet', 'canCreate'],
+  ['canCreat', 'canCreate'],
+  ['canCretae', 'canCreate'],
   // canDelete
-  [/\.canDelte\(/g, '.canDelete('],
-  [/\.canDeleet\(/g, '.canDelete('],
-  [/\.canDleete\(/g, '.canDelete('],
-  [/\.canDelet\(/g, '.canDelete('],
+  ['canDelte', 'canDelete'],
+  ['canDeleet', 'canDelete'],
+  ['canDleete', 'canDelete'],
+  ['canDelet', 'canDelete'],
   // getClassDisplayValue
-  [/\.getClassDisplayVlaue\(/g, '.getClassDisplayValue('],
-  [/\.getClassDisplayValeu\(/g, '.getClassDisplayValue('],
-  [/\.getClassDiplayValue\(/g, '.getClassDisplayValue('],
-  [/\.getClassDispalyValue\(/g, '.getClassDisplayValue('],
+  ['getClassDisplayVlaue', 'getClassDisplayValue'],
+  ['getClassDisplayValeu', 'getClassDisplayValue'],
+  ['getClassDiplayValue', 'getClassDisplayValue'],
+  ['getClassDispalyValue', 'getClassDisplayValue'],
   // getRecordClassName
-  [/\.getRecordClassNmae\(/g, '.getRecordClassName('],
-  [/\.getRecordClassNaem\(/g, '.getRecordClassName('],
-  [/\.getRecrodClassName\(/g, '.getRecordClassName('],
-  [/\.getReocrdClassName\(/g, '.getRecordClassName('],
+  ['getRecordClassNmae', 'getRecordClassName'],
+  ['getRecordClassNaem', 'getRecordClassName'],
+  ['getRecrodClassName', 'getRecordClassName'],
+  ['getReocrdClassName', 'getRecordClassName'],
   // updateMultiple
-  [/\.updateMutliple\(/g, '.updateMultiple('],
-  [/\.udpateMultiple\(/g, '.updateMultiple('],
-  [/\.updateMultipe\(/g, '.updateMultiple('],
-  [/\.updateMultipl\(/g, '.updateMultiple('],
+  ['updateMutliple', 'updateMultiple'],
+  ['udpateMultiple', 'updateMultiple'],
+  ['updateMultipe', 'updateMultiple'],
+  ['updateMultipl', 'updateMultiple'],
   // getLink
-  [/\.getLnik\(/g, '.getLink('],
-  [/\.getLik\(/g, '.getLink('],
-  [/\.getLikn\(/g, '.getLink('],
-  [/\.getLnk\(/g, '.getLink('],
+  ['getLnik', 'getLink'],
+  ['getLik', 'getLink'],
+  ['getLikn', 'getLink'],
+  ['getLnk', 'getLink'],
   // getBooleanValue
-  [/\.getBooleanVlaue\(/g, '.getBooleanValue('],
-  [/\.getBooleanValeu\(/g, '.getBooleanValue('],
-  [/\.getBooelanValue\(/g, '.getBooleanValue('],
-  [/\.getBoolenaValue\(/g, '.getBooleanValue('],
+  ['getBooleanVlaue', 'getBooleanValue'],
+  ['getBooleanValeu', 'getBooleanValue'],
+  ['getBooelanValue', 'getBooleanValue'],
+  ['getBoolenaValue', 'getBooleanValue'],
 ];
 
 // GlideElement method typos
 const GLIDE_ELEMENT_TYPOS = [
   // getED
-  [/\.getEd\(/g, '.getED('],
-  [/\.getDE\(/g, '.getED('],
-  [/\.geted\(/g, '.getED('],
-  [/\.gtED\(/g, '.getED('],
+  ['getEd', 'getED'],
+  ['getDE', 'getED'],
+  ['geted', 'getED'],
+  ['gtED', 'getED'],
   // getReferenceTable
-  [/\.getReferecneTable\(/g, '.getReferenceTable('],
-  [/\.getRefernceTable\(/g, '.getReferenceTable('],
-  [/\.getRefrenceTable\(/g, '.getReferenceTable('],
-  [/\.getReferneceTable\(/g, '.getReferenceTable('],
+  ['getReferecneTable', 'getReferenceTable'],
+  ['getRefernceTable', 'getReferenceTable'],
+  ['getRefrenceTable', 'getReferenceTable'],
+  ['getReferneceTable', 'getReferenceTable'],
   // getRefRecord
-  [/\.getRefRecrod\(/g, '.getRefRecord('],
-  [/\.getRefReocrd\(/g, '.getRefRecord('],
-  [/\.getRefRecodr\(/g, '.getRefRecord('],
-  [/\.getRefRecrd\(/g, '.getRefRecord('],
+  ['getRefRecrod', 'getRefRecord'],
+  ['getRefReocrd', 'getRefRecord'],
+  ['getRefRecodr', 'getRefRecord'],
+  ['getRefRecrd', 'getRefRecord'],
   // getJournalEntry
-  [/\.getJournlaEntry\(/g, '.getJournalEntry('],
-  [/\.getJournalEnrty\(/g, '.getJournalEntry('],
-  [/\.getJounralEntry\(/g, '.getJournalEntry('],
-  [/\.getJournalEntrry\(/g, '.getJournalEntry('],
+  ['getJournlaEntry', 'getJournalEntry'],
+  ['getJournalEnrty', 'getJournalEntry'],
+  ['getJounralEntry', 'getJournalEntry'],
+  ['getJournalEntrry', 'getJournalEntry'],
   // changes
-  [/\.chnages\(/g, '.changes('],
-  [/\.chagnes\(/g, '.changes('],
-  [/\.changs\(/g, '.changes('],
-  [/\.chanegs\(/g, '.changes('],
+  ['chnages', 'changes'],
+  ['chagnes', 'changes'],
+  ['changs', 'changes'],
+  ['chanegs', 'changes'],
   // changesFrom
-  [/\.chnagesFrom\(/g, '.changesFrom('],
-  [/\.changesFromm\(/g, '.changesFrom('],
-  [/\.changesFomr\(/g, '.changesFrom('],
-  [/\.changesFrom\(/g, '.changesFrom('],
+  ['chnagesFrom', 'changesFrom'],
+  ['changesFromm', 'changesFrom'],
+  ['changesFomr', 'changesFrom'],
   // changesTo
-  [/\.chnagesTo\(/g, '.changesTo('],
-  [/\.changesToo\(/g, '.changesTo('],
-  [/\.changesToo\(/g, '.changesTo('],
-  [/\.changestTo\(/g, '.changesTo('],
+  ['chnagesTo', 'changesTo'],
+  ['changesToo', 'changesTo'],
+  ['changesToo', 'changesTo'],
+  ['changestTo', 'changesTo'],
   // nil
-  [/\.nill\(/g, '.nil('],
-  [/\.nli\(/g, '.nil('],
-  [/\.nnill\(/g, '.nil('],
-  [/\.niil\(/g, '.nil('],
+  ['nill', 'nil'],
+  ['nli', 'nil'],
+  ['nnill', 'nil'],
+  ['niil', 'nil'],
   // toString
-  [/\.toStirng\(/g, '.toString('],
-  [/\.toStrng\(/g, '.toString('],
-  [/\.toStrign\(/g, '.toString('],
-  [/\.toStrnig\(/g, '.toString('],
+  ['toStirng', 'toString'],
+  ['toStrng', 'toString'],
+  ['toStrign', 'toString'],
+  ['toStrnig', 'toString'],
   // dateNumericValue
-  [/\.dateNumericVlaue\(/g, '.dateNumericValue('],
-  [/\.dateNumericValeu\(/g, '.dateNumericValue('],
-  [/\.dateNumeircValue\(/g, '.dateNumericValue('],
-  [/\.dateNuemricValue\(/g, '.dateNumericValue('],
+  ['dateNumericVlaue', 'dateNumericValue'],
+  ['dateNumericValeu', 'dateNumericValue'],
+  ['dateNumeircValue', 'dateNumericValue'],
+  ['dateNuemricValue', 'dateNumericValue'],
   // setDateNumericValue
-  [/\.setDateNumericVlaue\(/g, '.setDateNumericValue('],
-  [/\.setDateNumericValeu\(/g, '.setDateNumericValue('],
-  [/\.setDateNumeircValue\(/g, '.setDateNumericValue('],
-  [/\.setDateNuemricValue\(/g, '.setDateNumericValue('],
+  ['setDateNumericVlaue', 'setDateNumericValue'],
+  ['setDateNumericValeu', 'setDateNumericValue'],
+  ['setDateNumeircValue', 'setDateNumericValue'],
+  ['setDateNuemricValue', 'setDateNumericValue'],
   // getChoices
-  [/\.getChocies\(/g, '.getChoices('],
-  [/\.getChioces\(/g, '.getChoices('],
-  [/\.getChoicse\(/g, '.getChoices('],
-  [/\.getChioces\(/g, '.getChoices('],
+  ['getChocies', 'getChoices'],
+  ['getChioces', 'getChoices'],
+  ['getChoicse', 'getChoices'],
+  ['getChioces', 'getChoices'],
   // getAttribute
-  [/\.getAttriubte\(/g, '.getAttribute('],
-  [/\.getAtributte\(/g, '.getAttribute('],
-  [/\.getAttrbiute\(/g, '.getAttribute('],
-  [/\.getAttributte\(/g, '.getAttribute('],
+  ['getAttriubte', 'getAttribute'],
+  ['getAtributte', 'getAttribute'],
+  ['getAttrbiute', 'getAttribute'],
+  ['getAttributte', 'getAttribute'],
   // getBooleanAttribute
-  [/\.getBooleanAttriubte\(/g, '.getBooleanAttribute('],
-  [/\.getBooleanAtributte\(/g, '.getBooleanAttribute('],
-  [/\.getBooleanAttrbiute\(/g, '.getBooleanAttribute('],
-  [/\.getBooelanAttribute\(/g, '.getBooleanAttribute('],
+  ['getBooleanAttriubte', 'getBooleanAttribute'],
+  ['getBooleanAtributte', 'getBooleanAttribute'],
+  ['getBooleanAttrbiute', 'getBooleanAttribute'],
+  ['getBooelanAttribute', 'getBooleanAttribute'],
   // getHTMLValue
-  [/\.getHTMLVlaue\(/g, '.getHTMLValue('],
-  [/\.getHTMlValue\(/g, '.getHTMLValue('],
-  [/\.getHtmlVlaue\(/g, '.getHTMLValue('],
-  [/\.getHTMLValeu\(/g, '.getHTMLValue('],
+  ['getHTMLVlaue', 'getHTMLValue'],
+  ['getHTMlValue', 'getHTMLValue'],
+  ['getHtmlVlaue', 'getHTMLValue'],
+  ['getHTMLValeu', 'getHTMLValue'],
   // getGlideObject
-  [/\.getGlideObeject\(/g, '.getGlideObject('],
-  [/\.getGlideObjcet\(/g, '.getGlideObject('],
-  [/\.getGlideObejct\(/g, '.getGlideObject('],
-  [/\.getGldieoObject\(/g, '.getGlideObject('],
+  ['getGlideObeject', 'getGlideObject'],
+  ['getGlideObjcet', 'getGlideObject'],
+  ['getGlideObejct', 'getGlideObject'],
+  ['getGldieoObject', 'getGlideObject'],
   // setInitialValue
-  [/\.setInitailValue\(/g, '.setInitialValue('],
-  [/\.setInitialVlaue\(/g, '.setInitialValue('],
-  [/\.setInitialValeu\(/g, '.setInitialValue('],
-  [/\.setInitalValue\(/g, '.setInitialValue('],
+  ['setInitailValue', 'setInitialValue'],
+  ['setInitialVlaue', 'setInitialValue'],
+  ['setInitialValeu', 'setInitialValue'],
+  ['setInitalValue', 'setInitialValue'],
   // getLabel
-  [/\.getLable\(/g, '.getLabel('],
-  [/\.getLabl\(/g, '.getLabel('],
-  [/\.getLaebl\(/g, '.getLabel('],
-  [/\.getLabell\(/g, '.getLabel('],
+  ['getLable', 'getLabel'],
+  ['getLabl', 'getLabel'],
+  ['getLaebl', 'getLabel'],
+  ['getLabell', 'getLabel'],
   // getTableName
-  [/\.getTableNmae\(/g, '.getTableName('],
-  [/\.getTabelName\(/g, '.getTableName('],
-  [/\.getTableNaem\(/g, '.getTableName('],
-  [/\.getTabeNlame\(/g, '.getTableName('],
+  ['getTableNmae', 'getTableName'],
+  ['getTabelName', 'getTableName'],
+  ['getTableNaem', 'getTableName'],
+  ['getTabeNlame', 'getTableName'],
   // getName
-  [/\.getNmae\(/g, '.getName('],
-  [/\.getNaem\(/g, '.getName('],
-  [/\.getNam\(/g, '.getName('],
-  [/\.getNamee\(/g, '.getName('],
+  ['getNmae', 'getName'],
+  ['getNaem', 'getName'],
+  ['getNam', 'getName'],
+  ['getNamee', 'getName'],
   // getTextContent
-  [/\.getTextContnet\(/g, '.getTextContent('],
-  [/\.getTextContetn\(/g, '.getTextContent('],
-  [/\.getTextCotent\(/g, '.getTextContent('],
-  [/\.getTxtContent\(/g, '.getTextContent('],
+  ['getTextContnet', 'getTextContent'],
+  ['getTextContetn', 'getTextContent'],
+  ['getTextCotent', 'getTextContent'],
+  ['getTxtContent', 'getTextContent'],
   // canRead
-  [/\.canRed\(/g, '.canRead('],
-  [/\.canRaed\(/g, '.canRead('],
-  [/\.canRaead\(/g, '.canRead('],
-  [/\.canReda\(/g, '.canRead('],
+  ['canRed', 'canRead'],
+  ['canRaed', 'canRead'],
+  ['canRaead', 'canRead'],
+  ['canReda', 'canRead'],
   // canWrite
-  [/\.canWirte\(/g, '.canWrite('],
-  [/\.canWrtie\(/g, '.canWrite('],
-  [/\.canWite\(/g, '.canWrite('],
-  [/\.canWrit\(/g, '.canWrite('],
+  ['canWirte', 'canWrite'],
+  ['canWrtie', 'canWrite'],
+  ['canWite', 'canWrite'],
+  ['canWrit', 'canWrite'],
   // hasRightsTo
-  [/\.hasRigthsTo\(/g, '.hasRightsTo('],
-  [/\.hasRighsTo\(/g, '.hasRightsTo('],
-  [/\.hasRightsToo\(/g, '.hasRightsTo('],
-  [/\.hasRigtsTo\(/g, '.hasRightsTo('],
+  ['hasRigthsTo', 'hasRightsTo'],
+  ['hasRighsTo', 'hasRightsTo'],
+  ['hasRightsToo', 'hasRightsTo'],
+  ['hasRigtsTo', 'hasRightsTo'],
   // setError
-  [/\.setErorr\(/g, '.setError('],
-  [/\.setErro\(/g, '.setError('],
-  [/\.setErrorr\(/g, '.setError('],
-  [/\.setErrro\(/g, '.setError('],
+  ['setErorr', 'setError'],
+  ['setErro', 'setError'],
+  ['setErrorr', 'setError'],
+  ['setErrro', 'setError'],
   // setPhoneNumber
-  [/\.setPhoneNumebr\(/g, '.setPhoneNumber('],
-  [/\.setPhoneNumbr\(/g, '.setPhoneNumber('],
-  [/\.setPhoenNumber\(/g, '.setPhoneNumber('],
-  [/\.setPhoneNubmer\(/g, '.setPhoneNumber('],
+  ['setPhoneNumebr', 'setPhoneNumber'],
+  ['setPhoneNumbr', 'setPhoneNumber'],
+  ['setPhoenNumber', 'setPhoneNumber'],
+  ['setPhoneNubmer', 'setPhoneNumber'],
 ];
 
 // ServiceNow class name typos
 const CLASS_NAME_TYPOS = [
   // GlideRecord
-  [/GlideReocrd/g, 'GlideRecord'],
-  [/GlideRecrod/g, 'GlideRecord'],
-  [/GlidRecord/g, 'GlideRecord'],
-  [/GlideReord/g, 'GlideRecord'],
-  [/GldieRecord/g, 'GlideRecord'],
+  ['GlideReocrd', 'GlideRecord'],
+  ['GlideRecrod', 'GlideRecord'],
+  ['GlidRecord', 'GlideRecord'],
+  ['GlideReord', 'GlideRecord'],
+  ['GldieRecord', 'GlideRecord'],
   // GlideRecordSecure
-  [/GlideRecordSecrue/g, 'GlideRecordSecure'],
-  [/GlideReocrdSecure/g, 'GlideRecordSecure'],
-  [/GlideRecrodSecure/g, 'GlideRecordSecure'],
-  [/GlideRecordSecur/g, 'GlideRecordSecure'],
+  ['GlideRecordSecrue', 'GlideRecordSecure'],
+  ['GlideReocrdSecure', 'GlideRecordSecure'],
+  ['GlideRecrodSecure', 'GlideRecordSecure'],
+  ['GlideRecordSecur', 'GlideRecordSecure'],
   // GlideAggregate
-  [/GlideAggreaget/g, 'GlideAggregate'],
-  [/GlideAggreagte/g, 'GlideAggregate'],
-  [/GlideAggreaet/g, 'GlideAggregate'],
-  [/GlideAgregate/g, 'GlideAggregate'],
+  ['GlideAggreaget', 'GlideAggregate'],
+  ['GlideAggreagte', 'GlideAggregate'],
+  ['GlideAggreaet', 'GlideAggregate'],
+  ['GlideAgregate', 'GlideAggregate'],
   // GlideElement
-  [/GlideElment/g, 'GlideElement'],
-  [/GlideElemnt/g, 'GlideElement'],
-  [/GldieElement/g, 'GlideElement'],
-  [/GlideEleemnt/g, 'GlideElement'],
+  ['GlideElment', 'GlideElement'],
+  ['GlideElemnt', 'GlideElement'],
+  ['GldieElement', 'GlideElement'],
+  ['GlideEleemnt', 'GlideElement'],
   // GlideQueryCondition
-  [/GlideQueryCondtion/g, 'GlideQueryCondition'],
-  [/GlideQueryConditon/g, 'GlideQueryCondition'],
-  [/GlidQueryCondition/g, 'GlideQueryCondition'],
-  [/GlideQeruryCondition/g, 'GlideQueryCondition'],
+  ['GlideQueryCondtion', 'GlideQueryCondition'],
+  ['GlideQueryConditon', 'GlideQueryCondition'],
+  ['GlidQueryCondition', 'GlideQueryCondition'],
+  ['GlideQeruryCondition', 'GlideQueryCondition'],
   // GlideElementDescriptor
-  [/GlideElementDecriptor/g, 'GlideElementDescriptor'],
-  [/GlideElmentDescriptor/g, 'GlideElementDescriptor'],
-  [/GlideElementDescrpitor/g, 'GlideElementDescriptor'],
-  [/GlideElementDescirptor/g, 'GlideElementDescriptor'],
+  ['GlideElementDecriptor', 'GlideElementDescriptor'],
+  ['GlideElmentDescriptor', 'GlideElementDescriptor'],
+  ['GlideElementDescrpitor', 'GlideElementDescriptor'],
+  ['GlideElementDescirptor', 'GlideElementDescriptor'],
   // GlideDateTime
-  [/GlideDateTiem/g, 'GlideDateTime'],
-  [/GlideDatetime/g, 'GlideDateTime'],
-  [/GlideDateTme/g, 'GlideDateTime'],
-  [/GldieDatetime/g, 'GlideDateTime'],
+  ['GlideDateTiem', 'GlideDateTime'],
+  ['GlideDatetime', 'GlideDateTime'],
+  ['GlideDateTme', 'GlideDateTime'],
+  ['GldieDatetime', 'GlideDateTime'],
   // GlideDate
-  [/GlideDat\b/g, 'GlideDate'],
-  [/GldieDate/g, 'GlideDate'],
-  [/GlideDaet/g, 'GlideDate'],
-  [/GlideDatee/g, 'GlideDate'],
+  ['GlideDat', 'GlideDate'],
+  ['GldieDate', 'GlideDate'],
+  ['GlideDaet', 'GlideDate'],
+  ['GlideDatee', 'GlideDate'],
   // GlideTime
-  [/GlideTiem/g, 'GlideTime'],
-  [/GldieTime/g, 'GlideTime'],
-  [/GlidTiem/g, 'GlideTime'],
-  [/GlideTimee/g, 'GlideTime'],
+  ['GlideTiem', 'GlideTime'],
+  ['GldieTime', 'GlideTime'],
+  ['GlidTiem', 'GlideTime'],
+  ['GlideTimee', 'GlideTime'],
   // GlideDuration
-  [/GlideDuraiton/g, 'GlideDuration'],
-  [/GldieDuration/g, 'GlideDuration'],
-  [/GlideDuraton/g, 'GlideDuration'],
-  [/GlideDuratioin/g, 'GlideDuration'],
+  ['GlideDuraiton', 'GlideDuration'],
+  ['GldieDuration', 'GlideDuration'],
+  ['GlideDuraton', 'GlideDuration'],
+  ['GlideDuratioin', 'GlideDuration'],
   // GlideSchedule
-  [/GlideScheulde/g, 'GlideSchedule'],
-  [/GlidSchedule/g, 'GlideSchedule'],
-  [/GlideSchdule/g, 'GlideSchedule'],
-  [/GlideScehdule/g, 'GlideSchedule'],
+  ['GlideScheulde', 'GlideSchedule'],
+  ['GlidSchedule', 'GlideSchedule'],
+  ['GlideSchdule', 'GlideSchedule'],
+  ['GlideScehdule', 'GlideSchedule'],
   // GlideCalendarDateTime
-  [/GlideCalendarDateTiem/g, 'GlideCalendarDateTime'],
-  [/GlideCalendarDatetime/g, 'GlideCalendarDateTime'],
-  [/GlideCaledndarDateTime/g, 'GlideCalendarDateTime'],
-  [/GlideCalendarDateTimee/g, 'GlideCalendarDateTime'],
+  ['GlideCalendarDateTiem', 'GlideCalendarDateTime'],
+  ['GlideCalendarDatetime', 'GlideCalendarDateTime'],
+  ['GlideCaledndarDateTime', 'GlideCalendarDateTime'],
+  ['GlideCalendarDateTimee', 'GlideCalendarDateTime'],
   // GlideUser
-  [/GlideUsr/g, 'GlideUser'],
-  [/GldieUser/g, 'GlideUser'],
-  [/GlideUserr/g, 'GlideUser'],
-  [/GliedUser/g, 'GlideUser'],
+  ['GlideUsr', 'GlideUser'],
+  ['GldieUser', 'GlideUser'],
+  ['GlideUserr', 'GlideUser'],
+  ['GliedUser', 'GlideUser'],
   // GlideSession
-  [/GlideSesssion/g, 'GlideSession'],
-  [/GlideSesson/g, 'GlideSession'],
-  [/GlideSesion/g, 'GlideSession'],
-  [/GlideSessionn/g, 'GlideSession'],
+  ['GlideSesssion', 'GlideSession'],
+  ['GlideSesson', 'GlideSession'],
+  ['GlideSesion', 'GlideSession'],
+  ['GlideSessionn', 'GlideSession'],
   // GlideAjax
-  [/GlideAjxa/g, 'GlideAjax'],
-  [/GlidAjax/g, 'GlideAjax'],
-  [/GlideAjx/g, 'GlideAjax'],
-  [/GlideAjaxx/g, 'GlideAjax'],
+  ['GlideAjxa', 'GlideAjax'],
+  ['GlidAjax', 'GlideAjax'],
+  ['GlideAjx', 'GlideAjax'],
+  ['GlideAjaxx', 'GlideAjax'],
   // GlideHTTPRequest
-  [/GlideHTTPReqeust/g, 'GlideHTTPRequest'],
-  [/GlideHTTPRequset/g, 'GlideHTTPRequest'],
-  [/GlideHttpRequest/g, 'GlideHTTPRequest'],
-  [/GlideHTTPReqest/g, 'GlideHTTPRequest'],
+  ['GlideHTTPReqeust', 'GlideHTTPRequest'],
+  ['GlideHTTPRequset', 'GlideHTTPRequest'],
+  ['GlideHttpRequest', 'GlideHTTPRequest'],
+  ['GlideHTTPReqest', 'GlideHTTPRequest'],
   // RESTMessageV2
-  [/RESTMessagV2/g, 'RESTMessageV2'],
-  [/RESTMessagev2/g, 'RESTMessageV2'],
-  [/RESTMessaeV2/g, 'RESTMessageV2'],
-  [/RESMessageV2/g, 'RESTMessageV2'],
+  ['RESTMessagV2', 'RESTMessageV2'],
+  ['RESTMessagev2', 'RESTMessageV2'],
+  ['RESTMessaeV2', 'RESTMessageV2'],
+  ['RESMessageV2', 'RESTMessageV2'],
   // RESTResponseV2
-  [/RESTResponeV2/g, 'RESTResponseV2'],
-  [/RESTResponsev2/g, 'RESTResponseV2'],
-  [/RESTRespnoseV2/g, 'RESTResponseV2'],
-  [/RESResponseV2/g, 'RESTResponseV2'],
+  ['RESTResponeV2', 'RESTResponseV2'],
+  ['RESTResponsev2', 'RESTResponseV2'],
+  ['RESTRespnoseV2', 'RESTResponseV2'],
+  ['RESResponseV2', 'RESTResponseV2'],
   // SOAPMessageV2
-  [/SOAPMessagV2/g, 'SOAPMessageV2'],
-  [/SOAPMessagev2/g, 'SOAPMessageV2'],
-  [/SOAPMessaeV2/g, 'SOAPMessageV2'],
-  [/SOPAMessageV2/g, 'SOAPMessageV2'],
+  ['SOAPMessagV2', 'SOAPMessageV2'],
+  ['SOAPMessagev2', 'SOAPMessageV2'],
+  ['SOAPMessaeV2', 'SOAPMessageV2'],
+  ['SOPAMessageV2', 'SOAPMessageV2'],
   // SOAPResponseV2
-  [/SOAPResponeV2/g, 'SOAPResponseV2'],
-  [/SOAPResponsev2/g, 'SOAPResponseV2'],
-  [/SOAPRespnoseV2/g, 'SOAPResponseV2'],
-  [/SOPAResponseV2/g, 'SOAPResponseV2'],
+  ['SOAPResponeV2', 'SOAPResponseV2'],
+  ['SOAPResponsev2', 'SOAPResponseV2'],
+  ['SOAPRespnoseV2', 'SOAPResponseV2'],
+  ['SOPAResponseV2', 'SOAPResponseV2'],
   // GlideSysAttachment
-  [/GlideSysAttachement/g, 'GlideSysAttachment'],
-  [/GlideSysAttahcment/g, 'GlideSysAttachment'],
-  [/GlideSysAtachment/g, 'GlideSysAttachment'],
-  [/GlideSysAtachement/g, 'GlideSysAttachment'],
+  ['GlideSysAttachement', 'GlideSysAttachment'],
+  ['GlideSysAttahcment', 'GlideSysAttachment'],
+  ['GlideSysAtachment', 'GlideSysAttachment'],
+  ['GlideSysAtachement', 'GlideSysAttachment'],
   // XMLDocument2
-  [/XMLDocuemnt2/g, 'XMLDocument2'],
-  [/XMLDocumnet2/g, 'XMLDocument2'],
-  [/XMlDocument2/g, 'XMLDocument2'],
-  [/XMLDocumetn2/g, 'XMLDocument2'],
+  ['XMLDocuemnt2', 'XMLDocument2'],
+  ['XMLDocumnet2', 'XMLDocument2'],
+  ['XMlDocument2', 'XMLDocument2'],
+  ['XMLDocumetn2', 'XMLDocument2'],
   // XMLDocument
-  [/XMLDocuemnt\b/g, 'XMLDocument'],
-  [/XMLDocumnet\b/g, 'XMLDocument'],
-  [/XMlDocument\b/g, 'XMLDocument'],
-  [/XMLDocumetn\b/g, 'XMLDocument'],
+  ['XMLDocuemnt', 'XMLDocument'],
+  ['XMLDocumnet', 'XMLDocument'],
+  ['XMlDocument', 'XMLDocument'],
+  ['XMLDocumetn', 'XMLDocument'],
   // XMLNode
-  [/XMLNdoe/g, 'XMLNode'],
-  [/XMLNoed/g, 'XMLNode'],
-  [/XMlNode/g, 'XMLNode'],
-  [/XMLNodee/g, 'XMLNode'],
+  ['XMLNdoe', 'XMLNode'],
+  ['XMLNoed', 'XMLNode'],
+  ['XMlNode', 'XMLNode'],
+  ['XMLNodee', 'XMLNode'],
   // XMLNodeIterator
-  [/XMLNodeIteraotr/g, 'XMLNodeIterator'],
-  [/XMLNodeItertor/g, 'XMLNodeIterator'],
-  [/XMLNdoeIterator/g, 'XMLNodeIterator'],
-  [/XMLNodeIteratror/g, 'XMLNodeIterator'],
+  ['XMLNodeIteraotr', 'XMLNodeIterator'],
+  ['XMLNodeItertor', 'XMLNodeIterator'],
+  ['XMLNdoeIterator', 'XMLNodeIterator'],
+  ['XMLNodeIteratror', 'XMLNodeIterator'],
   // GlideEmailOutbound
-  [/GlideEmailOutbond/g, 'GlideEmailOutbound'],
-  [/GlideEmailOutboud/g, 'GlideEmailOutbound'],
-  [/GlidEmailOutbound/g, 'GlideEmailOutbound'],
-  [/GlideEmailOutboundd/g, 'GlideEmailOutbound'],
+  ['GlideEmailOutbond', 'GlideEmailOutbound'],
+  ['GlideEmailOutboud', 'GlideEmailOutbound'],
+  ['GlidEmailOutbound', 'GlideEmailOutbound'],
+  ['GlideEmailOutboundd', 'GlideEmailOutbound'],
   // ArrayUtil
-  [/ArrayUitl/g, 'ArrayUtil'],
-  [/ArrrayUtil/g, 'ArrayUtil'],
-  [/ArrayUtl/g, 'ArrayUtil'],
-  [/AraryUtil/g, 'ArrayUtil'],
+  ['ArrayUitl', 'ArrayUtil'],
+  ['ArrrayUtil', 'ArrayUtil'],
+  ['ArrayUtl', 'ArrayUtil'],
+  ['AraryUtil', 'ArrayUtil'],
   // GlideStringUtil
-  [/GlideStringUtl/g, 'GlideStringUtil'],
-  [/GldieStringUtil/g, 'GlideStringUtil'],
-  [/GlideStirngUtil/g, 'GlideStringUtil'],
-  [/GlideStringUtill/g, 'GlideStringUtil'],
+  ['GlideStringUtl', 'GlideStringUtil'],
+  ['GldieStringUtil', 'GlideStringUtil'],
+  ['GlideStirngUtil', 'GlideStringUtil'],
+  ['GlideStringUtill', 'GlideStringUtil'],
   // GlideXMLUtil
-  [/GlideXMlUtil/g, 'GlideXMLUtil'],
-  [/GlideXMLUtl/g, 'GlideXMLUtil'],
-  [/GldieXMLUtil/g, 'GlideXMLUtil'],
-  [/GlideXMLUtill/g, 'GlideXMLUtil'],
+  ['GlideXMlUtil', 'GlideXMLUtil'],
+  ['GlideXMLUtl', 'GlideXMLUtil'],
+  ['GldieXMLUtil', 'GlideXMLUtil'],
+  ['GlideXMLUtill', 'GlideXMLUtil'],
   // GlideFilter
-  [/GlideFiltr/g, 'GlideFilter'],
-  [/GlideFitler/g, 'GlideFilter'],
-  [/GlidFilter/g, 'GlideFilter'],
-  [/GlideFilterr/g, 'GlideFilter'],
+  ['GlideFiltr', 'GlideFilter'],
+  ['GlideFitler', 'GlideFilter'],
+  ['GlidFilter', 'GlideFilter'],
+  ['GlideFilterr', 'GlideFilter'],
   // GlideTableHierarchy
-  [/GlideTableHiearchy/g, 'GlideTableHierarchy'],
-  [/GlideTableHeirarchy/g, 'GlideTableHierarchy'],
-  [/GlideTabelHierarchy/g, 'GlideTableHierarchy'],
-  [/GlideTableHierarhcy/g, 'GlideTableHierarchy'],
+  ['GlideTableHiearchy', 'GlideTableHierarchy'],
+  ['GlideTableHeirarchy', 'GlideTableHierarchy'],
+  ['GlideTabelHierarchy', 'GlideTableHierarchy'],
+  ['GlideTableHierarhcy', 'GlideTableHierarchy'],
   // GlideScopedEvaluator
-  [/GlideScopedEvalutor/g, 'GlideScopedEvaluator'],
-  [/GlideScopedEvaultor/g, 'GlideScopedEvaluator'],
-  [/GlideScopedEvaluater/g, 'GlideScopedEvaluator'],
-  [/GlidScopedEvaluator/g, 'GlideScopedEvaluator'],
+  ['GlideScopedEvalutor', 'GlideScopedEvaluator'],
+  ['GlideScopedEvaultor', 'GlideScopedEvaluator'],
+  ['GlideScopedEvaluater', 'GlideScopedEvaluator'],
+  ['GlidScopedEvaluator', 'GlideScopedEvaluator'],
   // JSUtil
-  [/JSUitl/g, 'JSUtil'],
-  [/JsUtil/g, 'JSUtil'],
-  [/JUStil/g, 'JSUtil'],
-  [/JSUtill/g, 'JSUtil'],
+  ['JSUitl', 'JSUtil'],
+  ['JsUtil', 'JSUtil'],
+  ['JUStil', 'JSUtil'],
+  ['JSUtill', 'JSUtil'],
   // TableUtils
-  [/TableUitls/g, 'TableUtils'],
-  [/TabelUtils/g, 'TableUtils'],
-  [/TableUtlis/g, 'TableUtils'],
-  [/TableUtilss/g, 'TableUtils'],
+  ['TableUitls', 'TableUtils'],
+  ['TabelUtils', 'TableUtils'],
+  ['TableUtlis', 'TableUtils'],
+  ['TableUtilss', 'TableUtils'],
   // J2js
-  [/J2Js/g, 'J2js'],
-  [/j2Js/g, 'J2js'],
-  [/J2JS/g, 'J2js'],
-  [/j2JS/g, 'J2js'],
+  ['J2Js', 'J2js'],
+  ['j2Js', 'J2js'],
+  ['J2JS', 'J2js'],
+  ['j2JS', 'J2js'],
   // GlideSecureRandom
-  [/GlideSecureRnadom/g, 'GlideSecureRandom'],
-  [/GlideSecurRandom/g, 'GlideSecureRandom'],
-  [/GlidSecureRandom/g, 'GlideSecureRandom'],
-  [/GlideSecureRnaodm/g, 'GlideSecureRandom'],
+  ['GlideSecureRnadom', 'GlideSecureRandom'],
+  ['GlideSecurRandom', 'GlideSecureRandom'],
+  ['GlidSecureRandom', 'GlideSecureRandom'],
+  ['GlideSecureRnaodm', 'GlideSecureRandom'],
   // GlideDigest
-  [/GlideDigset/g, 'GlideDigest'],
-  [/GldieDgest/g, 'GlideDigest'],
-  [/GlideDigst/g, 'GlideDigest'],
-  [/GlideDiegest/g, 'GlideDigest'],
+  ['GlideDigset', 'GlideDigest'],
+  ['GldieDgest', 'GlideDigest'],
+  ['GlideDigst', 'GlideDigest'],
+  ['GlideDiegest', 'GlideDigest'],
   // GlideEncrypter
-  [/GlideEncryptor/g, 'GlideEncrypter'],
-  [/GlideEncryptre/g, 'GlideEncrypter'],
-  [/GlidEncrypter/g, 'GlideEncrypter'],
-  [/GlideEncrytper/g, 'GlideEncrypter'],
+  ['GlideEncryptor', 'GlideEncrypter'],
+  ['GlideEncryptre', 'GlideEncrypter'],
+  ['GlidEncrypter', 'GlideEncrypter'],
+  ['GlideEncrytper', 'GlideEncrypter'],
   // GlideCertificateEncryption
-  [/GlideCertificateEncrytion/g, 'GlideCertificateEncryption'],
-  [/GlideCertificateEncyrption/g, 'GlideCertificateEncryption'],
-  [/GlideCertifiacteEncryption/g, 'GlideCertificateEncryption'],
-  [/GlideCertificateEncrption/g, 'GlideCertificateEncryption'],
+  ['GlideCertificateEncrytion', 'GlideCertificateEncryption'],
+  ['GlideCertificateEncyrption', 'GlideCertificateEncryption'],
+  ['GlideCertifiacteEncryption', 'GlideCertificateEncryption'],
+  ['GlideCertificateEncrption', 'GlideCertificateEncryption'],
   // GlidePluginManager
-  [/GlidePluginManger/g, 'GlidePluginManager'],
-  [/GlidePluginMangaer/g, 'GlidePluginManager'],
-  [/GlidPluginManager/g, 'GlidePluginManager'],
-  [/GlidePlugnManager/g, 'GlidePluginManager'],
+  ['GlidePluginManger', 'GlidePluginManager'],
+  ['GlidePluginMangaer', 'GlidePluginManager'],
+  ['GlidPluginManager', 'GlidePluginManager'],
+  ['GlidePlugnManager', 'GlidePluginManager'],
   // GlideDBFunctionBuilder
-  [/GlideDBFuncitonBuilder/g, 'GlideDBFunctionBuilder'],
-  [/GlideDBFunctionBulder/g, 'GlideDBFunctionBuilder'],
-  [/GlideDBFuntionBuilder/g, 'GlideDBFunctionBuilder'],
-  [/GlideDBFunctonBuilder/g, 'GlideDBFunctionBuilder'],
+  ['GlideDBFuncitonBuilder', 'GlideDBFunctionBuilder'],
+  ['GlideDBFunctionBulder', 'GlideDBFunctionBuilder'],
+  ['GlideDBFuntionBuilder', 'GlideDBFunctionBuilder'],
+  ['GlideDBFunctonBuilder', 'GlideDBFunctionBuilder'],
   // Workflow
-  [/Worklfow/g, 'Workflow'],
-  [/Worklflow/g, 'Workflow'],
-  [/Worfklow/g, 'Workflow'],
-  [/Workfow/g, 'Workflow'],
+  ['Worklfow', 'Workflow'],
+  ['Worklflow', 'Workflow'],
+  ['Worfklow', 'Workflow'],
+  ['Workfow', 'Workflow'],
   // FlowAPI
-  [/FlowApi/g, 'FlowAPI'],
-  [/FlowAPi/g, 'FlowAPI'],
-  [/flowAPI/g, 'FlowAPI'],
-  [/FlowAIP/g, 'FlowAPI'],
+  ['FlowApi', 'FlowAPI'],
+  ['FlowAPi', 'FlowAPI'],
+  ['flowAPI', 'FlowAPI'],
+  ['FlowAIP', 'FlowAPI'],
   // TemplatePrinter
-  [/TemplatePritner/g, 'TemplatePrinter'],
-  [/TemplateePrinter/g, 'TemplatePrinter'],
-  [/TemplatePriner/g, 'TemplatePrinter'],
-  [/TempalePrinter/g, 'TemplatePrinter'],
+  ['TemplatePritner', 'TemplatePrinter'],
+  ['TemplateePrinter', 'TemplatePrinter'],
+  ['TemplatePriner', 'TemplatePrinter'],
+  ['TempalePrinter', 'TemplatePrinter'],
   // GlideLocale
-  [/GlideLoacle/g, 'GlideLocale'],
-  [/GlidLocale/g, 'GlideLocale'],
-  [/GlideLoacale/g, 'GlideLocale'],
-  [/GlideLocalee/g, 'GlideLocale'],
+  ['GlideLoacle', 'GlideLocale'],
+  ['GlidLocale', 'GlideLocale'],
+  ['GlideLoacale', 'GlideLocale'],
+  ['GlideLocalee', 'GlideLocale'],
   // JSON
-  [/\bJOSN\b/g, 'JSON'],
-  [/\bJSOn\b/g, 'JSON'],
-  [/\bjson\b/g, 'JSON'],
-  [/\bJSoN\b/g, 'JSON'],
+  ['JOSN', 'JSON'],
+  ['JSOn', 'JSON'],
+  ['json', 'JSON'],
+  ['JSoN', 'JSON'],
   // AbstractAjaxProcessor
-  [/AbstractAjaxProcessro/g, 'AbstractAjaxProcessor'],
-  [/AbstracAjaxProcessor/g, 'AbstractAjaxProcessor'],
-  [/AbstractAjxProcessor/g, 'AbstractAjaxProcessor'],
-  [/AbstractAjaxPrcoessor/g, 'AbstractAjaxProcessor'],
+  ['AbstractAjaxProcessro', 'AbstractAjaxProcessor'],
+  ['AbstracAjaxProcessor', 'AbstractAjaxProcessor'],
+  ['AbstractAjxProcessor', 'AbstractAjaxProcessor'],
+  ['AbstractAjaxPrcoessor', 'AbstractAjaxProcessor'],
   // GlideEvaluator
-  [/GlideEvalutor/g, 'GlideEvaluator'],
-  [/GlideEvaultor/g, 'GlideEvaluator'],
-  [/GlidEvaluator/g, 'GlideEvaluator'],
-  [/GlideEvaluater/g, 'GlideEvaluator'],
+  ['GlideEvalutor', 'GlideEvaluator'],
+  ['GlideEvaultor', 'GlideEvaluator'],
+  ['GlidEvaluator', 'GlideEvaluator'],
+  ['GlideEvaluater', 'GlideEvaluator'],
   // GlideUpdateManager
-  [/GlideUpdateManger/g, 'GlideUpdateManager'],
-  [/GlideUpdateMangaer/g, 'GlideUpdateManager'],
-  [/GlidUpdateManager/g, 'GlideUpdateManager'],
-  [/GlideUpdateManagr/g, 'GlideUpdateManager'],
+  ['GlideUpdateManger', 'GlideUpdateManager'],
+  ['GlideUpdateMangaer', 'GlideUpdateManager'],
+  ['GlidUpdateManager', 'GlideUpdateManager'],
+  ['GlideUpdateManagr', 'GlideUpdateManager'],
   // GlideUpdateSet
-  [/GlideUpdateSte/g, 'GlideUpdateSet'],
-  [/GlideUdpateSet/g, 'GlideUpdateSet'],
-  [/GlidUpdateSet/g, 'GlideUpdateSet'],
-  [/GlideUpdatSet/g, 'GlideUpdateSet'],
+  ['GlideUpdateSte', 'GlideUpdateSet'],
+  ['GlideUdpateSet', 'GlideUpdateSet'],
+  ['GlidUpdateSet', 'GlideUpdateSet'],
+  ['GlideUpdatSet', 'GlideUpdateSet'],
   // GlideImpersonate
-  [/GlideImpersonat/g, 'GlideImpersonate'],
-  [/GlideImpersonae/g, 'GlideImpersonate'],
-  [/GlidImpersonate/g, 'GlideImpersonate'],
-  [/GlideImeprsonate/g, 'GlideImpersonate'],
+  ['GlideImpersonat', 'GlideImpersonate'],
+  ['GlideImpersonae', 'GlideImpersonate'],
+  ['GlidImpersonate', 'GlideImpersonate'],
+  ['GlideImeprsonate', 'GlideImpersonate'],
   // GlideAppLoader
-  [/GlideAppLoadr/g, 'GlideAppLoader'],
-  [/GlideApploader/g, 'GlideAppLoader'],
-  [/GlidAppLoader/g, 'GlideAppLoader'],
-  [/GlideAppLoaer/g, 'GlideAppLoader'],
+  ['GlideAppLoadr', 'GlideAppLoader'],
+  ['GlideApploader', 'GlideAppLoader'],
+  ['GlidAppLoader', 'GlideAppLoader'],
+  ['GlideAppLoaer', 'GlideAppLoader'],
   // GlideChoice
-  [/GlideChocie/g, 'GlideChoice'],
-  [/GlideChioce/g, 'GlideChoice'],
-  [/GlidChoice/g, 'GlideChoice'],
-  [/GlideChice/g, 'GlideChoice'],
+  ['GlideChocie', 'GlideChoice'],
+  ['GlideChioce', 'GlideChoice'],
+  ['GlidChoice', 'GlideChoice'],
+  ['GlideChice', 'GlideChoice'],
   // GlideOAuthClient
-  [/GlideOAuthClinet/g, 'GlideOAuthClient'],
-  [/GlideOAuthCleint/g, 'GlideOAuthClient'],
-  [/GlidOAuthClient/g, 'GlideOAuthClient'],
-  [/GlideOAthClient/g, 'GlideOAuthClient'],
+  ['GlideOAuthClinet', 'GlideOAuthClient'],
+  ['GlideOAuthCleint', 'GlideOAuthClient'],
+  ['GlidOAuthClient', 'GlideOAuthClient'],
+  ['GlideOAthClient', 'GlideOAuthClient'],
   // GlideOAuthClientRequest
-  [/GlideOAuthClientReqeust/g, 'GlideOAuthClientRequest'],
-  [/GlideOAuthClientRequset/g, 'GlideOAuthClientRequest'],
-  [/GlidOAuthClientRequest/g, 'GlideOAuthClientRequest'],
-  [/GlideOAuthCleintRequest/g, 'GlideOAuthClientRequest'],
+  ['GlideOAuthClientReqeust', 'GlideOAuthClientRequest'],
+  ['GlideOAuthClientRequset', 'GlideOAuthClientRequest'],
+  ['GlidOAuthClientRequest', 'GlideOAuthClientRequest'],
+  ['GlideOAuthCleintRequest', 'GlideOAuthClientRequest'],
   // GlideOAuthClientResponse
-  [/GlideOAuthClientRespone/g, 'GlideOAuthClientResponse'],
-  [/GlideOAuthClientRespnose/g, 'GlideOAuthClientResponse'],
-  [/GlidOAuthClientResponse/g, 'GlideOAuthClientResponse'],
-  [/GlideOAuthCleintResponse/g, 'GlideOAuthClientResponse'],
+  ['GlideOAuthClientRespone', 'GlideOAuthClientResponse'],
+  ['GlideOAuthClientRespnose', 'GlideOAuthClientResponse'],
+  ['GlidOAuthClientResponse', 'GlideOAuthClientResponse'],
+  ['GlideOAuthCleintResponse', 'GlideOAuthClientResponse'],
   // GlideScriptedProcessor
-  [/GlideScriptedProcesoor/g, 'GlideScriptedProcessor'],
-  [/GlideScriptedProcessro/g, 'GlideScriptedProcessor'],
-  [/GlidScriptedProcessor/g, 'GlideScriptedProcessor'],
-  [/GlideScritpedProcessor/g, 'GlideScriptedProcessor'],
+  ['GlideScriptedProcesoor', 'GlideScriptedProcessor'],
+  ['GlideScriptedProcessro', 'GlideScriptedProcessor'],
+  ['GlidScriptedProcessor', 'GlideScriptedProcessor'],
+  ['GlideScritpedProcessor', 'GlideScriptedProcessor'],
   // GlideServletRequest
-  [/GlideServletReqeust/g, 'GlideServletRequest'],
-  [/GlideServletRequset/g, 'GlideServletRequest'],
-  [/GlidServletRequest/g, 'GlideServletRequest'],
-  [/GlideServeltRequest/g, 'GlideServletRequest'],
+  ['GlideServletReqeust', 'GlideServletRequest'],
+  ['GlideServletRequset', 'GlideServletRequest'],
+  ['GlidServletRequest', 'GlideServletRequest'],
+  ['GlideServeltRequest', 'GlideServletRequest'],
   // GlideServletResponse
-  [/GlideServletRespone/g, 'GlideServletResponse'],
-  [/GlideServletRespnose/g, 'GlideServletResponse'],
-  [/GlidServletResponse/g, 'GlideServletResponse'],
-  [/GlideServeltResponse/g, 'GlideServletResponse'],
+  ['GlideServletRespone', 'GlideServletResponse'],
+  ['GlideServletRespnose', 'GlideServletResponse'],
+  ['GlidServletResponse', 'GlideServletResponse'],
+  ['GlideServeltResponse', 'GlideServletResponse'],
   // GlideSPScriptable
-  [/GlideSPScirptable/g, 'GlideSPScriptable'],
-  [/GlideSPScriptabel/g, 'GlideSPScriptable'],
-  [/GlidSPScriptable/g, 'GlideSPScriptable'],
-  [/GlideSPScritpable/g, 'GlideSPScriptable'],
+  ['GlideSPScirptable', 'GlideSPScriptable'],
+  ['GlideSPScriptabel', 'GlideSPScriptable'],
+  ['GlidSPScriptable', 'GlideSPScriptable'],
+  ['GlideSPScritpable', 'GlideSPScriptable'],
   // SNC
-  [/Snc/g, 'SNC'],
-  [/snC/g, 'SNC'],
-  [/sNC/g, 'SNC'],
-  [/SnC/g, 'SNC'],
+  ['Snc', 'SNC'],
+  ['snC', 'SNC'],
+  ['sNC', 'SNC'],
+  ['SnC', 'SNC'],
 ];
 
 // GlideDateTime method typos
 const GLIDE_DATETIME_TYPOS = [
-  [/\.addSecnods\(/g, '.addSeconds('],
-  [/\.addSecods\(/g, '.addSeconds('],
-  [/\.addSeoncds\(/g, '.addSeconds('],
-  [/\.addDyas\(/g, '.addDays('],
-  [/\.addDasy\(/g, '.addDays('],
-  [/\.addDaysLocalTiem\(/g, '.addDaysLocalTime('],
-  [/\.addDaysLocaTime\(/g, '.addDaysLocalTime('],
-  [/\.addMonhts\(/g, '.addMonths('],
-  [/\.addMontsh\(/g, '.addMonths('],
-  [/\.addMonthsLocalTiem\(/g, '.addMonthsLocalTime('],
-  [/\.addYaers\(/g, '.addYears('],
-  [/\.addYeasr\(/g, '.addYears('],
-  [/\.addWekks\(/g, '.addWeeks('],
-  [/\.addWekes\(/g, '.addWeeks('],
-  [/\.getDayOfWek\(/g, '.getDayOfWeek('],
-  [/\.getDayOfWekk\(/g, '.getDayOfWeek('],
-  [/\.getDayOfWeekLocalTiem\(/g, '.getDayOfWeekLocalTime('],
-  [/\.getNumericVlaue\(/g, '.getNumericValue('],
-  [/\.getNumericValeu\(/g, '.getNumericValue('],
-  [/\.getNumeircValue\(/g, '.getNumericValue('],
-  [/\.getMonthLocalTiem\(/g, '.getMonthLocalTime('],
-  [/\.getMontLocalTime\(/g, '.getMonthLocalTime('],
-  [/\.comparTo\(/g, '.compareTo('],
-  [/\.comapreTo\(/g, '.compareTo('],
-  [/\.compaerTo\(/g, '.compareTo('],
-  [/\.getDat\(/g, '.getDate('],
-  [/\.getDaet\(/g, '.getDate('],
-  [/\.getTiem\(/g, '.getTime('],
-  [/\.getTim\(/g, '.getTime('],
-  [/\.getLocalDat\(/g, '.getLocalDate('],
-  [/\.getLocalDaet\(/g, '.getLocalDate('],
-  [/\.getLocalTiem\(/g, '.getLocalTime('],
-  [/\.getLocalTim\(/g, '.getLocalTime('],
-  [/\.setDisplayVlaue\(/g, '.setDisplayValue('],
-  [/\.setDisplayValeu\(/g, '.setDisplayValue('],
-  [/\.setDisplayValueIntenral\(/g, '.setDisplayValueInternal('],
-  [/\.setDisplayVlaueInternal\(/g, '.setDisplayValueInternal('],
-  [/\.substract\(/g, '.subtract('],
-  [/\.subtarct\(/g, '.subtract('],
-  [/\.beofre\(/g, '.before('],
-  [/\.aftre\(/g, '.after('],
-  [/\.onOrBeofre\(/g, '.onOrBefore('],
-  [/\.onOrAftre\(/g, '.onOrAfter('],
+  ['addSecnods', 'addSeconds'],
+  ['addSecods', 'addSeconds'],
+  ['addSeoncds', 'addSeconds'],
+  ['addDyas', 'addDays'],
+  ['addDasy', 'addDays'],
+  ['addDaysLocalTiem', 'addDaysLocalTime'],
+  ['addDaysLocaTime', 'addDaysLocalTime'],
+  ['addMonhts', 'addMonths'],
+  ['addMontsh', 'addMonths'],
+  ['addMonthsLocalTiem', 'addMonthsLocalTime'],
+  ['addYaers', 'addYears'],
+  ['addYeasr', 'addYears'],
+  ['addWekks', 'addWeeks'],
+  ['addWekes', 'addWeeks'],
+  ['getDayOfWek', 'getDayOfWeek'],
+  ['getDayOfWekk', 'getDayOfWeek'],
+  ['getDayOfWeekLocalTiem', 'getDayOfWeekLocalTime'],
+  ['getNumericVlaue', 'getNumericValue'],
+  ['getNumericValeu', 'getNumericValue'],
+  ['getNumeircValue', 'getNumericValue'],
+  ['getMonthLocalTiem', 'getMonthLocalTime'],
+  ['getMontLocalTime', 'getMonthLocalTime'],
+  ['comparTo', 'compareTo'],
+  ['comapreTo', 'compareTo'],
+  ['compaerTo', 'compareTo'],
+  ['getDat', 'getDate'],
+  ['getDaet', 'getDate'],
+  ['getTiem', 'getTime'],
+  ['getTim', 'getTime'],
+  ['getLocalDat', 'getLocalDate'],
+  ['getLocalDaet', 'getLocalDate'],
+  ['getLocalTiem', 'getLocalTime'],
+  ['getLocalTim', 'getLocalTime'],
+  ['setDisplayVlaue', 'setDisplayValue'],
+  ['setDisplayValeu', 'setDisplayValue'],
+  ['setDisplayValueIntenral', 'setDisplayValueInternal'],
+  ['setDisplayVlaueInternal', 'setDisplayValueInternal'],
+  ['substract', 'subtract'],
+  ['subtarct', 'subtract'],
+  ['beofre', 'before'],
+  ['aftre', 'after'],
+  ['onOrBeofre', 'onOrBefore'],
+  ['onOrAftre', 'onOrAfter'],
   // hasDate
-  [/\.hasDat\(/g, '.hasDate('],
-  [/\.hasDaet\(/g, '.hasDate('],
+  ['hasDat', 'hasDate'],
+  ['hasDaet', 'hasDate'],
   // equals
-  [/\.equlas\(/g, '.equals('],
-  [/\.eqauls\(/g, '.equals('],
+  ['equlas', 'equals'],
+  ['eqauls', 'equals'],
   // getYearLocalTime
-  [/\.getYearLocalTiem\(/g, '.getYearLocalTime('],
-  [/\.getYaerLocalTime\(/g, '.getYearLocalTime('],
+  ['getYearLocalTiem', 'getYearLocalTime'],
+  ['getYaerLocalTime', 'getYearLocalTime'],
   // getYearUTC
-  [/\.getYearUTc\(/g, '.getYearUTC('],
-  [/\.getYaerUTC\(/g, '.getYearUTC('],
+  ['getYearUTc', 'getYearUTC'],
+  ['getYaerUTC', 'getYearUTC'],
   // getMonthUTC
-  [/\.getMontUTC\(/g, '.getMonthUTC('],
-  [/\.getMonhtUTC\(/g, '.getMonthUTC('],
+  ['getMontUTC', 'getMonthUTC'],
+  ['getMonhtUTC', 'getMonthUTC'],
   // getDayOfMonthLocalTime
-  [/\.getDayOfMonthLocalTiem\(/g, '.getDayOfMonthLocalTime('],
-  [/\.getDayOfMonhtLocalTime\(/g, '.getDayOfMonthLocalTime('],
+  ['getDayOfMonthLocalTiem', 'getDayOfMonthLocalTime'],
+  ['getDayOfMonhtLocalTime', 'getDayOfMonthLocalTime'],
   // getDayOfMonthUTC
-  [/\.getDayOfMonthUTc\(/g, '.getDayOfMonthUTC('],
-  [/\.getDayOfMonhtUTC\(/g, '.getDayOfMonthUTC('],
+  ['getDayOfMonthUTc', 'getDayOfMonthUTC'],
+  ['getDayOfMonhtUTC', 'getDayOfMonthUTC'],
   // getWeekOfYearLocalTime
-  [/\.getWeekOfYearLocalTiem\(/g, '.getWeekOfYearLocalTime('],
-  [/\.getWeekOfYaerLocalTime\(/g, '.getWeekOfYearLocalTime('],
+  ['getWeekOfYearLocalTiem', 'getWeekOfYearLocalTime'],
+  ['getWeekOfYaerLocalTime', 'getWeekOfYearLocalTime'],
   // getWeekOfYearUTC
-  [/\.getWeekOfYearUTc\(/g, '.getWeekOfYearUTC('],
-  [/\.getWeekOfYaerUTC\(/g, '.getWeekOfYearUTC('],
+  ['getWeekOfYearUTc', 'getWeekOfYearUTC'],
+  ['getWeekOfYaerUTC', 'getWeekOfYearUTC'],
   // getInternalFormattedLocalTime
-  [/\.getInternalFormattedLocalTiem\(/g, '.getInternalFormattedLocalTime('],
-  [/\.getInternalFormatedLocalTime\(/g, '.getInternalFormattedLocalTime('],
+  ['getInternalFormattedLocalTiem', 'getInternalFormattedLocalTime'],
+  ['getInternalFormatedLocalTime', 'getInternalFormattedLocalTime'],
   // setGlideDateTime
-  [/\.setGlideDateTiem\(/g, '.setGlideDateTime('],
-  [/\.setGldieDateTIme\(/g, '.setGlideDateTime('],
+  ['setGlideDateTiem', 'setGlideDateTime'],
+  ['setGldieDateTIme', 'setGlideDateTime'],
   // setValueUTC
-  [/\.setValueUTc\(/g, '.setValueUTC('],
-  [/\.setVlaueUTC\(/g, '.setValueUTC('],
+  ['setValueUTc', 'setValueUTC'],
+  ['setVlaueUTC', 'setValueUTC'],
   // getErrorMsg
-  [/\.getErrorMgs\(/g, '.getErrorMsg('],
-  [/\.getErorrMsg\(/g, '.getErrorMsg('],
+  ['getErrorMgs', 'getErrorMsg'],
+  ['getErorrMsg', 'getErrorMsg'],
 ];
 
 // GlideSchedule method typos
 const GLIDE_SCHEDULE_TYPOS = [
   // add
-  [/\.addd\(/g, '.add('],
-  [/\.ad\(/g, '.add('],
-  [/\.adde\(/g, '.add('],
-  [/\.aadd\(/g, '.add('],
+  ['addd', 'add'],
+  ['ad', 'add'],
+  ['adde', 'add'],
+  ['aadd', 'add'],
   // setTimeZone
-  [/\.setTimeZoen\(/g, '.setTimeZone('],
-  [/\.setTimeZon\(/g, '.setTimeZone('],
-  [/\.setTimZone\(/g, '.setTimeZone('],
-  [/\.setTimeZonee\(/g, '.setTimeZone('],
+  ['setTimeZoen', 'setTimeZone'],
+  ['setTimeZon', 'setTimeZone'],
+  ['setTimZone', 'setTimeZone'],
+  ['setTimeZonee', 'setTimeZone'],
   // duration
-  [/\.duraiton\(/g, '.duration('],
-  [/\.duraion\(/g, '.duration('],
-  [/\.duratoin\(/g, '.duration('],
-  [/\.durration\(/g, '.duration('],
+  ['duraiton', 'duration'],
+  ['duraion', 'duration'],
+  ['duratoin', 'duration'],
+  ['durration', 'duration'],
   // getName
-  [/\.getNmae\(/g, '.getName('],
-  [/\.getNaem\(/g, '.getName('],
-  [/\.getNam\(/g, '.getName('],
-  [/\.getNamee\(/g, '.getName('],
+  ['getNmae', 'getName'],
+  ['getNaem', 'getName'],
+  ['getNam', 'getName'],
+  ['getNamee', 'getName'],
   // isInSchedule
-  [/\.isInSchedul\(/g, '.isInSchedule('],
-  [/\.isInScedule\(/g, '.isInSchedule('],
-  [/\.isInScheudule\(/g, '.isInSchedule('],
-  [/\.isInSchedulee\(/g, '.isInSchedule('],
+  ['isInSchedul', 'isInSchedule'],
+  ['isInScedule', 'isInSchedule'],
+  ['isInScheudule', 'isInSchedule'],
+  ['isInSchedulee', 'isInSchedule'],
   // whenNext
-  [/\.whenNex\(/g, '.whenNext('],
-  [/\.wehnNext\(/g, '.whenNext('],
-  [/\.whenNxet\(/g, '.whenNext('],
-  [/\.whenNextt\(/g, '.whenNext('],
+  ['whenNex', 'whenNext'],
+  ['wehnNext', 'whenNext'],
+  ['whenNxet', 'whenNext'],
+  ['whenNextt', 'whenNext'],
   // isValid
-  [/\.isVlaid\(/g, '.isValid('],
-  [/\.isValdi\(/g, '.isValid('],
-  [/\.isVaild\(/g, '.isValid('],
-  [/\.isValidd\(/g, '.isValid('],
+  ['isVlaid', 'isValid'],
+  ['isValdi', 'isValid'],
+  ['isVaild', 'isValid'],
+  ['isValidd', 'isValid'],
   // load
-  [/\.laod\(/g, '.load('],
-  [/\.loda\(/g, '.load('],
-  [/\.laoad\(/g, '.load('],
-  [/\.loadd\(/g, '.load('],
+  ['laod', 'load'],
+  ['loda', 'load'],
+  ['laoad', 'load'],
+  ['loadd', 'load'],
 ];
 
 // GlideDuration method typos
 const GLIDE_DURATION_TYPOS = [
   // add
-  [/\.addd\(/g, '.add('],
-  [/\.ad\(/g, '.add('],
-  [/\.adde\(/g, '.add('],
-  [/\.aadd\(/g, '.add('],
+  ['addd', 'add'],
+  ['ad', 'add'],
+  ['adde', 'add'],
+  ['aadd', 'add'],
   // getByFormat
-  [/\.getByFromat\(/g, '.getByFormat('],
-  [/\.getByFomrat\(/g, '.getByFormat('],
-  [/\.getByForamt\(/g, '.getByFormat('],
-  [/\.getByFormta\(/g, '.getByFormat('],
+  ['getByFromat', 'getByFormat'],
+  ['getByFomrat', 'getByFormat'],
+  ['getByForamt', 'getByFormat'],
+  ['getByFormta', 'getByFormat'],
   // getDayPart
-  [/\.getDayPrat\(/g, '.getDayPart('],
-  [/\.getDyaPart\(/g, '.getDayPart('],
-  [/\.getDayPart\(/g, '.getDayPart('],
-  [/\.getDayprat\(/g, '.getDayPart('],
+  ['getDayPrat', 'getDayPart'],
+  ['getDyaPart', 'getDayPart'],
+  ['getDayprat', 'getDayPart'],
   // getDurationValue
-  [/\.getDurationVlaue\(/g, '.getDurationValue('],
-  [/\.getDurationValeu\(/g, '.getDurationValue('],
-  [/\.getDuraitonValue\(/g, '.getDurationValue('],
-  [/\.getDuratoinValue\(/g, '.getDurationValue('],
+  ['getDurationVlaue', 'getDurationValue'],
+  ['getDurationValeu', 'getDurationValue'],
+  ['getDuraitonValue', 'getDurationValue'],
+  ['getDuratoinValue', 'getDurationValue'],
   // getNumericValue
-  [/\.getNumericVlaue\(/g, '.getNumericValue('],
-  [/\.getNumericValeu\(/g, '.getNumericValue('],
-  [/\.getNumeircValue\(/g, '.getNumericValue('],
-  [/\.getNuemricValue\(/g, '.getNumericValue('],
+  ['getNumericVlaue', 'getNumericValue'],
+  ['getNumericValeu', 'getNumericValue'],
+  ['getNumeircValue', 'getNumericValue'],
+  ['getNuemricValue', 'getNumericValue'],
   // getRoundedDayPart
-  [/\.getRoundedDayPrat\(/g, '.getRoundedDayPart('],
-  [/\.getRoundedDyaPart\(/g, '.getRoundedDayPart('],
-  [/\.getRoudnedDayPart\(/g, '.getRoundedDayPart('],
-  [/\.getRoundedDayPart\(/g, '.getRoundedDayPart('],
+  ['getRoundedDayPrat', 'getRoundedDayPart'],
+  ['getRoundedDyaPart', 'getRoundedDayPart'],
+  ['getRoudnedDayPart', 'getRoundedDayPart'],
   // getValue
-  [/\.getValeu\(/g, '.getValue('],
-  [/\.getVlaue\(/g, '.getValue('],
-  [/\.getValu\(/g, '.getValue('],
-  [/\.getVale\(/g, '.getValue('],
+  ['getValeu', 'getValue'],
+  ['getVlaue', 'getValue'],
+  ['getValu', 'getValue'],
+  ['getVale', 'getValue'],
   // setDisplayValue
-  [/\.setDisplayVlaue\(/g, '.setDisplayValue('],
-  [/\.setDispalyValue\(/g, '.setDisplayValue('],
-  [/\.setDisplayValeu\(/g, '.setDisplayValue('],
-  [/\.setDislpayValue\(/g, '.setDisplayValue('],
+  ['setDisplayVlaue', 'setDisplayValue'],
+  ['setDispalyValue', 'setDisplayValue'],
+  ['setDisplayValeu', 'setDisplayValue'],
+  ['setDislpayValue', 'setDisplayValue'],
   // setValue
-  [/\.setValeu\(/g, '.setValue('],
-  [/\.setVlaue\(/g, '.setValue('],
-  [/\.setValu\(/g, '.setValue('],
-  [/\.setVale\(/g, '.setValue('],
+  ['setValeu', 'setValue'],
+  ['setVlaue', 'setValue'],
+  ['setValu', 'setValue'],
+  ['setVale', 'setValue'],
   // subtract
-  [/\.subtarct\(/g, '.subtract('],
-  [/\.substract\(/g, '.subtract('],
-  [/\.subtact\(/g, '.subtract('],
-  [/\.subract\(/g, '.subtract('],
+  ['subtarct', 'subtract'],
+  ['substract', 'subtract'],
+  ['subtact', 'subtract'],
+  ['subract', 'subtract'],
 ];
 
 // GlideUser / gs.getUser() method typos
 const GLIDE_USER_TYPOS = [
   // getID
-  [/\.getId\(/g, '.getID('],
-  [/\.getid\(/g, '.getID('],
-  [/\.getIDD\(/g, '.getID('],
-  [/\.gtID\(/g, '.getID('],
+  ['getId', 'getID'],
+  ['getid', 'getID'],
+  ['getIDD', 'getID'],
+  ['gtID', 'getID'],
   // getUserID
-  [/\.getUserId\(/g, '.getUserID('],
-  [/\.getUsrID\(/g, '.getUserID('],
-  [/\.getUserIDd\(/g, '.getUserID('],
-  [/\.getUserdi\(/g, '.getUserID('],
+  ['getUserId', 'getUserID'],
+  ['getUsrID', 'getUserID'],
+  ['getUserIDd', 'getUserID'],
+  ['getUserdi', 'getUserID'],
   // getName
-  [/\.getNmae\(/g, '.getName('],
-  [/\.getNaem\(/g, '.getName('],
-  [/\.getNam\(/g, '.getName('],
-  [/\.getNamee\(/g, '.getName('],
+  ['getNmae', 'getName'],
+  ['getNaem', 'getName'],
+  ['getNam', 'getName'],
+  ['getNamee', 'getName'],
   // getUserName
-  [/\.getUserNmae\(/g, '.getUserName('],
-  [/\.getUserNaem\(/g, '.getUserName('],
-  [/\.getUsreName\(/g, '.getUserName('],
-  [/\.getUserNamee\(/g, '.getUserName('],
+  ['getUserNmae', 'getUserName'],
+  ['getUserNaem', 'getUserName'],
+  ['getUsreName', 'getUserName'],
+  ['getUserNamee', 'getUserName'],
   // getDisplayName
-  [/\.getDisplayNmae\(/g, '.getDisplayName('],
-  [/\.getDisplayNaem\(/g, '.getDisplayName('],
-  [/\.getDiplayName\(/g, '.getDisplayName('],
-  [/\.getDispayName\(/g, '.getDisplayName('],
+  ['getDisplayNmae', 'getDisplayName'],
+  ['getDisplayNaem', 'getDisplayName'],
+  ['getDiplayName', 'getDisplayName'],
+  ['getDispayName', 'getDisplayName'],
   // getEmail
-  [/\.getEmial\(/g, '.getEmail('],
-  [/\.getEamil\(/g, '.getEmail('],
-  [/\.getEmai\(/g, '.getEmail('],
-  [/\.getEmaill\(/g, '.getEmail('],
+  ['getEmial', 'getEmail'],
+  ['getEamil', 'getEmail'],
+  ['getEmai', 'getEmail'],
+  ['getEmaill', 'getEmail'],
   // getFirstName
-  [/\.getFristName\(/g, '.getFirstName('],
-  [/\.getFirstNmae\(/g, '.getFirstName('],
-  [/\.getFisrtName\(/g, '.getFirstName('],
-  [/\.getFirstNaem\(/g, '.getFirstName('],
+  ['getFristName', 'getFirstName'],
+  ['getFirstNmae', 'getFirstName'],
+  ['getFisrtName', 'getFirstName'],
+  ['getFirstNaem', 'getFirstName'],
   // getLastName
-  [/\.getLastNmae\(/g, '.getLastName('],
-  [/\.getLatsName\(/g, '.getLastName('],
-  [/\.getLastNaem\(/g, '.getLastName('],
-  [/\.getLstName\(/g, '.getLastName('],
+  ['getLastNmae', 'getLastName'],
+  ['getLatsName', 'getLastName'],
+  ['getLastNaem', 'getLastName'],
+  ['getLstName', 'getLastName'],
   // getFullName
-  [/\.getFullNmae\(/g, '.getFullName('],
-  [/\.getFullNaem\(/g, '.getFullName('],
-  [/\.getFulName\(/g, '.getFullName('],
-  [/\.getFullNamee\(/g, '.getFullName('],
+  ['getFullNmae', 'getFullName'],
+  ['getFullNaem', 'getFullName'],
+  ['getFulName', 'getFullName'],
+  ['getFullNamee', 'getFullName'],
   // getCompanyID
-  [/\.getCompanyId\(/g, '.getCompanyID('],
-  [/\.getCompnayID\(/g, '.getCompanyID('],
-  [/\.getComapnyID\(/g, '.getCompanyID('],
-  [/\.getComanpyID\(/g, '.getCompanyID('],
+  ['getCompanyId', 'getCompanyID'],
+  ['getCompnayID', 'getCompanyID'],
+  ['getComapnyID', 'getCompanyID'],
+  ['getComanpyID', 'getCompanyID'],
   // getDepartmentID
-  [/\.getDepartmentId\(/g, '.getDepartmentID('],
-  [/\.getDepartmetID\(/g, '.getDepartmentID('],
-  [/\.getDepartmetnID\(/g, '.getDepartmentID('],
-  [/\.getDprtmntID\(/g, '.getDepartmentID('],
+  ['getDepartmentId', 'getDepartmentID'],
+  ['getDepartmetID', 'getDepartmentID'],
+  ['getDepartmetnID', 'getDepartmentID'],
+  ['getDprtmntID', 'getDepartmentID'],
   // getDomainID
-  [/\.getDomainId\(/g, '.getDomainID('],
-  [/\.getDomianID\(/g, '.getDomainID('],
-  [/\.getDoaminID\(/g, '.getDomainID('],
-  [/\.getDomainIDd\(/g, '.getDomainID('],
+  ['getDomainId', 'getDomainID'],
+  ['getDomianID', 'getDomainID'],
+  ['getDoaminID', 'getDomainID'],
+  ['getDomainIDd', 'getDomainID'],
   // getLocation
-  [/\.getLocaiton\(/g, '.getLocation('],
-  [/\.getLocatoin\(/g, '.getLocation('],
-  [/\.getLoacation\(/g, '.getLocation('],
-  [/\.getLoaction\(/g, '.getLocation('],
+  ['getLocaiton', 'getLocation'],
+  ['getLocatoin', 'getLocation'],
+  ['getLoacation', 'getLocation'],
+  ['getLoaction', 'getLocation'],
   // getManagerID
-  [/\.getManagerId\(/g, '.getManagerID('],
-  [/\.getMangaerID\(/g, '.getManagerID('],
-  [/\.getMangerID\(/g, '.getManagerID('],
-  [/\.getManaegrID\(/g, '.getManagerID('],
+  ['getManagerId', 'getManagerID'],
+  ['getMangaerID', 'getManagerID'],
+  ['getMangerID', 'getManagerID'],
+  ['getManaegrID', 'getManagerID'],
   // getPreference
-  [/\.getPrefernce\(/g, '.getPreference('],
-  [/\.getPreferecne\(/g, '.getPreference('],
-  [/\.getPreferenc\(/g, '.getPreference('],
-  [/\.getPreferenec\(/g, '.getPreference('],
+  ['getPrefernce', 'getPreference'],
+  ['getPreferecne', 'getPreference'],
+  ['getPreferenc', 'getPreference'],
+  ['getPreferenec', 'getPreference'],
   // getRecord
-  [/\.getRecrod\(/g, '.getRecord('],
-  [/\.getReocrd\(/g, '.getRecord('],
-  [/\.getRecodr\(/g, '.getRecord('],
-  [/\.getRceord\(/g, '.getRecord('],
+  ['getRecrod', 'getRecord'],
+  ['getReocrd', 'getRecord'],
+  ['getRecodr', 'getRecord'],
+  ['getRceord', 'getRecord'],
   // getRoles
-  [/\.getRoels\(/g, '.getRoles('],
-  [/\.getRoles\(/g, '.getRoles('],
-  [/\.getRole\(/g, '.getRoles('],
-  [/\.getRoesl\(/g, '.getRoles('],
+  ['getRoels', 'getRoles'],
+  ['getRole', 'getRoles'],
+  ['getRoesl', 'getRoles'],
   // hasRole
-  [/\.hasRoel\(/g, '.hasRole('],
-  [/\.hasRoal\(/g, '.hasRole('],
-  [/\.hasRle\(/g, '.hasRole('],
-  [/\.hasRolee\(/g, '.hasRole('],
+  ['hasRoel', 'hasRole'],
+  ['hasRoal', 'hasRole'],
+  ['hasRle', 'hasRole'],
+  ['hasRolee', 'hasRole'],
   // hasRoleExactly
-  [/\.hasRoleExatcly\(/g, '.hasRoleExactly('],
-  [/\.hasRoleExaclty\(/g, '.hasRoleExactly('],
-  [/\.hasRoelExactly\(/g, '.hasRoleExactly('],
-  [/\.hasRoleExactlyy\(/g, '.hasRoleExactly('],
+  ['hasRoleExatcly', 'hasRoleExactly'],
+  ['hasRoleExaclty', 'hasRoleExactly'],
+  ['hasRoelExactly', 'hasRoleExactly'],
+  ['hasRoleExactlyy', 'hasRoleExactly'],
   // hasRoleInGroup
-  [/\.hasRoleInGruop\(/g, '.hasRoleInGroup('],
-  [/\.hasRoleInGrop\(/g, '.hasRoleInGroup('],
-  [/\.hasRoleInGourp\(/g, '.hasRoleInGroup('],
-  [/\.hasRoelInGroup\(/g, '.hasRoleInGroup('],
+  ['hasRoleInGruop', 'hasRoleInGroup'],
+  ['hasRoleInGrop', 'hasRoleInGroup'],
+  ['hasRoleInGourp', 'hasRoleInGroup'],
+  ['hasRoelInGroup', 'hasRoleInGroup'],
   // hasRoleFromList
-  [/\.hasRoleFromLsit\(/g, '.hasRoleFromList('],
-  [/\.hasRoleFromLits\(/g, '.hasRoleFromList('],
-  [/\.hasRoleFrmList\(/g, '.hasRoleFromList('],
-  [/\.hasRoleFormList\(/g, '.hasRoleFromList('],
+  ['hasRoleFromLsit', 'hasRoleFromList'],
+  ['hasRoleFromLits', 'hasRoleFromList'],
+  ['hasRoleFrmList', 'hasRoleFromList'],
+  ['hasRoleFormList', 'hasRoleFromList'],
   // isMemberOf
-  [/\.isMemberOF\(/g, '.isMemberOf('],
-  [/\.isMemeberOf\(/g, '.isMemberOf('],
-  [/\.isMebmerOf\(/g, '.isMemberOf('],
-  [/\.isMemebrOf\(/g, '.isMemberOf('],
+  ['isMemberOF', 'isMemberOf'],
+  ['isMemeberOf', 'isMemberOf'],
+  ['isMebmerOf', 'isMemberOf'],
+  ['isMemebrOf', 'isMemberOf'],
   // savePreference
-  [/\.savePrefernce\(/g, '.savePreference('],
-  [/\.savePreferecne\(/g, '.savePreference('],
-  [/\.savePreferenc\(/g, '.savePreference('],
-  [/\.savePrference\(/g, '.savePreference('],
+  ['savePrefernce', 'savePreference'],
+  ['savePreferecne', 'savePreference'],
+  ['savePreferenc', 'savePreference'],
+  ['savePrference', 'savePreference'],
 ];
 
 // GlideSession method typos
 const GLIDE_SESSION_TYPOS = [
   // getClientIP
-  [/\.getClientIp\(/g, '.getClientIP('],
-  [/\.getClienIP\(/g, '.getClientIP('],
-  [/\.getClientp\(/g, '.getClientIP('],
-  [/\.getClietnIP\(/g, '.getClientIP('],
+  ['getClientIp', 'getClientIP'],
+  ['getClienIP', 'getClientIP'],
+  ['getClientp', 'getClientIP'],
+  ['getClietnIP', 'getClientIP'],
   // getClientData
-  [/\.getClientDta\(/g, '.getClientData('],
-  [/\.getClienData\(/g, '.getClientData('],
-  [/\.getClientDaat\(/g, '.getClientData('],
-  [/\.getClietnData\(/g, '.getClientData('],
+  ['getClientDta', 'getClientData'],
+  ['getClienData', 'getClientData'],
+  ['getClientDaat', 'getClientData'],
+  ['getClietnData', 'getClientData'],
   // getCurrentApplicationId
-  [/\.getCurrentApplicationid\(/g, '.getCurrentApplicationId('],
-  [/\.getCurretnApplicationId\(/g, '.getCurrentApplicationId('],
-  [/\.getCurrentApplicaitonId\(/g, '.getCurrentApplicationId('],
-  [/\.getCurrentAppliationId\(/g, '.getCurrentApplicationId('],
+  ['getCurrentApplicationid', 'getCurrentApplicationId'],
+  ['getCurretnApplicationId', 'getCurrentApplicationId'],
+  ['getCurrentApplicaitonId', 'getCurrentApplicationId'],
+  ['getCurrentAppliationId', 'getCurrentApplicationId'],
   // getCurrentApplicationScope
-  [/\.getCurrentApplicationScop\(/g, '.getCurrentApplicationScope('],
-  [/\.getCurretnApplicationScope\(/g, '.getCurrentApplicationScope('],
-  [/\.getCurrentApplicaitonScope\(/g, '.getCurrentApplicationScope('],
-  [/\.getCurrentApplicationScoep\(/g, '.getCurrentApplicationScope('],
+  ['getCurrentApplicationScop', 'getCurrentApplicationScope'],
+  ['getCurretnApplicationScope', 'getCurrentApplicationScope'],
+  ['getCurrentApplicaitonScope', 'getCurrentApplicationScope'],
+  ['getCurrentApplicationScoep', 'getCurrentApplicationScope'],
   // getCurrentDomainID
-  [/\.getCurrentDomainId\(/g, '.getCurrentDomainID('],
-  [/\.getCurretnDomainID\(/g, '.getCurrentDomainID('],
-  [/\.getCurrentDomianID\(/g, '.getCurrentDomainID('],
-  [/\.getCurrentDoaminID\(/g, '.getCurrentDomainID('],
+  ['getCurrentDomainId', 'getCurrentDomainID'],
+  ['getCurretnDomainID', 'getCurrentDomainID'],
+  ['getCurrentDomianID', 'getCurrentDomainID'],
+  ['getCurrentDoaminID', 'getCurrentDomainID'],
   // getLanguage
-  [/\.getLanguge\(/g, '.getLanguage('],
-  [/\.getLangauge\(/g, '.getLanguage('],
-  [/\.getLnguage\(/g, '.getLanguage('],
-  [/\.getLangauge\(/g, '.getLanguage('],
+  ['getLanguge', 'getLanguage'],
+  ['getLangauge', 'getLanguage'],
+  ['getLnguage', 'getLanguage'],
+  ['getLangauge', 'getLanguage'],
   // getSessionToken
-  [/\.getSessionTkoen\(/g, '.getSessionToken('],
-  [/\.getSessionToekn\(/g, '.getSessionToken('],
-  [/\.getSesionToken\(/g, '.getSessionToken('],
-  [/\.getSessionTokne\(/g, '.getSessionToken('],
+  ['getSessionTkoen', 'getSessionToken'],
+  ['getSessionToekn', 'getSessionToken'],
+  ['getSesionToken', 'getSessionToken'],
+  ['getSessionTokne', 'getSessionToken'],
   // getSessionID
-  [/\.getSessionId\(/g, '.getSessionID('],
-  [/\.getSesionID\(/g, '.getSessionID('],
-  [/\.getSessionIDd\(/g, '.getSessionID('],
-  [/\.getSeessionID\(/g, '.getSessionID('],
+  ['getSessionId', 'getSessionID'],
+  ['getSesionID', 'getSessionID'],
+  ['getSessionIDd', 'getSessionID'],
+  ['getSeessionID', 'getSessionID'],
   // getTimeZoneName
-  [/\.getTimeZoneNmae\(/g, '.getTimeZoneName('],
-  [/\.getTimzeZoneName\(/g, '.getTimeZoneName('],
-  [/\.getTimeZoneNaem\(/g, '.getTimeZoneName('],
-  [/\.getTimeZoenName\(/g, '.getTimeZoneName('],
+  ['getTimeZoneNmae', 'getTimeZoneName'],
+  ['getTimzeZoneName', 'getTimeZoneName'],
+  ['getTimeZoneNaem', 'getTimeZoneName'],
+  ['getTimeZoenName', 'getTimeZoneName'],
   // getUrlOnStack
-  [/\.getUrlOnStcak\(/g, '.getUrlOnStack('],
-  [/\.getUrlOnStakc\(/g, '.getUrlOnStack('],
-  [/\.getUrlOnStck\(/g, '.getUrlOnStack('],
-  [/\.getURlOnStack\(/g, '.getUrlOnStack('],
+  ['getUrlOnStcak', 'getUrlOnStack'],
+  ['getUrlOnStakc', 'getUrlOnStack'],
+  ['getUrlOnStck', 'getUrlOnStack'],
+  ['getURlOnStack', 'getUrlOnStack'],
   // isInteractive
-  [/\.isInteratcive\(/g, '.isInteractive('],
-  [/\.isInteractvie\(/g, '.isInteractive('],
-  [/\.isIntreactive\(/g, '.isInteractive('],
-  [/\.isInteractivee\(/g, '.isInteractive('],
+  ['isInteratcive', 'isInteractive'],
+  ['isInteractvie', 'isInteractive'],
+  ['isIntreactive', 'isInteractive'],
+  ['isInteractivee', 'isInteractive'],
   // isLoggedIn
-  [/\.isLogedIn\(/g, '.isLoggedIn('],
-  [/\.isLoggedin\(/g, '.isLoggedIn('],
-  [/\.isLoggedinn\(/g, '.isLoggedIn('],
-  [/\.isLoggdIn\(/g, '.isLoggedIn('],
+  ['isLogedIn', 'isLoggedIn'],
+  ['isLoggedin', 'isLoggedIn'],
+  ['isLoggedinn', 'isLoggedIn'],
+  ['isLoggdIn', 'isLoggedIn'],
   // isMobile
-  [/\.isMobiel\(/g, '.isMobile('],
-  [/\.isMoblile\(/g, '.isMobile('],
-  [/\.isMobilee\(/g, '.isMobile('],
-  [/\.isMboile\(/g, '.isMobile('],
+  ['isMobiel', 'isMobile'],
+  ['isMoblile', 'isMobile'],
+  ['isMobilee', 'isMobile'],
+  ['isMboile', 'isMobile'],
   // putClientData
-  [/\.putClientDta\(/g, '.putClientData('],
-  [/\.putClienData\(/g, '.putClientData('],
-  [/\.putClientDaat\(/g, '.putClientData('],
-  [/\.putClinetData\(/g, '.putClientData('],
+  ['putClientDta', 'putClientData'],
+  ['putClienData', 'putClientData'],
+  ['putClientDaat', 'putClientData'],
+  ['putClinetData', 'putClientData'],
   // setClientData
-  [/\.setClientDta\(/g, '.setClientData('],
-  [/\.setClienData\(/g, '.setClientData('],
-  [/\.setClientDaat\(/g, '.setClientData('],
-  [/\.setClietnData\(/g, '.setClientData('],
+  ['setClientDta', 'setClientData'],
+  ['setClienData', 'setClientData'],
+  ['setClientDaat', 'setClientData'],
+  ['setClietnData', 'setClientData'],
   // getUser
-  [/\.getUsr\(/g, '.getUser('],
-  [/\.getUesr\(/g, '.getUser('],
-  [/\.getUserr\(/g, '.getUser('],
-  [/\.gtUser\(/g, '.getUser('],
+  ['getUsr', 'getUser'],
+  ['getUesr', 'getUser'],
+  ['getUserr', 'getUser'],
+  ['gtUser', 'getUser'],
   // getRoles
-  [/\.getRoels\(/g, '.getRoles('],
-  [/\.getRoesl\(/g, '.getRoles('],
-  [/\.getRoless\(/g, '.getRoles('],
-  [/\.getRole\(/g, '.getRoles('],
+  ['getRoels', 'getRoles'],
+  ['getRoesl', 'getRoles'],
+  ['getRoless', 'getRoles'],
+  ['getRole', 'getRoles'],
   // isImpersonating
-  [/\.isImpersonatign\(/g, '.isImpersonating('],
-  [/\.isImpersonatnig\(/g, '.isImpersonating('],
-  [/\.isImeprsonate\(/g, '.isImpersonating('],
-  [/\.isImpersonatingg\(/g, '.isImpersonating('],
+  ['isImpersonatign', 'isImpersonating'],
+  ['isImpersonatnig', 'isImpersonating'],
+  ['isImeprsonate', 'isImpersonating'],
+  ['isImpersonatingg', 'isImpersonating'],
   // clearClientData
-  [/\.clearClientDta\(/g, '.clearClientData('],
-  [/\.clearClienData\(/g, '.clearClientData('],
-  [/\.claerClientData\(/g, '.clearClientData('],
-  [/\.clearClietnData\(/g, '.clearClientData('],
+  ['clearClientDta', 'clearClientData'],
+  ['clearClienData', 'clearClientData'],
+  ['claerClientData', 'clearClientData'],
+  ['clearClietnData', 'clearClientData'],
 ];
 
 // sn_ws (REST/SOAP) method typos
 const SN_WS_TYPOS = [
   // setRequestBody
-  [/\.setRequestBdoy\(/g, '.setRequestBody('],
-  [/\.setRequestBoy\(/g, '.setRequestBody('],
-  [/\.setReqeustBody\(/g, '.setRequestBody('],
-  [/\.setRequestBoyy\(/g, '.setRequestBody('],
+  ['setRequestBdoy', 'setRequestBody'],
+  ['setRequestBoy', 'setRequestBody'],
+  ['setReqeustBody', 'setRequestBody'],
+  ['setRequestBoyy', 'setRequestBody'],
   // setHttpMethod
-  [/\.setHttpMehtod\(/g, '.setHttpMethod('],
-  [/\.setHttpMetod\(/g, '.setHttpMethod('],
-  [/\.setHTTPMethod\(/g, '.setHttpMethod('],
-  [/\.setHttpMethdo\(/g, '.setHttpMethod('],
+  ['setHttpMehtod', 'setHttpMethod'],
+  ['setHttpMetod', 'setHttpMethod'],
+  ['setHTTPMethod', 'setHttpMethod'],
+  ['setHttpMethdo', 'setHttpMethod'],
   // setEndpoint
-  [/\.setEndpoitn\(/g, '.setEndpoint('],
-  [/\.setEndpont\(/g, '.setEndpoint('],
-  [/\.setEndPiont\(/g, '.setEndpoint('],
-  [/\.setEndpooint\(/g, '.setEndpoint('],
+  ['setEndpoitn', 'setEndpoint'],
+  ['setEndpont', 'setEndpoint'],
+  ['setEndPiont', 'setEndpoint'],
+  ['setEndpooint', 'setEndpoint'],
   // getBody (REST_RESPONSE_V2)
-  [/\.getBdoy\(/g, '.getBody('],
-  [/\.getBoyd\(/g, '.getBody('],
-  [/\.getBodyy\(/g, '.getBody('],
-  [/\.gtBody\(/g, '.getBody('],
+  ['getBdoy', 'getBody'],
+  ['getBoyd', 'getBody'],
+  ['getBodyy', 'getBody'],
+  ['gtBody', 'getBody'],
   // getStatusCode
-  [/\.getStatsuCode\(/g, '.getStatusCode('],
-  [/\.getStatusCoe\(/g, '.getStatusCode('],
-  [/\.getStatusCdoe\(/g, '.getStatusCode('],
-  [/\.getStautsCode\(/g, '.getStatusCode('],
+  ['getStatsuCode', 'getStatusCode'],
+  ['getStatusCoe', 'getStatusCode'],
+  ['getStatusCdoe', 'getStatusCode'],
+  ['getStautsCode', 'getStatusCode'],
   // setRequestHeader
-  [/\.setRequestHader\(/g, '.setRequestHeader('],
-  [/\.setRequestHeaer\(/g, '.setRequestHeader('],
-  [/\.setRequsetHeader\(/g, '.setRequestHeader('],
-  [/\.setReqeustHeader\(/g, '.setRequestHeader('],
+  ['setRequestHader', 'setRequestHeader'],
+  ['setRequestHeaer', 'setRequestHeader'],
+  ['setRequsetHeader', 'setRequestHeader'],
+  ['setReqeustHeader', 'setRequestHeader'],
   // getRequestHeader
-  [/\.getRequestHader\(/g, '.getRequestHeader('],
-  [/\.getRequestHeaer\(/g, '.getRequestHeader('],
-  [/\.getRequsetHeader\(/g, '.getRequestHeader('],
-  [/\.getReqeustHeader\(/g, '.getRequestHeader('],
+  ['getRequestHader', 'getRequestHeader'],
+  ['getRequestHeaer', 'getRequestHeader'],
+  ['getRequsetHeader', 'getRequestHeader'],
+  ['getReqeustHeader', 'getRequestHeader'],
   // getHeader (REST_RESPONSE_V2)
-  [/\.getHader\(/g, '.getHeader('],
-  [/\.getHeaer\(/g, '.getHeader('],
-  [/\.getHeeader\(/g, '.getHeader('],
-  [/\.getHeaedr\(/g, '.getHeader('],
+  ['getHader', 'getHeader'],
+  ['getHeaer', 'getHeader'],
+  ['getHeeader', 'getHeader'],
+  ['getHeaedr', 'getHeader'],
   // setBasicAuth
-  [/\.setBasciAuth\(/g, '.setBasicAuth('],
-  [/\.setBasicAth\(/g, '.setBasicAuth('],
-  [/\.setBasicAtuh\(/g, '.setBasicAuth('],
-  [/\.setBascAuth\(/g, '.setBasicAuth('],
+  ['setBasciAuth', 'setBasicAuth'],
+  ['setBasicAth', 'setBasicAuth'],
+  ['setBasicAtuh', 'setBasicAuth'],
+  ['setBascAuth', 'setBasicAuth'],
   // setMIDServer
-  [/\.setMIDServr\(/g, '.setMIDServer('],
-  [/\.setMidServer\(/g, '.setMIDServer('],
-  [/\.setMIDServeer\(/g, '.setMIDServer('],
-  [/\.setMIDSever\(/g, '.setMIDServer('],
+  ['setMIDServr', 'setMIDServer'],
+  ['setMidServer', 'setMIDServer'],
+  ['setMIDServeer', 'setMIDServer'],
+  ['setMIDSever', 'setMIDServer'],
   // setQueryParameter
-  [/\.setQueryParamter\(/g, '.setQueryParameter('],
-  [/\.setQueryParmeter\(/g, '.setQueryParameter('],
-  [/\.setQueryParametr\(/g, '.setQueryParameter('],
-  [/\.setQueryParmaeter\(/g, '.setQueryParameter('],
+  ['setQueryParamter', 'setQueryParameter'],
+  ['setQueryParmeter', 'setQueryParameter'],
+  ['setQueryParametr', 'setQueryParameter'],
+  ['setQueryParmaeter', 'setQueryParameter'],
   // execute
-  [/\.excute\(/g, '.execute('],
-  [/\.exeucte\(/g, '.execute('],
-  [/\.execut\(/g, '.execute('],
-  [/\.exectue\(/g, '.execute('],
+  ['excute', 'execute'],
+  ['exeucte', 'execute'],
+  ['execut', 'execute'],
+  ['exectue', 'execute'],
   // executeAsync
-  [/\.excuteAsync\(/g, '.executeAsync('],
-  [/\.executeAsnc\(/g, '.executeAsync('],
-  [/\.executeAsnyc\(/g, '.executeAsync('],
-  [/\.exeucteAsync\(/g, '.executeAsync('],
+  ['excuteAsync', 'executeAsync'],
+  ['executeAsnc', 'executeAsync'],
+  ['executeAsnyc', 'executeAsync'],
+  ['exeucteAsync', 'executeAsync'],
 ];
 
 // ArrayUtil method typos
 const ARRAY_UTIL_TYPOS = [
-  [/\.contians\(/g, '.contains('],
-  [/\.contins\(/g, '.contains('],
-  [/\.cotains\(/g, '.contains('],
-  [/\.concta\(/g, '.concat('],
-  [/\.conact\(/g, '.concat('],
-  [/\.unqiue\(/g, '.unique('],
-  [/\.uniqe\(/g, '.unique('],
-  [/\.uniqeu\(/g, '.unique('],
-  [/\.differnce\(/g, '.diff('],
-  [/\.diference\(/g, '.diff('],
-  [/\.differecne\(/g, '.diff('],
-  [/\.intersction\(/g, '.intersect('],
-  [/\.interesct\(/g, '.intersect('],
-  [/\.intsersect\(/g, '.intersect('],
-  [/\.unioin\(/g, '.union('],
-  [/\.uion\(/g, '.union('],
-  [/\.indexof\(/g, '.indexOf('],
-  [/\.idnexOf\(/g, '.indexOf('],
+  ['contians', 'contains'],
+  ['contins', 'contains'],
+  ['cotains', 'contains'],
+  ['concta', 'concat'],
+  ['conact', 'concat'],
+  ['unqiue', 'unique'],
+  ['uniqe', 'unique'],
+  ['uniqeu', 'unique'],
+  ['differnce', 'diff'],
+  ['diference', 'diff'],
+  ['differecne', 'diff'],
+  ['intersction', 'intersect'],
+  ['interesct', 'intersect'],
+  ['intsersect', 'intersect'],
+  ['unioin', 'union'],
+  ['uion', 'union'],
+  ['indexof', 'indexOf'],
+  ['idnexOf', 'indexOf'],
 ];
 
 // GlideSysAttachment method typos
 const GLIDE_SYS_ATTACHMENT_TYPOS = [
-  [/\.wirte\(/g, '.write('],
-  [/\.wrtie\(/g, '.write('],
-  [/\.writ\(/g, '.write('],
-  [/\.getContetnt\(/g, '.getContent('],
-  [/\.getContnet\(/g, '.getContent('],
-  [/\.getCotent\(/g, '.getContent('],
-  [/\.getContetnStream\(/g, '.getContentStream('],
-  [/\.getContentStrem\(/g, '.getContentStream('],
-  [/\.deleteAttachement\(/g, '.deleteAttachment('],
-  [/\.deletAttachment\(/g, '.deleteAttachment('],
-  [/\.deleteAtachment\(/g, '.deleteAttachment('],
-  [/\.cpoy\(/g, '.copy('],
-  [/\.coyp\(/g, '.copy('],
-  [/\.getContentBase46\(/g, '.getContentBase64('],
-  [/\.getContentBas64\(/g, '.getContentBase64('],
-  [/\.writeBase46\(/g, '.writeBase64('],
-  [/\.wirteBas64\(/g, '.writeBase64('],
+  ['wirte', 'write'],
+  ['wrtie', 'write'],
+  ['writ', 'write'],
+  ['getContetnt', 'getContent'],
+  ['getContnet', 'getContent'],
+  ['getCotent', 'getContent'],
+  ['getContetnStream', 'getContentStream'],
+  ['getContentStrem', 'getContentStream'],
+  ['deleteAttachement', 'deleteAttachment'],
+  ['deletAttachment', 'deleteAttachment'],
+  ['deleteAtachment', 'deleteAttachment'],
+  ['cpoy', 'copy'],
+  ['coyp', 'copy'],
+  ['getContentBase46', 'getContentBase64'],
+  ['getContentBas64', 'getContentBase64'],
+  ['writeBase46', 'writeBase64'],
+  ['wirteBas64', 'writeBase64'],
 ];
 
 // g_form method typos
 const G_FORM_TYPOS = [
-  [/\.setMandaotry\(/g, '.setMandatory('],
-  [/\.setMandtory\(/g, '.setMandatory('],
-  [/\.setManadtory\(/g, '.setMandatory('],
-  [/\.setMandatroy\(/g, '.setMandatory('],
-  [/\.setVisiblity\(/g, '.setVisible('],
-  [/\.setVisble\(/g, '.setVisible('],
-  [/\.setVisbile\(/g, '.setVisible('],
-  [/\.setReadOnyl\(/g, '.setReadOnly('],
-  [/\.setReadOlny\(/g, '.setReadOnly('],
-  [/\.setRaedOnly\(/g, '.setReadOnly('],
-  [/\.setReadOnlly\(/g, '.setReadOnly('],
-  [/\.showFieldMesg\(/g, '.showFieldMsg('],
-  [/\.showFiedlMsg\(/g, '.showFieldMsg('],
-  [/\.showFieldMessg\(/g, '.showFieldMsg('],
-  [/\.showFieldMgs\(/g, '.showFieldMsg('],
-  [/\.addOptin\(/g, '.addOption('],
-  [/\.addOpiton\(/g, '.addOption('],
-  [/\.addOptoin\(/g, '.addOption('],
-  [/\.removeOptin\(/g, '.removeOption('],
-  [/\.removeOpiton\(/g, '.removeOption('],
-  [/\.removeOptoin\(/g, '.removeOption('],
-  [/\.clearOptins\(/g, '.clearOptions('],
-  [/\.clearOptoins\(/g, '.clearOptions('],
-  [/\.clearOpitons\(/g, '.clearOptions('],
-  [/\.clearMessaegs\(/g, '.clearMessages('],
-  [/\.clearMessgaes\(/g, '.clearMessages('],
-  [/\.clearMesages\(/g, '.clearMessages('],
-  [/\.hideFieldMesg\(/g, '.hideFieldMsg('],
-  [/\.hideFiedlMsg\(/g, '.hideFieldMsg('],
-  [/\.hideRelatedLsit\(/g, '.hideRelatedList('],
-  [/\.hideRealtedList\(/g, '.hideRelatedList('],
-  [/\.showRelatedLsit\(/g, '.showRelatedList('],
-  [/\.showRealtedList\(/g, '.showRelatedList('],
-  [/g_form\.getRefrence\(/g, 'g_form.getReference('],
-  [/g_form\.getReferecne\(/g, 'g_form.getReference('],
-  [/\.falsh\(/g, '.flash('],
-  [/\.flsah\(/g, '.flash('],
-  [/\.addInfoMessge\(/g, '.addInfoMessage('],
-  [/\.addInfoMesage\(/g, '.addInfoMessage('],
-  [/\.addErrorMessge\(/g, '.addErrorMessage('],
-  [/\.addErrorMesage\(/g, '.addErrorMessage('],
-  [/\.getContrl\(/g, '.getControl('],
-  [/\.getContorl\(/g, '.getControl('],
-  [/\.getLableOf\(/g, '.getLabelOf('],
-  [/\.getLabellOf\(/g, '.getLabelOf('],
-  [/\.setLableOf\(/g, '.setLabelOf('],
-  [/\.setLabellOf\(/g, '.setLabelOf('],
-  [/\.addDecoraton\(/g, '.addDecoration('],
-  [/\.addDecoratoin\(/g, '.addDecoration('],
-  [/\.removeDecoraton\(/g, '.removeDecoration('],
-  [/\.removeDecoratoin\(/g, '.removeDecoration('],
-  [/\.clearVlaue\(/g, '.clearValue('],
-  [/\.clearValu\(/g, '.clearValue('],
-  [/\.isVisble\(/g, '.isVisible('],
-  [/\.isMandatroy\(/g, '.isMandatory('],
-  [/\.setDisabeld\(/g, '.setDisabled('],
-  [/\.setDisbled\(/g, '.setDisabled('],
+  ['setMandaotry', 'setMandatory'],
+  ['setMandtory', 'setMandatory'],
+  ['setManadtory', 'setMandatory'],
+  ['setMandatroy', 'setMandatory'],
+  ['setVisiblity', 'setVisible'],
+  ['setVisble', 'setVisible'],
+  ['setVisbile', 'setVisible'],
+  ['setReadOnyl', 'setReadOnly'],
+  ['setReadOlny', 'setReadOnly'],
+  ['setRaedOnly', 'setReadOnly'],
+  ['setReadOnlly', 'setReadOnly'],
+  ['showFieldMesg', 'showFieldMsg'],
+  ['showFiedlMsg', 'showFieldMsg'],
+  ['showFieldMessg', 'showFieldMsg'],
+  ['showFieldMgs', 'showFieldMsg'],
+  ['addOptin', 'addOption'],
+  ['addOpiton', 'addOption'],
+  ['addOptoin', 'addOption'],
+  ['removeOptin', 'removeOption'],
+  ['removeOpiton', 'removeOption'],
+  ['removeOptoin', 'removeOption'],
+  ['clearOptins', 'clearOptions'],
+  ['clearOptoins', 'clearOptions'],
+  ['clearOpitons', 'clearOptions'],
+  ['clearMessaegs', 'clearMessages'],
+  ['clearMessgaes', 'clearMessages'],
+  ['clearMesages', 'clearMessages'],
+  ['hideFieldMesg', 'hideFieldMsg'],
+  ['hideFiedlMsg', 'hideFieldMsg'],
+  ['hideRelatedLsit', 'hideRelatedList'],
+  ['hideRealtedList', 'hideRelatedList'],
+  ['showRelatedLsit', 'showRelatedList'],
+  ['showRealtedList', 'showRelatedList'],
+  ['g_form.getRefrence', 'g_form.getReference'],
+  ['g_form.getReferecne', 'g_form.getReference'],
+  ['falsh', 'flash'],
+  ['flsah', 'flash'],
+  ['addInfoMessge', 'addInfoMessage'],
+  ['addInfoMesage', 'addInfoMessage'],
+  ['addErrorMessge', 'addErrorMessage'],
+  ['addErrorMesage', 'addErrorMessage'],
+  ['getContrl', 'getControl'],
+  ['getContorl', 'getControl'],
+  ['getLableOf', 'getLabelOf'],
+  ['getLabellOf', 'getLabelOf'],
+  ['setLableOf', 'setLabelOf'],
+  ['setLabellOf', 'setLabelOf'],
+  ['addDecoraton', 'addDecoration'],
+  ['addDecoratoin', 'addDecoration'],
+  ['removeDecoraton', 'removeDecoration'],
+  ['removeDecoratoin', 'removeDecoration'],
+  ['clearVlaue', 'clearValue'],
+  ['clearValu', 'clearValue'],
+  ['isVisble', 'isVisible'],
+  ['isMandatroy', 'isMandatory'],
+  ['setDisabeld', 'setDisabled'],
+  ['setDisbled', 'setDisabled'],
 ];
 
 // g_user method typos
 const G_USER_TYPOS = [
-  [/g_user\.hasRoel\(/g, 'g_user.hasRole('],
-  [/g_user\.hasRoal\(/g, 'g_user.hasRole('],
-  [/g_user\.haRoleExactly\(/g, 'g_user.hasRoleExactly('],
-  [/g_user\.hasRoleExatcly\(/g, 'g_user.hasRoleExactly('],
-  [/g_user\.getUserNmae\(/g, 'g_user.getUserName('],
-  [/g_user\.getUserNaem\(/g, 'g_user.getUserName('],
-  [/g_user\.getFulName\(/g, 'g_user.getFullName('],
-  [/g_user\.getFullNmae\(/g, 'g_user.getFullName('],
-  [/g_user\.hasRoleFormList\(/g, 'g_user.hasRoleFromList('],
-  [/g_user\.hasRoleFrmList\(/g, 'g_user.hasRoleFromList('],
+  ['g_user.hasRoel', 'g_user.hasRole'],
+  ['g_user.hasRoal', 'g_user.hasRole'],
+  ['g_user.haRoleExactly', 'g_user.hasRoleExactly'],
+  ['g_user.hasRoleExatcly', 'g_user.hasRoleExactly'],
+  ['g_user.getUserNmae', 'g_user.getUserName'],
+  ['g_user.getUserNaem', 'g_user.getUserName'],
+  ['g_user.getFulName', 'g_user.getFullName'],
+  ['g_user.getFullNmae', 'g_user.getFullName'],
+  ['g_user.hasRoleFormList', 'g_user.hasRoleFromList'],
+  ['g_user.hasRoleFrmList', 'g_user.hasRoleFromList'],
 ];
 
 // GlideAjax method typos
 const GLIDE_AJAX_TYPOS = [
-  [/\.addParm\(/g, '.addParam('],
-  [/\.addPrama\(/g, '.addParam('],
-  [/\.addParem\(/g, '.addParam('],
-  [/\.addParma\(/g, '.addParam('],
-  [/\.getXMLWiat\(/g, '.getXMLWait('],
-  [/\.getXMLWai\(/g, '.getXMLWait('],
-  [/\.getXmlWait\(/g, '.getXMLWait('],
-  [/\.getXMLwait\(/g, '.getXMLWait('],
-  [/\.getxmlwait\(/g, '.getXMLWait('],
-  [/\.getXMLAnwser\(/g, '.getXMLAnswer('],
-  [/\.getXMLAnsewr\(/g, '.getXMLAnswer('],
-  [/\.getXmlAnswer\(/g, '.getXMLAnswer('],
-  [/\.getAnwser\(/g, '.getAnswer('],
-  [/\.getAnsewr\(/g, '.getAnswer('],
+  ['addParm', 'addParam'],
+  ['addPrama', 'addParam'],
+  ['addParem', 'addParam'],
+  ['addParma', 'addParam'],
+  ['getXMLWiat', 'getXMLWait'],
+  ['getXMLWai', 'getXMLWait'],
+  ['getXmlWait', 'getXMLWait'],
+  ['getXMLwait', 'getXMLWait'],
+  ['getxmlwait', 'getXMLWait'],
+  ['getXMLAnwser', 'getXMLAnswer'],
+  ['getXMLAnsewr', 'getXMLAnswer'],
+  ['getXmlAnswer', 'getXMLAnswer'],
+  ['getAnwser', 'getAnswer'],
+  ['getAnsewr', 'getAnswer'],
   // getParameter typos (for Script Include processors)
-  [/\.getParamater\(/g, '.getParameter('],
-  [/\.getParametr\(/g, '.getParameter('],
-  [/\.getParamter\(/g, '.getParameter('],
-  [/\.getParmeter\(/g, '.getParameter('],
-  [/\.getParaemter\(/g, '.getParameter('],
+  ['getParamater', 'getParameter'],
+  ['getParametr', 'getParameter'],
+  ['getParamter', 'getParameter'],
+  ['getParmeter', 'getParameter'],
+  ['getParaemter', 'getParameter'],
 ];
 
 // gs (GlideSystem) method typos
 const GS_TYPOS = [
-  [/gs\.getPrefernce\(/g, 'gs.getPreference('],
-  [/gs\.getPreferecne\(/g, 'gs.getPreference('],
-  [/gs\.setPrefernce\(/g, 'gs.setPreference('],
-  [/gs\.setPreferecne\(/g, 'gs.setPreference('],
-  [/gs\.addInfoMessge\(/g, 'gs.addInfoMessage('],
-  [/gs\.addInfoMesage\(/g, 'gs.addInfoMessage('],
-  [/gs\.addInofMessage\(/g, 'gs.addInfoMessage('],
-  [/gs\.addErrorMessge\(/g, 'gs.addErrorMessage('],
-  [/gs\.addErrorMesage\(/g, 'gs.addErrorMessage('],
-  [/gs\.addErorrMessage\(/g, 'gs.addErrorMessage('],
-  [/gs\.getProprety\(/g, 'gs.getProperty('],
-  [/gs\.getPropety\(/g, 'gs.getProperty('],
-  [/gs\.getPropert\(/g, 'gs.getProperty('],
-  [/gs\.setProprety\(/g, 'gs.setProperty('],
-  [/gs\.setPropety\(/g, 'gs.setProperty('],
-  [/gs\.getUserId\(/g, 'gs.getUserID('],
-  [/gs\.getUsrID\(/g, 'gs.getUserID('],
-  [/gs\.getUserNmae\(/g, 'gs.getUserName('],
-  [/gs\.getUserNaem\(/g, 'gs.getUserName('],
-  [/gs\.getUsr\(/g, 'gs.getUser('],
-  [/gs\.getUesr\(/g, 'gs.getUser('],
-  [/gs\.hasRoel\(/g, 'gs.hasRole('],
-  [/gs\.hasRoal\(/g, 'gs.hasRole('],
-  [/gs\.lgo\(/g, 'gs.log('],
-  [/gs\.olg\(/g, 'gs.log('],
-  [/gs\.inof\(/g, 'gs.info('],
-  [/gs\.inf\(/g, 'gs.info('],
-  [/gs\.infoo\(/g, 'gs.info('],
-  [/gs\.inffo\(/g, 'gs.info('],
-  [/gs\.debgu\(/g, 'gs.debug('],
-  [/gs\.deubg\(/g, 'gs.debug('],
-  [/gs\.erorr\(/g, 'gs.error('],
-  [/gs\.erro\(/g, 'gs.error('],
-  [/gs\.wran\(/g, 'gs.warn('],
-  [/gs\.warrn\(/g, 'gs.warn('],
-  [/gs\.pirnt\(/g, 'gs.print('],
-  [/gs\.pritn\(/g, 'gs.print('],
-  [/gs\.nill\(/g, 'gs.nil('],
-  [/gs\.nli\(/g, 'gs.nil('],
-  [/gs\.tableExits\(/g, 'gs.tableExists('],
-  [/gs\.tabelExists\(/g, 'gs.tableExists('],
-  [/gs\.getMessge\(/g, 'gs.getMessage('],
-  [/gs\.getMesage\(/g, 'gs.getMessage('],
-  [/gs\.eventQueu\(/g, 'gs.eventQueue('],
-  [/gs\.evnetQueue\(/g, 'gs.eventQueue('],
-  [/gs\.beginingOfLastMonth\(/g, 'gs.beginningOfLastMonth('],
-  [/gs\.beginningOfLatsMonth\(/g, 'gs.beginningOfLastMonth('],
-  [/gs\.beginingOfThisMonth\(/g, 'gs.beginningOfThisMonth('],
-  [/gs\.getCurrentScopeNmae\(/g, 'gs.getCurrentScopeName('],
-  [/gs\.getCurentScopeName\(/g, 'gs.getCurrentScopeName('],
-  [/gs\.urlEncdoe\(/g, 'gs.urlEncode('],
-  [/gs\.urlDecdoe\(/g, 'gs.urlDecode('],
-  [/gs\.xmlToJOSN\(/g, 'gs.xmlToJSON('],
-  [/gs\.xmlTOJSON\(/g, 'gs.xmlToJSON('],
+  ['gs.getPrefernce', 'gs.getPreference'],
+  ['gs.getPreferecne', 'gs.getPreference'],
+  ['gs.setPrefernce', 'gs.setPreference'],
+  ['gs.setPreferecne', 'gs.setPreference'],
+  ['gs.addInfoMessge', 'gs.addInfoMessage'],
+  ['gs.addInfoMesage', 'gs.addInfoMessage'],
+  ['gs.addInofMessage', 'gs.addInfoMessage'],
+  ['gs.addErrorMessge', 'gs.addErrorMessage'],
+  ['gs.addErrorMesage', 'gs.addErrorMessage'],
+  ['gs.addErorrMessage', 'gs.addErrorMessage'],
+  ['gs.getProprety', 'gs.getProperty'],
+  ['gs.getPropety', 'gs.getProperty'],
+  ['gs.getPropert', 'gs.getProperty'],
+  ['gs.setProprety', 'gs.setProperty'],
+  ['gs.setPropety', 'gs.setProperty'],
+  ['gs.getUserId', 'gs.getUserID'],
+  ['gs.getUsrID', 'gs.getUserID'],
+  ['gs.getUserNmae', 'gs.getUserName'],
+  ['gs.getUserNaem', 'gs.getUserName'],
+  ['gs.getUsr', 'gs.getUser'],
+  ['gs.getUesr', 'gs.getUser'],
+  ['gs.hasRoel', 'gs.hasRole'],
+  ['gs.hasRoal', 'gs.hasRole'],
+  ['gs.lgo', 'gs.log'],
+  ['gs.olg', 'gs.log'],
+  ['gs.inof', 'gs.info'],
+  ['gs.inf', 'gs.info'],
+  ['gs.infoo', 'gs.info'],
+  ['gs.inffo', 'gs.info'],
+  ['gs.debgu', 'gs.debug'],
+  ['gs.deubg', 'gs.debug'],
+  ['gs.erorr', 'gs.error'],
+  ['gs.erro', 'gs.error'],
+  ['gs.wran', 'gs.warn'],
+  ['gs.warrn', 'gs.warn'],
+  ['gs.pirnt', 'gs.print'],
+  ['gs.pritn', 'gs.print'],
+  ['gs.nill', 'gs.nil'],
+  ['gs.nli', 'gs.nil'],
+  ['gs.tableExits', 'gs.tableExists'],
+  ['gs.tabelExists', 'gs.tableExists'],
+  ['gs.getMessge', 'gs.getMessage'],
+  ['gs.getMesage', 'gs.getMessage'],
+  ['gs.eventQueu', 'gs.eventQueue'],
+  ['gs.evnetQueue', 'gs.eventQueue'],
+  ['gs.beginingOfLastMonth', 'gs.beginningOfLastMonth'],
+  ['gs.beginningOfLatsMonth', 'gs.beginningOfLastMonth'],
+  ['gs.beginingOfThisMonth', 'gs.beginningOfThisMonth'],
+  ['gs.getCurrentScopeNmae', 'gs.getCurrentScopeName'],
+  ['gs.getCurentScopeName', 'gs.getCurrentScopeName'],
+  ['gs.urlEncdoe', 'gs.urlEncode'],
+  ['gs.urlDecdoe', 'gs.urlDecode'],
+  ['gs.xmlToJOSN', 'gs.xmlToJSON'],
+  ['gs.xmlTOJSON', 'gs.xmlToJSON'],
   // getDisplayName
-  [/gs\.getDisplayNmae\(/g, 'gs.getDisplayName('],
-  [/gs\.getDisplayNaem\(/g, 'gs.getDisplayName('],
+  ['gs.getDisplayNmae', 'gs.getDisplayName'],
+  ['gs.getDisplayNaem', 'gs.getDisplayName'],
   // getCurrentScopeName
-  [/gs\.getCurrentScopeNmae\(/g, 'gs.getCurrentScopeName('],
-  [/gs\.getCurentScopeName\(/g, 'gs.getCurrentScopeName('],
+  ['gs.getCurrentScopeNmae', 'gs.getCurrentScopeName'],
+  ['gs.getCurentScopeName', 'gs.getCurrentScopeName'],
   // getSession
-  [/gs\.getSesion\(/g, 'gs.getSession('],
-  [/gs\.getSesson\(/g, 'gs.getSession('],
+  ['gs.getSesion', 'gs.getSession'],
+  ['gs.getSesson', 'gs.getSession'],
   // getTimeZoneName
-  [/gs\.getTimeZoneNmae\(/g, 'gs.getTimeZoneName('],
-  [/gs\.getTimZoneName\(/g, 'gs.getTimeZoneName('],
+  ['gs.getTimeZoneNmae', 'gs.getTimeZoneName'],
+  ['gs.getTimZoneName', 'gs.getTimeZoneName'],
   // hoursAgo
-  [/gs\.hoursAgo\(/g, 'gs.hoursAgo('],
-  [/gs\.horusAgo\(/g, 'gs.hoursAgo('],
+  ['gs.horusAgo', 'gs.hoursAgo'],
   // hoursAgoStart
-  [/gs\.hoursAgoStrat\(/g, 'gs.hoursAgoStart('],
-  [/gs\.horusAgoStart\(/g, 'gs.hoursAgoStart('],
+  ['gs.hoursAgoStrat', 'gs.hoursAgoStart'],
+  ['gs.horusAgoStart', 'gs.hoursAgoStart'],
   // hoursAgoEnd
-  [/gs\.hoursAgoEdn\(/g, 'gs.hoursAgoEnd('],
-  [/gs\.horusAgoEnd\(/g, 'gs.hoursAgoEnd('],
+  ['gs.hoursAgoEdn', 'gs.hoursAgoEnd'],
+  ['gs.horusAgoEnd', 'gs.hoursAgoEnd'],
   // daysAgo
-  [/gs\.daysAgo\(/g, 'gs.daysAgo('],
-  [/gs\.daysAgo\(/g, 'gs.daysAgo('],
-  [/gs\.daysago\(/g, 'gs.daysAgo('],
+  ['gs.daysago', 'gs.daysAgo'],
   // daysAgoStart
-  [/gs\.daysAgoStrat\(/g, 'gs.daysAgoStart('],
-  [/gs\.daysAgoStrt\(/g, 'gs.daysAgoStart('],
+  ['gs.daysAgoStrat', 'gs.daysAgoStart'],
+  ['gs.daysAgoStrt', 'gs.daysAgoStart'],
   // daysAgoEnd
-  [/gs\.daysAgoEdn\(/g, 'gs.daysAgoEnd('],
-  [/gs\.daysAgoEdn\(/g, 'gs.daysAgoEnd('],
+  ['gs.daysAgoEdn', 'gs.daysAgoEnd'],
+  ['gs.daysAgoEdn', 'gs.daysAgoEnd'],
   // monthsAgo
-  [/gs\.monthsAgo\(/g, 'gs.monthsAgo('],
-  [/gs\.monthsago\(/g, 'gs.monthsAgo('],
-  [/gs\.montshAgo\(/g, 'gs.monthsAgo('],
+  ['gs.monthsago', 'gs.monthsAgo'],
+  ['gs.montshAgo', 'gs.monthsAgo'],
   // monthsAgoStart
-  [/gs\.monthsAgoStrat\(/g, 'gs.monthsAgoStart('],
-  [/gs\.montshAgoStart\(/g, 'gs.monthsAgoStart('],
+  ['gs.monthsAgoStrat', 'gs.monthsAgoStart'],
+  ['gs.montshAgoStart', 'gs.monthsAgoStart'],
   // quartersAgo
-  [/gs\.quartersago\(/g, 'gs.quartersAgo('],
-  [/gs\.quartersAgo\(/g, 'gs.quartersAgo('],
+  ['gs.quartersago', 'gs.quartersAgo'],
   // yearsAgo
-  [/gs\.yearsago\(/g, 'gs.yearsAgo('],
-  [/gs\.yaersAgo\(/g, 'gs.yearsAgo('],
+  ['gs.yearsago', 'gs.yearsAgo'],
+  ['gs.yaersAgo', 'gs.yearsAgo'],
   // beginningOfLastMonth
-  [/gs\.beginningOfLatsMonth\(/g, 'gs.beginningOfLastMonth('],
-  [/gs\.beginingOfLastMonth\(/g, 'gs.beginningOfLastMonth('],
+  ['gs.beginningOfLatsMonth', 'gs.beginningOfLastMonth'],
+  ['gs.beginingOfLastMonth', 'gs.beginningOfLastMonth'],
   // beginningOfLastWeek
-  [/gs\.beginningOfLatsWeek\(/g, 'gs.beginningOfLastWeek('],
-  [/gs\.beginingOfLastWeek\(/g, 'gs.beginningOfLastWeek('],
+  ['gs.beginningOfLatsWeek', 'gs.beginningOfLastWeek'],
+  ['gs.beginingOfLastWeek', 'gs.beginningOfLastWeek'],
   // beginningOfLastYear
-  [/gs\.beginningOfLatsYear\(/g, 'gs.beginningOfLastYear('],
-  [/gs\.beginingOfLastYear\(/g, 'gs.beginningOfLastYear('],
+  ['gs.beginningOfLatsYear', 'gs.beginningOfLastYear'],
+  ['gs.beginingOfLastYear', 'gs.beginningOfLastYear'],
   // beginningOfThisMonth
-  [/gs\.beginningOfThisMont\(/g, 'gs.beginningOfThisMonth('],
-  [/gs\.beginingOfThisMonth\(/g, 'gs.beginningOfThisMonth('],
+  ['gs.beginningOfThisMont', 'gs.beginningOfThisMonth'],
+  ['gs.beginingOfThisMonth', 'gs.beginningOfThisMonth'],
   // beginningOfThisQuarter
-  [/gs\.beginningOfThisQuater\(/g, 'gs.beginningOfThisQuarter('],
-  [/gs\.beginingOfThisQuarter\(/g, 'gs.beginningOfThisQuarter('],
+  ['gs.beginningOfThisQuater', 'gs.beginningOfThisQuarter'],
+  ['gs.beginingOfThisQuarter', 'gs.beginningOfThisQuarter'],
   // beginningOfThisWeek
-  [/gs\.beginningOfThisWeke\(/g, 'gs.beginningOfThisWeek('],
-  [/gs\.beginingOfThisWeek\(/g, 'gs.beginningOfThisWeek('],
+  ['gs.beginningOfThisWeke', 'gs.beginningOfThisWeek'],
+  ['gs.beginingOfThisWeek', 'gs.beginningOfThisWeek'],
   // beginningOfThisYear
-  [/gs\.beginningOfThisYaer\(/g, 'gs.beginningOfThisYear('],
-  [/gs\.beginingOfThisYear\(/g, 'gs.beginningOfThisYear('],
+  ['gs.beginningOfThisYaer', 'gs.beginningOfThisYear'],
+  ['gs.beginingOfThisYear', 'gs.beginningOfThisYear'],
   // endOfLastMonth
-  [/gs\.endOfLatsMonth\(/g, 'gs.endOfLastMonth('],
-  [/gs\.endOfLastMont\(/g, 'gs.endOfLastMonth('],
+  ['gs.endOfLatsMonth', 'gs.endOfLastMonth'],
+  ['gs.endOfLastMont', 'gs.endOfLastMonth'],
   // endOfLastWeek
-  [/gs\.endOfLatsWeek\(/g, 'gs.endOfLastWeek('],
-  [/gs\.endOfLastWeke\(/g, 'gs.endOfLastWeek('],
+  ['gs.endOfLatsWeek', 'gs.endOfLastWeek'],
+  ['gs.endOfLastWeke', 'gs.endOfLastWeek'],
   // endOfLastYear
-  [/gs\.endOfLatsYear\(/g, 'gs.endOfLastYear('],
-  [/gs\.endOfLastYaer\(/g, 'gs.endOfLastYear('],
+  ['gs.endOfLatsYear', 'gs.endOfLastYear'],
+  ['gs.endOfLastYaer', 'gs.endOfLastYear'],
   // endOfThisMonth
-  [/gs\.endOfThisMont\(/g, 'gs.endOfThisMonth('],
-  [/gs\.endOfThisMOnth\(/g, 'gs.endOfThisMonth('],
+  ['gs.endOfThisMont', 'gs.endOfThisMonth'],
+  ['gs.endOfThisMOnth', 'gs.endOfThisMonth'],
   // endOfThisQuarter
-  [/gs\.endOfThisQuater\(/g, 'gs.endOfThisQuarter('],
-  [/gs\.endOfThisQuaarter\(/g, 'gs.endOfThisQuarter('],
+  ['gs.endOfThisQuater', 'gs.endOfThisQuarter'],
+  ['gs.endOfThisQuaarter', 'gs.endOfThisQuarter'],
   // endOfThisWeek
-  [/gs\.endOfThisWeke\(/g, 'gs.endOfThisWeek('],
-  [/gs\.endOfThisWek\(/g, 'gs.endOfThisWeek('],
+  ['gs.endOfThisWeke', 'gs.endOfThisWeek'],
+  ['gs.endOfThisWek', 'gs.endOfThisWeek'],
   // endOfThisYear
-  [/gs\.endOfThisYaer\(/g, 'gs.endOfThisYear('],
-  [/gs\.endOfThisYera\(/g, 'gs.endOfThisYear('],
+  ['gs.endOfThisYaer', 'gs.endOfThisYear'],
+  ['gs.endOfThisYera', 'gs.endOfThisYear'],
   // generateGUID
-  [/gs\.generateGUId\(/g, 'gs.generateGUID('],
-  [/gs\.genreateGUID\(/g, 'gs.generateGUID('],
+  ['gs.generateGUId', 'gs.generateGUID'],
+  ['gs.genreateGUID', 'gs.generateGUID'],
   // getCallerScopeName
-  [/gs\.getCallerScopeNmae\(/g, 'gs.getCallerScopeName('],
-  [/gs\.getCalelrScopeName\(/g, 'gs.getCallerScopeName('],
+  ['gs.getCallerScopeNmae', 'gs.getCallerScopeName'],
+  ['gs.getCalelrScopeName', 'gs.getCallerScopeName'],
   // flushMessages
-  [/gs\.flushMessgaes\(/g, 'gs.flushMessages('],
-  [/gs\.flsuhMessages\(/g, 'gs.flushMessages('],
+  ['gs.flushMessgaes', 'gs.flushMessages'],
+  ['gs.flsuhMessages', 'gs.flushMessages'],
   // include
-  [/gs\.incldue\(/g, 'gs.include('],
-  [/gs\.inlcude\(/g, 'gs.include('],
+  ['gs.incldue', 'gs.include'],
+  ['gs.inlcude', 'gs.include'],
   // isDebugging
-  [/gs\.isDebuging\(/g, 'gs.isDebugging('],
-  [/gs\.isDbugging\(/g, 'gs.isDebugging('],
+  ['gs.isDebuging', 'gs.isDebugging'],
+  ['gs.isDbugging', 'gs.isDebugging'],
   // isInteractive
-  [/gs\.isInteratcive\(/g, 'gs.isInteractive('],
-  [/gs\.isIntreactive\(/g, 'gs.isInteractive('],
+  ['gs.isInteratcive', 'gs.isInteractive'],
+  ['gs.isIntreactive', 'gs.isInteractive'],
   // isLoggedIn
-  [/gs\.isLogedIn\(/g, 'gs.isLoggedIn('],
-  [/gs\.isLoggedinn\(/g, 'gs.isLoggedIn('],
+  ['gs.isLogedIn', 'gs.isLoggedIn'],
+  ['gs.isLoggedinn', 'gs.isLoggedIn'],
   // isMobile
-  [/gs\.isMobiel\(/g, 'gs.isMobile('],
-  [/gs\.isMoblile\(/g, 'gs.isMobile('],
+  ['gs.isMobiel', 'gs.isMobile'],
+  ['gs.isMoblile', 'gs.isMobile'],
   // workflowFlush
-  [/gs\.workflowFlsuh\(/g, 'gs.workflowFlush('],
-  [/gs\.workflowFulsh\(/g, 'gs.workflowFlush('],
+  ['gs.workflowFlsuh', 'gs.workflowFlush'],
+  ['gs.workflowFulsh', 'gs.workflowFlush'],
   // sleep
-  [/gs\.slepe\(/g, 'gs.sleep('],
-  [/gs\.slep\(/g, 'gs.sleep('],
+  ['gs.slepe', 'gs.sleep'],
+  ['gs.slep', 'gs.sleep'],
   // base64Encode
-  [/gs\.base64Encdoe\(/g, 'gs.base64Encode('],
-  [/gs\.base46Encode\(/g, 'gs.base64Encode('],
+  ['gs.base64Encdoe', 'gs.base64Encode'],
+  ['gs.base46Encode', 'gs.base64Encode'],
   // base64Decode
-  [/gs\.base64Decdoe\(/g, 'gs.base64Decode('],
-  [/gs\.base46Decode\(/g, 'gs.base64Decode('],
+  ['gs.base64Decdoe', 'gs.base64Decode'],
+  ['gs.base46Decode', 'gs.base64Decode'],
   // dateDiff
-  [/gs\.dateDif\(/g, 'gs.dateDiff('],
-  [/gs\.dateDff\(/g, 'gs.dateDiff('],
+  ['gs.dateDif', 'gs.dateDiff'],
+  ['gs.dateDff', 'gs.dateDiff'],
   // dateGenerate
-  [/gs\.dateGenrate\(/g, 'gs.dateGenerate('],
-  [/gs\.datGeenerate\(/g, 'gs.dateGenerate('],
+  ['gs.dateGenrate', 'gs.dateGenerate'],
+  ['gs.datGeenerate', 'gs.dateGenerate'],
 ];
 
 // Other ServiceNow class method typos
 const OTHER_TYPOS = [
   // GlidePluginManager
-  [/\.isActvie\(/g, '.isActive('],
-  [/\.isAtcive\(/g, '.isActive('],
-  [/\.isAcitve\(/g, '.isActive('],
+  ['isActvie', 'isActive'],
+  ['isAtcive', 'isActive'],
+  ['isAcitve', 'isActive'],
   // GlideTableHierarchy
-  [/\.getTableExentsions\(/g, '.getTableExtensions('],
-  [/\.getTableExtnesions\(/g, '.getTableExtensions('],
-  [/\.getBaes\(/g, '.getBase('],
-  [/\.getBse\(/g, '.getBase('],
-  [/\.getTabels\(/g, '.getTables('],
-  [/\.getTabel\(/g, '.getTables('],
-  [/\.getHiearchy\(/g, '.getHierarchy('],
-  [/\.getHeirarchy\(/g, '.getHierarchy('],
-  [/\.getAllExentsions\(/g, '.getAllExtensions('],
-  [/\.getAllExtnesions\(/g, '.getAllExtensions('],
+  ['getTableExentsions', 'getTableExtensions'],
+  ['getTableExtnesions', 'getTableExtensions'],
+  ['getBaes', 'getBase'],
+  ['getBse', 'getBase'],
+  ['getTabels', 'getTables'],
+  ['getTabel', 'getTables'],
+  ['getHiearchy', 'getHierarchy'],
+  ['getHeirarchy', 'getHierarchy'],
+  ['getAllExentsions', 'getAllExtensions'],
+  ['getAllExtnesions', 'getAllExtensions'],
   // Workflow
-  [/\.scratchapd\./g, '.scratchpad.'],
-  [/\.scrtachpad\./g, '.scratchpad.'],
-  [/\.scratcphad\./g, '.scratchpad.'],
+  ['scratchapd', 'scratchpad'],
+  ['scrtachpad', 'scratchpad'],
+  ['scratcphad', 'scratchpad'],
   // GlideScriptedProcessor
-  [/\.wrietOutput\(/g, '.writeOutput('],
-  [/\.writeOuput\(/g, '.writeOutput('],
-  [/\.writeOutpt\(/g, '.writeOutput('],
+  ['wrietOutput', 'writeOutput'],
+  ['writeOuput', 'writeOutput'],
+  ['writeOutpt', 'writeOutput'],
   // XMLDocument2
-  [/\.parseXMl\(/g, '.parseXML('],
-  [/\.parseXML\(/g, '.parseXML('],
-  [/\.getDocuemntElement\(/g, '.getDocumentElement('],
-  [/\.getDocumentElment\(/g, '.getDocumentElement('],
-  [/\.createElementWithTextVlaue\(/g, '.createElementWithTextValue('],
-  [/\.createEelmentWithTextValue\(/g, '.createElementWithTextValue('],
-  [/\.getNodeNmae\(/g, '.getNodeName('],
-  [/\.getNodeVlaue\(/g, '.getNodeValue('],
-  [/\.getChildNodeIteraotr\(/g, '.getChildNodeIterator('],
-  [/\.getChildNodeItertor\(/g, '.getChildNodeIterator('],
+  ['parseXMl', 'parseXML'],
+  ['getDocuemntElement', 'getDocumentElement'],
+  ['getDocumentElment', 'getDocumentElement'],
+  ['createElementWithTextVlaue', 'createElementWithTextValue'],
+  ['createEelmentWithTextValue', 'createElementWithTextValue'],
+  ['getNodeNmae', 'getNodeName'],
+  ['getNodeVlaue', 'getNodeValue'],
+  ['getChildNodeIteraotr', 'getChildNodeIterator'],
+  ['getChildNodeItertor', 'getChildNodeIterator'],
   // GlideEmailOutbound
-  [/\.setSubejct\(/g, '.setSubject('],
-  [/\.setSubjcet\(/g, '.setSubject('],
-  [/\.setSubjetc\(/g, '.setSubject('],
-  [/\.setSuject\(/g, '.setSubject('],
-  [/\.setBdoy\(/g, '.setBody('],
-  [/\.setBoyd\(/g, '.setBody('],
-  [/\.setBodyy\(/g, '.setBody('],
-  [/\.setBoyy\(/g, '.setBody('],
-  [/\.addRecipeint\(/g, '.addRecipient('],
-  [/\.addRecipent\(/g, '.addRecipient('],
-  [/\.addReciepient\(/g, '.addRecipient('],
-  [/\.addReciipient\(/g, '.addRecipient('],
-  [/\.setFomr\(/g, '.setFrom('],
-  [/\.setFromm\(/g, '.setFrom('],
-  [/\.setFrmo\(/g, '.setFrom('],
-  [/\.setFrm\(/g, '.setFrom('],
-  [/\.setReplyTo\(/g, '.setReplyTo('],
-  [/\.setRepltyTo\(/g, '.setReplyTo('],
-  [/\.setReplyToo\(/g, '.setReplyTo('],
-  [/\.setRelpyTo\(/g, '.setReplyTo('],
+  ['setSubejct', 'setSubject'],
+  ['setSubjcet', 'setSubject'],
+  ['setSubjetc', 'setSubject'],
+  ['setSuject', 'setSubject'],
+  ['setBdoy', 'setBody'],
+  ['setBoyd', 'setBody'],
+  ['setBodyy', 'setBody'],
+  ['setBoyy', 'setBody'],
+  ['addRecipeint', 'addRecipient'],
+  ['addRecipent', 'addRecipient'],
+  ['addReciepient', 'addRecipient'],
+  ['addReciipient', 'addRecipient'],
+  ['setFomr', 'setFrom'],
+  ['setFromm', 'setFrom'],
+  ['setFrmo', 'setFrom'],
+  ['setFrm', 'setFrom'],
+  ['setRepltyTo', 'setReplyTo'],
+  ['setReplyToo', 'setReplyTo'],
+  ['setRelpyTo', 'setReplyTo'],
 ];
 
+// =============================================================================
+// TYPO CATEGORIES
+// =============================================================================
+
 /**
- * Applies typo fixes from a list of patterns
- * @param {string} code - The code to process
- * @param {Array<[RegExp, string]>} typoList - List of [pattern, replacement] pairs
- * @returns {{ code: string, count: number }}
+ * Typo tables grouped into the categories reported in fix messages.
+ * 'method' entries match member names used as `.name(` or `.name.`;
+ * a `receiver.name` entry only matches calls on that receiver.
+ * 'class' entries match identifier references the code does not declare itself.
  */
-function applyTypoFixes(code, typoList) {
-  let processed = code;
-  let count = 0;
-  
-  for (const [pattern, replacement] of typoList) {
-    let matchCount = 0;
-    processed = processed.replace(pattern, () => {
-      matchCount++;
-      return replacement;
-    });
-    count += matchCount;
+const TYPO_CATEGORIES = [
+  { name: 'GlideRecord method', kind: 'method', list: GLIDE_RECORD_TYPOS },
+  { name: 'GlideElement method', kind: 'method', list: GLIDE_ELEMENT_TYPOS },
+  { name: 'ServiceNow class name', kind: 'class', list: CLASS_NAME_TYPOS },
+  { name: 'GlideDateTime method', kind: 'method', list: GLIDE_DATETIME_TYPOS },
+  { name: 'GlideSchedule method', kind: 'method', list: GLIDE_SCHEDULE_TYPOS },
+  { name: 'GlideDuration method', kind: 'method', list: GLIDE_DURATION_TYPOS },
+  { name: 'GlideUser method', kind: 'method', list: GLIDE_USER_TYPOS },
+  { name: 'GlideSession method', kind: 'method', list: GLIDE_SESSION_TYPOS },
+  { name: 'REST/SOAP method', kind: 'method', list: SN_WS_TYPOS },
+  { name: 'ArrayUtil method', kind: 'method', list: ARRAY_UTIL_TYPOS },
+  { name: 'GlideSysAttachment method', kind: 'method', list: GLIDE_SYS_ATTACHMENT_TYPOS },
+  { name: 'g_form method', kind: 'method', list: G_FORM_TYPOS },
+  { name: 'g_user method', kind: 'method', list: G_USER_TYPOS },
+  { name: 'GlideAjax method', kind: 'method', list: GLIDE_AJAX_TYPOS },
+  { name: 'gs method', kind: 'method', list: GS_TYPOS },
+  { name: 'ServiceNow API', kind: 'method', list: OTHER_TYPOS },
+].map(category => ({ ...category, lookup: buildTypoLookup(category.list) }));
+
+/**
+ * Builds a lookup from misspelled name to its correction for one typo table.
+ * @param {Array<[string, string]>} typoList - List of [typo, correction] pairs
+ * @returns {Map<string, Array<{ receiver: string|null, correction: string }>>}
+ */
+function buildTypoLookup(typoList) {
+  const lookup = new Map();
+
+  for (const [typo, correction] of typoList) {
+    const [receiver, name] = typo.includes('.') ? typo.split('.') : [null, typo];
+    const correctedName = correction.includes('.') ? correction.split('.')[1] : correction;
+    if (!lookup.has(name)) lookup.set(name, []);
+    lookup.get(name).push({ receiver, correction: correctedName });
   }
-  
-  return { code: processed, count };
+
+  return lookup;
 }
 
 /**
- * Applies ServiceNow-specific fixes to code
- * @param {string} code - The code to process
- * @returns {{ processed: string, fixes: string[] }}
+ * Finds the correction for a name within one category.
+ * @param {Object} category - Typo category
+ * @param {string} name - Identifier or member name
+ * @param {string|null} receiver - Receiver identifier for member names
+ * @returns {string|null} Corrected name or null
  */
-export function applyServiceNowFixes(code) {
-  let processed = code;
-  const fixes = [];
+function findTypoCorrection(category, name, receiver) {
+  const entries = category.lookup.get(name);
+  if (!entries) return null;
+  const entry = entries.find(e => e.receiver === null || e.receiver === receiver);
+  return entry ? entry.correction : null;
+}
 
-  // Apply typo corrections for each category
-  const typoCategories = [
-    { name: 'GlideRecord method', list: GLIDE_RECORD_TYPOS },
-    { name: 'GlideElement method', list: GLIDE_ELEMENT_TYPOS },
-    { name: 'ServiceNow class name', list: CLASS_NAME_TYPOS },
-    { name: 'GlideDateTime method', list: GLIDE_DATETIME_TYPOS },
-    { name: 'GlideSchedule method', list: GLIDE_SCHEDULE_TYPOS },
-    { name: 'GlideDuration method', list: GLIDE_DURATION_TYPOS },
-    { name: 'GlideUser method', list: GLIDE_USER_TYPOS },
-    { name: 'GlideSession method', list: GLIDE_SESSION_TYPOS },
-    { name: 'REST/SOAP method', list: SN_WS_TYPOS },
-    { name: 'ArrayUtil method', list: ARRAY_UTIL_TYPOS },
-    { name: 'GlideSysAttachment method', list: GLIDE_SYS_ATTACHMENT_TYPOS },
-    { name: 'g_form method', list: G_FORM_TYPOS },
-    { name: 'g_user method', list: G_USER_TYPOS },
-    { name: 'GlideAjax method', list: GLIDE_AJAX_TYPOS },
-    { name: 'gs method', list: GS_TYPOS },
-    { name: 'ServiceNow API', list: OTHER_TYPOS },
-  ];
+// =============================================================================
+// AST FIX COLLECTORS
+// =============================================================================
 
-  for (const category of typoCategories) {
-    const result = applyTypoFixes(processed, category.list);
-    processed = result.code;
-    if (result.count > 0) {
-      fixes.push(`Fixed ${result.count} ${category.name} typo${result.count > 1 ? 's' : ''}`);
-    }
-  }
+/**
+ * Collects typo edits for all categories in a single AST walk.
+ * Each edit is tagged with the category that produced it.
+ *
+ * @param {Object} ast - Program AST
+ * @returns {Array<Object>} Edits with a `category` property
+ */
+function collectTypoEdits(ast) {
+  const edits = [];
+  const declaredNames = collectDeclaredNames(ast);
 
-  // Intelligent fix: Replace gs.now()
-  const gsNowPattern = /\bgs\.now\s*\(\s*\)/g;
-  const gsNowMatches = processed.match(gsNowPattern) || [];
-  if (gsNowMatches.length > 0) {
-    processed = processed.replace(gsNowPattern, 'new GlideDateTime().getDisplayValue()');
-    fixes.push(`Replaced ${gsNowMatches.length} gs.now() with GlideDateTime`);
-  }
+  walkAst(ast, (node, parent) => {
+    // Method/property typos: gr.addQeury(...), workflow.scratchapd.x
+    if (node.type === 'MemberExpression' && getPropertyName(node)) {
+      const isCallee = parent?.type === 'CallExpression' && parent.callee === node;
+      const isObject = parent?.type === 'MemberExpression' && parent.object === node;
+      if (!isCallee && !isObject) return;
 
-  // Intelligent fix: Replace gs.nowDateTime()
-  const gsNowDateTimePattern = /\bgs\.nowDateTime\s*\(\s*\)/g;
-  const gsNowDateTimeMatches = processed.match(gsNowDateTimePattern) || [];
-  if (gsNowDateTimeMatches.length > 0) {
-    processed = processed.replace(gsNowDateTimePattern, 'new GlideDateTime().getValue()');
-    fixes.push(`Replaced ${gsNowDateTimeMatches.length} gs.nowDateTime() with GlideDateTime`);
-  }
+      const receiver = node.object.type === 'Identifier' ? node.object.name : null;
+      for (const category of TYPO_CATEGORIES) {
+        if (category.kind !== 'method') continue;
+        const correction = findTypoCorrection(category, node.property.name, receiver);
+        if (correction) {
+          edits.push({ start: node.property.start, end: node.property.end, text: correction, category: category.name });
+          break;
+        }
+      }
+      return;
+    }
 
-  // Intelligent fix: getValue('sys_id') → getUniqueValue()
-  const getSysIdPattern = /\.getValue\s*\(\s*['"]sys_id['"]\s*\)/g;
-  const getSysIdMatches = processed.match(getSysIdPattern) || [];
-  if (getSysIdMatches.length > 0) {
-    processed = processed.replace(getSysIdPattern, '.getUniqueValue()');
-    fixes.push(`Replaced ${getSysIdMatches.length} getValue('sys_id') with getUniqueValue()`);
-  }
+    // Class name typos: new GlideReocrd(...), JOSN.parse(...)
+    if (node.type === 'Identifier' && isIdentifierReference(node, parent) && !declaredNames.has(node.name)) {
+      for (const category of TYPO_CATEGORIES) {
+        if (category.kind !== 'class') continue;
+        const correction = findTypoCorrection(category, node.name, null);
+        if (correction) {
+          edits.push({ start: node.start, end: node.end, text: correction, category: category.name });
+          break;
+        }
+      }
+    }
+  });
 
-  // Intelligent fix: Replace gs.print()
-  const gsPrintPattern = /\bgs\.print\s*\(/g;
-  const gsPrintMatches = processed.match(gsPrintPattern) || [];
-  if (gsPrintMatches.length > 0) {
-    processed = processed.replace(gsPrintPattern, 'gs.info(');
-    fixes.push(`Replaced ${gsPrintMatches.length} gs.print() with gs.info()`);
-  }
+  return edits;
+}
 
-  // Intelligent fix: String concatenation in addQuery
-  const concatQueryPattern = /\.addQuery\s*\(\s*['"](\w+)=['"]\s*\+\s*(\w+)\s*\)/g;
-  let concatCount = 0;
-  processed = processed.replace(concatQueryPattern, (match, field, value) => {
-    concatCount++;
-    return `.addQuery('${field}', ${value})`;
+/**
+ * Intelligent fixes, each applied as its own rewrite pass so later fixes see
+ * the result of earlier ones. `id` is the rule profile fix id, `title` names
+ * the editor quick-fix and `collect(ast, code)` returns the edits for one pass.
+ */
+const INTELLIGENT_FIXES = [
+  {
+    // gs.now() → new GlideDateTime().getDisplayValue()
+    id: 'gs-now',
+    title: 'Replace gs.now() with GlideDateTime',
+    message: (count) => `Replaced ${count} gs.now() with GlideDateTime`,
+    collect: (ast) => collectCallEdits(ast, (node) =>
+      isMethodCall(node, 'gs', 'now') && node.arguments.length === 0
+        ? { start: node.start, end: node.end, text: 'new GlideDateTime().getDisplayValue()' }
+        : null
+    ),
+  },
+  {
+    // gs.nowDateTime() → new GlideDateTime().getValue()
+    id: 'gs-now-date-time',
+    title: 'Replace gs.nowDateTime() with GlideDateTime',
+    message: (count) => `Replaced ${count} gs.nowDateTime() with GlideDateTime`,
+    collect: (ast) => collectCallEdits(ast, (node) =>
+      isMethodCall(node, 'gs', 'nowDateTime') && node.arguments.length === 0
+        ? { start: node.start, end: node.end, text: 'new GlideDateTime().getValue()' }
+        : null
+    ),
+  },
+  {
+    // x.getValue('sys_id') → x.getUniqueValue()
+    id: 'get-unique-value',
+    title: "Replace getValue('sys_id') with getUniqueValue()",
+    message: (count) => `Replaced ${count} getValue('sys_id') with getUniqueValue()`,
+    collect: (ast) => collectCallEdits(ast, (node) =>
+      isMethodCall(node, null, 'getValue') &&
+      node.arguments.length === 1 &&
+      isStringLiteral(node.arguments[0]) &&
+      node.arguments[0].value === 'sys_id'
+        ? { start: node.callee.property.start, end: node.end, text: 'getUniqueValue()' }
+        : null
+    ),
+  },
+  {
+    // gs.print(...) → gs.info(...)
+    id: 'gs-print',
+    title: 'Replace gs.print() with gs.info()',
+    message: (count) => `Replaced ${count} gs.print() with gs.info()`,
+    collect: (ast) => collectCallEdits(ast, (node) =>
+      isMethodCall(node, 'gs', 'print')
+        ? { start: node.callee.property.start, end: node.callee.property.end, text: 'info' }
+        : null
+    ),
+  },
+  {
+    // addQuery('field=' + value) → addQuery('field', value)
+    id: 'add-query-concat',
+    title: 'Pass field and value to addQuery() separately',
+    message: (count) => `Fixed ${count} string concatenation in addQuery() calls`,
+    collect: (ast, code) => collectCallEdits(ast, (node) => {
+      if (!isMethodCall(node, null, 'addQuery') || node.arguments.length !== 1) return null;
+      const arg = node.arguments[0];
+      if (arg.type !== 'BinaryExpression' || arg.operator !== '+') return null;
+      if (!isStringLiteral(arg.left) || arg.right.type !== 'Identifier') return null;
+      const fieldMatch = arg.left.value.match(/^(\w+)=$/);
+      if (!fieldMatch) return null;
+      return { start: arg.start, end: arg.end, text: `'${fieldMatch[1]}', ${code.slice(arg.right.start, arg.right.end)}` };
+    }),
+  },
+  {
+    // addEncodedQuery('field=value') → addQuery('field', 'value')
+    id: 'simple-encoded-query',
+    title: 'Replace addEncodedQuery() with addQuery()',
+    message: (count) => `Simplified ${count} addEncodedQuery() to addQuery()`,
+    collect: (ast) => collectCallEdits(ast, (node) => {
+      if (!isMethodCall(node, null, 'addEncodedQuery') || node.arguments.length !== 1) return null;
+      const arg = node.arguments[0];
+      if (!isStringLiteral(arg)) return null;
+      const match = arg.value.match(/^(\w+)=([^^]+)$/);
+      if (!match) return null;
+      const [, field, value] = match;
+      if (/!=|LIKE|IN|STARTSWITH|ENDSWITH|CONTAINS|ORDERBY|NULL/.test(value)) return null;
+      return { start: node.callee.property.start, end: node.end, text: `addQuery(${quote(field)}, ${quote(value)})` };
+    }),
+  },
+  {
+    // 'a' == 'b' → 'a' === 'b'
+    id: 'strict-string-equality',
+    title: 'Use strict equality (===)',
+    message: (count) => `Converted ${count} string comparison(s) to strict equality (===)`,
+    collect: (ast) => {
+      const edits = [];
+      walkAst(ast, (node) => {
+        if (node.type === 'BinaryExpression' && node.operator === '==' &&
+            isStringLiteral(node.left) && isStringLiteral(node.right)) {
+          edits.push({ start: node.left.end, end: node.right.start, text: ' === ' });
+        }
+      });
+      return edits;
+    },
+  },
+];
+
+/**
+ * Walks all call expressions and collects the edits a matcher returns.
+ * @param {Object} ast - Program AST
+ * @param {Function} matcher - Returns an edit or null for a CallExpression
+ * @returns {Array<Object>} Edits
+ */
+function collectCallEdits(ast, matcher) {
+  const edits = [];
+  walkAst(ast, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const edit = matcher(node);
+    if (edit) edits.push(edit);
   });
-  if (concatCount > 0) {
-    fixes.push(`Fixed ${concatCount} string concatenation in addQuery() calls`);
+  return edits;
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Collects every ServiceNow fix as an individual quick-fix for the editor.
+ * Unlike applyServiceNowFixes() nothing is applied: each edit is computed
+ * against the same code so it can be offered on its own.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [profile] - Rule profile (fixes it disables are skipped)
+ * @returns {Array<{ fixId: string, title: string, start: number, end: number, text: string }>}
+ */
+export function collectServiceNowQuickFixes(code, profile = DEFAULT_PROFILE) {
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const suppressions = createSuppressions(code);
+  const quickFixes = [];
+  const add = (fixId, title, edits) => {
+    suppressions.filterEdits(edits, fixId).forEach(({ start, end, text }) => {
+      quickFixes.push({ fixId, title: typeof title === 'function' ? title(text) : title, start, end, text });
+    });
+  };
+
+  if (isFixEnabled(profile, 'typo-tables')) {
+    add('typo-tables', (text) => `Did you mean \`${text}\`?`, collectTypoEdits(ast));
+  }
+  for (const fix of INTELLIGENT_FIXES) {
+    if (isFixEnabled(profile, fix.id)) add(fix.id, fix.title, fix.collect(ast, code));
   }
 
-  // Intelligent fix: Simple addEncodedQuery → addQuery
-  const simpleEncodedPattern = /\.addEncodedQuery\s*\(\s*['"](\w+)=([^'^"]+)['"]\s*\)/g;
-  let encodedCount = 0;
-  processed = processed.replace(simpleEncodedPattern, (match, field, value) => {
-    if (!value.includes('^') && !value.includes('!=') && !value.includes('LIKE') && 
-        !value.includes('IN') && !value.includes('STARTSWITH') && !value.includes('ENDSWITH') &&
-        !value.includes('CONTAINS') && !value.includes('ORDERBY') && !value.includes('NULL')) {
-      encodedCount++;
-      return `.addQuery('${field}', '${value}')`;
+  return quickFixes;
+}
+
+
+/**
+ * Applies ServiceNow-specific fixes to code
+ * @param {string} code - The code to process
+ * @param {Object} [profile] - Rule profile (fixes it disables are skipped)
+ * @param {Set<string>} [suppressionUsage] - Records which suppression comments were used
+ * @param {Object} [tracker] - Fix tracker from createFixTracker() (records/rejects occurrences)
+ * @param {Object} [options]
+ * @param {string} [options.scriptType] - Script type id or 'auto', narrows the fuzzy dictionaries
+ * @returns {{ processed: string, fixes: string[], suggestions: string[] }}
+ */
+export function applyServiceNowFixes(code, profile = DEFAULT_PROFILE, suppressionUsage = new Set(), tracker = createFixTracker(code), options = {}) {
+  let processed = code;
+  const fixes = [];
+
+  // Each pass drops the edits that land on lines where its fix is suppressed,
+  // and the tracker skips occurrences the user rejected
+  const rewriteUnsuppressed = (fixId, collect) => {
+    const suppressions = createSuppressions(processed, suppressionUsage);
+    return rewriteCode(
+      processed,
+      (ast, source) => suppressions.filterEdits(collect(ast, source), fixId),
+      (source, edits) => tracker.apply(fixId, source, edits)
+    );
+  };
+
+  // Apply typo corrections for each category (one AST pass for all tables)
+  if (isFixEnabled(profile, 'typo-tables')) {
+    const typoResult = rewriteUnsuppressed('typo-tables', collectTypoEdits);
+    processed = typoResult.code;
+    for (const category of TYPO_CATEGORIES) {
+      const count = typoResult.applied.filter(edit => edit.category === category.name).length;
+      if (count > 0) {
+        fixes.push(`Fixed ${count} ${category.name} typo${count > 1 ? 's' : ''}`);
+      }
     }
-    return match;
-  });
-  if (encodedCount > 0) {
-    fixes.push(`Simplified ${encodedCount} addEncodedQuery() to addQuery()`);
   }
 
-  // Intelligent fix: String literal loose equality to strict equality
-  const stringEqualityPattern = /(['"][^'"]*['"])\s*==\s*(['"][^'"]*['"])/g;
-  let strictCount = 0;
-  processed = processed.replace(stringEqualityPattern, (match, left, right) => {
-    strictCount++;
-    return `${left} === ${right}`;
-  });
-  if (strictCount > 0) {
-    fixes.push(`Converted ${strictCount} string comparison(s) to strict equality (===)`);
+  // Intelligent fixes (gs.now(), getUniqueValue(), gs.info(), addQuery, ===)
+  for (const fix of INTELLIGENT_FIXES) {
+    if (!isFixEnabled(profile, fix.id)) continue;
+    const result = rewriteUnsuppressed(fix.id, fix.collect);
+    processed = result.code;
+    if (result.applied.length > 0) {
+      fixes.push(fix.message(result.applied.length));
+    }
   }
 
   // ==========================================================================
-  // PASS 2: Fuzzy Matching (catches typos not covered by regex patterns)
+  // PASS 2: Fuzzy Matching (catches typos not covered by the typo tables)
   // ==========================================================================
-  const fuzzyResult = fuzzyCorrectCode(processed);
-  processed = fuzzyResult.processed;
-  fixes.push(...fuzzyResult.fixes);
-  
-  // Fuzzy suggestions are low-confidence and returned separately
-  const suggestions = fuzzyResult.suggestions;
+  let suggestions = [];
+  if (isFixEnabled(profile, 'fuzzy-typos')) {
+    const fuzzyResult = fuzzyCorrectCode(processed, createSuppressions(processed, suppressionUsage), tracker, { scriptType: options.scriptType });
+    processed = fuzzyResult.processed;
+    fixes.push(...fuzzyResult.fixes);
+    
+    // Fuzzy suggestions are low-confidence and returned separately
+    suggestions = fuzzyResult.suggestions;
+  }
 
   return { processed, fixes, suggestions };
 }
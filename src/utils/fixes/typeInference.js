@@ -0,0 +1,564 @@
+/**
+ * @fileoverview Scope-Aware Type Inference for ServiceNow Scripts
+ * @description Infers the ServiceNow type (dictionary context) of expressions
+ * from the acorn AST, so typo corrections, completions and warnings use the
+ * right method list. Types flow through:
+ *
+ * - `new GlideRecord(...)` (or `new sn_ws.RESTMessageV2(...)`) and later
+ *   (re)assignments, in source order per scope
+ * - known return types from the dictionary: `gs.getUser()` → GlideUser,
+ *   `gr.getElement('x')` → GlideElement, `current.caller_id.getRefRecord()` → GlideRecord
+ * - record field access: `current.caller_id` → GlideElement
+ * - function parameters: JSDoc `@param {GlideRecord} gr`, parameters named after
+ *   globals (`current`/`previous` in Business Rules), callbacks such as
+ *   `g_form.getReference('caller_id', function (caller) {...})`, and the
+ *   arguments of every call site
+ * - user function returns: JSDoc `@returns {GlideRecord}` or the returned values
+ * - `this` in Script Includes: `Object.extendsObject(AbstractAjaxProcessor, {...})`
+ *   gives the base class, `this.gr = new GlideRecord(...)` types `this.gr`
+ *
+ * Everything is resolved lazily and memoized; cycles resolve to unknown (null).
+ */
+
+import {
+  CLASS_NAMES,
+  GLOBAL_OBJECTS,
+  CONTEXT_METHOD_MAP,
+  METHOD_SIGNATURES,
+  SIGNATURE_ALIASES,
+  getMethodSignature,
+} from './servicenowDictionary.js';
+import { walkAst, extractComments } from '../astParser.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Types whose properties are record fields (dot-walking yields GlideElement) */
+const FIELD_CONTAINER_TYPES = ['GlideRecord', 'GlideRecordSecure', 'GlideAggregate', 'current', 'previous', 'GlideElement'];
+
+/**
+ * Callback parameter types of asynchronous APIs:
+ * context → method → { argument: callback position, params: parameter types }
+ */
+const CALLBACK_PARAMETERS = {
+  GlideForm: {
+    getReference: { argument: 1, params: ['GlideRecord'] }
+  },
+  GlideRecord: {
+    query: { argument: 0, params: ['GlideRecord'] }
+  }
+};
+
+/** Namespaces that qualify platform classes (new sn_ws.RESTMessageV2(), sn_fd.FlowAPI) */
+const CLASS_NAMESPACES = ['global', 'sn_ws', 'sn_fd'];
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Checks whether a type name has a method list or documented signatures.
+ */
+function isKnownType(type) {
+  return Boolean(type && (CONTEXT_METHOD_MAP[type] || METHOD_SIGNATURES[SIGNATURE_ALIASES[type] || type]));
+}
+
+/**
+ * Gets the single known type of a list of candidates, or null when they disagree.
+ */
+function agreedType(types) {
+  const known = [...new Set(types.filter(isKnownType))];
+  return known.length === 1 ? known[0] : null;
+}
+
+/**
+ * Collects the identifiers bound by a declaration pattern (x, { a, b }, [c, ...d]).
+ *
+ * @param {Object|null} pattern - Identifier or binding pattern
+ * @param {Object[]} [names] - Array to add to
+ * @returns {Object[]} The declaring identifiers
+ */
+export function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => patternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => patternNames(element, names));
+      break;
+    case 'RestElement':
+      patternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
+
+/**
+ * Gets the name of a non-computed member property (`a.b` or `a['b']`).
+ */
+function memberName(node) {
+  if (node.type !== 'MemberExpression') return null;
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.computed && node.property.type === 'Literal' && typeof node.property.value === 'string') return node.property.value;
+  return null;
+}
+
+/**
+ * Checks whether a value carries no type information (null, undefined).
+ */
+function isEmptyValue(node) {
+  return (node.type === 'Literal' && node.value === null) ||
+    (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+/**
+ * Parses the JSDoc @param and @returns types of a comment.
+ *
+ * @param {string} text - Block comment text
+ * @returns {{ params: Map<string, string>, returns: string|null }}
+ */
+function parseJsDocTypes(text) {
+  const firstKnown = typeText => typeText.split('|').map(part => part.trim()).find(isKnownType) || null;
+  const params = new Map();
+  for (const [, typeText, name] of text.matchAll(/@param\s+\{([^}]+)\}\s+\[?([\w$]+)/g)) {
+    const type = firstKnown(typeText);
+    if (type) params.set(name, type);
+  }
+  const returnsMatch = text.match(/@returns?\s+\{([^}]+)\}/);
+  return { params, returns: returnsMatch ? firstKnown(returnsMatch[1]) : null };
+}
+
+// =============================================================================
+// SCOPE COLLECTION
+// =============================================================================
+
+/**
+ * Walks the AST once and records scopes, bindings with their definitions,
+ * functions (parameters, returns, call sites) and `this` contexts.
+ */
+function collectScopes(ast, code) {
+  const scopes = new Map();          // scope-creating node → scope
+  const nodeScopes = new WeakMap();  // Identifier → scope it is referenced in
+  const thisContexts = new WeakMap(); // ThisExpression → object context
+  const functions = new Map();       // function node → function info
+  const objectContexts = new Map();  // ObjectExpression → object context
+  const bindings = [];
+  const pendingAssignments = [];
+  const pendingCalls = [];
+
+  const createScope = (node, parent, isFunction) => {
+    const scope = { node, parent, isFunction, bindings: new Map() };
+    scopes.set(node, scope);
+    return scope;
+  };
+
+  const currentScope = (ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const scope = scopes.get(ancestors[i]);
+      if (scope) return scope;
+    }
+    return null;
+  };
+
+  const functionScopeOf = (scope) => {
+    while (scope && !scope.isFunction) scope = scope.parent;
+    return scope;
+  };
+
+  const declare = (scope, name) => {
+    let binding = scope.bindings.get(name);
+    if (!binding) {
+      binding = { name, scope, defs: [], functions: [] };
+      scope.bindings.set(name, binding);
+      bindings.push(binding);
+    }
+    return binding;
+  };
+
+  const enclosingFunction = (ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (FUNCTION_TYPES.includes(ancestors[i].type)) return ancestors[i];
+    }
+    return null;
+  };
+
+  /** The object context `this` refers to inside a method of an object literal */
+  const objectContextOf = (object, objectParent) => {
+    if (objectContexts.has(object)) return objectContexts.get(object);
+
+    // Object.extendsObject(Base, { ... }) inherits the methods of Base
+    let base = null;
+    if (objectParent?.type === 'CallExpression' && objectParent.arguments[1] === object &&
+      memberName(objectParent.callee) === 'extendsObject' && objectParent.arguments[0].type === 'Identifier') {
+      base = objectParent.arguments[0].name;
+    }
+
+    const context = { base: isKnownType(base) ? base : null, methods: new Map(), memberDefs: new Map(), members: new Set() };
+    object.properties.forEach((property) => {
+      const key = property.key && (property.key.name ?? property.key.value);
+      if (typeof key !== 'string') return;
+      context.members.add(key);
+      if (property.value && FUNCTION_TYPES.includes(property.value.type)) context.methods.set(key, property.value);
+    });
+    objectContexts.set(object, context);
+    return context;
+  };
+
+  /** The statement or property a function is documented on */
+  const documentedNode = (fn, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    const grandparent = ancestors[ancestors.length - 2];
+    if (fn.type === 'FunctionDeclaration') return fn;
+    if (parent?.type === 'Property') return parent;
+    if (parent?.type === 'VariableDeclarator') return grandparent;
+    if (parent?.type === 'AssignmentExpression' && grandparent?.type === 'ExpressionStatement') return grandparent;
+    return fn;
+  };
+
+  const blockComments = extractComments(code).filter(comment => comment.type === 'Block' && comment.value.startsWith('*'));
+  const jsDocFor = (node) => {
+    const comment = blockComments.find(c => c.end <= node.start && code.slice(c.end, node.start).trim() === '');
+    return comment ? parseJsDocTypes(comment.value) : { params: new Map(), returns: null };
+  };
+
+  const root = createScope(ast, null, true);
+
+  walkAst(ast, (node, parent, ancestors) => {
+    const scope = currentScope(ancestors) || root;
+
+    if (FUNCTION_TYPES.includes(node.type)) {
+      const fnScope = createScope(node, scope, true);
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        declare(functionScopeOf(scope), node.id.name).functions.push(node);
+      } else if (node.type === 'FunctionExpression' && node.id) {
+        declare(fnScope, node.id.name).functions.push(node);
+      }
+
+      // Arrow functions keep the `this` of their surroundings
+      let thisContext = null;
+      if (node.type === 'ArrowFunctionExpression') {
+        thisContext = functions.get(enclosingFunction(ancestors))?.thisContext || null;
+      } else if (parent?.type === 'Property' && ancestors[ancestors.length - 2]?.type === 'ObjectExpression') {
+        thisContext = objectContextOf(ancestors[ancestors.length - 2], ancestors[ancestors.length - 3]);
+      }
+
+      const info = {
+        node,
+        thisContext,
+        jsDoc: jsDocFor(documentedNode(node, ancestors)),
+        returns: [],
+        callSites: [],
+        callbackOf: parent?.type === 'CallExpression' && parent.arguments.includes(node)
+          ? { call: parent, argument: parent.arguments.indexOf(node) }
+          : null
+      };
+      functions.set(node, info);
+
+      node.params.forEach((param, index) => {
+        patternNames(param).forEach((identifier) => {
+          const binding = declare(fnScope, identifier.name);
+          // Only plain parameters can be typed; destructured names stay unknown
+          if (param === identifier) binding.defs.push({ end: node.start, param: { fn: node, index } });
+        });
+      });
+      return;
+    }
+
+    if (node.type === 'BlockStatement' && !FUNCTION_TYPES.includes(parent?.type)) {
+      createScope(node, scope, false);
+      return;
+    }
+    if (['ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
+      createScope(node, scope, false);
+      return;
+    }
+    if (node.type === 'CatchClause') {
+      const catchScope = createScope(node, scope, false);
+      patternNames(node.param).forEach(identifier => declare(catchScope, identifier.name));
+      return;
+    }
+
+    if (node.type === 'VariableDeclaration') {
+      const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+      node.declarations.forEach((declarator) => {
+        patternNames(declarator.id).forEach((identifier) => {
+          const binding = declare(target, identifier.name);
+          if (declarator.id === identifier && declarator.init) {
+            binding.defs.push({ end: declarator.end, value: declarator.init });
+          }
+        });
+      });
+      return;
+    }
+
+    if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      if (node.left.type === 'Identifier') {
+        pendingAssignments.push({ scope, name: node.left.name, def: { end: node.end, value: node.right } });
+      } else if (node.left.type === 'MemberExpression' && node.left.object.type === 'ThisExpression') {
+        const context = functions.get(enclosingFunction(ancestors))?.thisContext;
+        const name = memberName(node.left);
+        if (context && name) {
+          if (!context.memberDefs.has(name)) context.memberDefs.set(name, []);
+          context.memberDefs.get(name).push({ end: node.end, value: node.right });
+          context.members.add(name);
+        }
+      }
+      return;
+    }
+
+    if (node.type === 'ReturnStatement' && node.argument) {
+      functions.get(enclosingFunction(ancestors))?.returns.push(node.argument);
+      return;
+    }
+
+    if (node.type === 'CallExpression') {
+      if (node.callee.type === 'Identifier') {
+        pendingCalls.push({ scope, name: node.callee.name, args: node.arguments });
+      } else if (node.callee.type === 'MemberExpression' && node.callee.object.type === 'ThisExpression') {
+        const context = functions.get(enclosingFunction(ancestors))?.thisContext;
+        const method = context?.methods.get(memberName(node.callee));
+        if (method) pendingCalls.push({ fn: method, args: node.arguments });
+      }
+      return;
+    }
+
+    if (node.type === 'Identifier') {
+      nodeScopes.set(node, scope);
+      return;
+    }
+
+    if (node.type === 'ThisExpression') {
+      thisContexts.set(node, functions.get(enclosingFunction(ancestors))?.thisContext || null);
+    }
+  });
+
+  const resolve = (scope, name) => {
+    for (let current = scope; current; current = current.parent) {
+      if (current.bindings.has(name)) return current.bindings.get(name);
+    }
+    return null;
+  };
+
+  // Assignments to undeclared names create implicit globals
+  pendingAssignments.forEach(({ scope, name, def }) => {
+    (resolve(scope, name) || declare(root, name)).defs.push(def);
+  });
+  bindings.forEach(binding => binding.defs.sort((a, b) => a.end - b.end));
+
+  // Call sites of named functions and of Script Include methods (this.method())
+  pendingCalls.forEach(({ scope, name, fn, args }) => {
+    const targets = fn ? [fn] : functionsOf(resolve(scope, name));
+    targets.forEach(target => functions.get(target)?.callSites.push(args));
+  });
+
+  return { nodeScopes, thisContexts, functions, bindings, resolve, functionScopeOf };
+}
+
+/**
+ * Gets the functions a binding refers to (declarations and function values).
+ */
+function functionsOf(binding) {
+  if (!binding) return [];
+  return [
+    ...binding.functions,
+    ...binding.defs.map(def => def.value).filter(value => value && FUNCTION_TYPES.includes(value.type))
+  ];
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Creates the type inference for a parsed script.
+ *
+ * @param {Object} ast - Acorn AST (from parseCode())
+ * @param {string} code - The source the AST was parsed from (for JSDoc comments)
+ * @returns {{
+ *   typeOf: function(Object): string|null,
+ *   isOwnMember: function(Object, string): boolean,
+ *   isGlobal: function(Object): boolean,
+ *   variableTypes: function(): Map<string, string>
+ * }}
+ */
+export function createTypeInference(ast, code) {
+  const { nodeScopes, thisContexts, functions, bindings, resolve, functionScopeOf } = collectScopes(ast, code);
+  const memo = new Map();
+  const resolving = new Set();
+
+  /** Memoizes a computation per key; re-entering a key (a cycle) yields null */
+  const cached = (key, compute) => {
+    if (memo.has(key)) return memo.get(key);
+    if (resolving.has(key)) return null;
+    resolving.add(key);
+    const type = compute();
+    resolving.delete(key);
+    memo.set(key, type);
+    return type;
+  };
+
+  const defType = def => cached(def, () => (def.param ? paramType(def.param.fn, def.param.index) : typeOf(def.value)));
+
+  const paramType = (fn, index) => {
+    const info = functions.get(fn);
+    const name = fn.params[index].name;
+
+    if (info.jsDoc.params.has(name)) return info.jsDoc.params.get(name);
+
+    // Business Rule (function executeRule(current, previous) {...}), event scripts, etc.
+    if (GLOBAL_OBJECTS.includes(name) && CONTEXT_METHOD_MAP[name]) return name;
+
+    if (info.callbackOf) {
+      const { call, argument } = info.callbackOf;
+      const receiverType = call.callee.type === 'MemberExpression' ? typeOf(call.callee.object) : null;
+      const context = SIGNATURE_ALIASES[receiverType] || receiverType;
+      const callback = CALLBACK_PARAMETERS[context]?.[memberName(call.callee)];
+      if (callback?.argument === argument) return callback.params[index] || null;
+    }
+
+    return agreedType(info.callSites.map(args => (args[index] ? typeOf(args[index]) : null)));
+  };
+
+  const functionReturnType = fn => cached(fn, () => {
+    const info = functions.get(fn);
+    return info.jsDoc.returns || agreedType(info.returns.map(typeOf));
+  });
+
+  /** An unshadowed namespace identifier such as sn_ws */
+  const isNamespace = node => node.type === 'Identifier' &&
+    CLASS_NAMESPACES.includes(node.name) && !resolve(nodeScopes.get(node), node.name);
+
+  const bindingTypeAt = (binding, reference) => {
+    const defs = binding.defs.filter(def => !def.value || !isEmptyValue(def.value));
+    if (defs.length === 0) return null;
+
+    // In the binding's own function the latest definition before the use wins;
+    // closures may run at any time, so they need all definitions to agree
+    const referenceScope = functionScopeOf(nodeScopes.get(reference));
+    if (referenceScope === functionScopeOf(binding.scope)) {
+      const before = defs.filter(def => def.end <= reference.start);
+      if (before.length > 0) return defType(before[before.length - 1]);
+    }
+    return agreedType(defs.map(defType));
+  };
+
+  const callType = (node) => {
+    const { callee } = node;
+    if (callee.type === 'Identifier') {
+      const binding = resolve(nodeScopes.get(callee), callee.name);
+      return agreedType(functionsOf(binding).map(functionReturnType));
+    }
+
+    const method = memberName(callee);
+    if (!method) return null;
+    if (callee.object.type === 'ThisExpression') {
+      const own = thisContexts.get(callee.object)?.methods.get(method);
+      if (own) return functionReturnType(own);
+    }
+    const receiverType = typeOf(callee.object);
+    const returns = receiverType && getMethodSignature(receiverType, method)?.returns;
+    return isKnownType(returns) ? returns : null;
+  };
+
+  const memberType = (node) => {
+    const name = memberName(node);
+    if (!name) return null;
+    if (isNamespace(node.object)) {
+      return CLASS_NAMES.includes(name) && isKnownType(name) ? name : null;
+    }
+    if (node.object.type === 'ThisExpression') {
+      const context = thisContexts.get(node.object);
+      const defs = context?.memberDefs.get(name);
+      if (defs) return agreedType(defs.map(defType));
+    }
+    return FIELD_CONTAINER_TYPES.includes(typeOf(node.object)) ? 'GlideElement' : null;
+  };
+
+  /**
+   * Infers the ServiceNow type of an expression node.
+   *
+   * @param {Object} node - Expression node of the AST
+   * @returns {string|null} Dictionary context (e.g. 'GlideRecord', 'gs', 'current') or null
+   */
+  function typeOf(node) {
+    if (!node) return null;
+    return cached(node, () => {
+      switch (node.type) {
+        case 'Identifier': {
+          const binding = resolve(nodeScopes.get(node), node.name);
+          if (binding) return bindingTypeAt(binding, node);
+          return CONTEXT_METHOD_MAP[node.name] ? node.name : null;
+        }
+        case 'ThisExpression':
+          return thisContexts.get(node)?.base || null;
+        case 'NewExpression': {
+          const className = node.callee.type === 'Identifier' ? node.callee.name : memberType(node.callee);
+          return CLASS_NAMES.includes(className) && isKnownType(className) ? className : null;
+        }
+        case 'CallExpression':
+          return callType(node);
+        case 'MemberExpression':
+          return memberType(node);
+        case 'AssignmentExpression':
+          return node.operator === '=' ? typeOf(node.right) : null;
+        case 'SequenceExpression':
+          return typeOf(node.expressions[node.expressions.length - 1]);
+        case 'LogicalExpression':
+        case 'ConditionalExpression': {
+          const branches = node.type === 'LogicalExpression' ? [node.left, node.right] : [node.consequent, node.alternate];
+          return agreedType(branches.filter(branch => !isEmptyValue(branch)).map(typeOf));
+        }
+        default:
+          return null;
+      }
+    });
+  }
+
+  return {
+    typeOf,
+
+    /**
+     * Checks whether `this.<name>` is a method or property the object itself defines
+     * (so it must not be matched against the base class).
+     */
+    isOwnMember(thisNode, name) {
+      return Boolean(thisContexts.get(thisNode)?.members.has(name));
+    },
+
+    /**
+     * Checks whether an identifier refers to a platform global (nothing in
+     * scope declares or assigns it).
+     */
+    isGlobal(identifier) {
+      return !resolve(nodeScopes.get(identifier), identifier.name);
+    },
+
+    /**
+     * Flattens the inferred variable types into name → type, each variable
+     * typed by its last definition with a known type.
+     */
+    variableTypes() {
+      const types = new Map();
+      bindings.forEach((binding) => {
+        const known = binding.defs.map(defType).filter(isKnownType);
+        if (known.length > 0) types.set(binding.name, known[known.length - 1]);
+      });
+      return types;
+    }
+  };
+}
+
+export default {
+  createTypeInference,
+  patternNames
+};
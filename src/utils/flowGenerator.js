@@ -2,8 +2,11 @@
  * @fileoverview Flow Generator for React Flow Visualization
  * @description Converts AST control flow nodes into React Flow nodes and edges
  * with proper layout and styling for ServiceNow code visualization.
+ * Function nodes are colored by their complexity when metrics are given.
  */
 
+import { getComplexityLevel } from './complexity.js';
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
@@ -134,6 +137,27 @@ const NODE_STYLES = {
   }
 };
 
+/**
+ * Function node styles by complexity level (see complexity.js)
+ */
+const COMPLEXITY_STYLES = {
+  low: {
+    background: 'linear-gradient(135deg, #16a34a 0%, #15803d 100%)',
+    borderColor: '#22c55e',
+    color: '#ffffff'
+  },
+  moderate: {
+    background: 'linear-gradient(135deg, #ca8a04 0%, #a16207 100%)',
+    borderColor: '#eab308',
+    color: '#ffffff'
+  },
+  high: {
+    background: 'linear-gradient(135deg, #dc2626 0%, #991b1b 100%)',
+    borderColor: '#ef4444',
+    color: '#ffffff'
+  }
+};
+
 /**
  * Edge styles based on type
  */
@@ -292,18 +316,30 @@ function calculateLayout(flowNodes) {
 // REACT FLOW CONVERSION
 // =============================================================================
 
+/**
+ * Finds the metrics of a function flow node by its start position.
+ */
+function findFunctionMetrics(node, functionMetrics) {
+  if (node.type !== 'function' || !node.loc) return null;
+  const { line, column } = node.loc.start;
+  return functionMetrics.find(fn => fn.startLine === line && fn.startColumn === column + 1) || null;
+}
+
 /**
  * Converts AST flow nodes to React Flow nodes
  * @param {Array} flowNodes - Array of flow nodes from AST parser
  * @param {Object} positions - Map of node IDs to positions
  * @param {string} viewMode - 'logic' for generic labels, 'fullops' for detailed labels
+ * @param {Object} [complexity] - { functionMetrics, thresholds } to color function nodes by
  * @returns {Array} - Array of React Flow node objects
  */
-function generateReactFlowNodes(flowNodes, positions, viewMode = 'fullops') {
+function generateReactFlowNodes(flowNodes, positions, viewMode = 'fullops', { functionMetrics = [], thresholds } = {}) {
   return flowNodes
     .filter(node => node.type !== 'branch') // Filter out branch markers
     .map(node => {
-      const style = NODE_STYLES[node.type] || NODE_STYLES.default;
+      const metrics = findFunctionMetrics(node, functionMetrics);
+      const level = metrics && getComplexityLevel(metrics, thresholds);
+      const style = (level && COMPLEXITY_STYLES[level]) || NODE_STYLES[node.type] || NODE_STYLES.default;
       const position = positions[node.id] || { x: 0, y: 0 };
 
       // Choose label based on view mode
@@ -327,7 +363,8 @@ function generateReactFlowNodes(flowNodes, positions, viewMode = 'fullops') {
           label: displayLabel,
           genericLabel: node.label || node.type,
           nodeType: node.type,
-          subtype: node.subtype,
+          subtype: metrics ? `CC ${metrics.cyclomatic} · Cog ${metrics.cognitive}` : node.subtype,
+          complexity: metrics && { ...metrics, level },
           snippet: node.snippet,
           range: node.range,
           loc: node.loc,
@@ -479,9 +516,10 @@ function generateReactFlowEdges(flowNodes) {
  * Generates React Flow diagram data from AST flow nodes
  * @param {Array} flowNodes - Array of flow nodes from AST parser
  * @param {string} viewMode - 'logic' for generic labels, 'fullops' for detailed labels
+ * @param {Object} [complexity] - { functionMetrics, thresholds } from complexity.js / the rule profile
  * @returns {Object} - { nodes: Array, edges: Array }
  */
-export function generateFlowDiagram(flowNodes, viewMode = 'fullops') {
+export function generateFlowDiagram(flowNodes, viewMode = 'fullops', complexity = {}) {
   if (!flowNodes || flowNodes.length === 0) {
     return { nodes: [], edges: [] };
   }
@@ -490,12 +528,63 @@ export function generateFlowDiagram(flowNodes, viewMode = 'fullops') {
   const positions = calculateLayout(flowNodes);
 
   // Generate React Flow nodes and edges
-  const nodes = generateReactFlowNodes(flowNodes, positions, viewMode);
+  const nodes = generateReactFlowNodes(flowNodes, positions, viewMode, complexity);
   const edges = generateReactFlowEdges(flowNodes);
 
   return { nodes, edges };
 }
 
+/** Node types kept in Logic View: control flow, database interactions, high-impact behavior */
+const LOGIC_VIEW_TYPES = [
+  'function',
+  'condition',
+  'loop',
+  'switch',
+  'case',
+  'try',
+  'catch',
+  'finally',
+  'return',
+  'throw',
+  'break',
+  'continue',
+  'servicenow',
+  'servicenow-call',
+  'branch'
+];
+
+/**
+ * Filters flow nodes based on view mode
+ * Logic View: control flow, database interactions, high-impact behavior
+ * Full Ops View: everything including variable init, logging, function calls
+ * @param {Array} nodes - Array of flow nodes from AST parser
+ * @param {string} viewMode - 'logic' or 'fullops'
+ * @returns {Array} - Nodes to display, with parentId pointing to the nearest kept ancestor
+ */
+export function filterFlowNodes(nodes, viewMode) {
+  if (viewMode === 'fullops') {
+    // Full Ops View shows everything
+    return nodes;
+  }
+
+  // Build set of kept node IDs for parent reference fixing
+  const filteredNodes = nodes.filter(node => LOGIC_VIEW_TYPES.includes(node.type));
+  const keptIds = new Set(filteredNodes.map(n => n.id));
+
+  // Update parentId references to point to nearest kept ancestor
+  return filteredNodes.map(node => {
+    if (node.parentId && !keptIds.has(node.parentId)) {
+      // Find the nearest ancestor that was kept
+      let currentParent = nodes.find(n => n.id === node.parentId);
+      while (currentParent && !keptIds.has(currentParent.id)) {
+        currentParent = nodes.find(n => n.id === currentParent.parentId);
+      }
+      return { ...node, parentId: currentParent?.id || null };
+    }
+    return node;
+  });
+}
+
 /**
  * Gets statistics about the flow diagram
  * @param {Array} flowNodes - Array of flow nodes
@@ -556,7 +645,9 @@ export function getFlowStats(flowNodes) {
 
 export default {
   generateFlowDiagram,
+  filterFlowNodes,
   getFlowStats,
   NODE_STYLES,
+  COMPLEXITY_STYLES,
   EDGE_STYLES
 };
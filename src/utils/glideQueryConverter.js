@@ -0,0 +1,877 @@
+/**
+ * @fileoverview GlideRecord ⇄ GlideQuery Converter
+ * @description Rewrites the common GlideRecord read/update patterns as GlideQuery
+ * chains and back:
+ *
+ *   var gr = new GlideRecord('incident');      new GlideQuery('incident')
+ *   gr.addQuery('active', true);                   .where('active', true)
+ *   gr.query();                            ⇄       .select('number')
+ *   while (gr.next()) {                            .forEach(function (gr) {
+ *       gs.info(gr.getValue('number'));                gs.info(gr.number);
+ *   }                                              });
+ *
+ * plus `if (gr.next())` ⇄ selectOne().ifPresent(), setValue() + updateMultiple()
+ * ⇄ updateMultiple({...}) and deleteMultiple(). A loop that only sets the same
+ * values on every record and calls update() becomes updateMultiple({...}) too,
+ * a top-level orWhere() after the first where() becomes addOrCondition() and
+ * update({...}) updates the first matching record. Anything else (get(),
+ * insert(), writes computed inside the loop, a loop body that breaks, returns
+ * or uses `this`...) is left as it is and reported, so nothing is dropped
+ * silently.
+ */
+
+import { parseCode, walkAst, extractComments } from './astParser.js';
+import { createLocator, createDiagnostic } from './diagnostics.js';
+import { applyEdits, isIdentifierReference } from './fixes/astRewriter.js';
+import { quote } from './encodedQuery.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const INDENT = '    ';
+
+/** Rule id of the conversion reports */
+const CONVERSION_RULE = 'query-conversion';
+
+/** GlideRecord classes: class → whether the query enforces ACLs */
+const RECORD_CLASSES = { GlideRecord: false, GlideRecordSecure: true };
+
+/** Valid JavaScript identifier (plain property access) */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/** Suffix of GlideQuery display value fields: caller_id$DISPLAY */
+const DISPLAY_SUFFIX = '$DISPLAY';
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+const LOOP_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Gets the source of a node.
+ */
+function source(code, node) {
+  return code.slice(node.start, node.end);
+}
+
+/**
+ * Gets the indentation of the line a position is on.
+ */
+function indentAt(code, position) {
+  const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Accesses a field of a record object: `gr.number`, `gr['caller_id.name']`.
+ */
+function fieldAccess(name, field) {
+  return IDENTIFIER_PATTERN.test(field) ? `${name}.${field}` : `${name}[${quote(field)}]`;
+}
+
+/**
+ * Gets the value of a string literal node, or null.
+ */
+function stringValue(node) {
+  return node?.type === 'Literal' && typeof node.value === 'string' ? node.value : null;
+}
+
+/**
+ * Checks whether a node is `name.method(...)` (any method when none is given).
+ */
+function isCallOn(node, name, method = null) {
+  return node?.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+    node.callee.object.type === 'Identifier' && node.callee.object.name === name &&
+    (!method || node.callee.property.name === method);
+}
+
+/**
+ * Checks whether an identifier declares a name: a parameter, a variable, a
+ * function or a catch binding.
+ */
+function isDeclaration(node, parent) {
+  if (parent?.type === 'FunctionDeclaration' || FUNCTION_TYPES.includes(parent?.type)) {
+    return parent.id === node || parent.params.includes(node);
+  }
+  if (parent?.type === 'VariableDeclarator') return parent.id === node;
+  return parent?.type === 'CatchClause' && parent.param === node;
+}
+
+/**
+ * Applies text edits, located in the whole code, to a slice of it that starts at `offset`.
+ */
+function applySliceEdits(text, edits, offset) {
+  return applyEdits(text, edits.map(edit => ({ ...edit, start: edit.start - offset, end: edit.end - offset }))).code;
+}
+
+/**
+ * Replaces the common indentation of a block of lines.
+ */
+function reindent(text, indent) {
+  const lines = text.split('\n');
+  const common = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+  return lines.map(line => (line.trim() ? indent + line.slice(common) : '')).join('\n');
+}
+
+// =============================================================================
+// CONVERSION DRIVER
+// =============================================================================
+
+/**
+ * Result of a conversion.
+ * @typedef {Object} ConversionResult
+ * @property {string} code - Converted code (untranslated parts unchanged)
+ * @property {number} converted - Number of queries converted
+ * @property {import('./diagnostics.js').Diagnostic[]} issues - Constructs that were not
+ *   translated, located in the original code
+ */
+
+/**
+ * Runs the translations of a conversion. Candidates are translated innermost
+ * first; an outer query takes the converted inner ones into its body.
+ *
+ * @param {string} code - Source code
+ * @param {function(Object): Array<function(Object): Object>} findCandidates - Gets the
+ *   translations to try from the AST; each returns { start, end, text } or { error: { message, node } }
+ * @returns {ConversionResult}
+ */
+function runConversion(code, findCandidates) {
+  const { ast, error } = parseCode(code);
+  if (!ast) throw new Error(error);
+
+  const locate = createLocator(code);
+  const comments = extractComments(code);
+  const issues = [];
+  const replacements = [];
+  const within = (list, start, end) => list.filter(item => item.start >= start && item.end <= end);
+  const outermost = list => list.filter(item => !list.some(other => other !== item && item.start >= other.start && item.end <= other.end));
+
+  // Names used in the code or given to a converted query, so nested queries do not share one
+  const taken = new Set();
+  const named = new Map();
+  walkAst(ast, (node) => {
+    if (node.type === 'Identifier') taken.add(node.name);
+  });
+
+  /**
+   * Translation context; `edits` are the edits of an enclosing query that
+   * fall inside this one (its reads of the outer record).
+   */
+  const createContext = (edits) => ({
+    code,
+    ast,
+
+    /**
+     * Gets the source of a node with the enclosing edits applied.
+     */
+    source(node) {
+      return applySliceEdits(code.slice(node.start, node.end), within(edits, node.start, node.end), node.start);
+    },
+
+    /**
+     * Picks a variable name that is not used anywhere in the code; the same
+     * node always gets the same name.
+     */
+    freeName(base, node) {
+      const key = `${base}@${node.start}`;
+      if (!named.has(key)) {
+        let name = base;
+        for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+        taken.add(name);
+        named.set(key, name);
+      }
+      return named.get(key);
+    },
+
+    /**
+     * Gets the text of a loop/callback body with its edits and the converted
+     * queries inside it, indented with `indent`.
+     */
+    bodyText(body, bodyEdits, indent) {
+      const [from, to] = body.type === 'BlockStatement' ? [body.start + 1, body.end - 1] : [body.start, body.end];
+      const own = [...within(edits, from, to), ...bodyEdits];
+
+      // Converted queries inside the body are translated again with the edits that fall inside them
+      const nested = [];
+      for (const replacement of outermost(within(replacements, from, to))) {
+        const inner = within(own, replacement.start, replacement.end);
+        const result = inner.length > 0 ? replacement.translate(createContext(inner)) : replacement;
+        if (result.error) return { error: result.error.message };
+        nested.push({ ...result, start: replacement.start, end: replacement.end });
+      }
+      const all = [...own.filter(edit => !nested.some(r => edit.start >= r.start && edit.end <= r.end)), ...nested]
+        .sort((a, b) => a.start - b.start);
+      if (all.some((edit, i) => i > 0 && edit.start < all[i - 1].end)) {
+        return { error: 'a nested query uses the outer record' };
+      }
+
+      const raw = applySliceEdits(code.slice(from, to), all, from);
+      const text = raw.replace(/^[ \t]*\n/, '').trimEnd();
+      // A body that starts on the line of its brace, or has none, is indented one level below that line
+      const ownLine = body.type === 'BlockStatement' && /^[ \t]*\n/.test(raw);
+      const firstLine = ownLine ? text : indentAt(code, body.start) + INDENT + text.trimStart();
+      return { text: text.trim() ? reindent(firstLine, indent) : '' };
+    },
+
+    /**
+     * Gets the comments between start and end outside a body, to keep them
+     * above the converted statement.
+     */
+    commentsOutside(start, end, body) {
+      return comments
+        .filter(c => c.start >= start && c.end <= end && !(body && c.start >= body.start && c.end <= body.end))
+        .map(c => source(code, c));
+    },
+  });
+
+  findCandidates(ast).reverse().forEach((translate) => {
+    const result = translate(createContext([]));
+    if (result.error) {
+      const { message, node } = result.error;
+      issues.push(createDiagnostic(locate, { ruleId: CONVERSION_RULE, message, start: node.start, end: node.end }));
+      return;
+    }
+    replacements.push({ ...result, translate });
+  });
+
+  // Nested conversions are part of the text of the query around them
+  const applied = outermost(replacements);
+  issues.sort((a, b) => a.startLine - b.startLine || a.startColumn - b.startColumn);
+  return { code: applyEdits(code, applied).code, converted: replacements.length, issues };
+}
+
+/**
+ * Assembles a converted statement: kept comments, then the lines.
+ */
+function assemble(lines, comments, indent) {
+  return [...comments, ...lines].map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+}
+
+// =============================================================================
+// GLIDERECORD → GLIDEQUERY
+// =============================================================================
+
+/**
+ * Gets the GlideRecord declared by `var gr = new GlideRecord('table')`.
+ */
+function recordDeclaration(statement) {
+  if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) return null;
+  const [{ id, init }] = statement.declarations;
+  if (id.type !== 'Identifier' || init?.type !== 'NewExpression' || !(init.callee.name in RECORD_CLASSES)) return null;
+  if (init.arguments.length !== 1) return null;
+  return { name: id.name, table: init.arguments[0], secure: RECORD_CLASSES[init.callee.name], statement };
+}
+
+/**
+ * Builds the arguments of where()/orWhere() from addQuery()/addOrCondition()
+ * arguments; comma-separated IN lists become arrays.
+ */
+function whereArguments(context, args) {
+  const parts = args.map(arg => context.source(arg));
+  const list = stringValue(args[2]);
+  if (args.length === 3 && ['IN', 'NOT IN'].includes(stringValue(args[1])) && list !== null) {
+    parts[2] = `[${list.split(',').map(item => quote(item.trim())).join(', ')}]`;
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Finds what a loop or if body does that means something else inside a
+ * callback: `break` and `continue` of the loop, `return` from the enclosing
+ * function, `this`, `arguments`, `yield` and `await`.
+ *
+ * @returns {{ keyword: string, node: Object } | null} The first one found
+ */
+function findControlFlowEscape(body) {
+  let escape = null;
+  walkAst(body, (node, parent, ancestors) => {
+    if (escape) return false;
+    const functions = ancestors.filter(ancestor => ancestor.type === 'FunctionDeclaration' || FUNCTION_TYPES.includes(ancestor.type));
+    const ownFunction = functions.some(fn => fn.type !== 'ArrowFunctionExpression');
+
+    if (node.type === 'BreakStatement' || node.type === 'ContinueStatement') {
+      const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+      const targets = node.label
+        ? ancestors.some(ancestor => ancestor.type === 'LabeledStatement' && ancestor.label.name === node.label.name)
+        : ancestors.some(ancestor => LOOP_TYPES.includes(ancestor.type) || (keyword === 'break' && ancestor.type === 'SwitchStatement'));
+      if (!targets && functions.length === 0) escape = { keyword, node };
+    } else if (['ReturnStatement', 'YieldExpression', 'AwaitExpression'].includes(node.type)) {
+      if (functions.length === 0) escape = { keyword: { ReturnStatement: 'return', YieldExpression: 'yield', AwaitExpression: 'await' }[node.type], node };
+    } else if (node.type === 'ThisExpression' && !ownFunction) {
+      escape = { keyword: 'this', node };
+    } else if (node.type === 'Identifier' && node.name === 'arguments' && isIdentifierReference(node, parent) && !ownFunction) {
+      escape = { keyword: 'arguments', node };
+    }
+  });
+  return escape;
+}
+
+/**
+ * Translates the loop body of a record: reads become fields of the selected
+ * record object (`gr.getValue('number')` → `gr.number`).
+ *
+ * @returns {{ edits: Object[], fields: string[] } | { error: { message, node } }}
+ */
+function translateRecordReads(code, name, body) {
+  const edits = [];
+  const fields = [];
+  let error = null;
+  const select = (field) => {
+    if (field !== 'sys_id' && !fields.includes(field)) fields.push(field);
+  };
+  const fail = (message, node) => {
+    error = error || { message, node };
+  };
+
+  walkAst(body, (node, parent, ancestors) => {
+    if (error) return false;
+    if (node.type !== 'Identifier' || node.name !== name) return;
+    if (isDeclaration(node, parent)) {
+      fail(`${name} is redeclared inside the loop`, node);
+      return;
+    }
+    if (!isIdentifierReference(node, parent)) return;
+    if (parent?.type !== 'MemberExpression' || parent.object !== node || parent.computed) {
+      fail(`${name} is used as a whole record - only field reads can be translated`, node);
+      return;
+    }
+
+    const property = parent.property.name;
+    const outer = ancestors[ancestors.length - 2];
+    const outerParent = ancestors[ancestors.length - 3];
+
+    // gr.getValue('f'), gr.getDisplayValue('f'), gr.getUniqueValue()
+    if (outer?.type === 'CallExpression' && outer.callee === parent) {
+      const field = stringValue(outer.arguments[0]);
+      if (property === 'getValue' && field) {
+        select(field);
+        edits.push({ start: outer.start, end: outer.end, text: fieldAccess(name, field) });
+      } else if (property === 'getDisplayValue' && field) {
+        select(field + DISPLAY_SUFFIX);
+        edits.push({ start: outer.start, end: outer.end, text: fieldAccess(name, field + DISPLAY_SUFFIX) });
+      } else if (property === 'getUniqueValue') {
+        edits.push({ start: outer.start, end: outer.end, text: `${name}.sys_id` });
+      } else {
+        fail(`${name}.${property}() has no GlideQuery translation inside the loop`, outer);
+      }
+      return;
+    }
+
+    // gr.f as a value; gr.f.toString(), gr.f.getDisplayValue()
+    if (outer?.type === 'AssignmentExpression' && outer.left === parent) {
+      fail(`Writing ${name}.${property} inside the loop has no GlideQuery translation - use updateMultiple()`, outer);
+      return;
+    }
+    if (outer?.type === 'MemberExpression' && outer.object === parent) {
+      const method = outer.property.name;
+      if (outerParent?.type !== 'CallExpression' || outerParent.callee !== outer || !['toString', 'getDisplayValue'].includes(method)) {
+        fail(`${name}.${property}.${method} has no GlideQuery translation`, outer);
+        return;
+      }
+      const field = method === 'getDisplayValue' ? property + DISPLAY_SUFFIX : property;
+      select(field);
+      edits.push({ start: outerParent.start, end: outerParent.end, text: fieldAccess(name, field) });
+      return;
+    }
+    select(property);
+  });
+
+  return error ? { error } : { edits, fields };
+}
+
+/**
+ * Gets the values of a loop that sets the same fields on every record and does
+ * nothing else: `while (gr.next()) { gr.setValue('state', 2); gr.update(); }`.
+ * Values that read the record or call anything are worked out per record, so
+ * such loops are kept.
+ *
+ * @returns {Array<{ field: string, value: string, node: Object }>|null} The values, or null
+ */
+function loopUpdateValues(context, name, body) {
+  if (body.type !== 'BlockStatement' || body.body.length < 2) return null;
+  const expressions = body.body.map(statement => (statement.type === 'ExpressionStatement' ? statement.expression : null));
+  const last = expressions.pop();
+  if (!isCallOn(last, name, 'update') || last.arguments.length > 0) return null;
+
+  const values = [];
+  for (const [i, expression] of expressions.entries()) {
+    const node = body.body[i];
+    if (isCallOn(expression, name, 'setValue') && expression.arguments.length === 2 && stringValue(expression.arguments[0]) !== null) {
+      values.push({ field: expression.arguments[0].value, value: expression.arguments[1], node });
+    } else if (expression?.type === 'AssignmentExpression' && expression.operator === '=' &&
+        expression.left.type === 'MemberExpression' && !expression.left.computed &&
+        expression.left.object.type === 'Identifier' && expression.left.object.name === name) {
+      values.push({ field: expression.left.property.name, value: expression.right, node });
+    } else {
+      return null;
+    }
+  }
+
+  const perRecord = values.some(({ value }) => {
+    let found = false;
+    walkAst(value, (node, parent) => {
+      if (['CallExpression', 'NewExpression', 'AssignmentExpression', 'UpdateExpression'].includes(node.type) ||
+          (node.type === 'Identifier' && node.name === name && isIdentifierReference(node, parent))) {
+        found = true;
+      }
+    });
+    return found;
+  });
+  return perRecord ? null : values.map(({ field, value, node }) => ({ field, value: context.source(value), node }));
+}
+
+/**
+ * Translates one GlideRecord query: its declaration, the query calls after it
+ * and the loop, if-statement or multiple-operation that ends it.
+ */
+function translateRecordQuery(context, list, index, record) {
+  const { code, ast } = context;
+  const { name, table, secure, statement: declaration } = record;
+  const steps = [];
+  const values = [];
+  const conditions = new Map(); // var qc = gr.addQuery() → its where() step
+  let parse = null;
+  let queried = false;
+  let terminal = null;
+  let stop = null;
+
+  for (let i = index + 1; i < list.length && !terminal; i++) {
+    const statement = list[i];
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+
+    if (queried) {
+      const isLoop = statement.type === 'WhileStatement';
+      const isIf = statement.type === 'IfStatement' && !statement.alternate;
+      if ((isLoop || isIf) && isCallOn(statement.test, name, 'next') && statement.test.arguments.length === 0) {
+        terminal = { kind: isLoop ? 'forEach' : 'ifPresent', statement, body: isLoop ? statement.body : statement.consequent };
+      } else {
+        stop = { message: `${name}.query() is not followed by while (${name}.next()) or if (${name}.next())`, node: statement };
+      }
+      break;
+    }
+
+    // var qc = gr.addQuery(...) / qc.addOrCondition(...)
+    if (statement.type === 'VariableDeclaration' && statement.declarations.length === 1 &&
+        statement.declarations[0].id.type === 'Identifier' && isCallOn(statement.declarations[0].init, name, 'addQuery') &&
+        statement.declarations[0].init.arguments.length >= 2) {
+      const step = { method: 'where', args: whereArguments(context, statement.declarations[0].init.arguments), or: [] };
+      conditions.set(statement.declarations[0].id.name, step);
+      steps.push(step);
+      continue;
+    }
+    const orTarget = expression?.type === 'CallExpression' && expression.callee.type === 'MemberExpression' &&
+      conditions.get(expression.callee.object.name);
+    if (orTarget && expression.callee.property.name === 'addOrCondition' && expression.arguments.length >= 2) {
+      orTarget.or.push(whereArguments(context, expression.arguments));
+      continue;
+    }
+
+    // gr.field = value (before updateMultiple)
+    if (expression?.type === 'AssignmentExpression' && expression.operator === '=' &&
+        expression.left.type === 'MemberExpression' && !expression.left.computed &&
+        expression.left.object.type === 'Identifier' && expression.left.object.name === name) {
+      values.push({ field: expression.left.property.name, value: context.source(expression.right), node: statement });
+      continue;
+    }
+
+    if (!isCallOn(expression, name)) break;
+    const method = expression.callee.property.name;
+    const args = expression.arguments;
+    const encoded = (method === 'addEncodedQuery' || method === 'addQuery') && args.length === 1;
+
+    if (encoded && steps.length === 0 && !parse) {
+      parse = context.source(args[0]);
+    } else if (method === 'addQuery' && args.length >= 2) {
+      steps.push({ method: 'where', args: whereArguments(context, args), or: [] });
+    } else if ((method === 'addNullQuery' || method === 'addNotNullQuery') && args.length === 1) {
+      steps.push({ method: method === 'addNullQuery' ? 'whereNull' : 'whereNotNull', args: context.source(args[0]), or: [] });
+    } else if ((method === 'orderBy' || method === 'orderByDesc') && args.length === 1) {
+      steps.push({ method, args: context.source(args[0]), or: [] });
+    } else if (method === 'setLimit' && args.length === 1) {
+      steps.push({ method: 'limit', args: context.source(args[0]), or: [] });
+    } else if (method === 'setWorkflow' && args[0]?.type === 'Literal' && args[0].value === false) {
+      steps.push({ method: 'disableWorkflow', args: '', or: [] });
+    } else if (method === 'setValue' && args.length === 2 && stringValue(args[0]) !== null) {
+      values.push({ field: args[0].value, value: context.source(args[1]), node: statement });
+    } else if (method === 'query' && args.length === 0) {
+      queried = true;
+    } else if ((method === 'updateMultiple' || method === 'deleteMultiple') && args.length === 0) {
+      terminal = { kind: method, statement };
+    } else {
+      stop = {
+        message: encoded
+          ? `${name}.${method}() with an encoded query after other conditions has no GlideQuery translation`
+          : `${name}.${method}() has no GlideQuery translation`,
+        node: statement
+      };
+      break;
+    }
+  }
+
+  if (!terminal) {
+    return { error: stop || { message: `${name} is not queried and read in a way the converter understands`, node: declaration } };
+  }
+  if (values.length > 0 && terminal.kind !== 'updateMultiple') {
+    return { error: { message: `Setting fields before ${name}.${terminal.kind === 'deleteMultiple' ? 'deleteMultiple' : 'query'}() has no GlideQuery translation`, node: values[0].node } };
+  }
+
+  // while (gr.next()) { gr.setValue(...); gr.update(); } → updateMultiple({...}); a limit would apply to the loop only
+  const loopValues = terminal.kind === 'forEach' && !steps.some(step => step.method === 'limit')
+    ? loopUpdateValues(context, name, terminal.body)
+    : null;
+  if (loopValues) {
+    values.push(...loopValues);
+    terminal = { kind: 'updateMultiple', statement: terminal.statement };
+  }
+
+  // The record must not outlive the converted statements
+  const end = terminal.statement.end;
+  let laterUse = null;
+  walkAst(ast, (node, parent) => {
+    if (laterUse) return false;
+    if (node.type === 'Identifier' && node.name === name && isIdentifierReference(node, parent) &&
+        (node.start < declaration.start || node.start > end)) {
+      laterUse = node;
+    }
+  });
+  if (laterUse) return { error: { message: `${name} is still used outside the query it is converted with`, node: laterUse } };
+
+  // Chain
+  const indent = indentAt(code, declaration.start);
+  const chainIndent = indent + INDENT;
+  const lines = [parse ? `GlideQuery.parse(${context.source(table)}, ${parse})` : `new GlideQuery(${context.source(table)})`];
+  steps.forEach(({ method, args, or }) => {
+    if (or.length === 0) {
+      lines.push(`${INDENT}.${method}(${args})`);
+    } else {
+      const branches = or.map(branch => `.orWhere(${branch})`).join('');
+      lines.push(`${INDENT}.where(new GlideQuery().where(${args})${branches})`);
+    }
+  });
+  if (secure) lines.push(`${INDENT}.withAcls()`);
+
+  if (terminal.kind === 'updateMultiple') {
+    const object = values.map(({ field, value }) => `${IDENTIFIER_PATTERN.test(field) ? field : quote(field)}: ${value}`).join(', ');
+    lines.push(`${INDENT}.updateMultiple({ ${object} });`);
+  } else if (terminal.kind === 'deleteMultiple') {
+    lines.push(`${INDENT}.deleteMultiple();`);
+  } else {
+    const escape = findControlFlowEscape(terminal.body);
+    if (escape) {
+      const target = terminal.kind === 'forEach' ? 'forEach()' : 'ifPresent()';
+      return { error: { message: `${escape.keyword} in the ${name}.next() body has no GlideQuery translation - it would run in a ${target} callback`, node: escape.node } };
+    }
+    const reads = translateRecordReads(code, name, terminal.body);
+    if (reads.error) return reads;
+    const body = context.bodyText(terminal.body, reads.edits, chainIndent + INDENT);
+    if (body.error) return { error: { message: `${name}: ${body.error}`, node: terminal.statement } };
+
+    const fields = reads.fields.map(quote).join(', ');
+    const [select, each] = terminal.kind === 'forEach' ? ['select', 'forEach'] : ['selectOne', 'ifPresent'];
+    lines.push(`${INDENT}.${select}(${fields})`);
+    lines.push(`${INDENT}.${each}(function (${name}) {`);
+    if (body.text) lines.push(...body.text.split('\n').map(line => line.slice(indent.length)));
+    lines.push(`${INDENT}});`);
+  }
+
+  const comments = context.commentsOutside(declaration.start, end, terminal.body);
+  return { start: declaration.start, end, text: assemble(lines, comments, indent) };
+}
+
+/**
+ * Converts GlideRecord queries to GlideQuery.
+ *
+ * @param {string} code - Script source
+ * @returns {ConversionResult}
+ * @throws {Error} If the code does not parse
+ */
+export function convertToGlideQuery(code) {
+  return runConversion(code, (ast) => {
+    const candidates = [];
+    walkAst(ast, (node) => {
+      const list = node.type === 'SwitchCase' ? node.consequent : Array.isArray(node.body) ? node.body : null;
+      list?.forEach((statement, index) => {
+        const record = recordDeclaration(statement);
+        if (record) candidates.push(context => translateRecordQuery(context, list, index, record));
+      });
+    });
+    return candidates;
+  });
+}
+
+// =============================================================================
+// GLIDEQUERY → GLIDERECORD
+// =============================================================================
+
+/**
+ * Unwinds a GlideQuery chain into its root and calls, innermost first.
+ *
+ * @returns {{ table: Object|null, encoded: Object|null, calls: Array<{ method, args, node }> } | null}
+ */
+function unwindChain(node) {
+  const calls = [];
+  let current = node;
+  while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression' && !current.callee.computed) {
+    calls.unshift({ method: current.callee.property.name, args: current.arguments, node: current });
+    current = current.callee.object;
+  }
+  if (current.type === 'NewExpression' && current.callee.name === 'GlideQuery') {
+    return { table: current.arguments[0] || null, encoded: null, calls };
+  }
+  if (current.type === 'Identifier' && current.name === 'GlideQuery' && calls[0]?.method === 'parse') {
+    const [{ args: [table, encoded] }] = calls.splice(0, 1);
+    return { table, encoded, calls };
+  }
+  return null;
+}
+
+/**
+ * Translates the callback of forEach()/ifPresent(): field reads of the record
+ * object become GlideRecord getters (`rec.number` → `gr.getValue('number')`).
+ *
+ * @returns {{ edits: Object[] } | { error: { message, node } }}
+ */
+function translateObjectReads(code, fn, name) {
+  const param = fn.params[0]?.name;
+  const edits = [];
+  let error = null;
+  if (fn.params.length > 1 || (fn.params[0] && !param)) {
+    return { error: { message: 'Only callbacks with a single record parameter can be translated', node: fn } };
+  }
+  if (!param) return { edits };
+
+  walkAst(fn.body, (node, parent, ancestors) => {
+    if (error) return false;
+    if (node.type !== 'Identifier' || node.name !== param) return;
+    if (isDeclaration(node, parent)) {
+      error = { message: `${param} is redeclared inside the callback`, node };
+      return;
+    }
+    if (!isIdentifierReference(node, parent)) return;
+    const field = parent?.type === 'MemberExpression' && parent.object === node
+      ? (parent.computed ? stringValue(parent.property) : parent.property.name)
+      : null;
+    if (!field) {
+      error = { message: `${param} is used as a whole object - only field reads can be translated`, node };
+      return;
+    }
+    const outer = ancestors[ancestors.length - 2];
+    if ((outer?.type === 'AssignmentExpression' && outer.left === parent) || outer?.type === 'UpdateExpression' ||
+        (outer?.type === 'CallExpression' && outer.callee === parent)) {
+      error = { message: `${source(code, outer)} has no GlideRecord translation`, node: outer };
+      return;
+    }
+    const text = field === 'sys_id' ? `${name}.getUniqueValue()`
+      : field.endsWith(DISPLAY_SUFFIX) ? `${name}.getDisplayValue(${quote(field.slice(0, -DISPLAY_SUFFIX.length))})`
+      : `${name}.getValue(${quote(field)})`;
+    edits.push({ start: parent.start, end: parent.end, text });
+  });
+
+  return error ? { error } : { edits };
+}
+
+/**
+ * Translates the control flow of a forEach()/ifPresent() callback for the
+ * loop or if-statement it becomes: a callback-level `return;` in forEach()
+ * moves on to the next record, so it becomes `continue;`. Other returns, and
+ * `this` or `arguments` of a function callback, have no translation.
+ *
+ * @param {Object} fn - Callback function
+ * @param {boolean} loop - Whether the body goes into a while loop
+ * @returns {{ edits: Object[] } | { error: { message, node } }}
+ */
+function translateCallbackFlow(fn, loop) {
+  const edits = [];
+  let error = null;
+  walkAst(fn.body, (node, parent, ancestors) => {
+    if (error) return false;
+    const functions = ancestors.filter(ancestor => ancestor.type === 'FunctionDeclaration' || FUNCTION_TYPES.includes(ancestor.type));
+    const ownFunction = functions.some(inner => inner.type !== 'ArrowFunctionExpression');
+
+    if (node.type === 'ReturnStatement' && functions.length === 0) {
+      if (loop && !node.argument && !ancestors.some(ancestor => LOOP_TYPES.includes(ancestor.type))) {
+        edits.push({ start: node.start, end: node.end, text: 'continue;' });
+      } else {
+        error = { message: `return in the ${loop ? 'forEach()' : 'ifPresent()'} callback has no GlideRecord translation`, node };
+      }
+    } else if (fn.type !== 'ArrowFunctionExpression' && !ownFunction &&
+        (node.type === 'ThisExpression' || (node.type === 'Identifier' && node.name === 'arguments' && isIdentifierReference(node, parent)))) {
+      error = { message: `${node.type === 'ThisExpression' ? 'this' : 'arguments'} of the callback has no GlideRecord translation`, node };
+    }
+  });
+  return error ? { error } : { edits };
+}
+
+/**
+ * Translates a nested condition, `where(new GlideQuery().where(a).orWhere(b))`,
+ * into addQuery() + addOrCondition() lines.
+ */
+function translateNestedCondition(context, name, conditionName, chain) {
+  const [first, ...rest] = chain.calls;
+  if (chain.table || first?.method !== 'where' || rest.some(call => call.method !== 'orWhere')) return null;
+  return [
+    `var ${conditionName} = ${name}.addQuery(${first.args.map(arg => context.source(arg)).join(', ')});`,
+    ...rest.map(call => `${conditionName}.addOrCondition(${call.args.map(arg => context.source(arg)).join(', ')});`)
+  ];
+}
+
+/**
+ * Translates one GlideQuery statement.
+ */
+function translateGlideQuery(context, statement, chain) {
+  const { code } = context;
+  const name = context.freeName('gr', statement);
+  const indent = indentAt(code, statement.start);
+  const queryLines = [];
+  let recordClass = 'GlideRecord';
+  let limited = false;
+  let selectOne = false;
+  let terminal = null;
+  let conditions = chain.encoded ? 1 : 0;
+  let orCondition = null; // var qc = gr.addQuery() of the where() a top-level orWhere() follows
+  const fail = (message, node) => ({ error: { message, node } });
+  const args = call => call.args.map(arg => context.source(arg)).join(', ');
+  const setValues = (call) => {
+    const properties = call.args[0].properties;
+    if (properties.some(p => p.type !== 'Property' || p.computed)) return null;
+    return properties.map(p => `${name}.setValue(${quote(p.key.name ?? p.key.value)}, ${context.source(p.value)});`);
+  };
+
+  if (chain.encoded) queryLines.push(`${name}.addEncodedQuery(${context.source(chain.encoded)});`);
+
+  for (let i = 0; i < chain.calls.length; i++) {
+    const call = chain.calls[i];
+    if (terminal) return fail(`GlideQuery.${call.method}() after ${terminal.method}() has no GlideRecord translation`, call.node);
+    if (['where', 'whereNull', 'whereNotNull'].includes(call.method)) conditions++;
+    if (call.method !== 'orWhere') orCondition = null;
+
+    // where(a).orWhere(b) as the first condition: var qc = gr.addQuery(a); qc.addOrCondition(b)
+    if (call.method === 'where' && call.args.length >= 2 && conditions === 1 && chain.calls[i + 1]?.method === 'orWhere') {
+      orCondition = context.freeName('qc', call.node);
+      queryLines.push(`var ${orCondition} = ${name}.addQuery(${args(call)});`);
+    } else if (call.method === 'orWhere') {
+      if (!orCondition || call.args.length < 2) {
+        return fail('Only orWhere() right after the first where() can be translated - group other conditions in where(new GlideQuery()...)', call.node);
+      }
+      queryLines.push(`${orCondition}.addOrCondition(${args(call)});`);
+    } else if (call.method === 'where' && call.args.length === 1) {
+      const inner = call.args[0].type === 'CallExpression' ? unwindChain(call.args[0]) : null;
+      const lines = inner && translateNestedCondition(context, name, context.freeName('qc', call.node), inner);
+      if (!lines) return fail('Only where(new GlideQuery().where(...).orWhere(...)) conditions can be translated', call.node);
+      queryLines.push(...lines);
+    } else if (call.method === 'where' && call.args.length >= 2) {
+      queryLines.push(`${name}.addQuery(${args(call)});`);
+    } else if (call.method === 'whereNull' || call.method === 'whereNotNull') {
+      queryLines.push(`${name}.${call.method === 'whereNull' ? 'addNullQuery' : 'addNotNullQuery'}(${args(call)});`);
+    } else if (call.method === 'orderBy' || call.method === 'orderByDesc') {
+      queryLines.push(`${name}.${call.method}(${args(call)});`);
+    } else if (call.method === 'limit') {
+      limited = true;
+      queryLines.push(`${name}.setLimit(${args(call)});`);
+    } else if (call.method === 'disableWorkflow') {
+      queryLines.push(`${name}.setWorkflow(false);`);
+    } else if (call.method === 'withAcls') {
+      recordClass = 'GlideRecordSecure';
+    } else if (call.method === 'select' || call.method === 'selectOne') {
+      selectOne = call.method === 'selectOne';
+    } else if ((call.method === 'forEach' && !selectOne) || (call.method === 'ifPresent' && selectOne)) {
+      const fn = call.args[0];
+      if (!FUNCTION_TYPES.includes(fn?.type)) return fail(`${call.method}() needs an inline callback to be translated`, call.node);
+      terminal = { method: call.method, fn };
+    } else if ((call.method === 'updateMultiple' || call.method === 'update') && call.args.length === 1 &&
+        call.args[0].type === 'ObjectExpression') {
+      const values = setValues(call);
+      if (!values) return fail(`${call.method}() needs a plain object to be translated`, call.node);
+      terminal = { method: call.method, values };
+    } else if (call.method === 'deleteMultiple' && call.args.length === 0) {
+      terminal = { method: call.method };
+    } else {
+      return fail(`GlideQuery.${call.method}() has no GlideRecord translation`, call.node);
+    }
+  }
+  if (!terminal) return fail('The GlideQuery chain does not end in forEach(), ifPresent(), update(), updateMultiple() or deleteMultiple()', statement);
+  if (!chain.table) return fail('GlideQuery without a table cannot be translated', statement);
+
+  const lines = [`var ${name} = new ${recordClass}(${context.source(chain.table)});`, ...queryLines];
+  if (terminal.method === 'updateMultiple' || terminal.method === 'deleteMultiple') {
+    lines.push(...(terminal.values || []), `${name}.${terminal.method}();`);
+  } else if (terminal.method === 'update') {
+    // update() changes the one record its conditions select
+    if (!limited) lines.push(`${name}.setLimit(1);`);
+    lines.push(`${name}.query();`);
+    lines.push(`if (${name}.next()) {`);
+    lines.push(...terminal.values.map(line => INDENT + line), `${INDENT}${name}.update();`);
+    lines.push('}');
+  } else {
+    const reads = translateObjectReads(code, terminal.fn, name);
+    if (reads.error) return reads;
+    const flow = translateCallbackFlow(terminal.fn, !selectOne);
+    if (flow.error) return flow;
+    const bodyNode = terminal.fn.body;
+    const body = context.bodyText(bodyNode, [...reads.edits, ...flow.edits], indent + INDENT);
+    if (body.error) return fail(body.error, statement);
+
+    if (selectOne && !limited) lines.push(`${name}.setLimit(1);`);
+    lines.push(`${name}.query();`);
+    lines.push(`${selectOne ? 'if' : 'while'} (${name}.next()) {`);
+    const text = bodyNode.type === 'BlockStatement' ? body.text : `${body.text};`;
+    if (body.text) lines.push(...text.split('\n').map(line => line.slice(indent.length)));
+    lines.push('}');
+  }
+
+  const comments = context.commentsOutside(statement.start, statement.end, terminal.fn?.body);
+  return { start: statement.start, end: statement.end, text: assemble(lines, comments, indent) };
+}
+
+/**
+ * Converts GlideQuery chains to GlideRecord.
+ *
+ * @param {string} code - Script source
+ * @returns {ConversionResult}
+ * @throws {Error} If the code does not parse
+ */
+export function convertToGlideRecord(code) {
+  return runConversion(code, (ast) => {
+    const candidates = [];
+    walkAst(ast, (node, parent, ancestors) => {
+      if (node.type !== 'CallExpression' || parent?.type === 'MemberExpression') return;
+      const chain = unwindChain(node);
+      if (!chain || (!chain.table && !chain.encoded)) return;
+      const statement = parent?.type === 'ExpressionStatement' ? parent : null;
+      // The GlideRecord version is several statements, so it needs a statement list around it
+      const listed = statement && (Array.isArray(ancestors[ancestors.length - 2]?.body) || ancestors[ancestors.length - 2]?.type === 'SwitchCase');
+      if (!statement) {
+        candidates.push(() => ({ error: { message: 'A GlideQuery result used as a value has no GlideRecord translation', node } }));
+      } else if (!listed) {
+        candidates.push(() => ({ error: { message: 'A GlideQuery statement that is the only body of if, else or a loop has no GlideRecord translation - wrap it in braces', node } }));
+      } else {
+        candidates.push(context => translateGlideQuery(context, statement, chain));
+      }
+    });
+    return candidates;
+  });
+}
+
+// =============================================================================
+// DIRECTION
+// =============================================================================
+
+/**
+ * Detects which query API a script uses, to convert it to the other one.
+ *
+ * @param {string} code - Script source
+ * @returns {'GlideQuery'|'GlideRecord'} The API the code uses
+ */
+export function detectQueryApi(code) {
+  return /\bnew\s+GlideQuery\s*\(|\bGlideQuery\.parse\s*\(/.test(code) ? 'GlideQuery' : 'GlideRecord';
+}
+
+export default {
+  convertToGlideQuery,
+  convertToGlideRecord,
+  detectQueryApi
+};
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Live Linting
+ * @description Analysis behind the editor's as-you-type markers and lightbulb
+ * quick-fixes. Runs the Polish analyzers on the code exactly as typed (so every
+ * position matches the editor) and describes fixes as edits instead of applying
+ * them. DOM-free so it can run inside the lint Web Worker.
+ */
+
+import { analyzeGenericWarnings } from './warnings/genericWarnings.js';
+import { analyzeServiceNowWarnings } from './warnings/servicenowWarnings.js';
+import { analyzeCode, analyzeTypoSuggestions } from './fixes/fuzzyMatcher.js';
+import { collectServiceNowQuickFixes } from './fixes/servicenowFixes.js';
+import { collectGenericQuickFixes } from './fixes/genericFixes.js';
+import { findSyntaxError } from './astParser.js';
+import { createLocator, createDiagnostic, createPositionDiagnostic, sortDiagnostics, SEVERITY } from './diagnostics.js';
+import { DEFAULT_PROFILE, applyRuleProfile, getThresholds, getTargetRelease, getAppScope, isFixEnabled } from './ruleProfile.js';
+import { createSuppressions } from './suppressions.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * A text edit with a 1-based line/column range (end exclusive).
+ * @typedef {Object} TextEdit
+ * @property {number} startLine
+ * @property {number} startColumn
+ * @property {number} endLine
+ * @property {number} endColumn
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * A quick-fix offered on a range of the editor.
+ * @typedef {Object} QuickFix
+ * @property {string} title - Action label
+ * @property {string|null} ruleId - Rule of the diagnostic it resolves (null for standalone fixes)
+ * @property {number} startLine - Range the fix is offered on
+ * @property {number} startColumn
+ * @property {number} endLine
+ * @property {number} endColumn
+ * @property {TextEdit[]} edits - Edits that apply the fix
+ * @property {boolean} isPreferred - Whether the fix is the obvious choice
+ */
+
+// =============================================================================
+// TYPO DIAGNOSTICS
+// =============================================================================
+
+/**
+ * Reports every typo the fixers would correct, plus the low-confidence
+ * suggestions, as 'possible-typo' diagnostics carrying the replacement.
+ * While typing nothing is auto-fixed, so confident typos need a marker too.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Array} typoTableFixes - 'typo-tables' quick-fixes from collectServiceNowQuickFixes()
+ * @param {Object} profile - Rule profile
+ * @param {string} [scriptType] - Script type id or 'auto'
+ * @returns {import('./diagnostics.js').Diagnostic[]}
+ */
+function analyzeTypos(code, typoTableFixes, profile, scriptType) {
+  const locate = createLocator(code);
+  const seen = new Set();
+  const diagnostics = [];
+
+  const add = (start, end, corrected) => {
+    if (seen.has(start)) return;
+    seen.add(start);
+    diagnostics.push(createDiagnostic(locate, {
+      ruleId: 'possible-typo',
+      message: `Possible typo: "${code.slice(start, end)}" - did you mean "${corrected}"?`,
+      start,
+      end,
+      severity: SEVERITY.INFO,
+      suggestion: corrected,
+    }));
+  };
+
+  typoTableFixes.forEach(fix => add(fix.start, fix.end, fix.text));
+  if (isFixEnabled(profile, 'fuzzy-typos')) {
+    analyzeCode(code, { scriptType }).corrections.forEach(c => add(c.startIndex, c.endIndex, c.corrected));
+  }
+
+  // Low-confidence suggestions already come as diagnostics
+  const positionKey = (d) => `${d.startLine}:${d.startColumn}`;
+  const reported = new Set(diagnostics.map(positionKey));
+  return [
+    ...diagnostics,
+    ...analyzeTypoSuggestions(code, { scriptType }).filter(d => !reported.has(positionKey(d)))
+  ];
+}
+
+// =============================================================================
+// QUICK FIX BUILDERS
+// =============================================================================
+
+/**
+ * Quick-fix builders for diagnostics, keyed by rule id.
+ * Each returns { title, edits, isPreferred } or null when no fix applies.
+ */
+const DIAGNOSTIC_FIXES = {
+  // "addQeury" → "addQuery"
+  'possible-typo': (diagnostic) => diagnostic.suggestion && {
+    title: `Did you mean \`${diagnostic.suggestion}\`?`,
+    edits: [{ ...rangeOf(diagnostic), text: diagnostic.suggestion }],
+    isPreferred: true,
+  },
+
+  // ga.addParam('sysparm_name', 'getManagr') → 'getManager'
+  'glideajax-unknown-method': (diagnostic) => diagnostic.suggestion && {
+    title: `Call \`${diagnostic.suggestion}\` instead`,
+    edits: [{ ...rangeOf(diagnostic), text: diagnostic.suggestion }],
+    isPreferred: true,
+  },
+
+  // gs.log() → gs.info() in scoped applications
+  'scoped-global-only-api': (diagnostic) => diagnostic.suggestion && {
+    title: `Replace with \`${diagnostic.suggestion}\``,
+    edits: [{ ...rangeOf(diagnostic), text: diagnostic.suggestion }],
+    isPreferred: true,
+  },
+
+  // new MyUtils() → new global.MyUtils()
+  'scoped-missing-scope-prefix': (diagnostic) => diagnostic.suggestion && {
+    title: `Call \`${diagnostic.suggestion}\``,
+    edits: [{ ...rangeOf(diagnostic), text: diagnostic.suggestion }],
+    isPreferred: true,
+  },
+
+  // if (gr.next()) without setLimit → gr.setLimit(1) before gr.query()
+  'missing-setlimit': (diagnostic, lines) => {
+    const ifLine = lines[diagnostic.startLine - 1] || '';
+    const varMatch = ifLine.slice(diagnostic.startColumn - 1).match(/(\w+)\.next\s*\(/);
+    if (!varMatch) return null;
+    const varName = varMatch[1];
+
+    // Insert just before the query() call, or before the if-statement without one
+    let insertIndex = diagnostic.startLine - 1;
+    for (let i = insertIndex - 1; i >= 0; i--) {
+      if (lines[i].includes(`${varName}.query(`)) {
+        insertIndex = i;
+        break;
+      }
+    }
+    const indent = lines[insertIndex].match(/^\s*/)[0];
+    return {
+      title: 'Add setLimit(1)',
+      edits: [{
+        startLine: insertIndex + 1,
+        startColumn: 1,
+        endLine: insertIndex + 1,
+        endColumn: 1,
+        text: `${indent}${varName}.setLimit(1);\n`
+      }],
+      isPreferred: true,
+    };
+  },
+};
+
+/**
+ * Gets the line/column range of a diagnostic.
+ *
+ * @param {import('./diagnostics.js').Diagnostic} diagnostic
+ * @returns {{ startLine: number, startColumn: number, endLine: number, endColumn: number }}
+ */
+function rangeOf(diagnostic) {
+  const { startLine, startColumn, endLine, endColumn } = diagnostic;
+  return { startLine, startColumn, endLine, endColumn };
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Lints code as typed: located diagnostics plus the quick-fixes for them.
+ * Suppression comments and the rule profile are honored as in Polish mode.
+ *
+ * @param {string} code - JavaScript code from the editor
+ * @param {Object} [profile] - Rule profile
+ * @param {Object} [options]
+ * @param {string} [options.scriptType] - Script type id, or 'auto' (default) to detect it
+ * @param {Object} [options.businessRule] - Business Rule context ({ when, operations })
+ * @returns {{ diagnostics: import('./diagnostics.js').Diagnostic[], quickFixes: QuickFix[] }}
+ */
+export function lintCode(code, profile = DEFAULT_PROFILE, { scriptType, businessRule } = {}) {
+  if (!code || code.trim() === '') {
+    return { diagnostics: [], quickFixes: [] };
+  }
+
+  const locate = createLocator(code);
+  const suppressions = createSuppressions(code);
+
+  // Fixes are only offered, so typo tables become diagnostics and the rest stand alone
+  const snQuickFixes = collectServiceNowQuickFixes(code, profile);
+  const typoTableFixes = snQuickFixes.filter(fix => fix.fixId === 'typo-tables');
+  const standaloneFixes = [
+    ...collectGenericQuickFixes(code, profile),
+    ...snQuickFixes.filter(fix => fix.fixId !== 'typo-tables')
+  ];
+
+  const syntaxError = findSyntaxError(code);
+  const { warnings: snWarnings, errors: snErrors } = analyzeServiceNowWarnings(code, {
+    release: getTargetRelease(profile),
+    scope: getAppScope(profile),
+    scriptType,
+    businessRule
+  });
+  const unsuppressed = suppressions.filterDiagnostics([
+    ...analyzeGenericWarnings(code, getThresholds(profile)),
+    ...snWarnings,
+    ...snErrors,
+    ...analyzeTypos(code, typoTableFixes, profile, scriptType),
+  ]);
+  if (syntaxError) {
+    unsuppressed.push(createPositionDiagnostic({ ruleId: 'syntax-error', ...syntaxError }));
+  }
+
+  const profiled = applyRuleProfile(unsuppressed, profile);
+  const diagnostics = sortDiagnostics([...profiled.errors, ...profiled.warnings]);
+
+  // Quick-fixes for the diagnostics that survived the profile
+  const lines = code.split('\n');
+  const quickFixes = [];
+  diagnostics.forEach((diagnostic) => {
+    const fix = DIAGNOSTIC_FIXES[diagnostic.ruleId]?.(diagnostic, lines);
+    if (fix) quickFixes.push({ ruleId: diagnostic.ruleId, ...rangeOf(diagnostic), ...fix });
+  });
+
+  standaloneFixes.forEach(({ title, start, end, text }) => {
+    const from = locate(start);
+    const to = locate(end);
+    const range = { startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+    quickFixes.push({ title, ruleId: null, ...range, edits: [{ ...range, text }], isPreferred: false });
+  });
+
+  return { diagnostics, quickFixes };
+}
+
+export default {
+  lintCode
+};
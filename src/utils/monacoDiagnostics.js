@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Monaco Diagnostics Integration
+ * @description Shows analyzer diagnostics as Monaco markers and wires live
+ * linting into an editor: as the user types, the code is linted in a Web
+ * Worker (debounced), markers are refreshed, and lightbulb quick-fixes are
+ * offered through a code-action provider.
+ */
+
+import { lintCode } from './liveLint.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Owner id for Polish analyzer markers on Monaco models */
+export const MARKER_OWNER = 'glideaware';
+
+/** Owner id for live lint markers (kept apart so Polish results don't clear them) */
+export const LIVE_MARKER_OWNER = 'glideaware-live';
+
+/** Default pause in typing before the code is linted (ms) */
+const DEFAULT_LINT_DELAY = 400;
+
+// =============================================================================
+// MARKERS
+// =============================================================================
+
+/**
+ * Converts analyzer diagnostics into Monaco model markers.
+ *
+ * @param {Object} monaco - Monaco namespace
+ * @param {import('./diagnostics.js').Diagnostic[]} diagnostics - Diagnostics to convert
+ * @returns {Array<Object>} Monaco marker data
+ */
+export function toMonacoMarkers(monaco, diagnostics) {
+  const severities = {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+    info: monaco.MarkerSeverity.Info
+  };
+  return diagnostics.map((diagnostic) => ({
+    severity: severities[diagnostic.severity] ?? monaco.MarkerSeverity.Warning,
+    message: diagnostic.message,
+    code: diagnostic.ruleId,
+    source: 'GlideAware',
+    startLineNumber: diagnostic.startLine,
+    startColumn: diagnostic.startColumn,
+    endLineNumber: diagnostic.endLine,
+    endColumn: Math.max(diagnostic.endColumn, diagnostic.startLine === diagnostic.endLine ? diagnostic.startColumn + 1 : 1)
+  }));
+}
+
+/**
+ * Replaces the analyzer markers on an editor's model (an empty list clears them).
+ *
+ * @param {Object} monaco - Monaco namespace
+ * @param {Object} editor - Monaco editor instance
+ * @param {import('./diagnostics.js').Diagnostic[]} diagnostics - Diagnostics for the editor's code
+ */
+export function setEditorMarkers(monaco, editor, diagnostics) {
+  const model = editor?.getModel();
+  if (!monaco || !model) return;
+  monaco.editor.setModelMarkers(model, MARKER_OWNER, toMonacoMarkers(monaco, diagnostics));
+}
+
+// =============================================================================
+// LINT WORKER CLIENT
+// =============================================================================
+
+let lintWorker = null;
+let workerUnavailable = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Gets the shared lint worker, creating it on first use.
+ * Returns null when workers are unavailable so linting falls back to the main thread.
+ *
+ * @returns {Worker|null}
+ */
+function getLintWorker() {
+  if (lintWorker || workerUnavailable) return lintWorker;
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true;
+    return null;
+  }
+
+  try {
+    lintWorker = new Worker(new URL('./workers/lintWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    workerUnavailable = true;
+    return null;
+  }
+
+  lintWorker.onmessage = (event) => {
+    const { id, ...result } = event.data;
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+    pendingRequests.delete(id);
+    pending.resolve(result);
+  };
+
+  // The worker failed to load: finish in-flight requests on the main thread
+  lintWorker.onerror = () => {
+    workerUnavailable = true;
+    lintWorker.terminate();
+    lintWorker = null;
+    pendingRequests.forEach(({ code, profile, options, resolve }) => resolve(lintCode(code, profile, options)));
+    pendingRequests.clear();
+  };
+
+  return lintWorker;
+}
+
+/**
+ * Lints code in the worker (or on the main thread as a fallback).
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} profile - Rule profile
+ * @param {Object} options - Lint options ({ scriptType, businessRule })
+ * @returns {Promise<{ diagnostics: Array, quickFixes: Array, error?: string }>}
+ */
+function requestLint(code, profile, options) {
+  const worker = getLintWorker();
+  if (!worker) return Promise.resolve(lintCode(code, profile, options));
+
+  return new Promise((resolve) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { code, profile, options, resolve });
+    try {
+      worker.postMessage({ id, code, profile, ...options });
+    } catch (error) {
+      // The profile could not be cloned (DataCloneError): the request rejects
+      pendingRequests.delete(id);
+      throw error;
+    }
+  });
+}
+
+// =============================================================================
+// QUICK FIX CODE ACTIONS
+// =============================================================================
+
+/** Quick-fixes of the latest lint per model: model → { versionId, quickFixes } */
+const quickFixesByModel = new WeakMap();
+
+/** Monaco namespaces the code-action provider is registered with */
+const registeredProviders = new WeakSet();
+
+/**
+ * Converts a 1-based line/column range into a Monaco range object.
+ */
+function toMonacoRange(range) {
+  return {
+    startLineNumber: range.startLine,
+    startColumn: range.startColumn,
+    endLineNumber: range.endLine,
+    endColumn: range.endColumn
+  };
+}
+
+/**
+ * Checks whether a quick-fix range touches the range Monaco asks actions for.
+ */
+function touchesRange(fix, range) {
+  const endsBefore = fix.endLine < range.startLineNumber ||
+    (fix.endLine === range.startLineNumber && fix.endColumn < range.startColumn);
+  const startsAfter = fix.startLine > range.endLineNumber ||
+    (fix.startLine === range.endLineNumber && fix.startColumn > range.endColumn);
+  return !endsBefore && !startsAfter;
+}
+
+/**
+ * Registers the JavaScript code-action provider that serves live lint quick-fixes.
+ * Registered once per Monaco instance; it only answers for linted models.
+ *
+ * @param {Object} monaco - Monaco namespace
+ */
+function registerQuickFixProvider(monaco) {
+  if (registeredProviders.has(monaco)) return;
+  registeredProviders.add(monaco);
+
+  monaco.languages.registerCodeActionProvider('javascript', {
+    provideCodeActions(model, range, context) {
+      const entry = quickFixesByModel.get(model);
+      if (!entry || entry.versionId !== model.getVersionId()) {
+        return { actions: [], dispose() {} };
+      }
+
+      const actions = entry.quickFixes
+        .filter(fix => touchesRange(fix, range))
+        .map(fix => ({
+          title: fix.title,
+          kind: 'quickfix',
+          isPreferred: fix.isPreferred,
+          diagnostics: context.markers.filter(marker =>
+            marker.code === fix.ruleId &&
+            marker.startLineNumber === fix.startLine &&
+            marker.startColumn === fix.startColumn
+          ),
+          edit: {
+            edits: fix.edits.map(edit => ({
+              resource: model.uri,
+              versionId: entry.versionId,
+              textEdit: { range: toMonacoRange(edit), text: edit.text }
+            }))
+          }
+        }));
+
+      return { actions, dispose() {} };
+    }
+  }, { providedCodeActionKinds: ['quickfix'] });
+}
+
+// =============================================================================
+// LIVE LINTING
+// =============================================================================
+
+/**
+ * Lints an editor's JavaScript as the user types and offers quick-fixes.
+ * Only one lint per editor is in flight; edits made meanwhile are linted once
+ * it returns, and results for outdated model versions are dropped.
+ *
+ * @param {Object} editor - Monaco editor instance
+ * @param {Object} monaco - Monaco namespace
+ * @param {Object} options
+ * @param {function(): Object} options.getProfile - Returns the current rule profile
+ * @param {function(): string} [options.getScriptType] - Returns the selected script type id (or 'auto')
+ * @param {function(): Object} [options.getBusinessRule] - Returns the selected Business Rule context
+ * @param {number} [options.delay] - Debounce delay in ms
+ * @returns {{ refresh: Function, dispose: Function }} Handle to re-lint or detach
+ */
+export function attachLiveLint(editor, monaco, { getProfile, getScriptType = () => undefined, getBusinessRule = () => undefined, delay = DEFAULT_LINT_DELAY }) {
+  registerQuickFixProvider(monaco);
+
+  let timer = null;
+  let inFlight = false;
+  let stale = false;
+  let disposed = false;
+
+  const clear = (model) => {
+    if (!model || model.isDisposed()) return;
+    monaco.editor.setModelMarkers(model, LIVE_MARKER_OWNER, []);
+    quickFixesByModel.delete(model);
+  };
+
+  const run = async () => {
+    timer = null;
+    const model = editor.getModel();
+    if (disposed || !model) return;
+    if (model.getLanguageId() !== 'javascript') {
+      clear(model);
+      return;
+    }
+    if (inFlight) {
+      stale = true;
+      return;
+    }
+
+    inFlight = true;
+    const versionId = model.getVersionId();
+    try {
+      const result = await requestLint(model.getValue(), getProfile(), { scriptType: getScriptType(), businessRule: getBusinessRule() });
+
+      if (!disposed && !model.isDisposed() && model.getVersionId() === versionId && !result.error) {
+        const standalone = result.quickFixes.filter(fix => !fix.ruleId);
+        monaco.editor.setModelMarkers(model, LIVE_MARKER_OWNER, [
+          ...toMonacoMarkers(monaco, result.diagnostics),
+          // Fixes without a finding get a subtle hint so they can be discovered
+          ...standalone.map(fix => ({
+            ...toMonacoRange(fix),
+            severity: monaco.MarkerSeverity.Hint,
+            message: fix.title,
+            source: 'GlideAware'
+          }))
+        ]);
+        quickFixesByModel.set(model, { versionId, quickFixes: result.quickFixes });
+      }
+    } catch {
+      // A lint that throws keeps the markers of the last one, like a lint that reports an error
+    } finally {
+      // A failed lint must not block the next one
+      inFlight = false;
+      if (stale) {
+        stale = false;
+        schedule();
+      }
+    }
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+
+  const subscriptions = [
+    editor.onDidChangeModelContent(schedule),
+    editor.onDidChangeModelLanguage(schedule),
+    editor.onDidChangeModel(({ oldModelUrl }) => {
+      if (oldModelUrl) clear(monaco.editor.getModel(oldModelUrl));
+      schedule();
+    }),
+  ];
+
+  const dispose = () => {
+    if (disposed) return;
+    disposed = true;
+    if (timer) clearTimeout(timer);
+    subscriptions.forEach(subscription => subscription.dispose());
+    clear(editor.getModel());
+  };
+  subscriptions.push(editor.onDidDispose(dispose));
+
+  schedule();
+  return { refresh: schedule, dispose };
+}
+
+export default {
+  MARKER_OWNER,
+  LIVE_MARKER_OWNER,
+  toMonacoMarkers,
+  setEditorMarkers,
+  attachLiveLint
+};
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview ServiceNow Language Features for Monaco
+ * @description Completion, hover and signature help for ServiceNow APIs, driven
+ * by servicenowDictionary.js. The receiver before a dot is resolved with the
+ * inferred variable types (gr → GlideRecord), global objects (gs, g_form),
+ * field access on records (current.caller_id → GlideElement) and the return
+ * types of known methods (gs.getUser() → GlideUser).
+ */
+
+import {
+  CLASS_NAMES,
+  CONTEXT_METHOD_MAP,
+  METHOD_SIGNATURES,
+  SIGNATURE_ALIASES,
+  AVAILABILITY,
+  getContextAvailability,
+  getMethodSignature,
+  getApiLifecycle,
+} from './fixes/servicenowDictionary.js';
+import { inferVariableTypes, getReceiverType } from './fixes/fuzzyMatcher.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Contexts whose properties are record fields (GlideElement) */
+const RECORD_CONTEXTS = ['GlideRecord', 'GlideRecordSecure', 'GlideAggregate', 'current', 'previous'];
+
+/** How many lines before the cursor are scanned for the enclosing call */
+const SIGNATURE_LOOKBEHIND_LINES = 50;
+
+const AVAILABILITY_LABELS = {
+  [AVAILABILITY.SERVER]: 'Server-side',
+  [AVAILABILITY.CLIENT]: 'Client-side',
+  [AVAILABILITY.BOTH]: 'Client and server',
+};
+
+// =============================================================================
+// RECEIVER RESOLUTION
+// =============================================================================
+
+/**
+ * Extracts the member expression that ends at the end of `text`,
+ * e.g. "var x = gs.getUser()" → "gs.getUser()".
+ *
+ * @param {string} text - Code up to (not including) the trailing dot
+ * @returns {string} Receiver expression, or '' when there is none
+ */
+export function extractReceiverExpression(text) {
+  let depth = 0;
+  let i = text.length - 1;
+  for (; i >= 0; i--) {
+    const ch = text[i];
+    if (ch === ')') {
+      depth++;
+    } else if (ch === '(') {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && !/[\w$.]/.test(ch)) {
+      break;
+    }
+  }
+  return text.slice(i + 1);
+}
+
+/**
+ * Gets the methods known for a context (dictionary list plus signatures).
+ *
+ * @param {string} context - Class or global object name
+ * @returns {string[]}
+ */
+export function getContextMethods(context) {
+  const signatures = METHOD_SIGNATURES[SIGNATURE_ALIASES[context] || context] || {};
+  return [...new Set([...(CONTEXT_METHOD_MAP[context] || []), ...Object.keys(signatures)])];
+}
+
+/**
+ * Resolves the ServiceNow type of a receiver expression.
+ *
+ * @param {string} expression - e.g. 'gr', 'current.caller_id', 'gs.getUser()'
+ * @param {Map<string, string>} typeMap - Types from inferVariableTypes()
+ * @returns {string|null} Context name usable with CONTEXT_METHOD_MAP/getMethodSignature, or null
+ */
+export function resolveExpressionType(expression, typeMap) {
+  // Collapse call arguments so "a.b('x', c(1)).d" splits cleanly on dots
+  let collapsed = expression;
+  let previous;
+  do {
+    previous = collapsed;
+    collapsed = collapsed.replace(/\([^()]*\)/g, '\u0000');
+  } while (collapsed !== previous);
+  collapsed = collapsed.replace(/\u0000/g, '()');
+
+  const [first, ...rest] = collapsed.split('.');
+  if (!first || first.endsWith('()')) return null;
+  let type = getReceiverType(first, typeMap);
+
+  for (const segment of rest) {
+    if (!type) return null;
+    if (segment.endsWith('()')) {
+      const returns = getMethodSignature(type, segment.slice(0, -2))?.returns;
+      type = returns && (CONTEXT_METHOD_MAP[returns] || METHOD_SIGNATURES[returns]) ? returns : null;
+    } else {
+      type = RECORD_CONTEXTS.includes(type) ? 'GlideElement' : null;
+    }
+  }
+
+  return type;
+}
+
+/**
+ * Finds the call the cursor is inside and which argument it is on.
+ * String literals and line comments are skipped so their commas and
+ * parentheses don't count.
+ *
+ * @param {string} text - Code up to the cursor
+ * @returns {{ callee: string, argumentIndex: number }|null}
+ */
+export function findEnclosingCall(text) {
+  const stack = [];
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '/') {
+      const newline = text.indexOf('\n', i);
+      if (newline === -1) return null;
+      i = newline;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      stack.push({ position: i, commas: 0 });
+    } else if (ch === ')') {
+      stack.pop();
+    } else if (ch === ',' && stack.length > 0) {
+      stack[stack.length - 1].commas++;
+    }
+  }
+
+  const call = stack[stack.length - 1];
+  if (!call || quote) return null;
+  return { callee: extractReceiverExpression(text.slice(0, call.position)), argumentIndex: call.commas };
+}
+
+// =============================================================================
+// DOCUMENTATION
+// =============================================================================
+
+/**
+ * Builds the availability line of an API: where it runs and its release lifecycle.
+ */
+function availabilityText(context, method) {
+  const { since, deprecatedSince, replacement, scoped } = getApiLifecycle(context, method);
+  const notes = [AVAILABILITY_LABELS[getContextAvailability(context)]];
+  if (since) notes.push(`Since ${since}`);
+  if (deprecatedSince) notes.push(`Deprecated since ${deprecatedSince}`);
+  if (!scoped) notes.push('Global scope only');
+  const text = `*${notes.join(' · ')}*`;
+  return replacement && (deprecatedSince || !scoped) ? `${text}\n\nUse ${replacement} instead.` : text;
+}
+
+/**
+ * Builds the markdown documentation of a method.
+ */
+function methodDocumentation(context, method, signature) {
+  const availability = availabilityText(context, method);
+  if (!signature) {
+    return `\`\`\`javascript\n${context}.${method}()\n\`\`\`\n\n${availability}`;
+  }
+  return `\`\`\`javascript\n${signature.context}.${signature.label}\n\`\`\`\n\n${signature.description}\n\n${availability}`;
+}
+
+/**
+ * Builds the markdown documentation of a class or global object.
+ */
+function contextDocumentation(context) {
+  const methods = getContextMethods(context);
+  const availability = AVAILABILITY_LABELS[getContextAvailability(context)];
+  return `**${context}** · ${availability}${methods.length > 0 ? ` · ${methods.length} methods` : ''}`;
+}
+
+// =============================================================================
+// MONACO PROVIDERS
+// =============================================================================
+
+/** Inferred variable types per model version */
+const typeMapCache = new WeakMap();
+
+/**
+ * Gets the inferred variable types of a model, cached per version.
+ */
+function getTypeMap(model) {
+  const cached = typeMapCache.get(model);
+  if (cached && cached.versionId === model.getVersionId()) return cached.typeMap;
+  const typeMap = inferVariableTypes(model.getValue());
+  typeMapCache.set(model, { versionId: model.getVersionId(), typeMap });
+  return typeMap;
+}
+
+/**
+ * Creates the completion provider (methods after a dot, classes after `new`).
+ */
+function createCompletionProvider(monaco) {
+  return {
+    triggerCharacters: ['.'],
+    provideCompletionItems(model, position) {
+      const prefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+      const word = model.getWordUntilPosition(position);
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn
+      };
+
+      // new Glide| → class names
+      if (/\bnew\s+[\w$]*$/.test(prefix)) {
+        return {
+          suggestions: CLASS_NAMES.map(name => ({
+            label: name,
+            kind: monaco.languages.CompletionItemKind.Class,
+            detail: AVAILABILITY_LABELS[getContextAvailability(name)],
+            documentation: { value: contextDocumentation(name) },
+            insertText: name,
+            range
+          }))
+        };
+      }
+
+      // receiver.| → methods of the receiver's type
+      const beforeWord = prefix.slice(0, word.startColumn - 1);
+      if (!beforeWord.endsWith('.')) return { suggestions: [] };
+      const type = resolveExpressionType(extractReceiverExpression(beforeWord.slice(0, -1)), getTypeMap(model));
+      if (!type) return { suggestions: [] };
+
+      return {
+        suggestions: getContextMethods(type).map((method) => {
+          const signature = getMethodSignature(type, method);
+          return {
+            label: method,
+            kind: monaco.languages.CompletionItemKind.Method,
+            detail: signature ? signature.label : `${type}.${method}`,
+            documentation: { value: methodDocumentation(type, method, signature) },
+            insertText: method,
+            // Documented methods first
+            sortText: `${signature ? 0 : 1}${method}`,
+            range
+          };
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Creates the hover provider for methods, classes and global objects.
+ */
+function createHoverProvider() {
+  return {
+    provideHover(model, position) {
+      const word = model.getWordAtPosition(position);
+      if (!word) return null;
+      const line = model.getLineContent(position.lineNumber);
+      const range = {
+        startLineNumber: position.lineNumber,
+        endLineNumber: position.lineNumber,
+        startColumn: word.startColumn,
+        endColumn: word.endColumn
+      };
+
+      // Method: the word follows a dot
+      if (line[word.startColumn - 2] === '.') {
+        const receiver = extractReceiverExpression(line.slice(0, word.startColumn - 2));
+        const type = resolveExpressionType(receiver, getTypeMap(model));
+        if (!type || !getContextMethods(type).includes(word.word)) return null;
+        return {
+          range,
+          contents: [{ value: methodDocumentation(type, word.word, getMethodSignature(type, word.word)) }]
+        };
+      }
+
+      // Class or global object
+      if (CLASS_NAMES.includes(word.word) || CONTEXT_METHOD_MAP[word.word]) {
+        return { range, contents: [{ value: contextDocumentation(word.word) }] };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Creates the signature help provider for calls of documented methods.
+ */
+function createSignatureHelpProvider() {
+  return {
+    signatureHelpTriggerCharacters: ['(', ','],
+    signatureHelpRetriggerCharacters: [','],
+    provideSignatureHelp(model, position) {
+      const text = model.getValueInRange({
+        startLineNumber: Math.max(1, position.lineNumber - SIGNATURE_LOOKBEHIND_LINES),
+        startColumn: 1,
+        endLineNumber: position.lineNumber,
+        endColumn: position.column
+      });
+      const call = findEnclosingCall(text);
+      if (!call) return null;
+
+      const dot = call.callee.lastIndexOf('.');
+      if (dot === -1) return null;
+      const type = resolveExpressionType(call.callee.slice(0, dot), getTypeMap(model));
+      const signature = type && getMethodSignature(type, call.callee.slice(dot + 1));
+      if (!signature) return null;
+
+      // Rest parameters (...params) absorb every further argument
+      const lastParam = Math.max(0, signature.params.length - 1);
+      return {
+        value: {
+          signatures: [{
+            label: signature.label,
+            documentation: { value: `${signature.description}\n\n*${AVAILABILITY_LABELS[signature.availability]}*` },
+            parameters: signature.paramLabels.map(label => ({ label }))
+          }],
+          activeSignature: 0,
+          activeParameter: Math.min(call.argumentIndex, lastParam)
+        },
+        dispose() {}
+      };
+    }
+  };
+}
+
+/** Monaco namespaces the providers are registered with */
+const registeredMonacos = new WeakSet();
+
+/**
+ * Registers ServiceNow completion, hover and signature help for JavaScript.
+ * Safe to call on every editor mount; providers are registered once per Monaco instance.
+ *
+ * @param {Object} monaco - Monaco namespace
+ */
+export function registerServiceNowLanguageFeatures(monaco) {
+  if (registeredMonacos.has(monaco)) return;
+  registeredMonacos.add(monaco);
+
+  monaco.languages.registerCompletionItemProvider('javascript', createCompletionProvider(monaco));
+  monaco.languages.registerHoverProvider('javascript', createHoverProvider());
+  monaco.languages.registerSignatureHelpProvider('javascript', createSignatureHelpProvider());
+}
+
+export default {
+  extractReceiverExpression,
+  getContextMethods,
+  resolveExpressionType,
+  findEnclosingCall,
+  registerServiceNowLanguageFeatures
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Develop Mode Pipeline
+ * @description The heavy Develop mode work (Polish/Format and flow diagram
+ * generation) as plain message-friendly tasks. DOM-free so the same code runs
+ * in the pipeline Web Worker and, as a fallback, on the main thread.
+ */
+
+import { polishCode, polishJson, formatCodeStructure } from './codePolish.js';
+import { parseCode, extractControlFlow } from './astParser.js';
+import { generateFlowDiagram, filterFlowNodes, getFlowStats } from './flowGenerator.js';
+import { computeFunctionMetrics, summarizeFunctionMetrics } from './complexity.js';
+import { getThresholds } from './ruleProfile.js';
+import { applyDictionaryExtensions } from './fixes/dictionaryExtensions.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Task types understood by runPipelineTask() */
+export const PIPELINE_TASKS = {
+  POLISH: 'polish',
+  FLOW: 'flow'
+};
+
+/** Steps of a flow run, reported through onProgress */
+const FLOW_STEPS = ['Formatting', 'Parsing', 'Extracting control flow', 'Laying out diagram'];
+
+// =============================================================================
+// TASKS
+// =============================================================================
+
+/**
+ * Polishes JavaScript or formats JSON.
+ *
+ * @param {Object} payload
+ * @param {string} payload.code - Code to polish
+ * @param {string} [payload.language] - 'javascript' (default) or 'json'
+ * @param {Object} [payload.profile] - Rule profile
+ * @param {string[]} [payload.rejectedFixes] - Fix occurrence ids to leave unapplied (JavaScript)
+ * @param {string} [payload.scriptType] - Script type id or 'auto' (JavaScript)
+ * @param {Object} [payload.businessRule] - Business Rule context ({ when, operations }) (JavaScript)
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Object>} polishCode()/polishJson() result
+ */
+function runPolish({ code, language = 'javascript', profile, rejectedFixes, scriptType, businessRule }, options) {
+  return language === 'json'
+    ? polishJson(code, profile, options)
+    : polishCode(code, profile, { ...options, rejectedFixes, scriptType, businessRule });
+}
+
+/**
+ * Formats, parses and lays out the flow diagram of a script.
+ * A failed run reports which stage failed so the UI can explain it.
+ *
+ * @param {Object} payload
+ * @param {string} payload.code - Code to visualize
+ * @param {string} [payload.viewMode] - 'logic' or 'fullops'
+ * @param {Object} [payload.profile] - Rule profile (its custom classes are highlighted,
+ *   its complexity thresholds color the function nodes)
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Object>} { success, formattedCode, nodes, edges, stats } or
+ *   { success: false, stage: 'format'|'parse'|'empty'|'filtered', error }
+ */
+async function runFlow({ code, viewMode = 'fullops', profile }, { onProgress, signal }) {
+  const step = (index) => {
+    signal?.throwIfAborted();
+    onProgress?.({ step: index + 1, total: FLOW_STEPS.length, label: FLOW_STEPS[index] });
+  };
+
+  // Step 1: Light formatting (structural cleanup only, no code changes)
+  step(0);
+  const formatResult = await formatCodeStructure(code);
+  if (!formatResult.success) {
+    return { success: false, stage: 'format', error: formatResult.error };
+  }
+  const formattedCode = formatResult.output;
+
+  // Step 2: Parse the formatted code
+  step(1);
+  const { ast, error } = parseCode(formattedCode);
+  if (error) {
+    return { success: false, stage: 'parse', error, formattedCode };
+  }
+
+  // Step 3: Extract control flow and filter it for the view mode
+  step(2);
+  const controlFlowNodes = extractControlFlow(ast, formattedCode);
+  if (controlFlowNodes.length === 0) {
+    return { success: false, stage: 'empty', error: 'No control flow structures found in the code', formattedCode };
+  }
+  const filteredNodes = filterFlowNodes(controlFlowNodes, viewMode);
+  if (filteredNodes.length === 0) {
+    return { success: false, stage: 'filtered', error: 'No nodes to display in current view mode', formattedCode };
+  }
+
+  // Step 4: Generate React Flow diagram with view mode for label selection
+  step(3);
+  const functionMetrics = computeFunctionMetrics(ast, formattedCode);
+  const { nodes, edges } = generateFlowDiagram(filteredNodes, viewMode, { functionMetrics, thresholds: getThresholds(profile) });
+  const stats = { ...getFlowStats(filteredNodes), ...summarizeFunctionMetrics(functionMetrics) };
+  return { success: true, formattedCode, nodes, edges, stats };
+}
+
+const TASK_RUNNERS = {
+  [PIPELINE_TASKS.POLISH]: runPolish,
+  [PIPELINE_TASKS.FLOW]: runFlow
+};
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Runs a pipeline task. The custom classes of `payload.profile` are merged
+ * into the dictionary first, since a worker has its own copy.
+ *
+ * @param {string} type - One of PIPELINE_TASKS
+ * @param {Object} payload - Task input (structured-cloneable)
+ * @param {Object} [options]
+ * @param {function({ step: number, total: number, label: string })} [options.onProgress] - Step listener
+ * @param {AbortSignal} [options.signal] - Abandons the run between steps
+ * @returns {Promise<Object>} Task result (structured-cloneable)
+ */
+export async function runPipelineTask(type, payload, options = {}) {
+  const runner = TASK_RUNNERS[type];
+  if (!runner) {
+    throw new Error(`Unknown pipeline task "${type}"`);
+  }
+  applyDictionaryExtensions(payload.profile?.dictionary);
+  return runner(payload, options);
+}
+
+export default {
+  PIPELINE_TASKS,
+  runPipelineTask
+};
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Develop Mode Pipeline Client
+ * @description Runs pipeline tasks (pipeline.js) in Web Workers from the UI.
+ * Each task type gets its own worker so cancelling a stale flow run never
+ * disturbs a polish run. Cancellation goes through an AbortSignal: a running
+ * task is stopped by terminating its worker, and the requests that were still
+ * queued behind it are replayed on a fresh one. Without Worker support, tasks
+ * run on the main thread and stop between steps.
+ */
+
+import { runPipelineTask } from './pipeline.js';
+
+// =============================================================================
+// WORKERS
+// =============================================================================
+
+/** Workers by task type: type → { worker, pending: Map<id, request> } */
+const channels = new Map();
+let workerUnavailable = false;
+let nextRequestId = 0;
+
+/**
+ * Runs a request on the main thread (fallback when workers are unavailable).
+ */
+function runOnMainThread(request) {
+  const { type, payload, onProgress, signal } = request;
+  runPipelineTask(type, payload, { onProgress, signal }).then(request.resolve, request.reject);
+}
+
+/**
+ * Creates the worker for a task type.
+ *
+ * @param {string} type - Task type
+ * @returns {Object|null} Channel, or null when workers are unavailable
+ */
+function createChannel(type) {
+  let worker;
+  try {
+    worker = new Worker(new URL('./workers/pipelineWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    workerUnavailable = true;
+    return null;
+  }
+
+  const channel = { worker, pending: new Map() };
+
+  worker.onmessage = (event) => {
+    const { id, progress, result, error } = event.data;
+    const request = channel.pending.get(id);
+    if (!request) return;
+    if (progress) {
+      request.onProgress?.(progress);
+      return;
+    }
+    channel.pending.delete(id);
+    if (error !== undefined) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+
+  // The worker failed to load: finish its requests on the main thread
+  worker.onerror = () => {
+    workerUnavailable = true;
+    closeChannel(type);
+    channel.pending.forEach(runOnMainThread);
+  };
+
+  channels.set(type, channel);
+  return channel;
+}
+
+/**
+ * Terminates the worker of a task type; its pending requests are left to the caller.
+ */
+function closeChannel(type) {
+  channels.get(type)?.worker.terminate();
+  channels.delete(type);
+}
+
+/**
+ * Sends a request to the worker of its task type (or runs it on the main thread).
+ */
+function dispatch(id, request) {
+  const channel = !workerUnavailable && (channels.get(request.type) || createChannel(request.type));
+  if (!channel) {
+    runOnMainThread(request);
+    return;
+  }
+  channel.pending.set(id, request);
+  channel.worker.postMessage({ id, type: request.type, payload: request.payload });
+}
+
+/**
+ * Cancels a request: the worker running it is terminated and every other
+ * request it still had is replayed on a fresh worker.
+ */
+function cancel(id, request) {
+  const channel = channels.get(request.type);
+  if (!channel?.pending.has(id)) return;
+
+  channel.pending.delete(id);
+  closeChannel(request.type);
+  request.reject(request.signal.reason);
+  channel.pending.forEach((other, otherId) => dispatch(otherId, other));
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Runs a pipeline task off the main thread.
+ *
+ * @param {string} type - One of PIPELINE_TASKS
+ * @param {Object} payload - Task input (structured-cloneable)
+ * @param {Object} [options]
+ * @param {function({ step: number, total: number, label: string })} [options.onProgress] - Step listener
+ * @param {AbortSignal} [options.signal] - Cancels the task; the promise rejects with the abort reason
+ * @returns {Promise<Object>} Task result
+ */
+export function runPipeline(type, payload, { onProgress, signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    const onAbort = () => cancel(id, request);
+    const request = {
+      type,
+      payload,
+      onProgress,
+      signal,
+      resolve: (result) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    dispatch(id, request);
+  });
+}
+
+export default {
+  runPipeline
+};
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Rule Profile
+ * @description Per-rule configuration for Polish: which fixes run, which warnings
+ * are reported (and at what severity), and the thresholds the analyzers use.
+ * Profiles are plain JSON so a team can share one file and get identical output.
+ */
+
+import { SEVERITY } from './diagnostics.js';
+import { LATEST_RELEASE } from './fixes/servicenowDictionary.js';
+import { EMPTY_EXTENSIONS, normalizeDictionaryExtensions } from './fixes/dictionaryExtensions.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Current profile file format version */
+export const PROFILE_VERSION = 1;
+
+/** Default analyzer thresholds */
+export const DEFAULT_THRESHOLDS = {
+  maxLineLength: 150,
+  maxNestingDepth: 6,
+  maxParams: 5,
+  maxFunctionLines: 50,
+  maxCyclomaticComplexity: 10,
+  maxCognitiveComplexity: 15,
+  maxJsonDepth: 10
+};
+
+/**
+ * Threshold metadata for the profile editor.
+ */
+export const THRESHOLDS = [
+  { id: 'maxLineLength', label: 'Max line length', min: 40, rule: 'long-line' },
+  { id: 'maxNestingDepth', label: 'Max nesting depth', min: 2, rule: 'deep-nesting' },
+  { id: 'maxParams', label: 'Max function parameters', min: 1, rule: 'too-many-params' },
+  { id: 'maxFunctionLines', label: 'Max average function lines', min: 5, rule: 'long-function' },
+  { id: 'maxCyclomaticComplexity', label: 'Max cyclomatic complexity', min: 2, rule: 'high-cyclomatic-complexity' },
+  { id: 'maxCognitiveComplexity', label: 'Max cognitive complexity', min: 2, rule: 'high-cognitive-complexity' },
+  { id: 'maxJsonDepth', label: 'Max JSON depth', min: 2, rule: 'json-deep-nesting' }
+];
+
+/**
+ * Every configurable fix, grouped by the module that applies it.
+ */
+export const FIXES = [
+  // Generic JavaScript fixes
+  { id: 'line-endings', group: 'generic', label: 'Normalize line endings to LF' },
+  { id: 'trailing-whitespace', group: 'generic', label: 'Remove trailing whitespace' },
+  { id: 'multiple-semicolons', group: 'generic', label: 'Collapse multiple semicolons' },
+  { id: 'empty-statements', group: 'generic', label: 'Remove empty statements' },
+  { id: 'keyword-spacing', group: 'generic', label: 'Space after control flow keywords' },
+  { id: 'blank-lines', group: 'generic', label: 'Reduce excessive blank lines' },
+  { id: 'boolean-comparison', group: 'generic', label: 'Remove == true comparisons' },
+  { id: 'unused-declarations', group: 'generic', label: 'Remove unused local variables and functions' },
+
+  // ServiceNow fixes
+  { id: 'typo-tables', group: 'servicenow', label: 'Known API typo corrections' },
+  { id: 'gs-now', group: 'servicenow', label: 'gs.now() → GlideDateTime' },
+  { id: 'gs-now-date-time', group: 'servicenow', label: 'gs.nowDateTime() → GlideDateTime' },
+  { id: 'get-unique-value', group: 'servicenow', label: "getValue('sys_id') → getUniqueValue()" },
+  { id: 'gs-print', group: 'servicenow', label: 'gs.print() → gs.info()' },
+  { id: 'add-query-concat', group: 'servicenow', label: 'String concatenation in addQuery()' },
+  { id: 'simple-encoded-query', group: 'servicenow', label: 'Simple addEncodedQuery() → addQuery()' },
+  { id: 'strict-string-equality', group: 'servicenow', label: "'a' == 'b' → ===" },
+  { id: 'fuzzy-typos', group: 'servicenow', label: 'Fuzzy typo auto-correction' },
+
+  // JSON fixes
+  { id: 'json-comments', group: 'json', label: 'Remove comments' },
+  { id: 'json-trailing-commas', group: 'json', label: 'Remove trailing commas' },
+  { id: 'json-single-quotes', group: 'json', label: 'Single → double quotes' },
+  { id: 'json-unquoted-keys', group: 'json', label: 'Quote unquoted keys' },
+  { id: 'json-multiple-commas', group: 'json', label: 'Collapse consecutive commas' },
+  { id: 'json-closing-brackets', group: 'json', label: 'Add missing closing brackets' }
+];
+
+/**
+ * Every configurable warning/error rule with its default severity.
+ */
+export const RULES = [
+  // Generic JavaScript warnings
+  { id: 'todo-comment', group: 'generic', label: 'TODO/FIXME comments', severity: SEVERITY.WARNING },
+  { id: 'long-line', group: 'generic', label: 'Long lines', severity: SEVERITY.WARNING },
+  { id: 'empty-catch', group: 'generic', label: 'Empty catch blocks', severity: SEVERITY.WARNING },
+  { id: 'empty-block', group: 'generic', label: 'Empty code blocks', severity: SEVERITY.WARNING },
+  { id: 'deep-nesting', group: 'generic', label: 'Deeply nested code', severity: SEVERITY.WARNING },
+  { id: 'unreachable-code', group: 'generic', label: 'Unreachable code', severity: SEVERITY.WARNING },
+  { id: 'unused-variable', group: 'generic', label: 'Unused variables and functions', severity: SEVERITY.WARNING },
+  { id: 'unused-parameter', group: 'generic', label: 'Unused function parameters', severity: SEVERITY.WARNING },
+  { id: 'implicit-global', group: 'generic', label: 'Implicit globals (missing var)', severity: SEVERITY.WARNING },
+  { id: 'long-function', group: 'generic', label: 'Long functions', severity: SEVERITY.WARNING },
+  { id: 'too-many-params', group: 'generic', label: 'Too many parameters', severity: SEVERITY.WARNING },
+  { id: 'high-cyclomatic-complexity', group: 'generic', label: 'High cyclomatic complexity', severity: SEVERITY.WARNING },
+  { id: 'high-cognitive-complexity', group: 'generic', label: 'High cognitive complexity', severity: SEVERITY.WARNING },
+  { id: 'assignment-in-condition', group: 'generic', label: 'Assignment in conditional', severity: SEVERITY.WARNING },
+  { id: 'nested-ternary', group: 'generic', label: 'Nested ternary', severity: SEVERITY.WARNING },
+  { id: 'hardcoded-credential', group: 'generic', label: 'Hardcoded credentials', severity: SEVERITY.WARNING },
+  { id: 'secret-known-format', group: 'generic', label: 'Keys, tokens and auth headers', severity: SEVERITY.WARNING },
+  { id: 'secret-high-entropy', group: 'generic', label: 'High-entropy strings', severity: SEVERITY.WARNING },
+  { id: 'unused-suppression', group: 'generic', label: 'Unused suppression comments', severity: SEVERITY.WARNING },
+
+  // ServiceNow warnings
+  { id: 'update-in-loop', group: 'servicenow', label: 'update() in loop', severity: SEVERITY.WARNING },
+  { id: 'getrowcount-without-limit', group: 'servicenow', label: 'getRowCount() without setLimit()', severity: SEVERITY.WARNING },
+  { id: 'delete-in-loop', group: 'servicenow', label: 'deleteRecord() in loop', severity: SEVERITY.WARNING },
+  { id: 'getreference-in-loop', group: 'servicenow', label: 'getReference() in loop', severity: SEVERITY.WARNING },
+  { id: 'query-in-loop', group: 'servicenow', label: 'query()/get() in loop (N+1)', severity: SEVERITY.WARNING },
+  { id: 'loop-query-count', group: 'servicenow', label: 'Estimated queries per loop', severity: SEVERITY.INFO },
+  { id: 'missing-setlimit', group: 'servicenow', label: 'Missing setLimit(1)', severity: SEVERITY.WARNING },
+  { id: 'query-without-conditions', group: 'servicenow', label: 'query() without conditions', severity: SEVERITY.WARNING },
+  { id: 'unbounded-multiple-operation', group: 'servicenow', label: 'updateMultiple/deleteMultiple without conditions', severity: SEVERITY.WARNING },
+  { id: 'next-with-updatemultiple', group: 'servicenow', label: 'next() with updateMultiple()', severity: SEVERITY.WARNING },
+  { id: 'get-then-query', group: 'servicenow', label: 'get() followed by query()', severity: SEVERITY.WARNING },
+  { id: 'abort-without-return', group: 'servicenow', label: 'setAbortAction without return', severity: SEVERITY.WARNING },
+  { id: 'direct-field-assignment', group: 'servicenow', label: 'Direct field assignment', severity: SEVERITY.WARNING },
+  { id: 'current-update-in-br', group: 'servicenow', label: 'current.update() in Business Rule', severity: SEVERITY.WARNING },
+  { id: 'current-insert-in-br', group: 'servicenow', label: 'current.insert() in Business Rule', severity: SEVERITY.WARNING },
+  { id: 'br-current-update-in-before', group: 'servicenow', label: 'current.update() in a before Business Rule', severity: SEVERITY.WARNING },
+  { id: 'br-previous-unavailable', group: 'servicenow', label: 'previous in async, display or insert rules', severity: SEVERITY.WARNING },
+  { id: 'br-scratchpad-outside-display', group: 'servicenow', label: 'g_scratchpad outside display rules', severity: SEVERITY.WARNING },
+  { id: 'br-abort-in-after', group: 'servicenow', label: 'setAbortAction() in after/async rules', severity: SEVERITY.WARNING },
+  { id: 'br-query-rule-gliderecord', group: 'servicenow', label: 'GlideRecord in a before-query rule', severity: SEVERITY.WARNING },
+  { id: 'hardcoded-sys-id', group: 'servicenow', label: 'Hardcoded sys_id', severity: SEVERITY.WARNING },
+  { id: 'shadowed-global', group: 'servicenow', label: 'Variables shadowing ServiceNow globals', severity: SEVERITY.WARNING },
+  { id: 'eval-usage', group: 'servicenow', label: 'eval() / GlideEvaluator', severity: SEVERITY.WARNING },
+  { id: 'taint-encoded-query', group: 'servicenow', label: 'User input in an encoded query', severity: SEVERITY.WARNING },
+  { id: 'taint-code-execution', group: 'servicenow', label: 'User input executed as code', severity: SEVERITY.ERROR },
+  { id: 'taint-outbound-request', group: 'servicenow', label: 'User input in an outbound request', severity: SEVERITY.WARNING },
+  { id: 'taint-html-output', group: 'servicenow', label: 'User input in HTML output', severity: SEVERITY.WARNING },
+  { id: 'taint-table-name', group: 'servicenow', label: 'User input as a table name', severity: SEVERITY.WARNING },
+  { id: 'new-function', group: 'servicenow', label: 'new Function()', severity: SEVERITY.WARNING },
+  { id: 'secure-privileged-operation', group: 'servicenow', label: 'GlideRecordSecure with privileged operation', severity: SEVERITY.WARNING },
+  { id: 'aggregate-without-function', group: 'servicenow', label: 'GlideAggregate without aggregate', severity: SEVERITY.WARNING },
+  { id: 'getxmlwait', group: 'servicenow', label: 'getXMLWait()', severity: SEVERITY.WARNING },
+  { id: 'gs-sleep', group: 'servicenow', label: 'gs.sleep()', severity: SEVERITY.WARNING },
+  { id: 'getproperty-without-default', group: 'servicenow', label: 'getProperty() without default', severity: SEVERITY.WARNING },
+  { id: 'gs-include', group: 'servicenow', label: 'gs.include()', severity: SEVERITY.WARNING },
+  { id: 'getreference-without-callback', group: 'servicenow', label: 'g_form.getReference() without callback', severity: SEVERITY.WARNING },
+  { id: 'glideajax-without-sysparm-name', group: 'servicenow', label: 'GlideAjax without sysparm_name', severity: SEVERITY.WARNING },
+  { id: 'encoded-query-sys-id', group: 'servicenow', label: 'addEncodedQuery with sys_id', severity: SEVERITY.WARNING },
+  { id: 'encoded-query-syntax', group: 'servicenow', label: 'Malformed encoded query', severity: SEVERITY.ERROR },
+  { id: 'encoded-query-unknown-operator', group: 'servicenow', label: 'Unknown encoded query operator', severity: SEVERITY.WARNING },
+  { id: 'encoded-query-unbalanced-nq', group: 'servicenow', label: 'Empty ^NQ group in an encoded query', severity: SEVERITY.WARNING },
+  { id: 'dom-manipulation', group: 'servicenow', label: 'DOM manipulation with g_form', severity: SEVERITY.WARNING },
+  { id: 'api-unavailable-in-release', group: 'servicenow', label: 'API newer than the target release', severity: SEVERITY.WARNING },
+  { id: 'api-deprecated', group: 'servicenow', label: 'Deprecated API', severity: SEVERITY.WARNING },
+  { id: 'api-global-only', group: 'servicenow', label: 'Global-only API (unavailable in scoped apps)', severity: SEVERITY.INFO },
+  { id: 'scoped-global-only-api', group: 'servicenow', label: 'Global-only API in a scoped application', severity: SEVERITY.ERROR },
+  { id: 'scoped-cross-scope-setworkflow', group: 'servicenow', label: 'setWorkflow() on a table of another scope', severity: SEVERITY.WARNING },
+  { id: 'scoped-missing-scope-prefix', group: 'servicenow', label: 'Script Include called without a scope prefix', severity: SEVERITY.WARNING },
+  { id: 'server-api-in-client', group: 'servicenow', label: 'Server-side API in a client script', severity: SEVERITY.WARNING },
+  { id: 'client-api-in-server', group: 'servicenow', label: 'Client-side API in a server script', severity: SEVERITY.WARNING },
+  { id: 'onchange-missing-isloading', group: 'servicenow', label: 'onChange without isLoading check', severity: SEVERITY.WARNING },
+  { id: 'onchange-empty-newvalue', group: 'servicenow', label: 'onChange without cleared-value check', severity: SEVERITY.WARNING },
+  { id: 'onsubmit-no-return', group: 'servicenow', label: 'onSubmit that never returns a value', severity: SEVERITY.WARNING },
+  { id: 'client-side-gliderecord', group: 'servicenow', label: 'Synchronous GlideRecord on the client', severity: SEVERITY.WARNING },
+  { id: 'alert-usage', group: 'servicenow', label: 'alert() usage', severity: SEVERITY.WARNING },
+  { id: 'setvalue-reference-without-display', group: 'servicenow', label: 'Reference setValue() without display value', severity: SEVERITY.INFO },
+  { id: 'getvalue-before-visibility-check', group: 'servicenow', label: 'getValue() before isVisible() check', severity: SEVERITY.INFO },
+  { id: 'script-include-type-mismatch', group: 'servicenow', label: 'Script Include type does not match the class', severity: SEVERITY.WARNING },
+  { id: 'unused-private-method', group: 'servicenow', label: 'Unused private Script Include methods', severity: SEVERITY.WARNING },
+  { id: 'script-include-missing-initialize', group: 'servicenow', label: 'Script Include without initialize()', severity: SEVERITY.WARNING },
+  { id: 'ajax-processor-not-extending', group: 'servicenow', label: 'AJAX processor not extending AbstractAjaxProcessor', severity: SEVERITY.WARNING },
+  { id: 'ajax-processor-parameters', group: 'servicenow', label: 'AJAX processor not reading this.getParameter()', severity: SEVERITY.WARNING },
+  { id: 'glideajax-unknown-method', group: 'servicenow', label: 'GlideAjax method missing from the Script Include', severity: SEVERITY.WARNING },
+  { id: 'possible-typo', group: 'servicenow', label: 'Possible typo suggestions', severity: SEVERITY.INFO },
+
+  // JSON errors and warnings
+  { id: 'json-trailing-comma', group: 'json', label: 'Trailing commas', severity: SEVERITY.ERROR },
+  { id: 'json-single-quotes', group: 'json', label: 'Single quotes', severity: SEVERITY.ERROR },
+  { id: 'json-comment', group: 'json', label: 'Comments', severity: SEVERITY.ERROR },
+  { id: 'json-duplicate-key', group: 'json', label: 'Duplicate keys', severity: SEVERITY.WARNING },
+  { id: 'json-deep-nesting', group: 'json', label: 'Deep nesting', severity: SEVERITY.WARNING },
+  { id: 'json-long-string', group: 'json', label: 'Very long strings', severity: SEVERITY.WARNING },
+  { id: 'json-empty-containers', group: 'json', label: 'Many empty arrays/objects', severity: SEVERITY.WARNING },
+  { id: 'json-many-nulls', group: 'json', label: 'Many null values', severity: SEVERITY.WARNING },
+  { id: 'json-numeric-keys', group: 'json', label: 'Numeric keys', severity: SEVERITY.WARNING },
+  { id: 'json-large-file', group: 'json', label: 'Large file', severity: SEVERITY.WARNING },
+  { id: 'json-control-character', group: 'json', label: 'Unescaped control characters', severity: SEVERITY.WARNING }
+];
+
+/** Application scope names (x_acme_app, sn_hr_core) */
+const SCOPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/** Rules that can never be disabled (the output would be meaningless) */
+const LOCKED_RULES = ['syntax-error', 'json-syntax'];
+
+/**
+ * The built-in profile: every fix and rule enabled at its default severity.
+ * A null release targets the latest release the dictionary knows; a null scope
+ * analyzes global code, a scope name (e.g. 'x_acme_app') turns on the scoped
+ * application checks; `dictionary` holds the user's custom classes (see
+ * dictionaryExtensions.js).
+ */
+export const DEFAULT_PROFILE = {
+  version: PROFILE_VERSION,
+  name: 'Default',
+  release: null,
+  scope: null,
+  fixes: {},
+  rules: {},
+  thresholds: { ...DEFAULT_THRESHOLDS },
+  dictionary: EMPTY_EXTENSIONS
+};
+
+// =============================================================================
+// NORMALIZATION & SERIALIZATION
+// =============================================================================
+
+/**
+ * Normalizes an application scope name; 'global' and invalid names mean global.
+ *
+ * @param {*} scope - Scope name from a profile or the UI
+ * @returns {string|null} Lower-case scope name, or null for global
+ */
+export function normalizeScope(scope) {
+  const name = typeof scope === 'string' ? scope.trim().toLowerCase() : '';
+  return SCOPE_PATTERN.test(name) && name !== 'global' ? name : null;
+}
+
+/**
+ * Fills in defaults and drops invalid entries so the rest of the app can read
+ * any profile without guarding. Unknown rule/fix ids are kept so newer profile
+ * files still round-trip through older versions.
+ *
+ * @param {Object} [profile] - Partial profile
+ * @returns {Object} Complete profile
+ */
+export function normalizeProfile(profile = {}) {
+  const fixes = {};
+  Object.entries(profile.fixes || {}).forEach(([id, enabled]) => {
+    if (typeof enabled === 'boolean') fixes[id] = enabled;
+  });
+
+  const rules = {};
+  Object.entries(profile.rules || {}).forEach(([id, setting]) => {
+    if (!setting || typeof setting !== 'object') return;
+    const rule = {};
+    if (typeof setting.enabled === 'boolean') rule.enabled = setting.enabled;
+    if (Object.values(SEVERITY).includes(setting.severity)) rule.severity = setting.severity;
+    rules[id] = rule;
+  });
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  Object.keys(DEFAULT_THRESHOLDS).forEach((key) => {
+    const value = Number(profile.thresholds?.[key]);
+    if (Number.isFinite(value) && value > 0) thresholds[key] = Math.round(value);
+  });
+
+  return {
+    version: PROFILE_VERSION,
+    name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : DEFAULT_PROFILE.name,
+    release: typeof profile.release === 'string' && profile.release.trim() ? profile.release.trim() : null,
+    scope: normalizeScope(profile.scope),
+    fixes,
+    rules,
+    thresholds,
+    dictionary: normalizeDictionaryExtensions(profile.dictionary)
+  };
+}
+
+/**
+ * Serializes a profile to a shareable JSON file body.
+ *
+ * @param {Object} profile - Profile to export
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeProfile(profile) {
+  return JSON.stringify(normalizeProfile(profile), null, 2);
+}
+
+/**
+ * Parses an imported profile file.
+ *
+ * @param {string} text - JSON file contents
+ * @returns {Object} Normalized profile
+ * @throws {Error} If the file is not a valid profile
+ */
+export function parseProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Profile is not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Profile must be a JSON object');
+  }
+  if (data.version !== undefined && data.version > PROFILE_VERSION) {
+    throw new Error(`Profile version ${data.version} is newer than supported (${PROFILE_VERSION})`);
+  }
+  return normalizeProfile(data);
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Checks whether a fix is enabled. Fixes are on unless the profile turns them off.
+ *
+ * @param {Object} profile - Rule profile
+ * @param {string} fixId - Fix identifier
+ * @returns {boolean}
+ */
+export function isFixEnabled(profile, fixId) {
+  return profile?.fixes?.[fixId] !== false;
+}
+
+/**
+ * Checks whether a warning rule is enabled.
+ *
+ * @param {Object} profile - Rule profile
+ * @param {string} ruleId - Rule identifier
+ * @returns {boolean}
+ */
+export function isRuleEnabled(profile, ruleId) {
+  if (LOCKED_RULES.includes(ruleId)) return true;
+  return profile?.rules?.[ruleId]?.enabled !== false;
+}
+
+/**
+ * Gets the severity a rule reports at, honoring profile overrides.
+ *
+ * @param {Object} profile - Rule profile
+ * @param {string} ruleId - Rule identifier
+ * @param {string} [fallback] - Severity the analyzer produced
+ * @returns {string} Severity
+ */
+export function getRuleSeverity(profile, ruleId, fallback) {
+  const override = profile?.rules?.[ruleId]?.severity;
+  if (override && !LOCKED_RULES.includes(ruleId)) return override;
+  return fallback || RULES.find(rule => rule.id === ruleId)?.severity || SEVERITY.WARNING;
+}
+
+/**
+ * Gets the analyzer thresholds of a profile.
+ *
+ * @param {Object} profile - Rule profile
+ * @returns {Object} Thresholds with defaults filled in
+ */
+export function getThresholds(profile) {
+  return { ...DEFAULT_THRESHOLDS, ...(profile?.thresholds || {}) };
+}
+
+/**
+ * Gets the application scope a profile targets.
+ *
+ * @param {Object} profile - Rule profile
+ * @returns {string|null} Scope name, or null for global code
+ */
+export function getAppScope(profile) {
+  return profile?.scope || null;
+}
+
+/**
+ * Gets the instance release a profile targets.
+ *
+ * @param {Object} profile - Rule profile
+ * @returns {string} Release name
+ */
+export function getTargetRelease(profile) {
+  return profile?.release || LATEST_RELEASE;
+}
+
+/**
+ * Drops disabled rules, applies severity overrides, and splits the
+ * result into errors and warnings (info findings are listed with warnings).
+ *
+ * @param {import('./diagnostics.js').Diagnostic[]} diagnostics - Analyzer output
+ * @param {Object} profile - Rule profile
+ * @returns {{ warnings: Array, errors: Array }}
+ */
+export function applyRuleProfile(diagnostics, profile) {
+  const warnings = [];
+  const errors = [];
+
+  diagnostics.forEach((diagnostic) => {
+    if (!isRuleEnabled(profile, diagnostic.ruleId)) return;
+    const severity = getRuleSeverity(profile, diagnostic.ruleId, diagnostic.severity);
+    const adjusted = severity === diagnostic.severity ? diagnostic : { ...diagnostic, severity };
+    (severity === SEVERITY.ERROR ? errors : warnings).push(adjusted);
+  });
+
+  return { warnings, errors };
+}
+
+export default {
+  PROFILE_VERSION,
+  DEFAULT_THRESHOLDS,
+  THRESHOLDS,
+  FIXES,
+  RULES,
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  serializeProfile,
+  parseProfile,
+  isFixEnabled,
+  isRuleEnabled,
+  getRuleSeverity,
+  getThresholds,
+  getTargetRelease,
+  getAppScope,
+  normalizeScope,
+  applyRuleProfile
+};
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Scope Analysis
+ * @description Lexical scopes of a script from the acorn AST: every declared
+ * variable, function, class and parameter with the identifiers that read or
+ * write it, and the assignments to names that are declared nowhere (implicit
+ * globals). `var` and function declarations are hoisted to the function, `let`,
+ * `const` and classes stay in their block.
+ *
+ * A write is an assignment target (`x = 1`, `for (x in o)`); `x++` and `x += 1`
+ * on their own are writes only, as they change a value nothing reads.
+ */
+
+import { walkAst } from './astParser.js';
+import { isIdentifierReference } from './fixes/astRewriter.js';
+import { patternNames } from './fixes/typeInference.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/** Statements and clauses that open a block scope */
+const BLOCK_SCOPE_TYPES = ['BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement', 'CatchClause'];
+
+/** Declarations reported when unused; parameters are checked on their own, and ES5 needs the catch binding */
+const LOCAL_KINDS = ['var', 'let', 'const', 'function', 'class'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Classifies an identifier reference as a read, a write or both.
+ */
+function accessOf(node, parent, grandparent) {
+  if (parent.type === 'AssignmentExpression' && parent.left === node) {
+    const standalone = grandparent?.type === 'ExpressionStatement';
+    return { read: parent.operator !== '=' && !standalone, write: true };
+  }
+  if (parent.type === 'UpdateExpression') {
+    return { read: grandparent?.type !== 'ExpressionStatement', write: true };
+  }
+  if ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node) {
+    return { read: false, write: true };
+  }
+  return { read: true, write: false };
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * A lexical scope.
+ * @typedef {Object} Scope
+ * @property {Object} node - Program, function or block node
+ * @property {Scope|null} parent - Enclosing scope
+ * @property {boolean} isFunction - Whether `var` declarations land here
+ * @property {Map<string, Variable>} variables - Variables declared in the scope
+ * @property {boolean} usesArguments - Function scopes: whether `arguments` is read
+ * @property {boolean} usesEval - Whether a direct eval() or a with statement inside it
+ *   can reach its variables by a name no identifier shows
+ */
+
+/**
+ * A declared name.
+ * @typedef {Object} Variable
+ * @property {string} name
+ * @property {'var'|'let'|'const'|'function'|'class'|'param'|'catch'|'function-name'} kind
+ *   'function-name' is the own name of a function expression
+ * @property {Scope} scope - Scope it is declared in
+ * @property {Object[]} identifiers - Declaring identifiers
+ * @property {Object[]} declarations - Declaring nodes: declarators, functions, classes,
+ *   the function of a parameter or the catch clause
+ * @property {Object[]} statements - VariableDeclaration of each declarator (var/let/const only)
+ * @property {Array<{ identifier: Object, read: boolean, write: boolean }>} references
+ */
+
+/**
+ * Analyzes the scopes of a parsed script.
+ *
+ * @param {Object} ast - Program node
+ * @returns {{
+ *   root: Scope,
+ *   scopes: Scope[],
+ *   variables: Variable[],
+ *   implicitGlobals: Array<{ name: string, identifier: Object }>,
+ *   scopeOf: function(Object): Scope|null
+ * }}
+ */
+export function analyzeScopes(ast) {
+  const scopes = [];
+  const scopeByNode = new Map();
+  const variables = [];
+  const declaring = new Set();
+  const pending = [];
+  const dynamicScopes = [];
+
+  const createScope = (node, parent, isFunction) => {
+    const scope = { node, parent, isFunction, variables: new Map(), usesArguments: false, usesEval: false };
+    scopes.push(scope);
+    scopeByNode.set(node, scope);
+    return scope;
+  };
+
+  const functionScopeOf = (scope) => {
+    while (!scope.isFunction) scope = scope.parent;
+    return scope;
+  };
+
+  const declare = (scope, identifier, kind, declaration, statement = null) => {
+    declaring.add(identifier);
+    let variable = scope.variables.get(identifier.name);
+    if (!variable) {
+      variable = { name: identifier.name, kind, scope, identifiers: [], declarations: [], statements: [], references: [] };
+      scope.variables.set(identifier.name, variable);
+      variables.push(variable);
+    }
+    variable.identifiers.push(identifier);
+    variable.declarations.push(declaration);
+    if (statement) variable.statements.push(statement);
+    return variable;
+  };
+
+  const enclosingScope = (ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const scope = scopeByNode.get(ancestors[i]);
+      if (scope) return scope;
+    }
+    return null;
+  };
+
+  const root = createScope(ast, null, true);
+
+  walkAst(ast, (node, parent, ancestors) => {
+    const scope = enclosingScope(ancestors) || root;
+
+    if (FUNCTION_TYPES.includes(node.type)) {
+      const fnScope = createScope(node, scope, true);
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        declare(scope, node.id, 'function', node);
+      } else if (node.type === 'FunctionExpression' && node.id) {
+        declare(fnScope, node.id, 'function-name', node);
+      }
+      node.params.forEach(param => patternNames(param).forEach(identifier => declare(fnScope, identifier, 'param', node)));
+      return;
+    }
+
+    // A function body shares the scope of its parameters
+    if (BLOCK_SCOPE_TYPES.includes(node.type) && !(node.type === 'BlockStatement' && FUNCTION_TYPES.includes(parent?.type))) {
+      const blockScope = createScope(node, scope, false);
+      if (node.type === 'CatchClause') {
+        patternNames(node.param).forEach(identifier => declare(blockScope, identifier, 'catch', node));
+      }
+      return;
+    }
+
+    if (node.type === 'VariableDeclaration') {
+      const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+      node.declarations.forEach((declarator) => {
+        patternNames(declarator.id).forEach(identifier => declare(target, identifier, node.kind, declarator, node));
+      });
+      return;
+    }
+
+    // eval('x') and with (o) { x } look names up at run time
+    if ((node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval') ||
+      node.type === 'WithStatement') {
+      dynamicScopes.push(scope);
+    }
+
+    if (node.type === 'ClassDeclaration' && node.id) {
+      declare(scope, node.id, 'class', node);
+      return;
+    }
+
+    if (node.type === 'Identifier' && !declaring.has(node) && isIdentifierReference(node, parent)) {
+      pending.push({ identifier: node, scope, ...accessOf(node, parent, ancestors[ancestors.length - 2]) });
+    }
+  });
+
+  // Resolved once every scope is complete, so hoisted declarations are found
+  const resolve = (scope, name) => {
+    for (let current = scope; current; current = current.parent) {
+      if (current.variables.has(name)) return current.variables.get(name);
+    }
+    return null;
+  };
+
+  // A direct eval() sees every scope it is nested in
+  dynamicScopes.forEach((scope) => {
+    for (let current = scope; current && !current.usesEval; current = current.parent) current.usesEval = true;
+  });
+
+  const implicitGlobals = [];
+  pending.forEach(({ identifier, scope, read, write }) => {
+    const variable = resolve(scope, identifier.name);
+    if (variable) {
+      variable.references.push({ identifier, read, write });
+    } else if (identifier.name === 'arguments') {
+      functionScopeOf(scope).usesArguments = true;
+    } else if (write) {
+      implicitGlobals.push({ name: identifier.name, identifier });
+    }
+  });
+
+  return { root, scopes, variables, implicitGlobals, scopeOf: node => scopeByNode.get(node) || null };
+}
+
+/**
+ * Gets the references that read a variable, ignoring a function calling
+ * itself: a recursive helper nobody else calls is still unused.
+ *
+ * @param {Variable} variable
+ * @returns {Object[]} Reading identifiers
+ */
+export function readsOf(variable) {
+  const own = variable.kind === 'function' ? variable.declarations : [];
+  return variable.references
+    .filter(reference => reference.read)
+    .filter(({ identifier }) => !own.some(fn => identifier.start >= fn.start && identifier.end <= fn.end))
+    .map(reference => reference.identifier);
+}
+
+/**
+ * Finds the local variables, functions and classes nothing reads. Names
+ * declared at the top level of a script are left out: the platform or other
+ * scripts use them (Script Include classes, onChange(), UI Action functions).
+ * So are names a direct eval() or a with statement may read.
+ *
+ * @param {{ root: Scope, variables: Variable[] }} analysis - From analyzeScopes()
+ * @returns {Variable[]} Unused variables in source order
+ */
+export function findUnusedLocals({ root, variables }) {
+  return variables
+    .filter(variable => LOCAL_KINDS.includes(variable.kind) && variable.scope !== root && !variable.scope.usesEval)
+    .filter(variable => readsOf(variable).length === 0)
+    .sort((a, b) => a.identifiers[0].start - b.identifiers[0].start);
+}
+
+export default {
+  analyzeScopes,
+  readsOf,
+  findUnusedLocals
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Script Include Generator
+ * @description Scaffolds a Script Include that passes the structure checks in
+ * warnings/scriptIncludeWarnings.js: Class.create() with initialize() and a
+ * matching type, or Object.extendsObject(AbstractAjaxProcessor, ...) with
+ * parameters read through this.getParameter() for client-callable ones.
+ * Output uses the Polish formatting (4-space indent, single quotes).
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Valid JavaScript identifier */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/** A method entry: `name` or `name(param, ...)` */
+const METHOD_PATTERN = /^([A-Za-z_$][\w$]*)\s*(?:\(([^)]*)\))?$/;
+
+const INDENT = '    ';
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * A method to generate.
+ * @typedef {Object} MethodSpec
+ * @property {string} name - Method name
+ * @property {string[]} params - Parameter names
+ */
+
+/**
+ * Parses a method list such as `getManager(userId), isVip`.
+ *
+ * @param {string} text - Comma/newline separated method entries
+ * @returns {MethodSpec[]}
+ * @throws {Error} If an entry is not a valid method name
+ */
+export function parseMethodSpecs(text) {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if ((char === ',' || char === '\n') && depth === 0) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries.map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const match = entry.match(METHOD_PATTERN);
+    const params = match?.[2] ? match[2].split(',').map(param => param.trim()).filter(Boolean) : [];
+    if (!match || !params.every(param => IDENTIFIER_PATTERN.test(param))) {
+      throw new Error(`Invalid method "${entry}" (expected name or name(param, ...))`);
+    }
+    if (['initialize', 'type'].includes(match[1])) {
+      throw new Error(`"${match[1]}" is generated automatically`);
+    }
+    return { name: match[1], params };
+  });
+}
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+/**
+ * Builds one prototype member.
+ */
+function methodSource({ name, params }, clientCallable) {
+  const lines = clientCallable
+    ? [
+      `${name}: function () {`,
+      ...params.map(param => `${INDENT}var ${param} = this.getParameter('sysparm_${param}');`),
+      `${INDENT}return '';`,
+      '},'
+    ]
+    : [`${name}: function (${params.join(', ')}) {},`];
+  return lines.map(line => `${INDENT}${line}`).join('\n');
+}
+
+/**
+ * Generates a Script Include.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Class name
+ * @param {MethodSpec[]} [options.methods] - Methods to scaffold
+ * @param {boolean} [options.clientCallable] - Extend AbstractAjaxProcessor for GlideAjax
+ * @returns {string} Script Include source
+ * @throws {Error} If the name is not a valid identifier
+ */
+export function generateScriptInclude({ name, methods = [], clientCallable = false }) {
+  if (!IDENTIFIER_PATTERN.test(name || '')) {
+    throw new Error(`Invalid Script Include name "${name || ''}"`);
+  }
+
+  const members = methods.map(method => methodSource(method, clientCallable));
+  if (!clientCallable) {
+    members.unshift(`${INDENT}initialize: function () {},`);
+  }
+  members.push(`${INDENT}type: '${name}'`);
+
+  const open = clientCallable
+    ? `${name}.prototype = Object.extendsObject(AbstractAjaxProcessor, {`
+    : `${name}.prototype = {`;
+  const close = clientCallable ? '});' : '};';
+
+  return [
+    `var ${name} = Class.create();`,
+    open,
+    members.join('\n\n'),
+    close,
+    ''
+  ].join('\n');
+}
+
+export default {
+  parseMethodSpecs,
+  generateScriptInclude
+};
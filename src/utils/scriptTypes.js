@@ -0,0 +1,263 @@
+/**
+ * @fileoverview ServiceNow Script Types
+ * @description Where a script runs decides which checks apply to it: a Client
+ * Script has no GlideRecord batching problems and a Business Rule has no g_form.
+ * This module defines the script types, detects them from their entry-point
+ * signatures, and maps rules to the script types they apply to.
+ *
+ * A script type of 'auto' (the default everywhere) is detected from the code;
+ * when nothing matches, every rule runs as before.
+ */
+
+import { AVAILABILITY } from './fixes/servicenowDictionary.js';
+
+// =============================================================================
+// SCRIPT TYPES
+// =============================================================================
+
+/** Script type that is detected from the code */
+export const AUTO_SCRIPT_TYPE = 'auto';
+
+/**
+ * A kind of ServiceNow script.
+ * @typedef {Object} ScriptType
+ * @property {string} id - Identifier used in options and the CLI
+ * @property {string} label - Display name
+ * @property {'server'|'client'|'both'} availability - Where the script runs
+ */
+
+/** @type {ScriptType[]} */
+export const SCRIPT_TYPES = [
+  { id: 'business-rule', label: 'Business Rule', availability: AVAILABILITY.SERVER },
+  { id: 'client-script', label: 'Client Script', availability: AVAILABILITY.CLIENT },
+  { id: 'ui-policy', label: 'UI Policy', availability: AVAILABILITY.CLIENT },
+  { id: 'script-include', label: 'Script Include', availability: AVAILABILITY.SERVER },
+  { id: 'ui-action', label: 'UI Action', availability: AVAILABILITY.BOTH },
+  { id: 'fix-script', label: 'Fix Script', availability: AVAILABILITY.SERVER },
+  { id: 'scripted-rest', label: 'Scripted REST', availability: AVAILABILITY.SERVER },
+];
+
+/** Whitespace and block comments between tokens, as in the type hints of the Scripted REST template */
+const GAP = String.raw`(?:\s|/\*[^]*?\*/)*`;
+
+/**
+ * Entry-point signatures, checked in order. Fix Scripts have none and are
+ * only used when selected.
+ */
+const DETECTION_PATTERNS = [
+  { id: 'client-script', pattern: /\bfunction\s+(onChange|onLoad|onSubmit|onCellEdit)\s*\(/ },
+  { id: 'ui-policy', pattern: /\bfunction\s+onCondition\s*\(/ },
+  { id: 'business-rule', pattern: /\bfunction\s+(executeRule|onBefore|onAfter|onAsync|onDisplay)\s*\(\s*current\b/ },
+  { id: 'scripted-rest', pattern: new RegExp(String.raw`\bfunction\s+process\s*\(${GAP}request${GAP},${GAP}response${GAP}\)`) },
+  { id: 'script-include', pattern: /\bClass\.create\s*\(\s*\)|\bObject\.extendsObject\s*\(/ },
+  { id: 'ui-action', pattern: /\baction\.setRedirectURL\s*\(|\bgsftSubmit\s*\(/ },
+];
+
+// =============================================================================
+// BUSINESS RULE CONTEXT
+// =============================================================================
+
+/** When a Business Rule runs, relative to the database operation */
+export const BUSINESS_RULE_WHEN = ['before', 'after', 'async', 'display'];
+
+/** Database operations a Business Rule can run on */
+export const BUSINESS_RULE_OPERATIONS = ['insert', 'update', 'delete', 'query'];
+
+/**
+ * When a Business Rule runs and on which operations, as set on the rule
+ * record. The script does not say, so it is selected; only the lifecycle
+ * checks of what is known run.
+ * @typedef {Object} BusinessRuleContext
+ * @property {string|null} when - One of BUSINESS_RULE_WHEN, or null when unknown
+ * @property {string[]} operations - Some of BUSINESS_RULE_OPERATIONS (empty when unknown)
+ */
+
+/** @type {BusinessRuleContext} */
+export const DEFAULT_BUSINESS_RULE = { when: null, operations: [] };
+
+/** Legacy entry points that name when the rule runs: function onBefore(current, previous) */
+const WHEN_ENTRY_POINTS = { onBefore: 'before', onAfter: 'after', onAsync: 'async', onDisplay: 'display' };
+
+// =============================================================================
+// RULE SCOPES
+// =============================================================================
+
+/**
+ * Rules that only apply to some scripts: an availability for rules about
+ * server- or client-side APIs, or the script type ids for narrower rules.
+ * Rules that are not listed apply to every script.
+ */
+const RULE_SCOPES = {
+  // GlideRecord and GlideSystem usage
+  'update-in-loop': AVAILABILITY.SERVER,
+  'getrowcount-without-limit': AVAILABILITY.SERVER,
+  'delete-in-loop': AVAILABILITY.SERVER,
+  'query-in-loop': AVAILABILITY.SERVER,
+  'loop-query-count': AVAILABILITY.SERVER,
+  'missing-setlimit': AVAILABILITY.SERVER,
+  'query-without-conditions': AVAILABILITY.SERVER,
+  'unbounded-multiple-operation': AVAILABILITY.SERVER,
+  'next-with-updatemultiple': AVAILABILITY.SERVER,
+  'get-then-query': AVAILABILITY.SERVER,
+  'secure-privileged-operation': AVAILABILITY.SERVER,
+  'aggregate-without-function': AVAILABILITY.SERVER,
+  'encoded-query-sys-id': AVAILABILITY.SERVER,
+  'encoded-query-syntax': AVAILABILITY.SERVER,
+  'encoded-query-unknown-operator': AVAILABILITY.SERVER,
+  'encoded-query-unbalanced-nq': AVAILABILITY.SERVER,
+  'direct-field-assignment': AVAILABILITY.SERVER,
+  'gs-sleep': AVAILABILITY.SERVER,
+  'getproperty-without-default': AVAILABILITY.SERVER,
+  'gs-include': AVAILABILITY.SERVER,
+  'api-unavailable-in-release': AVAILABILITY.SERVER,
+  'api-deprecated': AVAILABILITY.SERVER,
+  'api-global-only': AVAILABILITY.SERVER,
+  'scoped-global-only-api': AVAILABILITY.SERVER,
+  'scoped-cross-scope-setworkflow': AVAILABILITY.SERVER,
+  'scoped-missing-scope-prefix': AVAILABILITY.SERVER,
+  'taint-encoded-query': AVAILABILITY.SERVER,
+  'taint-code-execution': AVAILABILITY.SERVER,
+  'taint-outbound-request': AVAILABILITY.SERVER,
+  'taint-table-name': AVAILABILITY.SERVER,
+
+  // Business Rule specifics
+  'abort-without-return': ['business-rule'],
+  'current-update-in-br': ['business-rule'],
+  'current-insert-in-br': ['business-rule'],
+  'br-current-update-in-before': ['business-rule'],
+  'br-previous-unavailable': ['business-rule'],
+  'br-scratchpad-outside-display': ['business-rule'],
+  'br-abort-in-after': ['business-rule'],
+  'br-query-rule-gliderecord': ['business-rule'],
+
+  // g_form, GlideAjax and the DOM
+  'getreference-without-callback': AVAILABILITY.CLIENT,
+  'getxmlwait': AVAILABILITY.CLIENT,
+  'glideajax-without-sysparm-name': AVAILABILITY.CLIENT,
+  'dom-manipulation': AVAILABILITY.CLIENT,
+
+  // Client Script & UI Policy pack
+  'onchange-missing-isloading': ['client-script'],
+  'onchange-empty-newvalue': ['client-script'],
+  'onsubmit-no-return': ['client-script'],
+  'client-side-gliderecord': AVAILABILITY.CLIENT,
+  'alert-usage': AVAILABILITY.CLIENT,
+  'setvalue-reference-without-display': AVAILABILITY.CLIENT,
+  'getvalue-before-visibility-check': AVAILABILITY.CLIENT,
+
+  // Script Include structure
+  'script-include-type-mismatch': ['script-include'],
+  'script-include-missing-initialize': ['script-include'],
+  'ajax-processor-not-extending': ['script-include'],
+  'ajax-processor-parameters': ['script-include'],
+  'unused-private-method': ['script-include'],
+  'glideajax-unknown-method': AVAILABILITY.CLIENT,
+};
+
+// =============================================================================
+// LOOKUP & DETECTION
+// =============================================================================
+
+/**
+ * Gets a script type by id.
+ *
+ * @param {string} id - Script type id
+ * @returns {ScriptType|null}
+ */
+export function getScriptType(id) {
+  return SCRIPT_TYPES.find(type => type.id === id) || null;
+}
+
+/**
+ * Detects the script type from its entry-point signature.
+ *
+ * @param {string} code - Script source
+ * @returns {string|null} Script type id, or null when nothing matches
+ */
+export function detectScriptType(code) {
+  return DETECTION_PATTERNS.find(({ pattern }) => pattern.test(code))?.id || null;
+}
+
+/**
+ * Resolves a selected script type, detecting it when set to 'auto'.
+ *
+ * @param {string} [scriptType] - Script type id or 'auto'
+ * @param {string} code - Script source
+ * @returns {ScriptType|null} The script type, or null when unknown
+ */
+export function resolveScriptType(scriptType, code) {
+  const id = !scriptType || scriptType === AUTO_SCRIPT_TYPE ? detectScriptType(code) : scriptType;
+  return getScriptType(id);
+}
+
+/**
+ * Drops unknown values from a Business Rule context.
+ *
+ * @param {Object} [context] - Business Rule context
+ * @returns {BusinessRuleContext}
+ */
+export function normalizeBusinessRule(context) {
+  return {
+    when: BUSINESS_RULE_WHEN.includes(context?.when) ? context.when : null,
+    operations: BUSINESS_RULE_OPERATIONS.filter(operation => context?.operations?.includes(operation)),
+  };
+}
+
+/**
+ * Parses a Business Rule context such as 'before:insert,update' or 'display'.
+ *
+ * @param {string} text - When, optionally followed by ':' and the operations
+ * @returns {BusinessRuleContext|null} The context, or null when a value is unknown
+ */
+export function parseBusinessRule(text) {
+  const [when, operations = ''] = text.toLowerCase().split(':');
+  const list = operations.split(',').map(operation => operation.trim()).filter(Boolean);
+  if (!BUSINESS_RULE_WHEN.includes(when.trim()) || list.some(operation => !BUSINESS_RULE_OPERATIONS.includes(operation))) {
+    return null;
+  }
+  return normalizeBusinessRule({ when: when.trim(), operations: list });
+}
+
+/**
+ * Resolves a Business Rule context, taking an unknown `when` from a legacy
+ * entry point (function onAfter(current, previous)) of the script.
+ *
+ * @param {Object} [context] - Selected Business Rule context
+ * @param {string} code - Script source
+ * @returns {BusinessRuleContext}
+ */
+export function resolveBusinessRule(context, code) {
+  const resolved = normalizeBusinessRule(context);
+  if (resolved.when) return resolved;
+  const entryPoint = code.match(/\bfunction\s+(onBefore|onAfter|onAsync|onDisplay)\s*\(\s*current\b/);
+  return { ...resolved, when: entryPoint ? WHEN_ENTRY_POINTS[entryPoint[1]] : null };
+}
+
+/**
+ * Checks whether a rule applies to a script type.
+ *
+ * @param {string} ruleId - Rule id
+ * @param {ScriptType|null} scriptType - Resolved script type (null runs every rule)
+ * @returns {boolean}
+ */
+export function isRuleApplicable(ruleId, scriptType) {
+  const scope = RULE_SCOPES[ruleId];
+  if (!scriptType || !scope) return true;
+  if (Array.isArray(scope)) return scope.includes(scriptType.id);
+  return scriptType.availability === AVAILABILITY.BOTH || scriptType.availability === scope;
+}
+
+export default {
+  AUTO_SCRIPT_TYPE,
+  SCRIPT_TYPES,
+  getScriptType,
+  detectScriptType,
+  resolveScriptType,
+  BUSINESS_RULE_WHEN,
+  BUSINESS_RULE_OPERATIONS,
+  DEFAULT_BUSINESS_RULE,
+  normalizeBusinessRule,
+  parseBusinessRule,
+  resolveBusinessRule,
+  isRuleApplicable
+};
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Secret Scanner
+ * @description Finds credentials in code before it is shared: known formats
+ * (private keys, AWS access key IDs, Basic and Bearer authorization headers,
+ * JSON Web Tokens, GitHub and Slack tokens, URLs with a user and password),
+ * string values of credential-named variables and properties, and
+ * random-looking strings found by their Shannon entropy.
+ *
+ * redactSecrets() replaces each secret with a numbered placeholder such as
+ * `<REDACTED_BEARER_TOKEN_1>`; the same value gets the same placeholder wherever
+ * it appears, and multi-line secrets keep their line breaks so line numbers
+ * do not move.
+ */
+
+import { findMatches } from './diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Rules reported for secrets (see warnings/secretWarnings.js) */
+export const SECRET_RULES = ['secret-known-format', 'hardcoded-credential', 'secret-high-entropy'];
+
+/**
+ * Known formats. The `secret` group is what gets redacted, so an
+ * `Authorization: Basic …` header keeps its scheme and a URL keeps its host.
+ */
+const KNOWN_FORMATS = [
+  {
+    kind: 'private-key',
+    label: 'Private key',
+    pattern: /-----BEGIN ([A-Z ]*)PRIVATE KEY-----(?<secret>[\s\S]+?)-----END \1PRIVATE KEY-----/gd
+  },
+  {
+    kind: 'aws-access-key',
+    label: 'AWS access key ID',
+    pattern: /\b(?<secret>(?:AKIA|ASIA)[0-9A-Z]{16})\b/gd
+  },
+  {
+    kind: 'basic-auth',
+    label: 'Basic authorization header',
+    pattern: /\bBasic\s+(?<secret>[A-Za-z0-9+/]{8,}={0,2})(?![A-Za-z0-9+/=])/gd,
+    accept: value => decodeBase64(value)?.includes(':')
+  },
+  {
+    kind: 'bearer-token',
+    label: 'Bearer token',
+    pattern: /\bBearer\s+(?<secret>[A-Za-z0-9\-._~+/]{16,}=*)/gd
+  },
+  {
+    kind: 'jwt',
+    label: 'JSON Web Token',
+    pattern: /\b(?<secret>eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/gd
+  },
+  {
+    kind: 'github-token',
+    label: 'GitHub token',
+    pattern: /\b(?<secret>gh[pousr]_[A-Za-z0-9]{36,})\b/gd
+  },
+  {
+    kind: 'slack-token',
+    label: 'Slack token',
+    pattern: /\b(?<secret>xox[abposr]-[A-Za-z0-9-]{10,})/gd
+  },
+  {
+    kind: 'url-credentials',
+    label: 'URL with credentials',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/(?<secret>[^\s:/?#@'"`]+:[^\s/?#@'"`]+)@(?<host>[^\s/:?#'"`]+)/gid,
+    accept: value => !isPlaceholder(value.slice(value.indexOf(':') + 1)),
+    describe: match => /\.(service-now|servicenowservices)\.com$/i.test(match.groups.host)
+      ? 'ServiceNow instance URL with credentials'
+      : 'URL with credentials'
+  }
+];
+
+/** String values assigned to credential-named variables, properties and JSON keys */
+const CREDENTIAL_ASSIGNMENT = /(?<name>[\w$]*(?:password|passwd|secret|token|api_?key|access_?key)[\w$]*)['"]?\s*[=:]\s*(?<quote>['"`])(?<secret>[^'"`\n]+)\k<quote>/gid;
+
+/** String literals, the only place entropy is measured */
+const STRING_LITERAL = /(['"`])(?:\\.|(?!\1)[^\\\n])*\1/g;
+
+/** Candidate tokens inside a string literal */
+const TOKEN = /[A-Za-z0-9+/=_-]{20,}/g;
+
+/** Shortest hex string considered; 32 hex digits is a sys_id */
+const MIN_HEX_LENGTH = 40;
+
+/** Bits per character required of hex strings */
+const HEX_ENTROPY = 3;
+
+/** Bits per character required of other strings, lower for short ones */
+const MAX_ENTROPY_THRESHOLD = 4.5;
+
+/** Finding priority when ranges overlap: lower wins */
+const PRIORITY = { known: 0, credential: 1, entropy: 2 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Decodes base64, or returns null when it is not valid base64.
+ */
+function decodeBase64(value) {
+  try {
+    return atob(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a value is a placeholder rather than a secret:
+ * `${password}`, `<token>`, `***`, `REDACTED`, `changeme`.
+ */
+function isPlaceholder(value) {
+  return /^\$\{.*\}$|^<.*>$|^\*+$|^x+$|redacted|changeme|^your[_-]/i.test(value);
+}
+
+/**
+ * Checks whether a credential-named value is a name rather than a secret:
+ * a field (`u_api_token`), a property (`x_acme.api.password`) or a label.
+ */
+function isNameLike(value) {
+  return /\s/.test(value) || /^[a-z][a-z0-9]*(?:[_.][a-z0-9]+)+$/.test(value);
+}
+
+/**
+ * Shannon entropy of a string in bits per character.
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((bits, count) => {
+    const p = count / value.length;
+    return bits - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Checks whether a token looks random enough to be a key.
+ * Short tokens cannot reach the full threshold, so it scales with length.
+ */
+function isHighEntropy(token) {
+  if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) return false;
+  if (/^[0-9a-f]+$/i.test(token)) {
+    return token.length >= MIN_HEX_LENGTH && shannonEntropy(token) >= HEX_ENTROPY;
+  }
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token)) return false;
+  return shannonEntropy(token) >= Math.min(MAX_ENTROPY_THRESHOLD, Math.log2(token.length) * 0.85);
+}
+
+// =============================================================================
+// SCANNING
+// =============================================================================
+
+/**
+ * @typedef {Object} Secret
+ * @property {string} kind - Format (e.g. 'bearer-token'), 'credential' or 'high-entropy'
+ * @property {string} ruleId - Rule reported for it
+ * @property {string} label - Human-readable description
+ * @property {number} start - Start offset of the secret value
+ * @property {number} end - End offset of the secret value
+ * @property {string} value - The secret
+ * @property {string} [name] - Variable or key name of a credential
+ * @property {number} [entropy] - Bits per character of a high-entropy string
+ */
+
+/**
+ * Finds the secrets in code. Overlapping findings are merged, known formats
+ * first, so a Bearer token assigned to `token` is reported once.
+ *
+ * @param {string} code - Code or JSON to scan
+ * @returns {Secret[]} Secrets in source order
+ */
+export function scanSecrets(code) {
+  const found = [];
+  const add = (secret, priority) => found.push({ ...secret, value: code.slice(secret.start, secret.end), priority });
+
+  KNOWN_FORMATS.forEach(({ kind, label, pattern, accept, describe }) => {
+    findMatches(code, pattern).forEach(({ match }) => {
+      const [start, end] = match.indices.groups.secret;
+      if (accept && !accept(match.groups.secret, match)) return;
+      add({ kind, ruleId: 'secret-known-format', label: describe ? describe(match) : label, start, end }, PRIORITY.known);
+    });
+  });
+
+  findMatches(code, CREDENTIAL_ASSIGNMENT).forEach(({ match }) => {
+    const { name, secret } = match.groups;
+    if (isPlaceholder(secret) || isNameLike(secret)) return;
+    const [start, end] = match.indices.groups.secret;
+    add({ kind: 'credential', ruleId: 'hardcoded-credential', label: 'Hardcoded credential', name, start, end }, PRIORITY.credential);
+  });
+
+  findMatches(code, STRING_LITERAL).forEach(({ start: literalStart, match }) => {
+    const content = match[0].slice(1, -1);
+    findMatches(content, TOKEN).forEach(({ start, end, match: token }) => {
+      if (content.slice(0, start).endsWith('base64,') || !isHighEntropy(token[0])) return;
+      add({
+        kind: 'high-entropy',
+        ruleId: 'secret-high-entropy',
+        label: 'High-entropy string',
+        start: literalStart + 1 + start,
+        end: literalStart + 1 + end,
+        entropy: shannonEntropy(token[0])
+      }, PRIORITY.entropy);
+    });
+  });
+
+  // Keep the earliest finding, then the highest priority, of overlapping ranges
+  found.sort((a, b) => a.start - b.start || a.priority - b.priority || b.end - a.end);
+  const kept = [];
+  found.forEach((secret) => {
+    const previous = kept[kept.length - 1];
+    if (!previous || secret.start >= previous.end) {
+      kept.push(secret);
+    } else if (secret.priority < previous.priority && secret.end >= previous.end) {
+      kept[kept.length - 1] = secret;
+    }
+  });
+  return kept.map(({ priority, ...secret }) => secret);
+}
+
+// =============================================================================
+// REDACTION
+// =============================================================================
+
+/**
+ * Finds the other places a secret value appears, e.g. a password found in
+ * `var password = '…'` and compared later on. Values must stand on their own,
+ * not be part of a longer word.
+ */
+function findRepeats(code, secrets) {
+  const taken = secrets.map(({ start, end }) => [start, end]);
+  const overlaps = (start, end) => taken.some(([from, to]) => start < to && end > from);
+  const repeats = [];
+
+  new Set(secrets.map(secret => secret.value)).forEach((value) => {
+    const secret = secrets.find(candidate => candidate.value === value);
+    for (let start = code.indexOf(value); start !== -1; start = code.indexOf(value, start + 1)) {
+      const end = start + value.length;
+      if (/\w/.test(code[start - 1] || '') || /\w/.test(code[end] || '') || overlaps(start, end)) continue;
+      taken.push([start, end]);
+      repeats.push({ ...secret, start, end });
+    }
+  });
+  return repeats;
+}
+
+/**
+ * Replaces the secrets in code with placeholders, including other
+ * occurrences of the same values.
+ *
+ * @param {string} code - Code or JSON to redact
+ * @returns {{ code: string, secrets: Secret[], count: number }}
+ *   Redacted code, the secrets found and the number of values replaced
+ */
+export function redactSecrets(code) {
+  const secrets = scanSecrets(code);
+  const ranges = [...secrets, ...findRepeats(code, secrets)].sort((a, b) => a.start - b.start);
+  const placeholders = {};
+  const counts = {};
+
+  // Numbered by first finding, so placeholders read top to bottom
+  secrets.forEach(({ kind, value }) => {
+    if (placeholders[value]) return;
+    const name = kind === 'high-entropy' ? 'SECRET' : kind.toUpperCase().replace(/-/g, '_');
+    counts[name] = (counts[name] || 0) + 1;
+    placeholders[value] = `<REDACTED_${name}_${counts[name]}>`;
+  });
+
+  let redacted = '';
+  let offset = 0;
+  ranges.forEach(({ start, end, value }) => {
+    const indent = value.match(/^\s*/)[0];
+    const lineBreaks = value.slice(indent.length).replace(/[^\n]/g, '');
+    redacted += code.slice(offset, start) + indent + placeholders[value] + lineBreaks;
+    offset = end;
+  });
+  redacted += code.slice(offset);
+
+  return { code: redacted, secrets, count: ranges.length };
+}
+
+export default {
+  SECRET_RULES,
+  shannonEntropy,
+  scanSecrets,
+  redactSecrets
+};
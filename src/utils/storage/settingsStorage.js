@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Develop Mode Settings - IndexedDB Persistence Layer
+ * @description Stores Develop mode settings such as the active rule profile.
+ * Settings are key/value records so new settings need no schema upgrade.
+ * No network calls - fully client-side storage using IndexedDB.
+ */
+
+import { DEFAULT_PROFILE, normalizeProfile } from '../ruleProfile.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DB_NAME = 'GlideAwareSettingsDB';
+const DB_VERSION = 1;
+const SETTINGS_STORE = 'settings';
+
+/**
+ * Setting keys
+ */
+export const SETTING_KEYS = {
+  RULE_PROFILE: 'ruleProfile'
+};
+
+// =============================================================================
+// DATABASE INITIALIZATION
+// =============================================================================
+
+let dbInstance = null;
+
+/**
+ * Opens or creates the settings database.
+ *
+ * @returns {Promise<IDBDatabase>} The database instance
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (dbInstance) {
+      resolve(dbInstance);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      reject(new Error('Failed to open settings database: ' + request.error));
+    };
+
+    request.onsuccess = () => {
+      dbInstance = request.result;
+      resolve(dbInstance);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      }
+    };
+  });
+}
+
+// =============================================================================
+// GENERIC SETTINGS
+// =============================================================================
+
+/**
+ * Reads a setting value.
+ *
+ * @param {string} key - Setting key
+ * @returns {Promise<*>} The stored value, or undefined if never saved
+ */
+export async function getSetting(key) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SETTINGS_STORE, 'readonly');
+    const store = transaction.objectStore(SETTINGS_STORE);
+    const request = store.get(key);
+
+    request.onsuccess = () => resolve(request.result?.value);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Saves a setting value.
+ *
+ * @param {string} key - Setting key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<*>} The saved value
+ */
+export async function putSetting(key, value) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SETTINGS_STORE, 'readwrite');
+    const store = transaction.objectStore(SETTINGS_STORE);
+    const request = store.put({ key, value, updatedAt: new Date().toISOString() });
+
+    request.onsuccess = () => resolve(value);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// =============================================================================
+// RULE PROFILE
+// =============================================================================
+
+/**
+ * Loads the active rule profile, falling back to the default profile.
+ *
+ * @returns {Promise<Object>} Normalized rule profile
+ */
+export async function loadRuleProfile() {
+  const stored = await getSetting(SETTING_KEYS.RULE_PROFILE);
+  return stored ? normalizeProfile(stored) : normalizeProfile(DEFAULT_PROFILE);
+}
+
+/**
+ * Saves the active rule profile.
+ *
+ * @param {Object} profile - Rule profile
+ * @returns {Promise<Object>} The normalized profile that was saved
+ */
+export async function saveRuleProfile(profile) {
+  return putSetting(SETTING_KEYS.RULE_PROFILE, normalizeProfile(profile));
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  getSetting,
+  putSetting,
+  loadRuleProfile,
+  saveRuleProfile,
+  SETTING_KEYS
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Inline Suppression Comments
+ * @description Parses `glideaware-*` directive comments that silence warnings
+ * and skip fixes for specific lines, ranges or the whole file:
+ *
+ *   // glideaware-disable-next-line gs-sleep
+ *   /* glideaware-disable hardcoded-sys-id *\/ ... /* glideaware-enable *\/
+ *   /* glideaware-disable-file current-update-in-br *\/
+ *
+ * Names may be warning rule ids or fix ids (see ruleProfile.js); a directive
+ * without names applies to everything. Text after `--` is a free-form reason.
+ * Directives that never suppress anything are reported as 'unused-suppression'.
+ */
+
+import { extractComments } from './astParser.js';
+import { createLocator, createDiagnostic } from './diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DIRECTIVE_PATTERN = /^glideaware-(disable-next-line|disable-file|disable|enable)(?:\s+([\s\S]*))?$/;
+
+/** Rules that can never be suppressed */
+const UNSUPPRESSIBLE_RULES = ['syntax-error', 'unused-suppression'];
+
+/** Usage key for a directive without rule names */
+const ALL_RULES = '*';
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * A parsed directive comment.
+ * @typedef {Object} Directive
+ * @property {number} index - Position among the directives of the file (stable across formatting)
+ * @property {'disable-next-line'|'disable-file'|'disable'|'enable'} kind - Directive kind
+ * @property {string[]} rules - Named rules (empty = all)
+ * @property {number} start - Comment start offset
+ * @property {number} end - Comment end offset
+ * @property {number} line - 1-based line of the comment end
+ */
+
+/**
+ * Finds all directive comments in code, in source order.
+ *
+ * @param {string} code - JavaScript code
+ * @returns {Directive[]}
+ */
+export function parseDirectives(code) {
+  const directives = [];
+
+  extractComments(code).forEach((comment) => {
+    const text = comment.value.replace(/^\*+/, '').trim();
+    const match = text.match(DIRECTIVE_PATTERN);
+    if (!match) return;
+
+    const names = (match[2] || '').split('--')[0];
+    directives.push({
+      index: directives.length,
+      kind: match[1],
+      rules: names.split(/[\s,]+/).filter(Boolean),
+      start: comment.start,
+      end: comment.end,
+      line: comment.loc.end.line
+    });
+  });
+
+  return directives;
+}
+
+// =============================================================================
+// SUPPRESSION LOOKUP
+// =============================================================================
+
+/**
+ * Builds the suppression lookup for one version of the code.
+ * Every suppression that matches is recorded in `usage` so unused directives
+ * can be reported later, even when fixes and warnings ran on different versions
+ * of the code (directive order survives fixing and formatting).
+ *
+ * @param {string} code - JavaScript code
+ * @param {Set<string>} [usage] - Shared record of directives that suppressed something
+ * @returns {Object} Suppressions with isSuppressed/filterDiagnostics/filterEdits
+ */
+export function createSuppressions(code, usage = new Set()) {
+  const directives = parseDirectives(code);
+  const locate = createLocator(code);
+
+  // Resolve disable/enable pairs into line ranges
+  const scopes = [];
+  const open = [];
+  directives.forEach((directive) => {
+    switch (directive.kind) {
+      case 'disable-next-line':
+        scopes.push({ directive, from: directive.line + 1, to: directive.line + 1 });
+        break;
+      case 'disable-file':
+        scopes.push({ directive, from: 1, to: Infinity });
+        break;
+      case 'disable': {
+        const scope = { directive, from: directive.line, to: Infinity };
+        scopes.push(scope);
+        open.push(scope);
+        break;
+      }
+      case 'enable':
+        for (let i = open.length - 1; i >= 0; i--) {
+          const opened = open[i].directive.rules;
+          if (directive.rules.length === 0 || opened.length === 0 ||
+              directive.rules.every(rule => opened.includes(rule))) {
+            open[i].to = directive.line;
+            open.splice(i, 1);
+          }
+        }
+        break;
+    }
+  });
+
+  /**
+   * Checks whether a rule or fix is suppressed on a line, recording the usage.
+   * @param {string} ruleId - Rule or fix id
+   * @param {number} line - 1-based line
+   * @returns {boolean}
+   */
+  const isSuppressed = (ruleId, line) => {
+    if (UNSUPPRESSIBLE_RULES.includes(ruleId)) return false;
+    let suppressed = false;
+    for (const { directive, from, to } of scopes) {
+      if (line < from || line > to) continue;
+      if (directive.rules.length === 0) {
+        usage.add(`${directive.index}:${ALL_RULES}`);
+        suppressed = true;
+      } else if (directive.rules.includes(ruleId)) {
+        usage.add(`${directive.index}:${ruleId}`);
+        suppressed = true;
+      }
+    }
+    return suppressed;
+  };
+
+  return {
+    directives,
+    isSuppressed,
+
+    /**
+     * Checks whether a rule or fix is suppressed at a character offset.
+     * @param {string} ruleId - Rule or fix id
+     * @param {number} offset - Character offset
+     * @returns {boolean}
+     */
+    isOffsetSuppressed: (ruleId, offset) => isSuppressed(ruleId, locate(offset).line),
+
+    /**
+     * Removes suppressed diagnostics.
+     * @param {Array} diagnostics - Diagnostics located in this code
+     * @returns {Array} Diagnostics that are not suppressed
+     */
+    filterDiagnostics: (diagnostics) =>
+      diagnostics.filter(diagnostic => !isSuppressed(diagnostic.ruleId, diagnostic.startLine)),
+
+    /**
+     * Removes edits that start on a line where the fix is suppressed.
+     * @param {Array} edits - Edits against this code
+     * @param {string} fixId - Fix id the edits belong to
+     * @returns {Array} Edits that may be applied
+     */
+    filterEdits: (edits, fixId) =>
+      edits.filter(edit => !isSuppressed(fixId, locate(edit.start).line)),
+  };
+}
+
+// =============================================================================
+// UNUSED SUPPRESSIONS
+// =============================================================================
+
+/**
+ * Reports directives (or named rules within them) that suppressed nothing.
+ *
+ * @param {string} code - Final code the diagnostics refer to
+ * @param {Set<string>} usage - Usage recorded by createSuppressions()
+ * @returns {import('./diagnostics.js').Diagnostic[]} 'unused-suppression' diagnostics
+ */
+export function findUnusedSuppressions(code, usage) {
+  const locate = createLocator(code);
+  const unused = [];
+
+  parseDirectives(code)
+    .filter(directive => directive.kind !== 'enable')
+    .forEach((directive) => {
+      const names = directive.rules.length > 0 ? directive.rules : [ALL_RULES];
+      names
+        .filter(name => !usage.has(`${directive.index}:${name}`))
+        .forEach((name) => {
+          unused.push(createDiagnostic(locate, {
+            ruleId: 'unused-suppression',
+            message: name === ALL_RULES
+              ? `Unused glideaware-${directive.kind} directive - nothing was suppressed`
+              : `Unused suppression for "${name}" - nothing was suppressed`,
+            start: directive.start,
+            end: directive.end,
+          }));
+        });
+    });
+
+  return unused;
+}
+
+export default {
+  parseDirectives,
+  createSuppressions,
+  findUnusedSuppressions
+};
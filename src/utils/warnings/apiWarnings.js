@@ -0,0 +1,116 @@
+/**
+ * @fileoverview ServiceNow API Lifecycle Warnings
+ * @description Checks API usage against the target instance release using the
+ * lifecycle data in servicenowDictionary.js: APIs introduced after the target
+ * release, APIs deprecated in or before it, and global-only APIs that break
+ * in scoped applications (gs.sleep, gs.print, Packages.*). Receivers are typed
+ * with the AST type inference, so `var u = gs; u.log()` is still found.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import { isIdentifierReference } from '../fixes/astRewriter.js';
+import {
+  CLASS_METADATA,
+  METHOD_METADATA,
+  SIGNATURE_ALIASES,
+  LATEST_RELEASE,
+  compareReleases,
+  getApiLifecycle,
+} from '../fixes/servicenowDictionary.js';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds the lifecycle findings of one API use.
+ *
+ * @param {string} label - API as written in messages (e.g. 'gs.print()')
+ * @param {Object} lifecycle - getApiLifecycle() result
+ * @param {string} release - Target release
+ * @param {boolean} scoped - Whether the code is a scoped application (global-only
+ *   APIs are then errors of warnings/scopeWarnings.js)
+ * @returns {Array<{ ruleId: string, message: string, severity?: string }>}
+ */
+function lifecycleFindings(label, lifecycle, release, scoped) {
+  const { since, deprecatedSince, replacement } = lifecycle;
+  const instead = replacement ? ` - use ${replacement} instead` : '';
+  const findings = [];
+
+  if (since && compareReleases(release, since) < 0) {
+    findings.push({
+      ruleId: 'api-unavailable-in-release',
+      message: `${label} is not available before ${since} (target release: ${release})`
+    });
+  }
+  if (deprecatedSince && compareReleases(release, deprecatedSince) >= 0) {
+    findings.push({
+      ruleId: 'api-deprecated',
+      message: `${label} is deprecated since ${deprecatedSince}${instead}`
+    });
+  }
+  if (!lifecycle.scoped && !scoped) {
+    findings.push({
+      ruleId: 'api-global-only',
+      message: `${label} is only available in the global scope and fails in scoped applications${instead}`,
+      severity: SEVERITY.INFO
+    });
+  }
+  return findings;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes API usage against a target release.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options]
+ * @param {string} [options.release] - Target instance release (defaults to the latest)
+ * @param {string|null} [options.scope] - Application scope; global-only APIs are
+ *   only noted for global code
+ * @returns {import('../diagnostics.js').Diagnostic[]} Lifecycle diagnostics
+ */
+export function analyzeApiLifecycle(code, { release = LATEST_RELEASE, scope = null } = {}) {
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const diagnostics = [];
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const report = (label, lifecycle, node) => {
+    lifecycleFindings(label, lifecycle, release, Boolean(scope)).forEach(({ ruleId, message, severity }) => {
+      diagnostics.push(createDiagnostic(locate, { ruleId, message, severity, start: node.start, end: node.end }));
+    });
+  };
+
+  walkAst(ast, (node, parent) => {
+    // Classes, namespaces and global functions: new GlideEvaluator(), Packages.java..., j2js()
+    if (node.type === 'Identifier' && CLASS_METADATA[node.name] && isIdentifierReference(node, parent) && types.isGlobal(node)) {
+      const isCall = parent?.type === 'CallExpression' && parent.callee === node;
+      report(isCall ? `${node.name}()` : node.name, getApiLifecycle(node.name), node);
+      return;
+    }
+
+    // Methods on typed receivers: gs.print(), sn_fd.FlowAPI.getRunner()
+    if (node.type !== 'CallExpression') return;
+    const { callee } = node;
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') return;
+
+    // Class-level entries are reported once, on the class name
+    const context = types.typeOf(callee.object);
+    const method = callee.property.name;
+    if (!context || !METHOD_METADATA[SIGNATURE_ALIASES[context] || context]?.[method]) return;
+    report(`${context}.${method}()`, getApiLifecycle(context, method), callee.property);
+  });
+
+  return diagnostics;
+}
+
+export default {
+  analyzeApiLifecycle
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Business Rule Lifecycle Warnings
+ * @description Checks that depend on when a Business Rule runs and on which
+ * operations: a before rule is saved by the platform after it runs, an after
+ * rule can no longer abort, an async rule has no previous, only a display rule
+ * reaches the form through g_scratchpad, and a before-query rule runs on every
+ * query of its table. The context comes from the rule record (selected in the
+ * app, --business-rule in the CLI); checks for what is unknown do not run.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic } from '../diagnostics.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import { isIdentifierReference } from '../fixes/astRewriter.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Rules that run when previous is null */
+const NO_PREVIOUS_WHEN = ['async', 'display'];
+
+/** Operations previous is null for */
+const NO_PREVIOUS_OPERATIONS = ['insert', 'query'];
+
+/** Record classes a query rule should not use */
+const RECORD_CLASSES = ['GlideRecord', 'GlideRecordSecure', 'GlideAggregate'];
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Checks whether an identifier is passed into the rule function:
+ * `})(current, previous);`
+ */
+function isRuleArgument(node, parent) {
+  return parent?.type === 'CallExpression' && FUNCTION_TYPES.includes(parent.callee.type) && parent.arguments.includes(node);
+}
+
+/**
+ * Names a kind of rule with its article: 'an after Business Rule'.
+ */
+function ruleName(when) {
+  return `${/^[aeiou]/.test(when) ? 'an' : 'a'} ${when} Business Rule`;
+}
+
+/**
+ * Checks whether a call is `current.<method>()`.
+ */
+function isCurrentCall(node, method) {
+  const { callee } = node;
+  return callee.type === 'MemberExpression' && !callee.computed &&
+    callee.object.type === 'Identifier' && callee.object.name === 'current' &&
+    callee.property.name === method;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes a Business Rule against when it runs.
+ *
+ * @param {string} code - The code to analyze
+ * @param {import('../scriptTypes.js').BusinessRuleContext} context - Resolved Business Rule context
+ * @returns {Diagnostic[]} Lifecycle warnings
+ */
+export function analyzeBusinessRuleLifecycle(code, { when, operations }) {
+  const warnings = [];
+  if (!when && operations.length === 0) return warnings;
+
+  const { ast } = parseCode(code);
+  if (!ast) return warnings;
+
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const warn = (ruleId, message, node) => {
+    warnings.push(createDiagnostic(locate, { ruleId, message, start: node.start, end: node.end }));
+  };
+
+  // previous is null for some rules and operations; checking current.operation() first is fine
+  const checksOperation = /\bcurrent\.(operation|isNewRecord)\s*\(/.test(code);
+  const noPrevious = NO_PREVIOUS_WHEN.includes(when) ? `in ${when} Business Rules`
+    : operations.length > 0 && operations.every(op => NO_PREVIOUS_OPERATIONS.includes(op)) ? `on ${operations.join('/')}`
+    : !checksOperation && operations.some(op => NO_PREVIOUS_OPERATIONS.includes(op))
+      ? `on ${operations.filter(op => NO_PREVIOUS_OPERATIONS.includes(op)).join('/')} - check current.operation() first`
+    : null;
+  const isQueryRule = when === 'before' && operations.includes('query');
+
+  walkAst(ast, (node, parent) => {
+    // previous.state on insert or in an async rule
+    if (node.type === 'Identifier' && node.name === 'previous' && noPrevious && isIdentifierReference(node, parent) && !isRuleArgument(node, parent)) {
+      warn('br-previous-unavailable', `previous is null ${noPrevious}`, node);
+      return;
+    }
+
+    // g_scratchpad only reaches the form from display rules
+    if (node.type === 'Identifier' && node.name === 'g_scratchpad' && when && when !== 'display' &&
+        isIdentifierReference(node, parent) && types.isGlobal(node)) {
+      warn('br-scratchpad-outside-display', `g_scratchpad in ${ruleName(when)} is not sent to the form - set it in a display rule`, node);
+      return;
+    }
+
+    // new GlideRecord() in a before-query rule runs on every query of the table
+    if (node.type === 'NewExpression' && isQueryRule && node.callee.type === 'Identifier' && RECORD_CLASSES.includes(node.callee.name)) {
+      warn('br-query-rule-gliderecord',
+        `new ${node.callee.name}() in a before-query Business Rule runs on every query of the table (lists, reports, reference lookups) - restrict current with addQuery()/addEncodedQuery() and cache lookups`,
+        node);
+      return;
+    }
+
+    if (node.type !== 'CallExpression') return;
+
+    // current.update() in a before rule saves twice
+    if (when === 'before' && isCurrentCall(node, 'update')) {
+      warn('br-current-update-in-before',
+        'current.update() in a before Business Rule - the record is saved after the rule anyway, set the fields on current and remove update()',
+        node);
+    }
+
+    // setAbortAction() after the record is saved
+    if ((when === 'after' || when === 'async') && isCurrentCall(node, 'setAbortAction')) {
+      warn('br-abort-in-after',
+        `current.setAbortAction() in ${ruleName(when)} has no effect - the record is already saved, abort in a before rule`,
+        node);
+    }
+  });
+
+  return warnings;
+}
+
+export default {
+  analyzeBusinessRuleLifecycle
+};
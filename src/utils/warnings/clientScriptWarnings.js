@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Client Script & UI Policy Warnings
+ * @description Rule pack for code that runs in the browser: onChange handlers
+ * that run while the form loads or ignore cleared fields, onSubmit handlers
+ * that can never cancel, synchronous client-side GlideRecord, alert(), and
+ * g_form calls that cost extra round trips or read hidden fields.
+ * g_form receivers are typed with the AST type inference, so aliases count too.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import { AVAILABILITY } from '../fixes/servicenowDictionary.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Common reference fields of task tables */
+const REFERENCE_FIELDS = [
+  'caller_id',
+  'assigned_to',
+  'assignment_group',
+  'opened_by',
+  'requested_by',
+  'requested_for',
+  'cmdb_ci',
+  'business_service',
+  'company',
+  'location',
+  'department',
+  'manager',
+  'parent',
+  'problem_id',
+  'rfc',
+];
+
+/** GlideRecord methods that block the browser unless given a callback */
+const SYNCHRONOUS_RECORD_METHODS = ['query', 'get'];
+
+/** A 32-character sys_id */
+const SYS_ID_PATTERN = /^[a-f0-9]{32}$/i;
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Checks whether a node is the identifier `name`.
+ */
+function isIdentifier(node, name) {
+  return node?.type === 'Identifier' && node.name === name;
+}
+
+/**
+ * Checks whether an identifier named `name` occurs anywhere under a node.
+ */
+function mentions(node, name) {
+  let found = false;
+  walkAst(node, (child) => {
+    if (found) return false;
+    if (isIdentifier(child, name)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Finds the handler functions (function onChange() {...}) by name.
+ */
+function findHandlers(ast, name) {
+  const handlers = [];
+  walkAst(ast, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id?.name === name) handlers.push(node);
+  });
+  return handlers;
+}
+
+/**
+ * Checks whether an if-statement returns, e.g. `if (isLoading) return;`.
+ */
+function returnsEarly(statement) {
+  const { consequent } = statement;
+  return consequent.type === 'ReturnStatement' ||
+    (consequent.type === 'BlockStatement' && consequent.body.some(child => child.type === 'ReturnStatement'));
+}
+
+/**
+ * Checks whether a function body tests a value for being empty:
+ * `x === ''`, `x != ''`, `!x`, `if (x)`, `x && ...`.
+ */
+function checksEmpty(body, name) {
+  let found = false;
+  walkAst(body, (node, parent) => {
+    if (found) return false;
+    if (node.type === 'BinaryExpression' && ['===', '==', '!==', '!='].includes(node.operator)) {
+      const [value, other] = isIdentifier(node.left, name) ? [node.left, node.right] : [node.right, node.left];
+      if (isIdentifier(value, name) && other.type === 'Literal' && other.value === '') found = true;
+      return;
+    }
+    if (!isIdentifier(node, name)) return;
+    if ((parent?.type === 'UnaryExpression' && parent.operator === '!') ||
+        parent?.type === 'LogicalExpression' ||
+        (['IfStatement', 'ConditionalExpression'].includes(parent?.type) && parent.test === node)) {
+      found = true;
+    }
+  });
+  return found;
+}
+
+/**
+ * Checks whether a function returns a value (nested callbacks excluded).
+ */
+function returnsValue(fn) {
+  let found = false;
+  walkAst(fn.body, (node) => {
+    if (found || FUNCTION_TYPES.includes(node.type)) return false;
+    if (node.type === 'ReturnStatement' && node.argument) found = true;
+  });
+  return found;
+}
+
+/**
+ * Checks whether an expression holds a sys_id: a sys_id literal, `x.sys_id`
+ * or `getUniqueValue()`.
+ */
+function isSysIdValue(node) {
+  if (node.type === 'Literal') return typeof node.value === 'string' && SYS_ID_PATTERN.test(node.value);
+  if (node.type === 'MemberExpression') return !node.computed && node.property.name === 'sys_id';
+  return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    node.callee.property.name === 'getUniqueValue';
+}
+
+/**
+ * Gets the field name of a g_form call with a literal first argument.
+ */
+function fieldArgument(call) {
+  const [field] = call.arguments;
+  return field?.type === 'Literal' && typeof field.value === 'string' ? field.value : null;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes Client Script and UI Policy code.
+ *
+ * @param {string} code - The code to analyze
+ * @param {import('../scriptTypes.js').ScriptType|null} scriptType - Resolved script type;
+ *   client-side GlideRecord is only reported for scripts known to run in the browser
+ * @returns {import('../diagnostics.js').Diagnostic[]} Client script diagnostics
+ */
+export function analyzeClientScript(code, scriptType) {
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const diagnostics = [];
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const warn = (ruleId, message, node, severity) => {
+    diagnostics.push(createDiagnostic(locate, { ruleId, message, start: node.start, end: node.end, severity }));
+  };
+
+  // onChange(control, oldValue, newValue, isLoading): skip form load, handle cleared fields
+  findHandlers(ast, 'onChange').forEach((fn) => {
+    const isLoading = fn.params[3]?.name;
+    const loadChecked = isLoading && fn.body.body.some(statement =>
+      statement.type === 'IfStatement' && mentions(statement.test, isLoading) && returnsEarly(statement));
+    if (!loadChecked) {
+      warn('onchange-missing-isloading', 'onChange() runs while the form loads - start with if (isLoading) return;', fn.id);
+    }
+
+    const newValue = fn.params[2]?.name;
+    if (newValue && mentions(fn.body, newValue) && !checksEmpty(fn.body, newValue)) {
+      warn('onchange-empty-newvalue', `onChange() does not handle a cleared field - check ${newValue} === '' before using it`, fn.id);
+    }
+  });
+
+  // onSubmit() cancels the submission only by returning false
+  findHandlers(ast, 'onSubmit').forEach((fn) => {
+    if (!returnsValue(fn)) {
+      warn('onsubmit-no-return', 'onSubmit() never returns a value - return false to cancel the submission when validation fails', fn.id);
+    }
+  });
+
+  // g_form calls, alert() and client-side GlideRecord
+  const isClientSide = scriptType?.availability === AVAILABILITY.CLIENT;
+  const referenceFields = new Set(REFERENCE_FIELDS);
+  const setValueCalls = [];
+  const getValueCalls = [];
+  const firstVisibilityCheck = new Map();
+
+  walkAst(ast, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const { callee } = node;
+
+    if (isIdentifier(callee, 'alert') && types.isGlobal(callee)) {
+      warn('alert-usage', 'alert() blocks the page - use g_form.addInfoMessage(), g_form.addErrorMessage() or g_form.showFieldMsg()', node);
+      return;
+    }
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+    const method = callee.property.name;
+    const receiverType = types.typeOf(callee.object);
+
+    if (isClientSide && receiverType === 'GlideRecord' && SYNCHRONOUS_RECORD_METHODS.includes(method) &&
+        !node.arguments.some(arg => FUNCTION_TYPES.includes(arg.type))) {
+      warn('client-side-gliderecord', `Synchronous GlideRecord.${method}() in the browser blocks the form - use GlideAjax, or pass a callback`, node);
+      return;
+    }
+
+    if (receiverType !== 'g_form') return;
+    const field = fieldArgument(node);
+    if (!field) return;
+    if (method === 'getReference') referenceFields.add(field);
+    if (method === 'setValue' && node.arguments.length === 2) setValueCalls.push({ node, field });
+    if (method === 'getValue') getValueCalls.push({ node, field });
+    if (method === 'isVisible' && !firstVisibilityCheck.has(field)) firstVisibilityCheck.set(field, node.start);
+  });
+
+  // g_form.setValue('caller_id', sysId) fetches the display value from the server
+  setValueCalls
+    .filter(({ node, field }) => referenceFields.has(field) || isSysIdValue(node.arguments[1]))
+    .forEach(({ node, field }) => {
+      warn('setvalue-reference-without-display', `g_form.setValue('${field}') on a reference field without a display value - pass it as the third argument to avoid a server round trip`, node, SEVERITY.INFO);
+    });
+
+  // Hidden fields keep stale values, so reading one before checking isVisible() is a logic smell
+  getValueCalls
+    .filter(({ node, field }) => firstVisibilityCheck.has(field) && node.start < firstVisibilityCheck.get(field))
+    .forEach(({ node, field }) => {
+      warn('getvalue-before-visibility-check', `g_form.getValue('${field}') is read before g_form.isVisible('${field}') is checked - a hidden field may hold a stale value`, node, SEVERITY.INFO);
+    });
+
+  return diagnostics;
+}
+
+export default {
+  analyzeClientScript
+};
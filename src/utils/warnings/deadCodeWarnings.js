@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Dead Code Warnings
+ * @description Scope analysis checks (see scopeAnalysis.js): unused local
+ * variables and functions, unused trailing parameters, private Script Include
+ * methods nothing calls, declarations that shadow ServiceNow globals, implicit
+ * globals from a missing `var`, and statements after `return`, `throw`,
+ * `break` or `continue` that can never run.
+ *
+ * Parameters of known entry points (`executeRule(current, previous)`,
+ * `onChange(control, oldValue, newValue, isLoading, isTemplate)`) are fixed
+ * by the platform, so they are never reported as unused or as shadowing.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic } from '../diagnostics.js';
+import { analyzeScopes, readsOf, findUnusedLocals } from '../scopeAnalysis.js';
+import { GLOBAL_OBJECTS } from '../fixes/servicenowDictionary.js';
+import { findScriptIncludes, prototypeMethods } from './scriptIncludeWarnings.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Entry points the platform calls, with the parameters it passes */
+const ENTRY_POINT_SIGNATURES = {
+  executeRule: ['current', 'previous'],
+  onBefore: ['current', 'previous'],
+  onAfter: ['current', 'previous'],
+  onAsync: ['current', 'previous'],
+  onDisplay: ['current', 'g_scratchpad'],
+  onChange: ['control', 'oldValue', 'newValue', 'isLoading', 'isTemplate'],
+  onCellEdit: ['sysIDs', 'table', 'oldValues', 'newValue', 'callback'],
+  process: ['request', 'response'],
+  runMailScript: ['current', 'template', 'email', 'email_action', 'event'],
+  runTransformScript: ['source', 'map', 'log', 'target'],
+  transformRow: ['source', 'target', 'map', 'log', 'isUpdate'],
+  initialize: ['request', 'responseXML', 'gc']
+};
+
+/** Globals the platform provides that a script should never redeclare */
+const SHADOWED_GLOBALS = [
+  'gs', 'current', 'previous', 'g_form', 'g_user', 'g_list', 'g_scratchpad',
+  'g_service_catalog', 'g_navigation', 'g_processor', '$sp', 'spUtil'
+];
+
+/** Statements that leave the statement list they are in */
+const EXIT_KEYWORDS = {
+  ReturnStatement: 'return',
+  ThrowStatement: 'throw',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue'
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Names a function after its declaration or the property or variable it is assigned to.
+ */
+function functionName(fn, parent) {
+  if (fn.id) return fn.id.name;
+  if (parent?.type === 'Property' && parent.value === fn) return parent.key.name ?? parent.key.value;
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  return null;
+}
+
+/**
+ * Checks whether a function has the entry point signature a parameter belongs to.
+ */
+function isSignatureParam(name, param) {
+  return Boolean(name && ENTRY_POINT_SIGNATURES[name]?.includes(param));
+}
+
+/**
+ * Gets the keyword a statement always exits with, or null when control can
+ * continue after it: `if` exits when both branches do, a block when any of
+ * its statements does, `try` when the block and the catch do, or the finally.
+ */
+function exitKeyword(statement) {
+  if (!statement) return null;
+  if (EXIT_KEYWORDS[statement.type]) return EXIT_KEYWORDS[statement.type];
+  switch (statement.type) {
+    case 'BlockStatement':
+      return statement.body.map(exitKeyword).find(Boolean) || null;
+    case 'IfStatement': {
+      const consequent = exitKeyword(statement.consequent);
+      return consequent && exitKeyword(statement.alternate) ? consequent : null;
+    }
+    case 'TryStatement': {
+      const block = exitKeyword(statement.block);
+      const handled = block && (!statement.handler || exitKeyword(statement.handler.body));
+      return (handled ? block : null) || exitKeyword(statement.finalizer);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether an unreachable statement is worth reporting. Function
+ * declarations and `var x;` are hoisted, so they still do something.
+ */
+function isDeadStatement(statement) {
+  if (statement.type === 'FunctionDeclaration' || statement.type === 'EmptyStatement') return false;
+  if (statement.type === 'VariableDeclaration' && statement.kind === 'var') {
+    return statement.declarations.some(declarator => declarator.init);
+  }
+  return true;
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Reports unused local variables, functions and classes.
+ */
+function checkUnusedLocals(analysis, warn) {
+  findUnusedLocals(analysis).forEach((variable) => {
+    const [identifier] = variable.identifiers;
+    if (variable.kind === 'function') {
+      warn('unused-variable', `Function ${variable.name}() is declared but never called`, identifier);
+    } else if (variable.references.some(reference => reference.write)) {
+      warn('unused-variable', `'${variable.name}' is assigned but its value is never used`, identifier);
+    } else {
+      warn('unused-variable', `'${variable.name}' is declared but never used`, identifier);
+    }
+  });
+}
+
+/**
+ * Reports the parameters after the last one a function uses; earlier ones
+ * keep the position of the ones after them.
+ */
+function checkUnusedParameters(ast, analysis, warn) {
+  walkAst(ast, (node, parent) => {
+    if (!node.params?.length || !node.body) return;
+    const scope = analysis.scopeOf(node);
+    if (!scope || scope.usesArguments || scope.usesEval) return;
+
+    const name = functionName(node, parent);
+    const params = node.params.map(param => (param.type === 'Identifier' ? scope.variables.get(param.name) : null));
+    const lastUsed = params.reduce((last, variable, index) => (!variable || readsOf(variable).length > 0 ? index : last), -1);
+
+    params.slice(lastUsed + 1).forEach((variable) => {
+      if (variable.name.startsWith('_') || isSignatureParam(name, variable.name)) return;
+      warn('unused-parameter', `Parameter '${variable.name}' is never used`, variable.identifiers[0]);
+    });
+  });
+}
+
+/**
+ * Reports private (`_name`) Script Include methods nothing in the script
+ * calls or refers to. Public methods are the API of the class and may be
+ * called from other scripts or GlideAjax.
+ */
+function checkUnusedPrivateMethods(ast, warn) {
+  const includes = findScriptIncludes(ast);
+  if (includes.length === 0) return;
+
+  // Member names referenced anywhere, outside the method they name
+  const references = [];
+  walkAst(ast, (node) => {
+    if (node.type !== 'MemberExpression') return;
+    const name = node.computed ? node.property.value : node.property.name;
+    if (typeof name === 'string') references.push({ name, node });
+  });
+
+  includes.forEach(({ name: className, prototype }) => {
+    prototypeMethods(prototype).forEach((fn, method) => {
+      if (!method.startsWith('_')) return;
+      const used = references.some(reference => reference.name === method &&
+        (reference.node.start < fn.start || reference.node.end > fn.end));
+      if (used) return;
+      const property = prototype.properties.find(candidate => candidate.value === fn);
+      warn('unused-private-method', `${className}.${method}() is never called in this script`, property.key);
+    });
+  });
+}
+
+/**
+ * Reports declarations that hide a ServiceNow global from the code below them.
+ */
+function checkShadowedGlobals(ast, analysis, warn) {
+  const parents = new Map();
+  walkAst(ast, (node, parent) => {
+    if (node.params) parents.set(node, parent);
+  });
+
+  analysis.variables.forEach((variable) => {
+    if (!SHADOWED_GLOBALS.includes(variable.name)) return;
+    if (variable.kind === 'param') {
+      const fn = variable.declarations[0];
+      if (isSignatureParam(functionName(fn, parents.get(fn)), variable.name)) return;
+    }
+    warn('shadowed-global', `'${variable.name}' shadows the ServiceNow global ${variable.name} - rename it`, variable.identifiers[0]);
+  });
+}
+
+/**
+ * Reports the first assignment to each undeclared name: without `var` it
+ * becomes a global that leaks into every script of the transaction.
+ */
+function checkImplicitGlobals(analysis, warn) {
+  const reported = new Set();
+  analysis.implicitGlobals.forEach(({ name, identifier }) => {
+    if (reported.has(name) || GLOBAL_OBJECTS.includes(name)) return;
+    reported.add(name);
+    warn('implicit-global', `'${name}' is assigned without being declared - add var, or it becomes a global`, identifier);
+  });
+}
+
+/**
+ * Reports statements that follow a return, throw, break or continue in the
+ * same statement list.
+ */
+function checkUnreachableCode(ast, warn) {
+  walkAst(ast, (node) => {
+    const statements = node.type === 'SwitchCase' ? node.consequent : node.body;
+    if (!Array.isArray(statements)) return;
+
+    const exitIndex = statements.findIndex(statement => exitKeyword(statement));
+    if (exitIndex === -1) return;
+    const dead = statements.slice(exitIndex + 1).filter(isDeadStatement);
+    if (dead.length === 0) return;
+
+    const keyword = exitKeyword(statements[exitIndex]);
+    warn('unreachable-code', `Unreachable code after ${keyword} statement`, { start: dead[0].start, end: dead[dead.length - 1].end });
+  });
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes code for dead code and scope problems.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {import('../diagnostics.js').Diagnostic[]} Array of warning diagnostics
+ */
+export function analyzeDeadCode(code) {
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const diagnostics = [];
+  const locate = createLocator(code);
+  const warn = (ruleId, message, { start, end }) => {
+    diagnostics.push(createDiagnostic(locate, { ruleId, message, start, end }));
+  };
+
+  const analysis = analyzeScopes(ast);
+  checkUnusedLocals(analysis, warn);
+  checkUnusedParameters(ast, analysis, warn);
+  checkUnusedPrivateMethods(ast, warn);
+  checkShadowedGlobals(ast, analysis, warn);
+  checkImplicitGlobals(analysis, warn);
+  checkUnreachableCode(ast, warn);
+
+  return diagnostics;
+}
+
+export default {
+  analyzeDeadCode
+};
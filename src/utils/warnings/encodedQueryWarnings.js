@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Encoded Query Warnings
+ * @description Validates the literal encoded queries passed to addEncodedQuery()
+ * with the parser in encodedQuery.js. The platform silently drops conditions it
+ * cannot parse, so a malformed query returns more records than intended.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { parseEncodedQuery } from '../encodedQuery.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Parser issue kind → rule */
+const ISSUE_RULES = {
+  syntax: { ruleId: 'encoded-query-syntax', severity: SEVERITY.ERROR },
+  operator: { ruleId: 'encoded-query-unknown-operator', severity: SEVERITY.WARNING },
+  group: { ruleId: 'encoded-query-unbalanced-nq', severity: SEVERITY.WARNING },
+};
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes the encoded queries of addEncodedQuery('...') calls.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Encoded query diagnostics
+ */
+export function analyzeEncodedQueries(code) {
+  const warnings = [];
+  const errors = [];
+  const { ast } = parseCode(code);
+  if (!ast) return { warnings, errors };
+
+  const locate = createLocator(code);
+  walkAst(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+        node.callee.property.name !== 'addEncodedQuery') return;
+    const [query] = node.arguments;
+    if (query?.type !== 'Literal' || typeof query.value !== 'string') return;
+
+    // Issues point into the query when the literal has no escapes, else at the whole literal
+    const exact = query.raw.length === query.value.length + 2;
+    parseEncodedQuery(query.value).issues.forEach(({ kind, message, start, end }) => {
+      const { ruleId, severity } = ISSUE_RULES[kind];
+      const range = exact ? { start: query.start + 1 + start, end: query.start + 1 + end } : { start: query.start, end: query.end };
+      const diagnostic = createDiagnostic(locate, { ruleId, message: `Encoded query: ${message}`, severity, ...range });
+      (severity === SEVERITY.ERROR ? errors : warnings).push(diagnostic);
+    });
+  });
+
+  return { warnings, errors };
+}
+
+export default {
+  analyzeEncodedQueries
+};
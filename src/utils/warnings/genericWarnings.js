@@ -2,115 +2,128 @@
  * @fileoverview Generic JavaScript Warnings
  * @description Analyzes code for common JavaScript anti-patterns and issues,
  * not specific to ServiceNow. These are language-level best practices.
+ * Every finding is returned as a structured diagnostic with its location.
  */
 
+import { createLocator, createDiagnostic, findMatches } from '../diagnostics.js';
+import { DEFAULT_THRESHOLDS } from '../ruleProfile.js';
+import { analyzeSecrets } from './secretWarnings.js';
+import { analyzeDeadCode } from './deadCodeWarnings.js';
+import { analyzeFunctionMetrics } from '../complexity.js';
+
 /**
  * Analyzes code for generic JavaScript warnings.
  *
  * @param {string} code - The code to analyze
- * @returns {string[]} Array of warning messages
+ * @param {Object} [thresholds] - Limits for length/nesting/parameter rules (see ruleProfile.js)
+ * @returns {import('../diagnostics.js').Diagnostic[]} Array of warning diagnostics
  */
-export function analyzeGenericWarnings(code) {
+export function analyzeGenericWarnings(code, thresholds = DEFAULT_THRESHOLDS) {
+  const {
+    maxLineLength, maxNestingDepth, maxParams, maxFunctionLines, maxCyclomaticComplexity, maxCognitiveComplexity
+  } = { ...DEFAULT_THRESHOLDS, ...thresholds };
   const warnings = [];
   const lines = code.split('\n');
+  const locate = createLocator(code);
+  const warn = (ruleId, message, start, end) => {
+    warnings.push(createDiagnostic(locate, { ruleId, message, start, end }));
+  };
 
   // Check for TODO/FIXME comments that indicate incomplete work
-  const todoMatches = code.match(/\/\/\s*(TODO|FIXME|XXX|HACK|BUG)[\s:]/gi) || [];
-  const todoInBlockComments = code.match(/\/\*[\s\S]*?(TODO|FIXME|XXX|HACK|BUG)[\s\S]*?\*\//gi) || [];
-  const totalTodos = todoMatches.length + todoInBlockComments.length;
-  if (totalTodos > 0) {
-    warnings.push(`Found ${totalTodos} TODO/FIXME comment${totalTodos > 1 ? 's' : ''}`);
-  }
+  findMatches(code, /\/\/\s*(TODO|FIXME|XXX|HACK|BUG)[\s:]/gi).forEach(({ start, end, match }) => {
+    warn('todo-comment', `${match[1].toUpperCase()} comment - incomplete work`, start, end - 1);
+  });
+  findMatches(code, /\/\*(?:(?!\*\/)[\s\S])*?\b(TODO|FIXME|XXX|HACK|BUG)[\s:][\s\S]*?\*\//gi).forEach(({ start, end, match }) => {
+    warn('todo-comment', `${match[1].toUpperCase()} comment - incomplete work`, start, end);
+  });
 
   // Check for very long lines that hurt readability
-  const longLines = lines.filter((line) => line.length > 150);
-  if (longLines.length > 0) {
-    warnings.push(`${longLines.length} line${longLines.length > 1 ? 's' : ''} exceed 150 characters`);
-  }
+  let lineOffset = 0;
+  lines.forEach((line) => {
+    if (line.length > maxLineLength) {
+      warn('long-line', `Line exceeds ${maxLineLength} characters (${line.length})`, lineOffset, lineOffset + line.length);
+    }
+    lineOffset += line.length + 1;
+  });
 
   // Check for empty catch blocks that swallow errors silently
-  const emptyCatchBlocks = (code.match(/catch\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  if (emptyCatchBlocks > 0) {
-    warnings.push(`${emptyCatchBlocks} empty catch block${emptyCatchBlocks > 1 ? 's' : ''} (errors silently ignored)`);
-  }
+  findMatches(code, /catch\s*\([^)]*\)\s*\{\s*\}/g).forEach(({ start, end }) => {
+    warn('empty-catch', 'Empty catch block (errors silently ignored)', start, end);
+  });
 
   // Check for empty control flow blocks (may indicate incomplete code)
-  const emptyIfBlocks = (code.match(/if\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const emptyForBlocks = (code.match(/for\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const emptyWhileBlocks = (code.match(/while\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const totalEmptyBlocks = emptyIfBlocks + emptyForBlocks + emptyWhileBlocks;
-  if (totalEmptyBlocks > 0) {
-    warnings.push(`${totalEmptyBlocks} empty code block${totalEmptyBlocks > 1 ? 's' : ''} (if/for/while with no body)`);
-  }
+  findMatches(code, /\b(if|for|while)\s*\([^)]*\)\s*\{\s*\}/g).forEach(({ start, end, match }) => {
+    warn('empty-block', `Empty ${match[1]} block (no body)`, start, end);
+  });
 
   // Check for deeply nested code (indicates need for refactoring)
   let maxDepth = 0;
+  let maxDepthOffset = 0;
   let currentDepth = 0;
-  for (const char of code) {
-    if (char === '{') {
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '{') {
       currentDepth++;
-      maxDepth = Math.max(maxDepth, currentDepth);
-    } else if (char === '}') {
+      if (currentDepth > maxDepth) {
+        maxDepth = currentDepth;
+        maxDepthOffset = i;
+      }
+    } else if (code[i] === '}') {
       currentDepth--;
     }
   }
-  if (maxDepth >= 6) {
-    warnings.push(`Code is deeply nested (${maxDepth} levels) - consider refactoring`);
-  }
-
-  // Check for potential unreachable code after return statements
-  const unreachablePattern = /return\s+[^;]*;\s*\n\s*[a-zA-Z]/g;
-  const unreachableMatches = (code.match(unreachablePattern) || []).length;
-  if (unreachableMatches > 0) {
-    warnings.push(`Potential unreachable code after return statement`);
+  if (maxDepth >= maxNestingDepth) {
+    warn('deep-nesting', `Code is deeply nested (${maxDepth} levels) - consider refactoring`, maxDepthOffset, maxDepthOffset + 1);
   }
 
   // Check for long functions that should be split
-  const functionMatches = code.match(/function\s*\w*\s*\([^)]*\)\s*\{/g) || [];
-  const arrowFunctionMatches = code.match(/\([^)]*\)\s*=>\s*\{/g) || [];
+  const functionMatches = findMatches(code, /function\s*\w*\s*\([^)]*\)\s*\{/g);
+  const arrowFunctionMatches = findMatches(code, /\([^)]*\)\s*=>\s*\{/g);
   const totalFunctions = functionMatches.length + arrowFunctionMatches.length;
-  if (totalFunctions > 0 && lines.length > 50) {
+  if (totalFunctions > 0 && lines.length > maxFunctionLines) {
     const avgLinesPerFunction = lines.length / totalFunctions;
-    if (avgLinesPerFunction > 50) {
-      warnings.push(`Functions may be too long (average ${Math.round(avgLinesPerFunction)} lines) - consider splitting`);
+    if (avgLinesPerFunction > maxFunctionLines) {
+      const first = [...functionMatches, ...arrowFunctionMatches].sort((a, b) => a.start - b.start)[0];
+      warn('long-function', `Functions may be too long (average ${Math.round(avgLinesPerFunction)} lines) - consider splitting`, first.start, first.end);
     }
   }
 
   // Check for functions with too many parameters (code smell)
-  const manyParamsPattern = /function\s*\w*\s*\(\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+/g;
-  const manyParamsMatches = (code.match(manyParamsPattern) || []).length;
-  if (manyParamsMatches > 0) {
-    warnings.push(`${manyParamsMatches} function${manyParamsMatches > 1 ? 's' : ''} with 5+ parameters - consider using an object`);
-  }
+  findMatches(code, /function\s*\w*\s*\(([^)]*)\)/g).forEach(({ start, end, match }) => {
+    const paramCount = match[1].split(',').filter(param => param.trim()).length;
+    if (paramCount >= maxParams) {
+      warn('too-many-params', `Function with ${paramCount} parameters (${maxParams}+) - consider using an object`, start, end);
+    }
+  });
 
   // Check for assignment in conditional (common mistake: = instead of ==)
-  const assignmentInCondition = code.match(/if\s*\(\s*\w+\s*=[^=]/g) || [];
-  if (assignmentInCondition.length > 0) {
-    warnings.push(`Possible assignment in condition (= instead of ==) - verify intentional`);
-  }
+  findMatches(code, /if\s*\(\s*\w+\s*=[^=]/g).forEach(({ start, end }) => {
+    warn('assignment-in-condition', 'Possible assignment in condition (= instead of ==) - verify intentional', start, end - 1);
+  });
 
   // Check for nested ternary operators (hurts readability)
-  const nestedTernary = code.match(/\?[^:]+\?/g) || [];
-  if (nestedTernary.length > 0) {
-    warnings.push(`${nestedTernary.length} nested ternary operator${nestedTernary.length > 1 ? 's' : ''} - consider using if/else`);
-  }
+  findMatches(code, /\?[^:]+\?/g).forEach(({ start, end }) => {
+    warn('nested-ternary', 'Nested ternary operator - consider using if/else', start, end);
+  });
 
-  // Check for hardcoded credentials (security risk)
-  const credentialPatterns = [
-    /password\s*[=:]\s*['"][^'"]+['"]/gi,
-    /apikey\s*[=:]\s*['"][^'"]+['"]/gi,
-    /api_key\s*[=:]\s*['"][^'"]+['"]/gi,
-    /secret\s*[=:]\s*['"][^'"]+['"]/gi,
-    /token\s*[=:]\s*['"][^'"]+['"]/gi,
-  ];
-  let credentialCount = 0;
-  credentialPatterns.forEach(pattern => {
-    const matches = code.match(pattern) || [];
-    credentialCount += matches.length;
+  // Check for functions with too many paths to test or too much to follow
+  analyzeFunctionMetrics(code).forEach((fn) => {
+    if (fn.cyclomatic > maxCyclomaticComplexity) {
+      warn('high-cyclomatic-complexity',
+        `${fn.name}() has cyclomatic complexity ${fn.cyclomatic} (max ${maxCyclomaticComplexity}) - split it into smaller functions`,
+        fn.start, fn.bodyStart);
+    }
+    if (fn.cognitive > maxCognitiveComplexity) {
+      warn('high-cognitive-complexity',
+        `${fn.name}() has cognitive complexity ${fn.cognitive} (max ${maxCognitiveComplexity}) - flatten nested conditions and extract helpers`,
+        fn.start, fn.bodyStart);
+    }
   });
-  if (credentialCount > 0) {
-    warnings.push(`${credentialCount} potential hardcoded credential${credentialCount > 1 ? 's' : ''} detected - security risk!`);
-  }
+
+  // Check for unused declarations, implicit globals and unreachable code (scope analysis)
+  warnings.push(...analyzeDeadCode(code));
+
+  // Check for hardcoded credentials, tokens and keys (security risk)
+  warnings.push(...analyzeSecrets(code));
 
   return warnings;
 }
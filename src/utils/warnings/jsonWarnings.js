@@ -2,9 +2,13 @@
  * @fileoverview JSON Warnings
  * @description Analyzes JSON content for common issues, structural problems,
  * and best practice violations. Provides both errors (syntax issues) and
- * warnings (quality/style issues).
+ * warnings (quality/style issues), each located as a structured diagnostic.
  */
 
+import { createLocator, createDiagnostic, findMatches, SEVERITY } from '../diagnostics.js';
+import { DEFAULT_THRESHOLDS } from '../ruleProfile.js';
+import { analyzeSecrets } from './secretWarnings.js';
+
 // =============================================================================
 // MAIN EXPORT
 // =============================================================================
@@ -14,9 +18,11 @@
  * Checks syntax, structure, and best practices.
  *
  * @param {string} code - The JSON content to analyze
- * @returns {{ warnings: string[], errors: string[] }} Object with warnings and errors arrays
+ * @param {Object} [thresholds] - Limits such as maxJsonDepth (see ruleProfile.js)
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Object with warning and error diagnostics
  */
-export function analyzeJsonWarnings(code) {
+export function analyzeJsonWarnings(code, thresholds = DEFAULT_THRESHOLDS) {
+  const { maxJsonDepth } = { ...DEFAULT_THRESHOLDS, ...thresholds };
   const warnings = [];
   const errors = [];
 
@@ -24,6 +30,14 @@ export function analyzeJsonWarnings(code) {
     return { warnings, errors };
   }
 
+  const locate = createLocator(code);
+  const warn = (ruleId, message, start, end) => {
+    warnings.push(createDiagnostic(locate, { ruleId, message, start, end }));
+  };
+  const fail = (ruleId, message, start, end) => {
+    errors.push(createDiagnostic(locate, { ruleId, message, start, end, severity: SEVERITY.ERROR }));
+  };
+
   // -------------------------------------------------------------------------
   // Syntax Validation
   // -------------------------------------------------------------------------
@@ -35,12 +49,9 @@ export function analyzeJsonWarnings(code) {
     const match = e.message.match(/position (\d+)/i);
     if (match) {
       const position = parseInt(match[1]);
-      const lines = code.substring(0, position).split('\n');
-      const line = lines.length;
-      const col = lines[lines.length - 1].length + 1;
-      errors.push(`Syntax error at line ${line}, column ${col}: ${e.message}`);
+      fail('json-syntax', `Syntax error: ${e.message}`, position, position + 1);
     } else {
-      errors.push(`JSON syntax error: ${e.message}`);
+      fail('json-syntax', `JSON syntax error: ${e.message}`, 0);
     }
     return { warnings, errors };
   }
@@ -50,11 +61,9 @@ export function analyzeJsonWarnings(code) {
   // -------------------------------------------------------------------------
 
   // Check for trailing commas (not valid in JSON)
-  const trailingCommaPattern = /,\s*[\]}]/g;
-  const trailingCommas = code.match(trailingCommaPattern);
-  if (trailingCommas) {
-    errors.push(`Found ${trailingCommas.length} trailing comma(s) - not valid in JSON`);
-  }
+  findMatches(code, /,\s*[\]}]/g).forEach(({ start }) => {
+    fail('json-trailing-comma', 'Trailing comma - not valid in JSON', start, start + 1);
+  });
 
   // Check for single quotes (JSON requires double quotes)
   let inStringContext = false;
@@ -75,74 +84,67 @@ export function analyzeJsonWarnings(code) {
     escaped = false;
   }
   if (singleQuotePositions.length > 0) {
-    errors.push('Single quotes found - JSON requires double quotes');
+    fail('json-single-quotes', 'Single quotes found - JSON requires double quotes', singleQuotePositions[0], singleQuotePositions[0] + 1);
   }
 
   // Check for comments (not valid in JSON)
-  const singleLineComments = code.match(/\/\/[^\n]*/g);
-  const multiLineComments = code.match(/\/\*[\s\S]*?\*\//g);
-  const commentCount = (singleLineComments?.length || 0) + (multiLineComments?.length || 0);
-  if (commentCount > 0) {
-    errors.push(`Found ${commentCount} comment(s) - comments are not valid in JSON`);
-  }
+  findMatches(code, /\/\/[^\n]*|\/\*[\s\S]*?\*\//g).forEach(({ start, end }) => {
+    fail('json-comment', 'Comment - comments are not valid in JSON', start, end);
+  });
 
   // -------------------------------------------------------------------------
   // Quality Warnings
   // -------------------------------------------------------------------------
 
   // Check for duplicate keys (later value overrides)
-  const duplicateKeys = findDuplicateKeys(code);
-  if (duplicateKeys.length > 0) {
-    duplicateKeys.forEach(key => {
-      warnings.push(`Duplicate key "${key}" found - later value will override`);
-    });
-  }
-
-  // Check for very deep nesting (10+ levels)
-  const maxDepth = calculateMaxDepth(code);
-  if (maxDepth > 10) {
-    warnings.push(`Deep nesting detected (${maxDepth} levels) - consider flattening structure`);
+  findDuplicateKeys(code).forEach(({ key, start, end }) => {
+    warn('json-duplicate-key', `Duplicate key "${key}" found - later value will override`, start, end);
+  });
+
+  // Check for very deep nesting (more than maxJsonDepth levels)
+  const { maxDepth, offset: maxDepthOffset } = calculateMaxDepth(code);
+  if (maxDepth > maxJsonDepth) {
+    warn('json-deep-nesting', `Deep nesting detected (${maxDepth} levels) - consider flattening structure`, maxDepthOffset, maxDepthOffset + 1);
   }
 
   // Check for very long strings (1000+ chars)
-  const longStringPattern = /"[^"]{1000,}"/g;
-  const longStrings = code.match(longStringPattern);
-  if (longStrings) {
-    warnings.push(`${longStrings.length} very long string(s) detected (1000+ chars)`);
-  }
+  findMatches(code, /"[^"]{1000,}"/g).forEach(({ start, end }) => {
+    warn('json-long-string', `Very long string detected (${end - start - 2} chars)`, start, end);
+  });
 
   // Check for many empty arrays/objects (may indicate incomplete data)
-  const emptyArrays = (code.match(/\[\s*\]/g) || []).length;
-  const emptyObjects = (code.match(/\{\s*\}/g) || []).length;
-  if (emptyArrays + emptyObjects > 5) {
-    warnings.push(`Multiple empty arrays/objects (${emptyArrays + emptyObjects}) - verify intentional`);
+  const emptyContainers = findMatches(code, /\[\s*\]|\{\s*\}/g);
+  if (emptyContainers.length > 5) {
+    warn('json-empty-containers', `Multiple empty arrays/objects (${emptyContainers.length}) - verify intentional`, emptyContainers[0].start, emptyContainers[0].end);
   }
 
   // Check for many null values (consider omitting)
-  const nullValues = (code.match(/:\s*null\b/g) || []).length;
-  if (nullValues > 10) {
-    warnings.push(`Many null values (${nullValues}) - consider omitting null fields`);
+  const nullValues = findMatches(code, /:\s*null\b/g);
+  if (nullValues.length > 10) {
+    warn('json-many-nulls', `Many null values (${nullValues.length}) - consider omitting null fields`, nullValues[0].end - 4, nullValues[0].end);
   }
 
   // Check for numeric keys (valid but often unintentional - use array instead)
-  const numericKeyPattern = /"(\d+)"\s*:/g;
-  const numericKeys = code.match(numericKeyPattern);
-  if (numericKeys && numericKeys.length > 3) {
-    warnings.push(`${numericKeys.length} numeric keys found - consider using an array instead`);
+  const numericKeys = findMatches(code, /"(\d+)"\s*:/g);
+  if (numericKeys.length > 3) {
+    warn('json-numeric-keys', `${numericKeys.length} numeric keys found - consider using an array instead`, numericKeys[0].start, numericKeys[0].end - 1);
   }
 
   // Check for large file size (performance concern)
   const lineCount = code.split('\n').length;
   if (lineCount > 1000) {
-    warnings.push(`Large JSON file (${lineCount} lines) - may impact performance`);
+    warn('json-large-file', `Large JSON file (${lineCount} lines) - may impact performance`, 0);
   }
 
   // Check for unescaped control characters
-  const unescapedPattern = /[\x00-\x1f]/;
-  if (unescapedPattern.test(code)) {
-    warnings.push('Unescaped control characters detected - may cause parsing issues');
+  const controlCharacter = /[\x00-\x08\x0b\x0c\x0e-\x1f]/.exec(code);
+  if (controlCharacter) {
+    warn('json-control-character', 'Unescaped control characters detected - may cause parsing issues', controlCharacter.index, controlCharacter.index + 1);
   }
 
+  // Check for credentials, tokens and keys in values
+  warnings.push(...analyzeSecrets(code));
+
   return { warnings, errors };
 }
 
@@ -155,7 +157,7 @@ export function analyzeJsonWarnings(code) {
  * Tracks keys at each nesting level separately.
  *
  * @param {string} code - JSON string
- * @returns {string[]} Array of duplicate key names
+ * @returns {Array<{ key: string, start: number, end: number }>} Duplicate keys with the offsets of the repeated key
  */
 function findDuplicateKeys(code) {
   const duplicates = [];
@@ -164,6 +166,7 @@ function findDuplicateKeys(code) {
   let inString = false;
   let escaped = false;
   let currentKey = '';
+  let keyStart = 0;
   let collectingKey = false;
   let afterColon = false;
 
@@ -188,6 +191,7 @@ function findDuplicateKeys(code) {
         if (!afterColon) {
           collectingKey = true;
           currentKey = '';
+          keyStart = i;
         }
       } else {
         inString = false;
@@ -196,9 +200,7 @@ function findDuplicateKeys(code) {
           // Check for duplicate at current level
           if (!levelKeys[depth]) levelKeys[depth] = new Set();
           if (levelKeys[depth].has(currentKey)) {
-            if (!duplicates.includes(currentKey)) {
-              duplicates.push(currentKey);
-            }
+            duplicates.push({ key: currentKey, start: keyStart, end: i + 1 });
           }
           levelKeys[depth].add(currentKey);
         }
@@ -234,15 +236,17 @@ function findDuplicateKeys(code) {
  * Tracks { and [ as nesting levels.
  *
  * @param {string} code - JSON string
- * @returns {number} Maximum nesting depth
+ * @returns {{ maxDepth: number, offset: number }} Maximum nesting depth and where it is first reached
  */
 function calculateMaxDepth(code) {
   let maxDepth = 0;
+  let offset = 0;
   let currentDepth = 0;
   let inString = false;
   let escaped = false;
 
-  for (const char of code) {
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
     if (escaped) {
       escaped = false;
       continue;
@@ -259,13 +263,16 @@ function calculateMaxDepth(code) {
 
     if (char === '{' || char === '[') {
       currentDepth++;
-      maxDepth = Math.max(maxDepth, currentDepth);
+      if (currentDepth > maxDepth) {
+        maxDepth = currentDepth;
+        offset = i;
+      }
     } else if (char === '}' || char === ']') {
       currentDepth--;
     }
   }
 
-  return maxDepth;
+  return { maxDepth, offset };
 }
 
 export default analyzeJsonWarnings;
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Database Performance Warnings
+ * @description AST analysis of GlideRecord usage. Each `new GlideRecord()` is
+ * followed through the calls on its variable (conditions, setLimit(), query(),
+ * next()), and every loop gets the database calls it runs per iteration,
+ * including the calls made by local helper functions and `this` methods it
+ * calls. From those the rules report writes and queries inside loops, queries
+ * without conditions, existence checks without setLimit(1), and an estimate of
+ * how many queries each loop runs in total: `while (gr.next())` with a query
+ * per record runs N(gr) of them, a loop nested inside it multiplies again.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { collectLocalFunctions } from '../fixes/astRewriter.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import { SIGNATURE_ALIASES } from '../fixes/servicenowDictionary.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Types whose methods query the database */
+export const RECORD_TYPES = ['GlideRecord', 'GlideAggregate'];
+
+/** Record methods that run a database call */
+export const DATABASE_METHODS = ['query', 'get', 'update', 'insert', 'deleteRecord', 'updateMultiple', 'deleteMultiple'];
+
+/** Methods that load a referenced record, on any receiver (GlideElement, g_form) */
+export const REFERENCE_METHODS = ['getReference', 'getRefRecord'];
+
+/** Record methods that narrow a query */
+const CONDITION_METHODS = [
+  'addQuery', 'addEncodedQuery', 'addNullQuery', 'addNotNullQuery',
+  'addActiveQuery', 'addInactiveQuery', 'addJoinQuery', 'get',
+];
+
+/** Array methods that call their callback once per element */
+const ITERATION_METHODS = ['forEach', 'map', 'filter', 'some', 'every', 'reduce', 'find'];
+
+const LOOP_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'];
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/** Symbol of loops that do not iterate records */
+const ITERATIONS = 'n';
+
+// =============================================================================
+// QUERY COUNTS
+// =============================================================================
+
+/*
+ * A query count is a polynomial over the loop sizes: Map of term → coefficient,
+ * where a term is the sorted loop symbols joined by ' × ' ('' is the constant).
+ * `1 + N(task)` per record of gr becomes `N(gr) + N(gr) × N(task)` in total.
+ */
+
+const ONE = new Map([['', 1]]);
+
+/**
+ * Adds query count b to a in place.
+ */
+function addCount(a, b) {
+  b.forEach((coefficient, term) => a.set(term, (a.get(term) || 0) + coefficient));
+  return a;
+}
+
+/**
+ * Multiplies a query count by a loop symbol.
+ */
+function timesLoop(count, symbol) {
+  const result = new Map();
+  count.forEach((coefficient, term) => {
+    const symbols = [...term.split(' × ').filter(Boolean), symbol].sort();
+    addCount(result, new Map([[symbols.join(' × '), coefficient]]));
+  });
+  return result;
+}
+
+/**
+ * Formats a query count: `2 × N(gr) + N(gr) × N(task)`.
+ */
+function formatCount(count) {
+  return [...count.entries()]
+    .sort(([a], [b]) => a.split(' × ').filter(Boolean).length - b.split(' × ').filter(Boolean).length || a.localeCompare(b))
+    .map(([term, coefficient]) => (!term ? `${coefficient}` : coefficient === 1 ? term : `${coefficient} × ${term}`))
+    .join(' + ');
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Gets the name of a called method (`x.name()`), or null.
+ */
+function methodName(call) {
+  const { callee } = call;
+  if (callee.type !== 'MemberExpression') return null;
+  if (!callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+  return callee.property.type === 'Literal' ? String(callee.property.value) : null;
+}
+
+/**
+ * Checks whether a function is run where it is written: an IIFE such as
+ * `(function executeRule(current, previous) {...})(current, previous)` or a
+ * callback argument.
+ */
+function isRunInline(fn, parent) {
+  return (parent?.type === 'CallExpression' || parent?.type === 'NewExpression') &&
+    (parent.callee === fn || parent.arguments.includes(fn));
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes the database calls of a script.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {Diagnostic[]} Performance warnings
+ */
+export function analyzeDatabasePerformance(code) {
+  const warnings = [];
+  const { ast } = parseCode(code);
+  if (!ast) return warnings;
+
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const { functions, methods } = collectLocalFunctions(ast);
+  const warn = (ruleId, message, start, end, severity = SEVERITY.WARNING) => {
+    warnings.push(createDiagnostic(locate, { ruleId, message, start, end, severity }));
+  };
+
+  const isRecord = (node) => {
+    const type = types.typeOf(node);
+    return RECORD_TYPES.includes(SIGNATURE_ALIASES[type] || type);
+  };
+  const recordName = node => code.slice(node.start, node.end);
+
+  /** The database call a call expression makes: { method, record } or null */
+  const databaseCall = (call) => {
+    const method = methodName(call);
+    if (REFERENCE_METHODS.includes(method)) return { method, record: recordName(call.callee.object) };
+    if (DATABASE_METHODS.includes(method) && isRecord(call.callee.object)) return { method, record: recordName(call.callee.object) };
+    return null;
+  };
+
+  /** The local function a call runs, or null */
+  const calledFunction = (call) => {
+    const { callee } = call;
+    if (callee.type === 'Identifier') return functions.get(callee.name) || null;
+    if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') return methods.get(methodName(call)) || null;
+    return null;
+  };
+
+  /** The record a loop iterates: `while (gr.next())` → gr */
+  const iteratedRecord = (loop) => {
+    if (loop.type !== 'WhileStatement' && loop.type !== 'DoWhileStatement') return null;
+    let record = null;
+    walkAst(loop.test, (node) => {
+      if (!record && node.type === 'CallExpression' && methodName(node) === 'next' && isRecord(node.callee.object)) {
+        record = recordName(node.callee.object);
+      }
+    });
+    return record;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Database calls per loop
+  // ---------------------------------------------------------------------------
+
+  /*
+   * A scan yields { count, calls }: the query count of a piece of code and the
+   * database calls it makes, each { node, method, record, site, helper } where
+   * site is the node to report in the scanned code (the call, or the helper
+   * call that leads to it).
+   */
+  const loops = new Map();
+  const functionScans = new Map();
+
+  const scanFunction = (fn) => {
+    if (functionScans.has(fn)) return functionScans.get(fn);
+    functionScans.set(fn, { count: new Map(), calls: [] });   // recursion counts once
+    const scan = scanCode(fn.body);
+    functionScans.set(fn, scan);
+    return scan;
+  };
+
+  const scanLoop = (loop, body, symbol, record) => {
+    if (!loops.has(loop)) {
+      const scan = scanCode(body);
+      loops.set(loop, { node: loop, record, perIteration: scan.count, total: timesLoop(scan.count, symbol), calls: scan.calls });
+    }
+    return loops.get(loop);
+  };
+
+  function scanCode(root) {
+    const count = new Map();
+    const calls = [];
+    const include = (scan, site, helper) => {
+      addCount(count, scan.count);
+      calls.push(...scan.calls.map(call => (site ? { ...call, site, helper: call.helper || helper } : call)));
+    };
+
+    walkAst(root, (node, parent) => {
+      if (node === root) return;
+
+      // Defined here, run where it is called
+      if (FUNCTION_TYPES.includes(node.type) && !isRunInline(node, parent)) return false;
+
+      if (LOOP_TYPES.includes(node.type)) {
+        const record = iteratedRecord(node);
+        const loop = scanLoop(node, node.body, record ? `N(${record})` : ITERATIONS, record);
+        addCount(count, loop.total);
+        calls.push(...loop.calls);
+        ['init', 'test', 'update', 'right'].forEach(key => node[key] && include(scanCode(node[key])));
+        return false;
+      }
+
+      if (node.type !== 'CallExpression') return;
+
+      // items.forEach(function (item) {...}) runs the callback per element
+      const callback = node.arguments[0];
+      if (ITERATION_METHODS.includes(methodName(node)) && FUNCTION_TYPES.includes(callback?.type)) {
+        const loop = scanLoop(node, callback.body, ITERATIONS, null);
+        addCount(count, loop.total);
+        calls.push(...loop.calls);
+        include(scanCode(node.callee.object));
+        node.arguments.slice(1).forEach(argument => include(scanCode(argument)));
+        return false;
+      }
+
+      const database = databaseCall(node);
+      if (database) {
+        addCount(count, ONE);
+        calls.push({ node, ...database, site: node, helper: null });
+      }
+
+      const fn = calledFunction(node);
+      if (fn) include(scanFunction(fn), node, code.slice(node.callee.start, node.callee.end));
+    });
+
+    return { count, calls };
+  }
+
+  scanCode(ast);
+  walkAst(ast, (node) => {
+    if (FUNCTION_TYPES.includes(node.type)) scanFunction(node);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Database calls inside loops
+  // ---------------------------------------------------------------------------
+
+  // Innermost loops first, so each call is reported for the loop it is in
+  const loopList = [...loops.values()].sort((a, b) => (a.node.end - a.node.start) - (b.node.end - b.node.start));
+  const reported = new Set();
+
+  loopList.forEach((loop) => {
+    const where = loop.record ? `while (${loop.record}.next())` : 'a loop';
+    loop.calls.forEach(({ node, method, record, site, helper }) => {
+      const key = `${node.start}:${site.start}`;
+      if (reported.has(key) || site.start < loop.node.start || site.end > loop.node.end) return;
+      reported.add(key);
+
+      const via = helper ? ` (via ${helper}())` : '';
+      if (method === 'update') {
+        warn('update-in-loop', record === loop.record
+          ? `${record}.update() inside ${where}${via} - each record is saved with a separate DB call, consider updateMultiple()`
+          : `${record}.update() inside ${where}${via} - each update is a separate DB call, consider batch operations`,
+        site.start, site.end);
+      } else if (method === 'deleteRecord') {
+        warn('delete-in-loop', `${record}.deleteRecord() inside ${where}${via} - consider deleteMultiple() for better performance`,
+          site.start, site.end);
+      } else if (REFERENCE_METHODS.includes(method)) {
+        warn('getreference-in-loop', `${method}() inside ${where}${via} - causes N+1 queries, consider dot-walking or caching`,
+          site.start, site.end);
+      } else if (method === 'query' || method === 'get') {
+        warn('query-in-loop', `${record}.${method}() inside ${where}${via} - runs a query per iteration (N+1), consider one query with an IN condition`,
+          site.start, site.end);
+      }
+    });
+  });
+
+  // Query count estimate of each outermost loop that queries
+  walkAst(ast, (node, parent, ancestors) => {
+    const loop = loops.get(node);
+    if (!loop) return;
+    if (ancestors.some(ancestor => loops.has(ancestor))) return false;
+    if (loop.perIteration.size > 0) {
+      const perIteration = formatCount(loop.perIteration);
+      const unit = loop.record ? `record of ${loop.record}` : 'iteration';
+      const head = node.type === 'CallExpression' ? node.callee.property : { start: node.start, end: (node.test || node.body).start };
+      warn('loop-query-count',
+        `${loop.record ? `while (${loop.record}.next())` : 'Loop'} runs ${perIteration} ${perIteration === '1' ? 'query' : 'queries'} per ${unit} - about ${formatCount(loop.total)} in total`,
+        head.start, head.end, SEVERITY.INFO);
+    }
+    return false;
+  });
+
+  // ---------------------------------------------------------------------------
+  // GlideRecord instances
+  // ---------------------------------------------------------------------------
+
+  /*
+   * The calls on each record variable in source order, split into instances
+   * at every `new GlideRecord()`. Passing the variable on (applyFilter(gr))
+   * may add conditions or a limit, so it counts as both.
+   */
+  const instances = [];
+  const latest = new Map();
+  walkAst(ast, (node, parent, ancestors) => {
+    const [target, value] = node.type === 'VariableDeclarator' ? [node.id, node.init]
+      : node.type === 'AssignmentExpression' ? [node.left, node.right] : [];
+    if (target?.type === 'Identifier' && value?.type === 'NewExpression' && isRecord(value)) {
+      const type = types.typeOf(value);
+      const instance = { name: target.name, type: SIGNATURE_ALIASES[type] || type, events: [] };
+      instances.push(instance);
+      latest.set(instance.name, instance);
+      return;
+    }
+    if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return;
+
+    const { callee } = node;
+    if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && latest.has(callee.object.name)) {
+      latest.get(callee.object.name).events.push({ method: methodName(node), node, parent, grandparent: ancestors[ancestors.length - 2] });
+    }
+    node.arguments
+      .filter(argument => argument.type === 'Identifier' && latest.has(argument.name))
+      .forEach(argument => latest.get(argument.name).events.push({ method: null, node }));
+  });
+
+  const isPassedOn = event => event.method === null;
+  const isLimit = event => event.method === 'setLimit' || isPassedOn(event);
+
+  instances.filter(instance => instance.type === 'GlideRecord').forEach(({ name, events }) => {
+    const limited = events.some(isLimit);
+    const iterated = events.some(({ method, parent }) => method === 'next' && parent?.type === 'WhileStatement');
+
+    events.forEach(({ method, node, parent, grandparent }, index) => {
+      const before = events.slice(0, index);
+
+      // query() with nothing to narrow it reads the whole table
+      if (method === 'query' && !before.some(event => CONDITION_METHODS.includes(event.method) || isLimit(event))) {
+        warn('query-without-conditions', `${name}.query() without any conditions - this will scan the entire table`, node.start, node.end);
+      }
+
+      // if (gr.next()) / if (!gr.next()) only needs one record
+      const test = parent?.type === 'UnaryExpression' && parent.operator === '!' ? grandparent : parent;
+      if (method === 'next' && test?.type === 'IfStatement' && !limited && !iterated) {
+        const close = code.indexOf(')', test.test.end);
+        warn('missing-setlimit', `${name}.next() in if-statement without setLimit(1) - add setLimit(1) for existence checks`,
+          test.start, close === -1 ? test.test.end : close + 1);
+      }
+
+      // getRowCount() still fetches every row
+      if (method === 'getRowCount' && !limited) {
+        warn('getrowcount-without-limit', `${name}.getRowCount() without setLimit() - fetches every matching row, consider GlideAggregate COUNT`,
+          node.callee.property.start, node.end);
+      }
+    });
+  });
+
+  return warnings;
+}
+
+export default {
+  analyzeDatabasePerformance
+};
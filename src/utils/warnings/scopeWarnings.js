@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Scoped Application Warnings
+ * @description Checks code written for a scoped application (x_acme_app) against
+ * the scope rules of the platform: global-only APIs that throw in scoped code
+ * (gs.log(), GlideEvaluator), setWorkflow() on tables owned by another scope,
+ * and Script Includes called without the scope prefix they need from inside
+ * an application (`new global.X()`). Global code is not checked.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import { isIdentifierReference } from '../fixes/astRewriter.js';
+import {
+  CLASS_METADATA,
+  METHOD_METADATA,
+  SIGNATURE_ALIASES,
+  CLASS_NAMES,
+  CUSTOM_CLASS_NAMES,
+  getApiLifecycle,
+} from '../fixes/servicenowDictionary.js';
+import { findBestMatch } from '../fixes/fuzzyMatcher.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Scope of the platform's shared Script Includes */
+const GLOBAL_SCOPE = 'global';
+
+/** JavaScript constructors, which need no scope prefix */
+const JS_BUILTINS = [
+  'Array', 'Boolean', 'Date', 'Error', 'EvalError', 'Function', 'JSON', 'Math', 'Number',
+  'Object', 'RangeError', 'ReferenceError', 'RegExp', 'String', 'SyntaxError', 'TypeError',
+  'Map', 'Set', 'WeakMap', 'Promise', 'Symbol',
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Gets the table of `new GlideRecord('table')` for each variable holding one.
+ *
+ * @returns {Map<string, string>} Variable name → table name
+ */
+function findRecordTables(ast) {
+  const tables = new Map();
+  const record = (name, init) => {
+    const [table] = init.arguments;
+    if (init.callee.name === 'GlideRecord' && table?.type === 'Literal' && typeof table.value === 'string') {
+      tables.set(name, table.value);
+    }
+  };
+  walkAst(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init?.type === 'NewExpression') {
+      record(node.id.name, node.init);
+    } else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && node.right.type === 'NewExpression') {
+      record(node.left.name, node.right);
+    }
+  });
+  return tables;
+}
+
+/**
+ * Checks whether `new X()` names a Script Include from outside the file:
+ * a registered custom API, or an unknown class that is not a near miss of a
+ * platform class (those are typos, reported elsewhere).
+ */
+function isExternalScriptInclude(name) {
+  if (CUSTOM_CLASS_NAMES.includes(name)) return true;
+  if (CLASS_NAMES.includes(name) || CLASS_METADATA[name] || JS_BUILTINS.includes(name)) return false;
+  return /^[A-Z]/.test(name) && !findBestMatch(name, CLASS_NAMES).match;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes code for a scoped application.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options]
+ * @param {string|null} [options.scope] - Application scope (e.g. 'x_acme_app'); null for global code
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Scope diagnostics
+ */
+export function analyzeScopedCompliance(code, { scope = null } = {}) {
+  const warnings = [];
+  const errors = [];
+  if (!scope) return { warnings, errors };
+
+  const { ast } = parseCode(code);
+  if (!ast) return { warnings, errors };
+
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const tables = findRecordTables(ast);
+  const report = (list, ruleId, message, node, severity, suggestion = null) => {
+    list.push(createDiagnostic(locate, { ruleId, message, start: node.start, end: node.end, severity, suggestion }));
+  };
+  const globalOnly = (label, lifecycle, node) => {
+    const instead = lifecycle.replacement ? ` - use ${lifecycle.replacement} instead` : '';
+    report(errors, 'scoped-global-only-api', `${label} is not available in scope ${scope}${instead}`,
+      node, SEVERITY.ERROR, lifecycle.rename);
+  };
+
+  walkAst(ast, (node, parent) => {
+    // Global-only classes: new GlideEvaluator(), Packages.java...
+    if (node.type === 'Identifier' && CLASS_METADATA[node.name] && isIdentifierReference(node, parent) && types.isGlobal(node)) {
+      const lifecycle = getApiLifecycle(node.name);
+      if (!lifecycle.scoped) globalOnly(node.name, lifecycle, node);
+      return;
+    }
+
+    // Script Includes of other scopes: new MyUtils() → new global.MyUtils()
+    if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && types.isGlobal(node.callee) &&
+        isExternalScriptInclude(node.callee.name)) {
+      const name = node.callee.name;
+      report(warnings, 'scoped-missing-scope-prefix',
+        `${name} is resolved in scope ${scope} only - call new ${GLOBAL_SCOPE}.${name}() for a global Script Include`,
+        node.callee, SEVERITY.WARNING, `${GLOBAL_SCOPE}.${name}`);
+      return;
+    }
+
+    if (node.type !== 'CallExpression') return;
+    const { callee } = node;
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') return;
+    const context = types.typeOf(callee.object);
+    const method = callee.property.name;
+    if (!context || !METHOD_METADATA[SIGNATURE_ALIASES[context] || context]?.[method]) return;
+    const lifecycle = getApiLifecycle(context, method);
+
+    // Global-only methods: gs.log() → gs.info()
+    if (!lifecycle.scoped) {
+      globalOnly(`${context}.${method}()`, lifecycle, callee.property);
+      return;
+    }
+
+    // setWorkflow() is ignored on tables of other scopes: gr = new GlideRecord('incident')
+    const table = callee.object.type === 'Identifier' ? tables.get(callee.object.name) : null;
+    if (!lifecycle.crossScope && table && !table.startsWith(`${scope}_`)) {
+      report(warnings, 'scoped-cross-scope-setworkflow',
+        `${context}.${method}() is ignored on ${table}, a table outside scope ${scope} - business rules and workflows still run`,
+        callee.property, SEVERITY.WARNING);
+    }
+  });
+
+  return { warnings, errors };
+}
+
+export default {
+  analyzeScopedCompliance
+};
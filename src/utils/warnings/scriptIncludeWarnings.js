@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Script Include Warnings
+ * @description Validates the structure of Script Includes:
+ *
+ *   var X = Class.create();
+ *   X.prototype = { initialize: function () {}, ..., type: 'X' };
+ *
+ * or `Object.extendsObject(AbstractAjaxProcessor, {...})` for client-callable
+ * ones. Also checks GlideAjax calls against the Script Includes it knows: those
+ * defined in the same code and those registered as custom APIs, so a client
+ * script is checked against its paired include once that is registered.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic } from '../diagnostics.js';
+import { CUSTOM_CLASS_NAMES, CONTEXT_METHOD_MAP } from '../fixes/servicenowDictionary.js';
+import { findBestMatch } from '../fixes/fuzzyMatcher.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Base class of client-callable Script Includes */
+const AJAX_PROCESSOR = 'AbstractAjaxProcessor';
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+// =============================================================================
+// SCRIPT INCLUDE DISCOVERY
+// =============================================================================
+
+/**
+ * A Script Include found in the code.
+ * @typedef {Object} ScriptIncludeInfo
+ * @property {string} name - Class name
+ * @property {Object} target - `X.prototype` node (where structural findings go)
+ * @property {Object} prototype - Prototype object literal
+ * @property {string|null} base - Class passed to Object.extendsObject(), if any
+ */
+
+/**
+ * Gets the name of a property key (`name:` or `'name':`).
+ */
+function keyName(property) {
+  return property.key.name ?? property.key.value;
+}
+
+/**
+ * Finds the Script Includes of the code: `X.prototype = {...}` or
+ * `X.prototype = Object.extendsObject(Base, {...})` where X comes from
+ * Class.create() or extends another class.
+ *
+ * @param {Object} ast - Program node
+ * @returns {ScriptIncludeInfo[]}
+ */
+export function findScriptIncludes(ast) {
+  const created = new Set();
+  const assignments = [];
+
+  walkAst(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init?.type === 'CallExpression') {
+      const { callee } = node.init;
+      if (callee.type === 'MemberExpression' && callee.object.name === 'Class' && callee.property.name === 'create') {
+        created.add(node.id.name);
+      }
+      return;
+    }
+    if (node.type !== 'AssignmentExpression' || node.left.type !== 'MemberExpression') return;
+    const { left, right } = node;
+    if (left.object.type !== 'Identifier' || left.computed || left.property.name !== 'prototype') return;
+
+    if (right.type === 'ObjectExpression') {
+      assignments.push({ name: left.object.name, target: left, prototype: right, base: null });
+    } else if (right.type === 'CallExpression' && right.callee.type === 'MemberExpression' &&
+      right.callee.property.name === 'extendsObject' && right.arguments[1]?.type === 'ObjectExpression') {
+      const [base, prototype] = right.arguments;
+      assignments.push({ name: left.object.name, target: left, prototype, base: base.type === 'Identifier' ? base.name : null });
+    }
+  });
+
+  return assignments.filter(include => created.has(include.name) || include.base);
+}
+
+/**
+ * Gets the function-valued members of a prototype: name → function node.
+ */
+export function prototypeMethods(prototype) {
+  const methods = new Map();
+  prototype.properties.forEach((property) => {
+    if (property.type === 'Property' && FUNCTION_TYPES.includes(property.value?.type)) {
+      methods.set(keyName(property), property.value);
+    }
+  });
+  return methods;
+}
+
+/**
+ * Finds `this.<method>(...)` calls under a node.
+ *
+ * @returns {Object[]} Call expression nodes
+ */
+function thisCalls(node, method) {
+  const calls = [];
+  walkAst(node, (child) => {
+    if (child.type === 'CallExpression' && child.callee.type === 'MemberExpression' &&
+      child.callee.object.type === 'ThisExpression' && child.callee.property.name === method) {
+      calls.push(child);
+    }
+  });
+  return calls;
+}
+
+// =============================================================================
+// STRUCTURE CHECKS
+// =============================================================================
+
+/**
+ * Checks one Script Include.
+ *
+ * @param {ScriptIncludeInfo} include
+ * @param {function(string, string, Object)} warn - Reports (ruleId, message, node)
+ */
+function checkScriptInclude(include, warn) {
+  const { name, target, prototype, base } = include;
+  const methods = prototypeMethods(prototype);
+
+  // type: 'X' must name the class (it is used in logs and by Script Include lookups)
+  const typeProperty = prototype.properties.find(property => property.type === 'Property' && keyName(property) === 'type');
+  if (!typeProperty) {
+    warn('script-include-type-mismatch', `${name}.prototype has no type property - add type: '${name}'`, target);
+  } else if (typeProperty.value.type === 'Literal' && typeProperty.value.value !== name) {
+    warn('script-include-type-mismatch', `type '${typeProperty.value.value}' does not match the class name ${name}`, typeProperty.value);
+  }
+
+  // Class.create() calls initialize() on every new X(); extended classes inherit it
+  if (!base && !methods.has('initialize')) {
+    warn('script-include-missing-initialize', `${name}.prototype has no initialize() - Class.create() calls it on new ${name}()`, target);
+  }
+
+  // Client-callable: reads its parameters with this.getParameter()
+  const readsParameters = [...methods.values()].some(fn => thisCalls(fn, 'getParameter').length > 0);
+  if (readsParameters && base !== AJAX_PROCESSOR) {
+    warn('ajax-processor-not-extending', `${name} reads this.getParameter() but does not extend ${AJAX_PROCESSOR} - use Object.extendsObject(${AJAX_PROCESSOR}, {...})`, target);
+  }
+  if (base !== AJAX_PROCESSOR) return;
+
+  // GlideAjax calls processor methods without arguments; helpers called internally may take some
+  methods.forEach((fn, method) => {
+    if (method === 'initialize' || method.startsWith('_') || fn.params.length === 0) return;
+    if (thisCalls(prototype, method).length > 0) return;
+    const param = fn.params[0].name || 'value';
+    warn('ajax-processor-parameters', `${method}() gets no arguments from GlideAjax - read ${param} with this.getParameter('sysparm_${param}')`, fn.params[0]);
+  });
+
+  // request.getParameter() / this.request.getParameter() instead of this.getParameter()
+  walkAst(prototype, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+    const { object, property } = node.callee;
+    if (property.name === 'getParameter' && object.type !== 'ThisExpression') {
+      warn('ajax-processor-parameters', `Read GlideAjax parameters with this.getParameter() in ${AJAX_PROCESSOR} subclasses`, node.callee);
+    }
+  });
+}
+
+// =============================================================================
+// GLIDEAJAX CHECKS
+// =============================================================================
+
+/**
+ * Checks `ga.addParam('sysparm_name', 'method')` against the methods of the
+ * Script Include named in `new GlideAjax('X')`.
+ *
+ * @param {Object} ast - Program node
+ * @param {Map<string, string[]>} includes - Known Script Includes: name → methods
+ * @param {function(string, string, Object, string=)} warn - Reports (ruleId, message, node, suggestion)
+ */
+function checkGlideAjaxCalls(ast, includes, warn) {
+  const processors = new Map(); // GlideAjax variable → Script Include name
+
+  walkAst(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+      node.init?.type === 'NewExpression' && node.init.callee.name === 'GlideAjax') {
+      const [processor] = node.init.arguments;
+      if (processor?.type === 'Literal' && typeof processor.value === 'string') {
+        processors.set(node.id.name, processor.value);
+      }
+      return;
+    }
+
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+    const { object, property } = node.callee;
+    const [param, value] = node.arguments;
+    if (property.name !== 'addParam' || object.type !== 'Identifier' || param?.value !== 'sysparm_name') return;
+    if (value?.type !== 'Literal' || typeof value.value !== 'string') return;
+
+    const processor = processors.get(object.name);
+    const methods = includes.get(processor);
+    if (!methods || methods.includes(value.value)) return;
+
+    const { match } = findBestMatch(value.value, methods);
+    const known = methods.length > 0 ? ` (known: ${methods.join(', ')})` : '';
+    warn('glideajax-unknown-method', `${processor} has no method ${value.value}${known}`, value, match);
+  });
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes Script Include structure and the GlideAjax calls into Script Includes.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {import('../diagnostics.js').Diagnostic[]} Script Include diagnostics
+ */
+export function analyzeScriptIncludes(code) {
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const diagnostics = [];
+  const locate = createLocator(code);
+  const warn = (ruleId, message, node, suggestion = null) => {
+    // String literals are reported without their quotes so a suggestion can replace the name
+    const [start, end] = node.type === 'Literal' ? [node.start + 1, node.end - 1] : [node.start, node.end];
+    diagnostics.push(createDiagnostic(locate, { ruleId, message, start, end, suggestion }));
+  };
+
+  const found = findScriptIncludes(ast);
+  found.forEach(include => checkScriptInclude(include, warn));
+
+  // Registered custom APIs, then the includes of this code
+  const includes = new Map(CUSTOM_CLASS_NAMES.map(name => [name, CONTEXT_METHOD_MAP[name] || []]));
+  found.forEach((include) => {
+    const methods = [...prototypeMethods(include.prototype).keys()].filter(method => method !== 'initialize');
+    includes.set(include.name, methods);
+  });
+  checkGlideAjaxCalls(ast, includes, warn);
+
+  return diagnostics;
+}
+
+export default {
+  findScriptIncludes,
+  prototypeMethods,
+  analyzeScriptIncludes
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Script Type Warnings
+ * @description Flags APIs used on the wrong side for the script type: server
+ * APIs (gs, current, new GlideDateTime()) in Client Scripts, and client APIs
+ * (g_form, g_user, new GlideAjax()) in server scripts. Only platform globals
+ * are checked, so a local variable that happens to be called `gs` is ignored.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic } from '../diagnostics.js';
+import { createTypeInference } from '../fixes/typeInference.js';
+import {
+  AVAILABILITY,
+  CONTEXT_METHOD_MAP,
+  getContextAvailability,
+} from '../fixes/servicenowDictionary.js';
+
+/** Server-side classes that also exist (legacy) in the browser; see 'client-side-gliderecord' */
+const CLIENT_LEGACY_CLASSES = ['GlideRecord'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Checks whether an identifier is used as an API: `new X()` or `x.member`.
+ */
+function isApiUse(node, parent) {
+  if (parent?.type === 'NewExpression') return parent.callee === node;
+  if (parent?.type === 'MemberExpression') return parent.object === node;
+  return false;
+}
+
+/**
+ * Checks whether an API is usable in a script that runs on the given side.
+ */
+function isAvailableOn(name, side) {
+  const availability = getContextAvailability(name);
+  if (availability === AVAILABILITY.BOTH || availability === side) return true;
+  return side === AVAILABILITY.CLIENT && CLIENT_LEGACY_CLASSES.includes(name);
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes API usage against the side a script runs on.
+ *
+ * @param {string} code - The code to analyze
+ * @param {import('../scriptTypes.js').ScriptType|null} scriptType - Resolved script type
+ * @returns {import('../diagnostics.js').Diagnostic[]} 'server-api-in-client' and 'client-api-in-server' diagnostics
+ */
+export function analyzeScriptTypeApis(code, scriptType) {
+  if (!scriptType || scriptType.availability === AVAILABILITY.BOTH) return [];
+  const { ast } = parseCode(code);
+  if (!ast) return [];
+
+  const diagnostics = [];
+  const locate = createLocator(code);
+  const types = createTypeInference(ast, code);
+  const side = scriptType.availability;
+  const ruleId = side === AVAILABILITY.CLIENT ? 'server-api-in-client' : 'client-api-in-server';
+  const apiSide = side === AVAILABILITY.CLIENT ? 'server-side' : 'client-side';
+
+  walkAst(ast, (node, parent) => {
+    if (node.type !== 'Identifier' || !CONTEXT_METHOD_MAP[node.name] || !isApiUse(node, parent)) return;
+    if (isAvailableOn(node.name, side) || !types.isGlobal(node)) return;
+
+    const label = parent.type === 'NewExpression' ? `new ${node.name}()` : node.name;
+    diagnostics.push(createDiagnostic(locate, {
+      ruleId,
+      message: `${label} is a ${apiSide} API and is not available in a ${scriptType.label}`,
+      start: node.start,
+      end: node.end
+    }));
+  });
+
+  return diagnostics;
+}
+
+export default {
+  analyzeScriptTypeApis
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Secret Warnings
+ * @description Reports the credentials found by the secret scanner. Messages
+ * never repeat the secret, so SARIF/JUnit reports and shared screenshots do
+ * not leak it; the Redact action replaces the values themselves.
+ */
+
+import { createLocator, createDiagnostic } from '../diagnostics.js';
+import { scanSecrets } from '../secretScanner.js';
+
+/**
+ * Analyzes code or JSON for secrets.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {import('../diagnostics.js').Diagnostic[]} Array of warning diagnostics
+ */
+export function analyzeSecrets(code) {
+  const locate = createLocator(code);
+
+  return scanSecrets(code).map(({ ruleId, label, name, entropy, start, end }) => {
+    const message = ruleId === 'hardcoded-credential'
+      ? `Potential hardcoded credential in ${name} - security risk!`
+      : ruleId === 'secret-high-entropy'
+        ? `${label} (${entropy.toFixed(1)} bits/char) looks like a key or token - verify it is not a secret`
+        : `${label} in code - move it to a credential record or system property and redact before sharing`;
+    return createDiagnostic(locate, { ruleId, message, start, end });
+  });
+}
+
+export default {
+  analyzeSecrets
+};
@@ -3,8 +3,21 @@
  * @description Analyzes code for ServiceNow anti-patterns, performance issues,
  * and best practice violations. Covers GlideRecord usage, Business Rules,
  * client scripts, and security concerns.
+ * Every finding is returned as a structured diagnostic with its location.
  */
 
+import { createLocator, createDiagnostic, findMatches, findFirstMatch } from '../diagnostics.js';
+import { analyzeDatabasePerformance } from './performanceWarnings.js';
+import { analyzeBusinessRuleLifecycle } from './businessRuleWarnings.js';
+import { analyzeTaint } from './taintWarnings.js';
+import { analyzeApiLifecycle } from './apiWarnings.js';
+import { analyzeScriptTypeApis } from './scriptTypeWarnings.js';
+import { analyzeClientScript } from './clientScriptWarnings.js';
+import { analyzeScriptIncludes } from './scriptIncludeWarnings.js';
+import { analyzeScopedCompliance } from './scopeWarnings.js';
+import { analyzeEncodedQueries } from './encodedQueryWarnings.js';
+import { resolveScriptType, resolveBusinessRule, isRuleApplicable } from '../scriptTypes.js';
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -34,6 +47,16 @@ function extractGlideRecordVars(code) {
   return vars;
 }
 
+/**
+ * Escapes a variable name for use inside a RegExp.
+ *
+ * @param {string} name - Variable name
+ * @returns {string} Escaped name
+ */
+function escapeRegex(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // =============================================================================
 // MAIN ANALYSIS FUNCTION
 // =============================================================================
@@ -41,101 +64,68 @@ function extractGlideRecordVars(code) {
 /**
  * Analyzes code for ServiceNow-specific warnings and errors.
  * Checks for performance issues, security risks, and best practice violations.
+ * Rules that do not apply to the script type (e.g. g_form checks in a Business
+ * Rule) are skipped; with an unknown script type every rule runs.
  *
  * @param {string} code - The code to analyze
- * @returns {string[] | { warnings: string[], errors: string[] }} Warnings array or object with both
+ * @param {Object} [options]
+ * @param {string} [options.release] - Target instance release for API lifecycle checks
+ * @param {string} [options.scriptType] - Script type id, or 'auto' (default) to detect it
+ * @param {string|null} [options.scope] - Application scope for the scoped application checks
+ * @param {import('../scriptTypes.js').BusinessRuleContext} [options.businessRule] - When the Business Rule
+ *   runs and on which operations, for the lifecycle checks
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Warning and error diagnostics
  */
-export function analyzeServiceNowWarnings(code) {
+export function analyzeServiceNowWarnings(code, options = {}) {
   const warnings = [];
   const errors = [];
   const grVars = extractGlideRecordVars(code);
+  const scriptType = resolveScriptType(options.scriptType, code);
+  const locate = createLocator(code);
+  const warn = (ruleId, message, start, end) => {
+    warnings.push(createDiagnostic(locate, { ruleId, message, start, end }));
+  };
+  const warnAt = (ruleId, message, located) => {
+    if (located) warn(ruleId, message, located.start, located.end);
+  };
 
   // -------------------------------------------------------------------------
   // Database & Performance Warnings
   // -------------------------------------------------------------------------
 
-  // Check for update() inside while loop (expensive row-by-row updates)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const updateInLoopPattern = new RegExp(
-      `while\\s*\\([^)]*${escapedVar}\\.next\\s*\\(\\s*\\)\\s*\\)[\\s\\S]*?${escapedVar}\\.update\\s*\\(`,
-      'g'
-    );
-    if (updateInLoopPattern.test(code)) {
-      warnings.push(`${varName}.update() inside while loop - each update is a separate DB call, consider batch operations`);
-    }
-  }
-
-  // Check for getRowCount() without setLimit() (performance issue)
-  if (/\.getRowCount\s*\(\s*\)/.test(code) && !/\.setLimit\s*\(/.test(code)) {
-    warnings.push('getRowCount() without setLimit() - may cause performance issues on large tables');
-  }
-
-  // Check for deleteRecord() in while loop (use deleteMultiple instead)
-  if (/while\s*\([^)]*\.next\s*\(\s*\)\s*\)[\s\S]*?\.deleteRecord\s*\(\s*\)/g.test(code)) {
-    warnings.push('deleteRecord() in loop - consider deleteMultiple() for better performance');
-  }
-
-  // Check for getReference() inside loop (N+1 query problem)
-  if (/while\s*\([^)]*\.next\s*\(\s*\)\s*\)[\s\S]*?\.getReference\s*\(/g.test(code) ||
-      /for\s*\([^)]*\)[\s\S]*?\.getReference\s*\(/g.test(code)) {
-    warnings.push('getReference() inside loop - causes N+1 queries, consider GlideRecord join or caching');
-  }
-
-  // Check for missing setLimit(1) on existence checks
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasIfNext = new RegExp(`if\\s*\\(\\s*${escapedVar}\\.next\\s*\\(\\s*\\)\\s*\\)`).test(code);
-    const hasWhileNext = new RegExp(`while\\s*\\([^)]*${escapedVar}\\.next`).test(code);
-    const hasSetLimit = new RegExp(`${escapedVar}\\.setLimit\\s*\\(`).test(code);
-
-    if (hasIfNext && !hasWhileNext && !hasSetLimit) {
-      warnings.push(`${varName}.next() in if-statement without setLimit(1) - add setLimit(1) for existence checks`);
-      break;
-    }
-  }
-
-  // Check for query() without any conditions (full table scan)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasQuery = new RegExp(`${escapedVar}\\.query\\s*\\(`).test(code);
-    const hasAddQuery = new RegExp(`${escapedVar}\\.(addQuery|addEncodedQuery|addNullQuery|addNotNullQuery|get)\\s*\\(`).test(code);
-
-    if (hasQuery && !hasAddQuery) {
-      warnings.push(`${varName}.query() without any conditions - this will scan the entire table`);
-      break;
-    }
-  }
+  // Loops, queries and limits, followed through the GlideRecord variables
+  warnings.push(...analyzeDatabasePerformance(code));
 
   // Check for updateMultiple/deleteMultiple without conditions (dangerous)
   for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasMultipleOp = new RegExp(`${escapedVar}\\.(updateMultiple|deleteMultiple)\\s*\\(`).test(code);
+    const escapedVar = escapeRegex(varName);
+    const multipleOp = findFirstMatch(code, new RegExp(`${escapedVar}\\.(updateMultiple|deleteMultiple)\\s*\\(`));
     const hasCondition = new RegExp(`${escapedVar}\\.(addQuery|addEncodedQuery|addNullQuery|addNotNullQuery)\\s*\\(`).test(code);
 
-    if (hasMultipleOp && !hasCondition) {
-      warnings.push(`${varName}.updateMultiple()/deleteMultiple() without conditions - will affect ALL records!`);
+    if (multipleOp && !hasCondition) {
+      warnAt('unbounded-multiple-operation', `${varName}.updateMultiple()/deleteMultiple() without conditions - will affect ALL records!`, multipleOp);
       break;
     }
   }
 
   // Check for updateMultiple() used after next() iteration (logic smell)
   for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const escapedVar = escapeRegex(varName);
     const hasNext = new RegExp(`${escapedVar}\\.next\\s*\\(`).test(code);
-    const hasUpdateMultiple = new RegExp(`${escapedVar}\\.updateMultiple\\s*\\(`).test(code);
-    if (hasNext && hasUpdateMultiple) {
-      warnings.push(`${varName} uses both next() and updateMultiple() - updateMultiple ignores per-row changes`);
+    const updateMultiple = findFirstMatch(code, new RegExp(`${escapedVar}\\.updateMultiple\\s*\\(`));
+    if (hasNext && updateMultiple) {
+      warnAt('next-with-updatemultiple', `${varName} uses both next() and updateMultiple() - updateMultiple ignores per-row changes`, updateMultiple);
       break;
     }
   }
 
   // Check for get() followed by query() (redundant)
   for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const getPattern = new RegExp(`${escapedVar}\\.get\\s*\\([^)]+\\)[\\s\\S]*?${escapedVar}\\.query\\s*\\(`);
-    if (getPattern.test(code)) {
-      warnings.push(`${varName}.get() followed by query() - get() already positions the record, query() is redundant`);
+    const escapedVar = escapeRegex(varName);
+    const getThenQuery = findFirstMatch(code, new RegExp(`${escapedVar}\\.get\\s*\\([^)]+\\)[\\s\\S]*?${escapedVar}\\.query\\s*\\(`));
+    if (getThenQuery) {
+      const queryStart = getThenQuery.start + getThenQuery.match[0].lastIndexOf(`${varName}.query`);
+      warn('get-then-query', `${varName}.get() followed by query() - get() already positions the record, query() is redundant`, queryStart, getThenQuery.end);
       break;
     }
   }
@@ -144,39 +134,47 @@ export function analyzeServiceNowWarnings(code) {
   // Business Rule Warnings
   // -------------------------------------------------------------------------
 
-  // Check for setAbortAction(true) without return statement
-  if (/\.setAbortAction\s*\(\s*true\s*\)/.test(code)) {
-    if (!/setAbortAction\s*\(\s*true\s*\)[\s\S]*?return/.test(code)) {
-      warnings.push('setAbortAction(true) without return - add return false for Business Rules');
-    }
+  // An undetected script still counts as a Business Rule when it uses current and previous
+  const isBusinessRule = scriptType
+    ? scriptType.id === 'business-rule'
+    : /current\s*,\s*previous/.test(code);
+  const businessRule = resolveBusinessRule(isBusinessRule ? options.businessRule : null, code);
+
+  // Check for setAbortAction(true) without return statement (after rules cannot abort at all)
+  const abortAction = findFirstMatch(code, /\.setAbortAction\s*\(\s*true\s*\)/);
+  if (abortAction && businessRule.when !== 'after' && businessRule.when !== 'async' && !/setAbortAction\s*\(\s*true\s*\)[\s\S]*?return/.test(code)) {
+    warn('abort-without-return', 'setAbortAction(true) without return - add return false for Business Rules', abortAction.start + 1, abortAction.end);
   }
 
   // Check for direct field assignment instead of setValue()
-  const directAssignments = code.match(/\bcurrent\.\w+\s*=\s*[^=]/g) || [];
-  const problematicAssignments = directAssignments.filter(a =>
-    !a.includes('current.update') &&
-    !a.includes('current.insert') &&
-    !a.includes('current.setAbortAction') &&
-    !a.includes('current.setWorkflow')
-  );
-  if (problematicAssignments.length > 0) {
-    warnings.push('Direct field assignment (current.field = value) - consider using setValue() for clarity');
+  findMatches(code, /\bcurrent\.\w+\s*=\s*[^=]/g)
+    .filter(({ match }) =>
+      !match[0].includes('current.update') &&
+      !match[0].includes('current.insert') &&
+      !match[0].includes('current.setAbortAction') &&
+      !match[0].includes('current.setWorkflow')
+    )
+    .forEach(({ start, end }) => {
+      warn('direct-field-assignment', 'Direct field assignment (current.field = value) - consider using setValue() for clarity', start, end - 1);
+    });
+
+  // Check for current.update() in Business Rule (recursion risk; before rules have their own check)
+  if (isBusinessRule && businessRule.when !== 'before') {
+    findMatches(code, /\bcurrent\.update\s*\(/g).forEach(({ start, end }) => {
+      warn('current-update-in-br', 'current.update() in Business Rule - risks recursion, use Before BR or setWorkflow(false)', start, end);
+    });
   }
 
-  // Check for current.update() in Business Rule (recursion risk)
-  if (/function\s+(executeRule|onBefore|onAfter|onAsync)\s*\(\s*current/.test(code) ||
-      /current\s*,\s*previous/.test(code)) {
-    if (/\bcurrent\.update\s*\(/.test(code)) {
-      warnings.push('current.update() in Business Rule - risks recursion, use Before BR or setWorkflow(false)');
-    }
+  // Check for current.insert() in Business Rule (unusual pattern)
+  if (isBusinessRule) {
+    findMatches(code, /\bcurrent\.insert\s*\(/g).forEach(({ start, end }) => {
+      warn('current-insert-in-br', 'current.insert() in Business Rule - unusual pattern, verify this is intentional', start, end);
+    });
   }
 
-  // Check for current.insert() in Business Rule (unusual pattern)
-  if (/function\s+(executeRule|onBefore|onAfter)\s*\(\s*current/.test(code) ||
-      /current\s*,\s*previous/.test(code)) {
-    if (/\bcurrent\.insert\s*\(/.test(code)) {
-      warnings.push('current.insert() in Business Rule - unusual pattern, verify this is intentional');
-    }
+  // Checks that depend on when the rule runs (before/after/async/display) and its operations
+  if (isBusinessRule) {
+    warnings.push(...analyzeBusinessRuleLifecycle(code, businessRule));
   }
 
   // -------------------------------------------------------------------------
@@ -184,29 +182,33 @@ export function analyzeServiceNowWarnings(code) {
   // -------------------------------------------------------------------------
 
   // Check for hardcoded sys_id values (portability issue)
-  const sysIdPattern = /['"][a-f0-9]{32}['"]/gi;
-  const sysIdMatches = code.match(sysIdPattern) || [];
-  if (sysIdMatches.length > 0) {
-    warnings.push(`${sysIdMatches.length} hardcoded sys_id(s) detected - use system properties for portability between instances`);
-  }
+  findMatches(code, /['"][a-f0-9]{32}['"]/gi).forEach(({ start, end }) => {
+    warn('hardcoded-sys-id', 'Hardcoded sys_id detected - use system properties for portability between instances', start, end);
+  });
 
   // Check for eval() or GlideEvaluator (security risk)
-  if (/\beval\s*\(/.test(code) || /\bGlideEvaluator\b/.test(code)) {
-    warnings.push('eval() or GlideEvaluator detected - potential security risk, avoid executing dynamic code');
-  }
+  findMatches(code, /\beval\s*\(|\bGlideEvaluator\b/g).forEach(({ start, end }) => {
+    warn('eval-usage', 'eval() or GlideEvaluator detected - potential security risk, avoid executing dynamic code', start, end);
+  });
 
   // Check for new Function() (security risk similar to eval)
-  if (/new\s+Function\s*\(/.test(code)) {
-    warnings.push('new Function() detected - security risk similar to eval(), avoid dynamic code execution');
-  }
+  findMatches(code, /new\s+Function\s*\(/g).forEach(({ start, end }) => {
+    warn('new-function', 'new Function() detected - security risk similar to eval(), avoid dynamic code execution', start, end);
+  });
+
+  // User input reaching queries, code, outbound requests, HTML or table names
+  const tainted = analyzeTaint(code);
+  warnings.push(...tainted.warnings);
+  errors.push(...tainted.errors);
 
   // Check for GlideRecordSecure with privileged operations (undermines security)
-  if (/new\s+GlideRecordSecure\s*\(/.test(code)) {
+  const secureRecord = findFirstMatch(code, /new\s+GlideRecordSecure\s*\(/);
+  if (secureRecord) {
     if (/\.setWorkflow\s*\(\s*false\s*\)/.test(code) ||
         /\.autoSysFields\s*\(\s*false\s*\)/.test(code) ||
         /\.updateMultiple\s*\(/.test(code) ||
         /\.deleteMultiple\s*\(/.test(code)) {
-      warnings.push('GlideRecordSecure with privileged operation - security intent may be undermined');
+      warnAt('secure-privileged-operation', 'GlideRecordSecure with privileged operation - security intent may be undermined', secureRecord);
     }
   }
 
@@ -215,71 +217,100 @@ export function analyzeServiceNowWarnings(code) {
   // -------------------------------------------------------------------------
 
   // Check for GlideAggregate without aggregate function
-  if (/new\s+GlideAggregate\s*\(/.test(code)) {
-    if (!/\.(groupBy|addAggregate|getAggregate|count)\s*\(/.test(code)) {
-      warnings.push('GlideAggregate created but no aggregate function called');
-    }
+  const aggregate = findFirstMatch(code, /new\s+GlideAggregate\s*\(/);
+  if (aggregate && !/\.(groupBy|addAggregate|getAggregate|count)\s*\(/.test(code)) {
+    warnAt('aggregate-without-function', 'GlideAggregate created but no aggregate function called', aggregate);
   }
 
   // Check for synchronous getXMLWait() (blocks UI)
-  if (/\.getXMLWait\s*\(\s*\)/.test(code)) {
-    warnings.push('getXMLWait() blocks the UI thread - consider async getXMLAnswer() with callback');
-  }
+  findMatches(code, /\.getXMLWait\s*\(\s*\)/g).forEach(({ start, end }) => {
+    warn('getxmlwait', 'getXMLWait() blocks the UI thread - consider async getXMLAnswer() with callback', start + 1, end);
+  });
 
   // Check for gs.sleep() (blocks thread)
-  if (/\bgs\.sleep\s*\(/.test(code)) {
-    warnings.push('gs.sleep() blocks the thread - avoid in production code, use scheduled jobs or events');
-  }
+  findMatches(code, /\bgs\.sleep\s*\(/g).forEach(({ start, end }) => {
+    warn('gs-sleep', 'gs.sleep() blocks the thread - avoid in production code, use scheduled jobs or events', start, end);
+  });
 
   // Check for gs.getProperty() without default value
-  const getPropertyCalls = code.match(/gs\.getProperty\s*\(\s*['"][^'"]+['"]\s*\)/g) || [];
-  const getPropertyWithDefault = code.match(/gs\.getProperty\s*\(\s*['"][^'"]+['"]\s*,/g) || [];
-  const propsWithoutDefault = getPropertyCalls.length - getPropertyWithDefault.length;
-  if (propsWithoutDefault > 0) {
-    warnings.push(`${propsWithoutDefault} gs.getProperty() call(s) without default value - consider adding a fallback`);
-  }
+  findMatches(code, /gs\.getProperty\s*\(\s*['"][^'"]+['"]\s*\)/g).forEach(({ start, end }) => {
+    warn('getproperty-without-default', 'gs.getProperty() call without default value - consider adding a fallback', start, end);
+  });
 
   // Check for gs.include() (legacy pattern)
-  if (/\bgs\.include\s*\(/.test(code)) {
-    warnings.push('gs.include() is legacy - use Script Includes with Class.create() pattern');
-  }
+  findMatches(code, /\bgs\.include\s*\(/g).forEach(({ start, end }) => {
+    warn('gs-include', 'gs.include() is legacy - use Script Includes with Class.create() pattern', start, end);
+  });
 
   // Check for g_form.getReference() without callback (async misuse)
-  const getRefPattern = /g_form\.getReference\s*\(\s*['"][^'"]+['"]\s*\)/g;
-  const getRefWithCallback = /g_form\.getReference\s*\(\s*['"][^'"]+['"]\s*,/g;
-  const getRefCalls = (code.match(getRefPattern) || []).length;
-  const getRefCallbacks = (code.match(getRefWithCallback) || []).length;
-  if (getRefCalls > getRefCallbacks) {
-    warnings.push('g_form.getReference() without callback - synchronous call, use callback for async operation');
-  }
+  findMatches(code, /g_form\.getReference\s*\(\s*['"][^'"]+['"]\s*\)/g).forEach(({ start, end }) => {
+    warn('getreference-without-callback', 'g_form.getReference() without callback - synchronous call, use callback for async operation', start, end);
+  });
 
   // Check for GlideAjax without sysparm_name (processor won't be invoked)
-  if (/new\s+GlideAjax\s*\(/.test(code)) {
-    if (!/addParam\s*\(\s*['"]sysparm_name['"]/.test(code)) {
-      warnings.push('GlideAjax without sysparm_name parameter - processor method will not be invoked');
-    }
+  const glideAjax = findFirstMatch(code, /new\s+GlideAjax\s*\(/);
+  if (glideAjax && !/addParam\s*\(\s*['"]sysparm_name['"]/.test(code)) {
+    warnAt('glideajax-without-sysparm-name', 'GlideAjax without sysparm_name parameter - processor method will not be invoked', glideAjax);
   }
 
   // Check for addEncodedQuery with sys_id (prefer structured query)
-  if (/\.addEncodedQuery\s*\(\s*['"]sys_id\s*=/.test(code)) {
-    warnings.push('addEncodedQuery with sys_id - prefer addQuery(\'sys_id\', value) for clarity');
-  }
+  findMatches(code, /\.addEncodedQuery\s*\(\s*['"]sys_id\s*=/g).forEach(({ start, end }) => {
+    warn('encoded-query-sys-id', 'addEncodedQuery with sys_id - prefer addQuery(\'sys_id\', value) for clarity', start + 1, end);
+  });
 
   // Check for direct DOM manipulation alongside g_form (upgrade risk)
   if (/\bg_form\b/.test(code)) {
-    if (/document\.getElementById\s*\(/.test(code) ||
-        /document\.querySelector/.test(code) ||
-        /\$\s*\(\s*['"]#/.test(code)) {
-      warnings.push('Direct DOM manipulation with g_form - prefer g_form APIs, DOM may break on UI upgrades');
-    }
+    findMatches(code, /document\.getElementById\s*\(|document\.querySelector|\$\s*\(\s*['"]#/g).forEach(({ start, end }) => {
+      warn('dom-manipulation', 'Direct DOM manipulation with g_form - prefer g_form APIs, DOM may break on UI upgrades', start, end);
+    });
   }
 
+  // -------------------------------------------------------------------------
+  // Client Scripts & UI Policies (onChange/onSubmit handlers, g_form usage)
+  // -------------------------------------------------------------------------
+
+  warnings.push(...analyzeClientScript(code, scriptType));
+
+  // -------------------------------------------------------------------------
+  // Script Includes (structure, AJAX processors, GlideAjax method names)
+  // -------------------------------------------------------------------------
+
+  warnings.push(...analyzeScriptIncludes(code));
+
+  // -------------------------------------------------------------------------
+  // Encoded Queries (syntax, operators, ^NQ groups)
+  // -------------------------------------------------------------------------
+
+  const encoded = analyzeEncodedQueries(code);
+  warnings.push(...encoded.warnings);
+  errors.push(...encoded.errors);
+
+  // -------------------------------------------------------------------------
+  // API Lifecycle (target release, deprecation, global-only APIs)
+  // -------------------------------------------------------------------------
+
+  warnings.push(...analyzeApiLifecycle(code, { release: options.release, scope: options.scope }));
+
+  // -------------------------------------------------------------------------
+  // Scoped Applications (global-only APIs, cross-scope access)
+  // -------------------------------------------------------------------------
+
+  const scoped = analyzeScopedCompliance(code, { scope: options.scope });
+  warnings.push(...scoped.warnings);
+  errors.push(...scoped.errors);
+
+  // -------------------------------------------------------------------------
+  // Script Type (server APIs in client scripts and vice versa)
+  // -------------------------------------------------------------------------
+
+  warnings.push(...analyzeScriptTypeApis(code, scriptType));
+
   // -------------------------------------------------------------------------
   // Return Results
   // -------------------------------------------------------------------------
 
-  if (errors.length > 0) {
-    return { warnings, errors };
-  }
-  return warnings;
+  return {
+    warnings: warnings.filter(diagnostic => isRuleApplicable(diagnostic.ruleId, scriptType)),
+    errors: errors.filter(diagnostic => isRuleApplicable(diagnostic.ruleId, scriptType))
+  };
 }
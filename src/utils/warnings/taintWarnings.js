@@ -0,0 +1,404 @@
+/**
+ * @fileoverview Security Taint Warnings
+ * @description Follows user input through a script to the places where it
+ * becomes a query, code, a request or HTML. Sources are request parameters
+ * (Scripted REST `request.queryParams`, GlideAjax `this.getParameter()`,
+ * `g_request`, `$sp.getParameter()`, `RP.getParameterValue()`) and the
+ * user-editable fields of `current`. Taint flows through variables, string
+ * building, object properties, and the parameters and return values of local
+ * functions. Number and boolean conversion end it; escaping only clears it
+ * for the sinks the escaping is made for (escapeHTML() protects HTML, not an
+ * encoded query, where `^OR` still gets through).
+ *
+ * The analysis follows the code in source order and does not see checks
+ * (`if (ALLOWED.indexOf(table) > -1)`), so a whitelisted value is still reported.
+ */
+
+import { parseCode, walkAst } from '../astParser.js';
+import { createLocator, createDiagnostic, SEVERITY } from '../diagnostics.js';
+import { collectLocalFunctions } from '../fixes/astRewriter.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Scripted REST request members that carry caller input */
+const REQUEST_INPUTS = ['queryParams', 'pathParams', 'body', 'headers', 'queryString'];
+
+/** Calls that return caller input: receiver → methods */
+const SOURCE_CALLS = {
+  this: ['getParameter'],
+  $sp: ['getParameter'],
+  g_request: ['getParameter', 'getHeader'],
+  request: ['getHeader'],
+  RP: ['getParameterValue'],
+};
+
+/** Fields of current that users cannot edit */
+const SYSTEM_FIELDS = ['sys_id', 'number', 'sys_class_name', 'sys_domain'];
+
+/** Members of a string that are not strings themselves */
+const NON_STRING_MEMBERS = ['length', 'indexOf', 'lastIndexOf', 'includes', 'startsWith', 'endsWith', 'test', 'nil'];
+
+/** Record classes whose table name is a sink */
+const RECORD_CLASSES = ['GlideRecord', 'GlideRecordSecure', 'GlideAggregate'];
+
+/** Properties that render HTML */
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+/** Sink kind → rule */
+const SINKS = {
+  query: { ruleId: 'taint-encoded-query', severity: SEVERITY.WARNING, risk: 'encoded query injection' },
+  code: { ruleId: 'taint-code-execution', severity: SEVERITY.ERROR, risk: 'code injection' },
+  request: { ruleId: 'taint-outbound-request', severity: SEVERITY.WARNING, risk: 'request forgery' },
+  html: { ruleId: 'taint-html-output', severity: SEVERITY.WARNING, risk: 'cross-site scripting' },
+  table: { ruleId: 'taint-table-name', severity: SEVERITY.WARNING, risk: 'table chosen by the caller' },
+};
+
+const ALL_SINKS = Object.keys(SINKS);
+
+/** Calls whose result is safe for some sinks: sanitizer → sink kinds it clears */
+const SANITIZERS = {
+  parseInt: ALL_SINKS,
+  parseFloat: ALL_SINKS,
+  Number: ALL_SINKS,
+  Boolean: ALL_SINKS,
+  'GlideStringUtil.escapeQueryTermSeparator': ['query'],
+  'GlideStringUtil.escapeHTML': ['html'],
+  'SNC.GlideHTMLSanitizer.sanitize': ['html'],
+  encodeURIComponent: ['request'],
+  encodeURI: ['request'],
+};
+
+/** Passes over the script until taint through function calls stops changing */
+const MAX_PASSES = 4;
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Input reaching an expression.
+ * @typedef {Object} Taint
+ * @property {string[]} steps - Steps from the source to the expression
+ * @property {string[]} cleared - Sink kinds it has been escaped for
+ */
+
+/**
+ * Adds a step to a taint.
+ */
+function extend(taint, label) {
+  return { steps: [...taint.steps, label], cleared: taint.cleared };
+}
+
+/**
+ * Combines the taints of the parts of an expression (`a + b`): the result is
+ * only clean for a sink when every part is, and keeps the path of the part
+ * cleared for the fewest sinks.
+ *
+ * @param {Array<Taint|null>} taints
+ * @returns {Taint|null}
+ */
+function merge(taints) {
+  const present = taints.filter(Boolean);
+  if (present.length === 0) return null;
+  const [dirtiest] = [...present].sort((a, b) => a.cleared.length - b.cleared.length);
+  const cleared = dirtiest.cleared.filter(kind => present.every(taint => taint.cleared.includes(kind)));
+  return { steps: dirtiest.steps, cleared };
+}
+
+/**
+ * Gets the name of a member (`x.name`, `x['name']`), or null.
+ */
+function memberName(node) {
+  if (node?.type !== 'MemberExpression') return null;
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  return node.property.type === 'Literal' ? String(node.property.value) : null;
+}
+
+/**
+ * Gets the dotted name of a callee (`JSON.stringify`), or null.
+ */
+function dottedName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  const object = node.type === 'MemberExpression' ? dottedName(node.object) : null;
+  const name = memberName(node);
+  return object && name ? `${object}.${name}` : null;
+}
+
+/**
+ * Gets the identifier at the root of a member chain (`request` of
+ * request.queryParams.id), or null.
+ */
+function rootOf(node) {
+  while (node.type === 'MemberExpression') node = node.object;
+  return node.type === 'Identifier' ? node : null;
+}
+
+/**
+ * Checks whether a field of current can be edited by users.
+ */
+function isUserField(field) {
+  return Boolean(field) && !SYSTEM_FIELDS.includes(field) && !field.startsWith('sys_');
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes a script for user input that reaches a query, code, an outbound
+ * request, HTML or a table name unsanitized.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Taint diagnostics
+ */
+export function analyzeTaint(code) {
+  const warnings = [];
+  const errors = [];
+  const { ast } = parseCode(code);
+  if (!ast) return { warnings, errors };
+
+  const locate = createLocator(code);
+  const { functions, methods } = collectLocalFunctions(ast);
+  const text = node => code.slice(node.start, node.end);
+  const step = (label, node) => `${label} (line ${locate(node.start).line})`;
+
+  // Taint entering local functions (function → parameter index → taint) and leaving them (function → taint)
+  const parameterTaint = new Map();
+  const returnTaint = new Map();
+  let findings = new Map();
+  let changed = false;
+
+  const calledFunction = (call) => {
+    const { callee } = call;
+    if (callee.type === 'Identifier') return functions.get(callee.name) || null;
+    if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') return methods.get(memberName(callee)) || null;
+    return null;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Sources and propagation
+  // ---------------------------------------------------------------------------
+
+  /** Gets the label of a source expression, or null */
+  const sourceLabel = (node) => {
+    if (node.type === 'MemberExpression') {
+      const root = rootOf(node);
+      if (root?.name === 'g_request') return text(node);
+      // request.queryParams.id: the outermost member is seen first
+      let inner = node;
+      while (inner.object.type === 'MemberExpression') inner = inner.object;
+      if (root?.name === 'request' && REQUEST_INPUTS.includes(memberName(inner))) return text(node);
+      if (node.object.type === 'Identifier' && node.object.name === 'current' && isUserField(memberName(node))) return text(node);
+      return null;
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      const receiver = dottedName(node.callee.object);
+      const method = memberName(node.callee);
+      if (SOURCE_CALLS[receiver]?.includes(method)) return text(node);
+      const [field] = node.arguments;
+      if (receiver === 'current' && (method === 'getValue' || method === 'getDisplayValue') &&
+          field?.type === 'Literal' && isUserField(String(field.value))) return text(node);
+    }
+    return null;
+  };
+
+  /**
+   * Gets the input that reaches an expression, or null when it is clean.
+   *
+   * @returns {Taint|null}
+   */
+  function taintOf(node, env) {
+    if (!node) return null;
+    const source = sourceLabel(node);
+    if (source) return { steps: [step(source, node)], cleared: [] };
+
+    switch (node.type) {
+      case 'Identifier':
+        return env.get(node.name) || null;
+      case 'MemberExpression':
+        return NON_STRING_MEMBERS.includes(memberName(node)) ? null : taintOf(node.object, env);
+      case 'BinaryExpression':
+        return node.operator === '+' ? merge([taintOf(node.left, env), taintOf(node.right, env)]) : null;
+      case 'TemplateLiteral':
+        return merge(node.expressions.map(e => taintOf(e, env)));
+      case 'LogicalExpression':
+        return merge([taintOf(node.left, env), taintOf(node.right, env)]);
+      case 'ConditionalExpression':
+        return merge([taintOf(node.consequent, env), taintOf(node.alternate, env)]);
+      case 'AssignmentExpression':
+      case 'SequenceExpression':
+        return taintOf(node.type === 'AssignmentExpression' ? node.right : node.expressions[node.expressions.length - 1], env);
+      case 'ArrayExpression':
+        return merge(node.elements.map(e => taintOf(e, env)));
+      case 'ObjectExpression':
+        return merge(node.properties.map(p => taintOf(p.value ?? p.argument, env)));
+      case 'CallExpression': {
+        const name = dottedName(node.callee);
+        const sanitizes = SANITIZERS[name];
+        if (sanitizes) {
+          const input = taintOf(node.arguments[0], env);
+          if (!input || sanitizes === ALL_SINKS) return null;
+          return { steps: input.steps, cleared: [...new Set([...input.cleared, ...sanitizes])] };
+        }
+        // Conversions that keep the text: JSON.stringify() only adds quotes
+        if (name === 'String' || name === 'JSON.stringify') return taintOf(node.arguments[0], env);
+        const fn = calledFunction(node);
+        if (fn) {
+          const returned = returnTaint.get(fn);
+          return returned ? extend(returned, step(`${text(node.callee)}()`, node)) : null;
+        }
+        // Methods of a tainted string: input.trim(), input.toString()
+        return node.callee.type === 'MemberExpression' ? taintOf(node.callee, env) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sinks
+  // ---------------------------------------------------------------------------
+
+  /** Reports a taint at a sink, unless it was escaped for that sink */
+  const report = (kind, node, taint, sink) => {
+    if (taint.cleared.includes(kind)) return;
+    findings.set(`${kind}:${node.start}`, { kind, node, path: [...taint.steps, step(sink, node)] });
+  };
+
+  /**
+   * Records the taint of a parameter or return value. A later taint replaces
+   * it when it is cleared for fewer sinks.
+   */
+  const record = (map, key, taint) => {
+    const known = map.get(key);
+    const merged = known ? merge([known, taint]) : taint;
+    if (known && merged.cleared.length >= known.cleared.length) return;
+    map.set(key, merged);
+    changed = true;
+  };
+
+  /** Checks the arguments of a call or `new` against the sinks */
+  const checkCall = (node, env) => {
+    const { callee } = node;
+    const name = dottedName(callee);
+    const method = memberName(callee);
+    const check = (kind, args, sink) => args.forEach((arg) => {
+      const taint = taintOf(arg, env);
+      if (taint) report(kind, arg, taint, sink);
+    });
+
+    if (node.type === 'NewExpression') {
+      if (RECORD_CLASSES.includes(name)) check('table', node.arguments.slice(0, 1), `new ${name}()`);
+      if (name === 'Function') check('code', node.arguments, 'new Function()');
+      return;
+    }
+    if (name === 'eval' || name === 'gs.eval') check('code', node.arguments.slice(0, 1), `${name}()`);
+    else if (method === 'evaluateScript') {
+      // GlideScopedEvaluator runs the script stored in a field: evaluateScript(current, 'u_script')
+      const [record, field] = node.arguments;
+      if (record?.type === 'Identifier' && record.name === 'current' && field?.type === 'Literal' && isUserField(String(field.value))) {
+        report('code', field, { steps: [step(`current.${field.value}`, field)], cleared: [] }, `${text(callee)}()`);
+      }
+      check('code', node.arguments.slice(0, 2), `${text(callee)}()`);
+    }
+    else if (method === 'addEncodedQuery') check('query', node.arguments.slice(0, 1), `${text(callee)}()`);
+    else if (method === 'setEndpoint' || method === 'setRequestBody') check('request', node.arguments.slice(0, 1), `${text(callee)}()`);
+    else if (name === '$sce.trustAsHtml' || name === 'document.write') check('html', node.arguments.slice(0, 1), `${name}()`);
+    else if (method === 'writeString' || name === 'g_processor.writeOutput') check('html', node.arguments.slice(-1), `${text(callee)}()`);
+  };
+
+  /** Taints the parameters of a local function from its call site */
+  const enterFunction = (node, env) => {
+    const fn = calledFunction(node);
+    if (!fn) return;
+    node.arguments.forEach((arg, index) => {
+      const param = fn.params[index];
+      const taint = param?.type === 'Identifier' && taintOf(arg, env);
+      if (!taint) return;
+      if (!parameterTaint.has(fn)) parameterTaint.set(fn, new Map());
+      record(parameterTaint.get(fn), index, extend(taint, step(`${text(node.callee)}(${param.name})`, node)));
+    });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Walk
+  // ---------------------------------------------------------------------------
+
+  /** Follows a function body (or the script) with the taint of its scope */
+  const visit = (root, fn, env) => {
+    walkAst(root, (node) => {
+      if (node !== root && FUNCTION_TYPES.includes(node.type)) {
+        const inner = new Map(env);
+        parameterTaint.get(node)?.forEach((taint, index) => inner.set(node.params[index].name, taint));
+        visit(node.body, node, inner);
+        return false;
+      }
+
+      // var q = request.queryParams.q;
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+        const taint = taintOf(node.init, env);
+        if (taint) env.set(node.id.name, extend(taint, step(node.id.name, node.id)));
+        else env.delete(node.id.name);
+      }
+
+      if (node.type === 'AssignmentExpression') {
+        const taint = taintOf(node.right, env);
+        const { left } = node;
+        if (left.type === 'Identifier') {
+          if (taint) env.set(left.name, extend(taint, step(left.name, left)));
+          else if (node.operator === '=') env.delete(left.name);
+        } else if (left.type === 'MemberExpression' && taint) {
+          // el.innerHTML = input; data.html = input (widget server script)
+          const property = memberName(left);
+          if (HTML_PROPERTIES.includes(property) || (rootOf(left)?.name === 'data' && /html/i.test(property))) {
+            report('html', node.right, taint, text(left));
+          }
+          // params.table = input taints params
+          const root = rootOf(left);
+          if (root && root.name !== 'data') env.set(root.name, extend(taint, step(text(left), left)));
+        }
+      }
+
+      if (node.type === 'ReturnStatement' && fn) {
+        const taint = taintOf(node.argument, env);
+        if (taint) record(returnTaint, fn, taint);
+      }
+
+      if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+        checkCall(node, env);
+        enterFunction(node, env);
+      }
+    });
+  };
+
+  // Taint through calls may reach a function that was already walked
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    changed = false;
+    findings = new Map();
+    visit(ast, null, new Map());
+    if (!changed) break;
+  }
+
+  findings.forEach(({ kind, node, path }) => {
+    const { ruleId, severity, risk } = SINKS[kind];
+    const diagnostic = createDiagnostic(locate, {
+      ruleId,
+      severity,
+      message: `Unsanitized input reaches ${path[path.length - 1].replace(/ \(line \d+\)$/, '')} (${risk}): ${path.join(' → ')}`,
+      start: node.start,
+      end: node.end,
+    });
+    (severity === SEVERITY.ERROR ? errors : warnings).push(diagnostic);
+  });
+
+  return { warnings, errors };
+}
+
+export default {
+  analyzeTaint
+};
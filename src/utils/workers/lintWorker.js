@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Live Lint Worker
+ * @description Runs lintCode() off the main thread so typing in large scripts
+ * never blocks the editor.
+ *
+ * Protocol:
+ *   request:  { id, code, profile, scriptType, businessRule }
+ *   response: { id, diagnostics, quickFixes } or { id, error }
+ */
+
+import { lintCode } from '../liveLint.js';
+import { applyDictionaryExtensions } from '../fixes/dictionaryExtensions.js';
+
+self.onmessage = (event) => {
+  const { id, code, profile, scriptType, businessRule } = event.data;
+  try {
+    // Custom classes from the profile join the dictionary of this worker
+    applyDictionaryExtensions(profile?.dictionary);
+    self.postMessage({ id, ...lintCode(code, profile, { scriptType, businessRule }) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
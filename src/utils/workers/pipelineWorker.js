@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Develop Mode Pipeline Worker
+ * @description Runs Polish/Format and flow generation (pipeline.js) off the
+ * main thread so large scripts never freeze the editors. Stale runs are
+ * cancelled by terminating the worker (see pipelineClient.js), the only way
+ * to stop a long synchronous fixer or Prettier pass.
+ *
+ * Protocol:
+ *   request:  { id, type, payload }   start a task (type from PIPELINE_TASKS)
+ *   response: { id, progress }        { step, total, label } before each step
+ *             { id, result }          task finished
+ *             { id, error }           task threw
+ */
+
+import { runPipelineTask } from '../pipeline.js';
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  try {
+    const result = await runPipelineTask(type, payload, {
+      onProgress: progress => self.postMessage({ id, progress })
+    });
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview GlideRecord ⇄ GlideQuery Converter Tests
+ * @description Update loops, top-level orWhere() and update() must be
+ * converted, or reported when they do per-record work.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToGlideQuery, convertToGlideRecord } from '../src/utils/glideQueryConverter.js';
+
+test('converts a loop that sets the same values on every record to updateMultiple()', () => {
+  const result = convertToGlideQuery([
+    "var gr = new GlideRecord('incident');",
+    "gr.addQuery('active', true);",
+    'gr.query();',
+    'while (gr.next()) {',
+    "    gr.setValue('state', 7);",
+    "    gr.close_notes = 'Closed';",
+    '    gr.update();',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.code, [
+    "new GlideQuery('incident')",
+    "    .where('active', true)",
+    "    .updateMultiple({ state: 7, close_notes: 'Closed' });"
+  ].join('\n'));
+});
+
+test('reports update loops with per-record values or a limit', () => {
+  const inputs = [
+    "var gr = new GlideRecord('incident');\ngr.query();\nwhile (gr.next()) {\n    gr.setValue('state', gr.getValue('priority'));\n    gr.update();\n}",
+    "var gr = new GlideRecord('incident');\ngr.query();\nwhile (gr.next()) {\n    gr.setValue('number', getNumber());\n    gr.update();\n}",
+    "var gr = new GlideRecord('incident');\ngr.setLimit(10);\ngr.query();\nwhile (gr.next()) {\n    gr.setValue('state', 7);\n    gr.update();\n}"
+  ];
+  inputs.forEach((input) => {
+    const result = convertToGlideQuery(input);
+    assert.equal(result.code, input);
+    assert.equal(result.issues.length, 1);
+  });
+});
+
+test('converts orWhere() after the first where() to addOrCondition()', () => {
+  const result = convertToGlideRecord("new GlideQuery('incident').where('priority', 1).orWhere('priority', 2).where('active', true).deleteMultiple();");
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.code, [
+    "var gr = new GlideRecord('incident');",
+    "var qc = gr.addQuery('priority', 1);",
+    "qc.addOrCondition('priority', 2);",
+    "gr.addQuery('active', true);",
+    'gr.deleteMultiple();'
+  ].join('\n'));
+});
+
+test('reports orWhere() after several conditions', () => {
+  const input = "new GlideQuery('incident').where('active', true).where('priority', 1).orWhere('priority', 2).deleteMultiple();";
+  const result = convertToGlideRecord(input);
+  assert.equal(result.code, input);
+  assert.equal(result.issues.length, 1);
+});
+
+test('converts update() to an update of the first matching record', () => {
+  const result = convertToGlideRecord("new GlideQuery('incident').where('sys_id', id).update({ state: 2 });");
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.code, [
+    "var gr = new GlideRecord('incident');",
+    "gr.addQuery('sys_id', id);",
+    'gr.setLimit(1);',
+    'gr.query();',
+    'if (gr.next()) {',
+    "    gr.setValue('state', 2);",
+    '    gr.update();',
+    '}'
+  ].join('\n'));
+});
+
+test('reports loop and if bodies whose control flow would change inside a callback', () => {
+  const query = (header, body) => [
+    `${header} {`,
+    "    var gr = new GlideRecord('incident');",
+    '    gr.query();',
+    `    ${body}`,
+    '}'
+  ].join('\n');
+  const inputs = [
+    query('function f(x)', 'while (gr.next()) { if (x) { found = true; break; } }'),
+    query('function f(x)', 'while (gr.next()) { if (x) continue; gs.info(gr.number); }'),
+    query('function f()', "if (gr.next()) { return gr.getValue('short_description'); } return null;"),
+    query('function f()', 'while (gr.next()) { this.count++; }'),
+    query('function f()', 'while (gr.next()) { gs.info(arguments.length); }'),
+    query('function f()', 'while (gr.next()) { var read = () => this.count; }'),
+    query('function* f()', 'while (gr.next()) { yield gr.number; }'),
+    query('async function f()', 'while (gr.next()) { await gr.number; }')
+  ];
+  inputs.forEach((input) => {
+    const result = convertToGlideQuery(input);
+    assert.equal(result.code, input);
+    assert.equal(result.issues.length, 1, input);
+  });
+});
+
+test('converts loops whose control flow stays inside the body', () => {
+  const result = convertToGlideQuery([
+    "var gr = new GlideRecord('incident');",
+    'gr.query();',
+    'while (gr.next()) {',
+    '    for (var i = 0; i < 3; i++) { if (i) break; }',
+    '    var self = function () { return this; };',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.converted, 1);
+});
+
+test('turns a callback-level return in forEach() into continue', () => {
+  const result = convertToGlideRecord([
+    'function f() {',
+    "    new GlideQuery('incident').select('number').forEach(function (r) {",
+    '        if (!r.number) return;',
+    '        gs.info(r.number);',
+    '    });',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.code, [
+    'function f() {',
+    "    var gr = new GlideRecord('incident');",
+    '    gr.query();',
+    '    while (gr.next()) {',
+    "        if (!gr.getValue('number')) continue;",
+    "        gs.info(gr.getValue('number'));",
+    '    }',
+    '}'
+  ].join('\n'));
+});
+
+test('reports callbacks whose control flow would change in a loop', () => {
+  const inputs = [
+    "new GlideQuery('incident').select('number').forEach(function (r) { return r.number; });",
+    "new GlideQuery('incident').select('number').forEach(function (r) { for (;;) { return; } });",
+    "new GlideQuery('incident').selectOne('number').ifPresent(function (r) { if (r.number) return; gs.info(r.number); });",
+    "new GlideQuery('incident').select('number').forEach(function (r) { this.n = r.number; });",
+    "if (x) new GlideQuery('task').where('parent', x).deleteMultiple();"
+  ];
+  inputs.forEach((input) => {
+    const result = convertToGlideRecord(input);
+    assert.equal(result.code, input);
+    assert.equal(result.issues.length, 1, input);
+  });
+});
+
+test('indents a body that starts on the line of its brace', () => {
+  const result = convertToGlideRecord([
+    "new GlideQuery('incident').select('number').forEach(function (r) { gs.info(r.number);",
+    '    gs.info(r.number);',
+    '});'
+  ].join('\n'));
+  assert.equal(result.code, [
+    "var gr = new GlideRecord('incident');",
+    'gr.query();',
+    'while (gr.next()) {',
+    "    gs.info(gr.getValue('number'));",
+    "    gs.info(gr.getValue('number'));",
+    '}'
+  ].join('\n'));
+});
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Target Release Range Tests
+ * @description The target release selector offers the ranges of releases the
+ * API lifecycle data tells apart.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RELEASE_RANGES, getReleaseRangeValue } from '../src/utils/fixes/servicenowDictionary.js';
+import { analyzeApiLifecycle } from '../src/utils/warnings/apiWarnings.js';
+
+test('splits the releases where an API appears or is deprecated', () => {
+  assert.deepEqual(RELEASE_RANGES.map(range => range.label), ['Washington – Zurich', 'Rome – Vancouver', 'Paris – Quebec', 'Orlando']);
+});
+
+test('maps a target release to the range it falls in', () => {
+  assert.equal(getReleaseRangeValue(null), '');
+  assert.equal(getReleaseRangeValue('Xanadu'), '');
+  assert.equal(getReleaseRangeValue('Vancouver'), 'Rome');
+  assert.equal(getReleaseRangeValue('Quebec'), 'Paris');
+  assert.equal(getReleaseRangeValue('Orlando'), 'Orlando');
+});
+
+test('checks every release of a range alike', () => {
+  const code = "new GlideQuery('incident').select().forEach(function (r) {}); var e = new GlideEncrypter();";
+  RELEASE_RANGES.forEach(({ first, last }) => {
+    const messages = release => analyzeApiLifecycle(code, { release }).map(d => d.ruleId).sort();
+    assert.deepEqual(messages(first), messages(last), `${first} – ${last}`);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Script Type Detection Tests
+ * @description Detection must recognize the platform's own script templates.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectScriptType } from '../src/utils/scriptTypes.js';
+
+test('detects the stock Scripted REST resource template', () => {
+  const template = [
+    '(function process(/*RESTAPIRequest*/ request, /*RESTAPIResponse*/ response) {',
+    '',
+    '    // implement resource here',
+    '',
+    '})(request, response);'
+  ].join('\n');
+  assert.equal(detectScriptType(template), 'scripted-rest');
+});
+
+test('detects a Scripted REST resource without comments', () => {
+  assert.equal(detectScriptType('(function process(request, response) {\n})(request, response);'), 'scripted-rest');
+});
+
+test('does not detect process() with other parameters', () => {
+  assert.equal(detectScriptType('function process(/* request */ input, output) {}'), null);
+});
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview ServiceNow Fix Tests
+ * @description Rewritten string literals must keep the value they had.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyServiceNowFixes } from '../src/utils/fixes/servicenowFixes.js';
+
+const fix = code => applyServiceNowFixes(code).processed;
+
+test('escapes backslashes and quotes when simplifying an encoded query', () => {
+  const output = fix(String.raw`gr.addEncodedQuery('path=C:\\temp\\new'); gr.addEncodedQuery("name=O'Brien");`);
+  assert.equal(output, String.raw`gr.addQuery('path', 'C:\\temp\\new'); gr.addQuery('name', 'O\'Brien');`);
+});
+
+test('keeps encoded queries with several conditions', () => {
+  const input = "gr.addEncodedQuery('active=true^priority=1');";
+  assert.equal(fix(input), input);
+});
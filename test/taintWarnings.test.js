@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Taint Warning Tests
+ * @description Escaping only protects the sinks it is made for; number and
+ * boolean conversion protect every sink.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTaint } from '../src/utils/warnings/taintWarnings.js';
+
+const ruleIds = (code) => {
+  const { warnings, errors } = analyzeTaint(code);
+  return [...warnings, ...errors].map(diagnostic => diagnostic.ruleId);
+};
+
+const script = body => `(function process(request, response) {\n  var id = request.queryParams.id;\n  ${body}\n})(request, response);`;
+
+test('escaping for another sink does not clear an encoded query', () => {
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery('number=' + JSON.stringify(request.queryParams.id));")), ['taint-encoded-query']);
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery('x=' + GlideStringUtil.escapeHTML(id));")), ['taint-encoded-query']);
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery('x=' + encodeURIComponent(id));")), ['taint-encoded-query']);
+});
+
+test('URL encoding does not clear code execution', () => {
+  assert.deepEqual(ruleIds(script("gs.eval('var a = ' + encodeURIComponent(id));")), ['taint-code-execution']);
+});
+
+test('escapeHTML does not clear code execution or outbound requests', () => {
+  assert.deepEqual(ruleIds(script("var safe = GlideStringUtil.escapeHTML(id);\n  gs.eval(safe);")), ['taint-code-execution']);
+  assert.deepEqual(ruleIds(script("rm.setEndpoint('https://x.example.com/' + GlideStringUtil.escapeHTML(id));")), ['taint-outbound-request']);
+});
+
+test('a clean part does not hide a tainted one', () => {
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery(GlideStringUtil.escapeQueryTermSeparator(id) + '^' + id);")), ['taint-encoded-query']);
+});
+
+test('sanitizers clear the sinks they are made for', () => {
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery('x=' + GlideStringUtil.escapeQueryTermSeparator(id));")), []);
+  assert.deepEqual(ruleIds(script("g_processor.writeOutput(GlideStringUtil.escapeHTML(id));")), []);
+  assert.deepEqual(ruleIds(script("g_processor.writeOutput(SNC.GlideHTMLSanitizer.sanitize(id));")), []);
+  assert.deepEqual(ruleIds(script("rm.setEndpoint('https://x.example.com/' + encodeURIComponent(id));")), []);
+});
+
+test('number and boolean conversion clear every sink', () => {
+  assert.deepEqual(ruleIds(script("gr.addEncodedQuery('priority=' + parseInt(id, 10));")), []);
+  assert.deepEqual(ruleIds(script("gs.eval('var a = ' + Number(id));")), []);
+  assert.deepEqual(ruleIds(script("g_processor.writeOutput('' + Boolean(id));")), []);
+});
+
+test('escaping carries through variables and local functions', () => {
+  const code = script("function wrap(value) { return GlideStringUtil.escapeHTML(value); }\n  var html = wrap(id);\n  g_processor.writeOutput(html);\n  gr.addEncodedQuery('x=' + html);");
+  assert.deepEqual(ruleIds(code), ['taint-encoded-query']);
+});
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Unused Declaration Fix Tests
+ * @description The unused-declarations fix must leave valid code behind and
+ * must not remove anything eval() or with can still reach.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyGenericFixes } from '../src/utils/fixes/genericFixes.js';
+import { findSyntaxError } from '../src/utils/astParser.js';
+
+const fix = code => applyGenericFixes(code).processed;
+
+test('removes unused locals from statement lists', () => {
+  const output = fix('function f() {\n  var a = 1, b = 2;\n  var c = 3;\n  return a;\n}\nf();\n');
+  assert.equal(output, 'function f() {\n  var a = 1;\n  return a;\n}\nf();\n');
+});
+
+test('keeps a declaration that is the only body of a statement', () => {
+  const inputs = [
+    'function f(a) { if (a) var z = 1; }',
+    'function f(a) { if (a) {} else var z = 1; }',
+    'function f(a) { while (a) var z = 1; }',
+    'function f(a) { label: var z = 1; }',
+    'function f(a) { if (a) function g() {} }',
+    'function f() { for (var i = 0; ;) break; }'
+  ];
+  inputs.forEach((input) => {
+    const output = fix(input);
+    assert.equal(findSyntaxError(output), null, output);
+    assert.equal(output, input);
+  });
+});
+
+test('keeps locals that direct eval() or with can reach', () => {
+  const inputs = [
+    "function f() { var x = 1; eval('x'); }",
+    "function f() { var x = 1; function g() { return eval('x'); } return g(); }",
+    'function f(o) { var x = 1; with (o) { y(); } }'
+  ];
+  inputs.forEach(input => assert.equal(fix(input), input));
+});